@@ -1,5 +1,6 @@
 package com.dynamicactivities
 
+import com.margelo.nitro.NitroModules
 import com.margelo.nitro.core.Promise
 import com.margelo.nitro.dynamicactivities.HybridDynamicActivitiesSpec
 import com.margelo.nitro.dynamicactivities.LiveActivitiesSupportInfo
@@ -7,17 +8,33 @@ import com.margelo.nitro.dynamicactivities.LiveActivityAlertConfiguration
 import com.margelo.nitro.dynamicactivities.LiveActivityAttributes
 import com.margelo.nitro.dynamicactivities.LiveActivityContent
 import com.margelo.nitro.dynamicactivities.LiveActivityDismissalPolicy
+import com.margelo.nitro.dynamicactivities.LiveActivityInfo
 import com.margelo.nitro.dynamicactivities.LiveActivityPushToken
 import com.margelo.nitro.dynamicactivities.LiveActivityStartResult
+import com.margelo.nitro.dynamicactivities.LiveActivityStateChangeEvent
 import com.margelo.nitro.dynamicactivities.LiveActivityStyle
+import com.margelo.nitro.dynamicactivities.PushTokenUpdateEvent
 
+/**
+ * Nitro bridge that runs Live Activities as ongoing notifications.
+ *
+ * All operations are delegated to [LiveActivityNotificationManager]. Push
+ * tokens and styles are iOS concepts and are ignored here; `activityType`
+ * selects a layout from [LiveActivityLayoutRegistry].
+ */
 class HybridDynamicActivities : HybridDynamicActivitiesSpec() {
-    override fun areLiveActivitiesSupported(): Promise<LiveActivitiesSupportInfo> {
-        val promise = Promise<LiveActivitiesSupportInfo>()
-        promise.resolve(LiveActivitiesSupportInfo(false, 0.0, "Live Activities are not supported on Android"))
-        return promise
+    private val manager by lazy {
+        val context =
+            NitroModules.applicationContext
+                ?: throw IllegalStateException("React application context is not available yet")
+        LiveActivityNotificationManager(context)
     }
 
+    override fun areLiveActivitiesSupported(): Promise<LiveActivitiesSupportInfo> =
+        execute {
+            manager.supportInfo()
+        }
+
     override fun startLiveActivity(
         attributes: LiveActivityAttributes,
         content: LiveActivityContent,
@@ -25,22 +42,22 @@ class HybridDynamicActivities : HybridDynamicActivitiesSpec() {
         style: LiveActivityStyle?,
         alertConfiguration: LiveActivityAlertConfiguration?,
         start: java.time.Instant?,
-    ): Promise<LiveActivityStartResult> {
-        val promise = Promise<LiveActivityStartResult>()
-        promise.reject(UnsupportedOperationException("Live Activities are iOS-only."))
-        return promise
-    }
+        activityType: String?,
+    ): Promise<LiveActivityStartResult> =
+        execute {
+            val activityId = manager.start(attributes, content, alertConfiguration, start, activityType)
+            LiveActivityStartResult(activityId, null)
+        }
 
     override fun updateLiveActivity(
         activityId: String,
         content: LiveActivityContent,
         alertConfiguration: LiveActivityAlertConfiguration?,
         timestamp: java.time.Instant?,
-    ): Promise<Unit> {
-        val promise = Promise<Unit>()
-        promise.reject(UnsupportedOperationException("Live Activities are iOS-only."))
-        return promise
-    }
+    ): Promise<Unit> =
+        execute {
+            manager.update(activityId, content, alertConfiguration, timestamp)
+        }
 
     override fun endLiveActivity(
         activityId: String,
@@ -48,9 +65,50 @@ class HybridDynamicActivities : HybridDynamicActivitiesSpec() {
         dismissalPolicy: LiveActivityDismissalPolicy?,
         timestamp: java.time.Instant?,
         dismissalDate: java.time.Instant?,
-    ): Promise<Unit> {
-        val promise = Promise<Unit>()
-        promise.reject(UnsupportedOperationException("Live Activities are iOS-only."))
+    ): Promise<Unit> =
+        execute {
+            manager.end(activityId, content, dismissalPolicy, timestamp, dismissalDate)
+        }
+
+    override fun getActiveLiveActivities(): Promise<Array<LiveActivityInfo>> =
+        execute {
+            manager.activeActivities()
+        }
+
+    override fun onActivityStateChange(listener: (event: LiveActivityStateChangeEvent) -> Unit): () -> Unit =
+        manager.addStateListener(listener)
+
+    override fun onPushTokenUpdate(listener: (event: PushTokenUpdateEvent) -> Unit): () -> Unit {
+        // Notifications have no per-activity push tokens, so there is nothing to rotate
+        return {}
+    }
+
+    override fun getPushToStartToken(activityType: String?): Promise<String?> {
+        val promise = Promise<String?>()
+        promise.resolve(null)
+        return promise
+    }
+
+    override fun onPushToStartTokenUpdate(
+        listener: (token: String) -> Unit,
+        activityType: String?,
+    ): () -> Unit {
+        return {}
+    }
+
+    /**
+     * Runs a manager operation and settles a Nitro promise with its outcome.
+     * Unexpected exceptions are rejected as `unknownError`.
+     */
+    private fun <T> execute(operation: () -> T): Promise<T> {
+        val promise = Promise<T>()
+        try {
+            promise.resolve(operation())
+        } catch (e: LiveActivityException) {
+            promise.reject(e)
+        } catch (e: Exception) {
+            promise.reject(LiveActivityException("unknownError", e.message ?: e.toString()))
+        }
         return promise
     }
 }
@@ -0,0 +1,28 @@
+package com.dynamicactivities
+
+import org.json.JSONObject
+
+/**
+ * Error surfaced to JS, with a `LiveActivityErrorCode` value as [code].
+ */
+class LiveActivityException(
+    val code: String,
+    message: String,
+    val domain: String = SYSTEM_DOMAIN,
+) : Exception(message) {
+    /**
+     * Nitro forwards `toString()` to JS as the error message, so this encodes
+     * the error's fields as JSON for the JS facade to decode.
+     */
+    override fun toString(): String =
+        JSONObject()
+            .put("code", code)
+            .put("localizedDescription", message)
+            .put("errorDomain", domain)
+            .toString()
+
+    companion object {
+        const val AUTHORIZATION_DOMAIN = "LiveActivityAuthorizationError"
+        const val SYSTEM_DOMAIN = "LiveActivitySystemError"
+    }
+}
@@ -0,0 +1,37 @@
+package com.dynamicactivities
+
+import android.content.Context
+import androidx.core.app.NotificationCompat
+import com.margelo.nitro.dynamicactivities.LiveActivityAttributes
+import com.margelo.nitro.dynamicactivities.LiveActivityContent
+
+/**
+ * Everything a [LiveActivityLayout] can render for one activity.
+ */
+data class LiveActivityRenderState(
+    val activityId: String,
+    val attributes: LiveActivityAttributes,
+    val content: LiveActivityContent,
+    /** Default mapping of the activity, already applied to the builder */
+    val notification: LiveNotificationContent,
+    /** Whether the activity has ended and is waiting to be dismissed */
+    val ended: Boolean,
+)
+
+/**
+ * Customizes how an activity type renders as a notification, the Android
+ * counterpart of the SwiftUI widget generated for iOS.
+ *
+ * Layouts receive a builder that already carries the default title, text and
+ * progress, and can override any of it, for example with custom `RemoteViews`
+ * or a chronometer. Register them with [LiveActivityLayoutRegistry].
+ *
+ * - Note: Android 16 only promotes notifications without custom views to Live Updates.
+ */
+interface LiveActivityLayout {
+    fun apply(
+        context: Context,
+        builder: NotificationCompat.Builder,
+        state: LiveActivityRenderState,
+    )
+}
@@ -0,0 +1,30 @@
+package com.dynamicactivities
+
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Maps activity type names used from JS to [LiveActivityLayout]s.
+ *
+ * Register layouts once at launch, for example in `MainApplication.onCreate()`:
+ * ```kotlin
+ * LiveActivityLayoutRegistry.register("Delivery", DeliveryLayout())
+ * ```
+ * Activities started without a registered `activityType` keep the default layout.
+ */
+object LiveActivityLayoutRegistry {
+    private val layouts = ConcurrentHashMap<String, LiveActivityLayout>()
+
+    /**
+     * Registers a layout under the name JS passes as `activityType`.
+     * Registering a name again replaces its layout.
+     */
+    @JvmStatic
+    fun register(
+        activityType: String,
+        layout: LiveActivityLayout,
+    ) {
+        layouts[activityType] = layout
+    }
+
+    fun layout(activityType: String?): LiveActivityLayout? = activityType?.let { layouts[it] }
+}
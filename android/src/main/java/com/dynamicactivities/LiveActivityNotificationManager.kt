@@ -0,0 +1,330 @@
+package com.dynamicactivities
+
+import android.annotation.SuppressLint
+import android.app.NotificationChannel
+import android.app.NotificationManager
+import android.app.PendingIntent
+import android.content.BroadcastReceiver
+import android.content.Context
+import android.content.Intent
+import android.content.IntentFilter
+import android.os.Build
+import android.os.Bundle
+import android.os.Handler
+import android.os.Looper
+import androidx.core.app.NotificationCompat
+import androidx.core.app.NotificationManagerCompat
+import androidx.core.content.ContextCompat
+import com.margelo.nitro.dynamicactivities.LiveActivitiesSupportInfo
+import com.margelo.nitro.dynamicactivities.LiveActivityAlertConfiguration
+import com.margelo.nitro.dynamicactivities.LiveActivityAttributes
+import com.margelo.nitro.dynamicactivities.LiveActivityContent
+import com.margelo.nitro.dynamicactivities.LiveActivityDismissalPolicy
+import com.margelo.nitro.dynamicactivities.LiveActivityInfo
+import com.margelo.nitro.dynamicactivities.LiveActivityState
+import com.margelo.nitro.dynamicactivities.LiveActivityStateChangeEvent
+import org.json.JSONException
+import org.json.JSONTokener
+import java.time.Instant
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
+import java.util.concurrent.atomic.AtomicInteger
+
+/**
+ * Runs Live Activities on Android as ongoing notifications.
+ *
+ * **Architecture:**
+ * - One notification per activity, keyed by a generated activity ID
+ * - Content is mapped by [LiveActivityNotificationMapper], then customized by
+ *   the [LiveActivityLayout] registered for the activity type, if any
+ * - On Android 16+ ongoing notifications request promotion to Live Updates
+ * - Ended notifications time out after the dismissal policy's delay, so the
+ *   system removes them even if the app's process dies first
+ * - Notifications the user swipes away are reported as dismissed
+ */
+class LiveActivityNotificationManager(private val context: Context) {
+    private data class TrackedActivity(
+        val notificationId: Int,
+        val activityType: String?,
+        val attributes: LiveActivityAttributes,
+        val content: LiveActivityContent,
+    )
+
+    private val activities = ConcurrentHashMap<String, TrackedActivity>()
+    private val stateListeners = CopyOnWriteArrayList<(LiveActivityStateChangeEvent) -> Unit>()
+    private val nextNotificationId = AtomicInteger(NOTIFICATION_ID_BASE)
+    private val handler = Handler(Looper.getMainLooper())
+    private val pendingDismissals = ConcurrentHashMap<String, Runnable>()
+    private val notificationManager = NotificationManagerCompat.from(context)
+
+    private val deleteReceiver =
+        object : BroadcastReceiver() {
+            override fun onReceive(
+                context: Context,
+                intent: Intent,
+            ) {
+                val activityId = intent.getStringExtra(EXTRA_ACTIVITY_ID) ?: return
+                onNotificationDeleted(activityId, intent.getIntExtra(EXTRA_NOTIFICATION_ID, 0))
+            }
+        }
+
+    init {
+        ContextCompat.registerReceiver(
+            context.applicationContext,
+            deleteReceiver,
+            IntentFilter(ACTION_NOTIFICATION_DELETED),
+            ContextCompat.RECEIVER_NOT_EXPORTED,
+        )
+    }
+
+    fun supportInfo(): LiveActivitiesSupportInfo {
+        val comment =
+            if (Build.VERSION.SDK_INT >= ANDROID_16) {
+                "Ongoing notifications promoted to Live Updates"
+            } else {
+                "Ongoing notifications; Live Updates require Android 16"
+            }
+
+        return LiveActivitiesSupportInfo(
+            notificationManager.areNotificationsEnabled(),
+            Build.VERSION.SDK_INT.toDouble(),
+            comment,
+            false,
+        )
+    }
+
+    fun start(
+        attributes: LiveActivityAttributes,
+        content: LiveActivityContent,
+        alertConfiguration: LiveActivityAlertConfiguration?,
+        start: Instant?,
+        activityType: String?,
+    ): String {
+        validateNotificationsEnabled()
+        validateContent(content)
+
+        val activityId = UUID.randomUUID().toString()
+        val activity = TrackedActivity(nextNotificationId.getAndIncrement(), activityType, attributes, content)
+
+        activities[activityId] = activity
+        post(activityId, activity, alertConfiguration, start ?: Instant.now())
+        return activityId
+    }
+
+    fun update(
+        activityId: String,
+        content: LiveActivityContent,
+        alertConfiguration: LiveActivityAlertConfiguration?,
+        timestamp: Instant?,
+    ) {
+        val previous = requireActivity(activityId)
+        validateContent(content)
+        val activity = previous.copy(content = content)
+
+        activities[activityId] = activity
+        post(activityId, activity, alertConfiguration, timestamp ?: Instant.now())
+
+        if (previous.content.state != content.state) {
+            emitStateChange(activityId, content.state)
+        }
+    }
+
+    fun end(
+        activityId: String,
+        content: LiveActivityContent,
+        dismissalPolicy: LiveActivityDismissalPolicy?,
+        timestamp: Instant?,
+        dismissalDate: Instant?,
+    ) {
+        val activity = requireActivity(activityId).copy(content = content)
+        validateContent(content)
+        val delay = LiveActivityNotificationMapper.dismissalDelayMillis(dismissalPolicy, dismissalDate, Instant.now())
+
+        activities.remove(activityId)
+        emitStateChange(activityId, LiveActivityState.ENDED)
+
+        if (delay == 0L) {
+            dismiss(activityId, activity.notificationId)
+            return
+        }
+
+        post(activityId, activity, null, timestamp ?: Instant.now(), ended = true, timeoutAfterMillis = delay)
+        // Reports the dismissal while the process lives, and removes the notification
+        // below Android 8, which doesn't support timeouts
+        val dismissal = Runnable { dismiss(activityId, activity.notificationId) }
+        pendingDismissals[activityId] = dismissal
+        handler.postDelayed(dismissal, delay)
+    }
+
+    fun activeActivities(): Array<LiveActivityInfo> =
+        activities
+            .map { (activityId, activity) ->
+                LiveActivityInfo(
+                    activityId,
+                    activity.content.state,
+                    activity.content.staleDate,
+                    activity.content.relevanceScore,
+                    activity.attributes,
+                    activity.content.payload,
+                )
+            }.toTypedArray()
+
+    fun addStateListener(listener: (LiveActivityStateChangeEvent) -> Unit): () -> Unit {
+        stateListeners.add(listener)
+        return { stateListeners.remove(listener) }
+    }
+
+    private fun requireActivity(activityId: String): TrackedActivity =
+        activities[activityId]
+            ?: throw LiveActivityException("notFound", "Activity with ID $activityId not found")
+
+    private fun validateContent(content: LiveActivityContent) {
+        if (content.relevanceScore?.isFinite() == false) {
+            throw LiveActivityException("invalidContent", "Invalid Live Activity content: relevanceScore must be a finite number")
+        }
+
+        val payload = content.payload ?: return
+        try {
+            JSONTokener(payload).nextValue()
+        } catch (e: JSONException) {
+            throw LiveActivityException("invalidContent", "Invalid Live Activity content: payload is not valid JSON")
+        }
+    }
+
+    private fun validateNotificationsEnabled() {
+        if (!notificationManager.areNotificationsEnabled()) {
+            throw LiveActivityException(
+                "denied",
+                "Notifications are disabled for this app in Settings",
+                LiveActivityException.AUTHORIZATION_DOMAIN,
+            )
+        }
+    }
+
+    // Notifications being enabled implies POST_NOTIFICATIONS was granted
+    @SuppressLint("MissingPermission")
+    private fun post(
+        activityId: String,
+        activity: TrackedActivity,
+        alertConfiguration: LiveActivityAlertConfiguration?,
+        timestamp: Instant,
+        ended: Boolean = false,
+        timeoutAfterMillis: Long? = null,
+    ) {
+        ensureChannel()
+
+        val mapped = LiveActivityNotificationMapper.map(activity.attributes, activity.content, alertConfiguration, timestamp)
+        val ongoing = mapped.ongoing && !ended
+
+        val builder =
+            NotificationCompat
+                .Builder(context, CHANNEL_ID)
+                .setSmallIcon(context.applicationInfo.icon)
+                .setContentTitle(mapped.title)
+                .setContentText(mapped.text)
+                .setStyle(NotificationCompat.BigTextStyle().bigText(mapped.text))
+                .setContentIntent(launchIntent())
+                .setDeleteIntent(deleteIntent(activityId, activity.notificationId))
+                .setPriority(mapped.priority)
+                .setCategory(NotificationCompat.CATEGORY_PROGRESS)
+                .setWhen(mapped.whenMillis)
+                .setShowWhen(true)
+                .setOngoing(ongoing)
+                .setAutoCancel(!ongoing)
+                .setOnlyAlertOnce(!mapped.alert)
+
+        if (timeoutAfterMillis != null) {
+            builder.setTimeoutAfter(timeoutAfterMillis)
+        }
+
+        if (mapped.progress != null || mapped.indeterminate) {
+            builder.setProgress(LiveActivityNotificationMapper.PROGRESS_MAX, mapped.progress ?: 0, mapped.indeterminate)
+        }
+
+        if (ongoing && Build.VERSION.SDK_INT >= ANDROID_16) {
+            // Same extra as Notification.Builder#setRequestPromotedOngoing, which needs compileSdk 36
+            builder.addExtras(Bundle().apply { putBoolean(EXTRA_REQUEST_PROMOTED_ONGOING, true) })
+        }
+
+        LiveActivityLayoutRegistry.layout(activity.activityType)?.apply(
+            context,
+            builder,
+            LiveActivityRenderState(activityId, activity.attributes, activity.content, mapped, ended),
+        )
+
+        notificationManager.notify(activity.notificationId, builder.build())
+    }
+
+    private fun dismiss(
+        activityId: String,
+        notificationId: Int,
+    ) {
+        pendingDismissals.remove(activityId)?.let(handler::removeCallbacks)
+        notificationManager.cancel(notificationId)
+        emitStateChange(activityId, LiveActivityState.DISMISSED)
+    }
+
+    private fun onNotificationDeleted(
+        activityId: String,
+        notificationId: Int,
+    ) {
+        val running = activities.remove(activityId) != null
+        // Neither running nor waiting to be dismissed: already reported
+        if (!running && !pendingDismissals.containsKey(activityId)) return
+
+        dismiss(activityId, notificationId)
+    }
+
+    private fun ensureChannel() {
+        if (Build.VERSION.SDK_INT < Build.VERSION_CODES.O) return
+
+        val channel =
+            NotificationChannel(CHANNEL_ID, CHANNEL_NAME, NotificationManager.IMPORTANCE_DEFAULT).apply {
+                setShowBadge(false)
+            }
+        notificationManager.createNotificationChannel(channel)
+    }
+
+    private fun launchIntent(): PendingIntent? {
+        val intent = context.packageManager.getLaunchIntentForPackage(context.packageName) ?: return null
+        return PendingIntent.getActivity(context, 0, intent, PendingIntent.FLAG_IMMUTABLE or PendingIntent.FLAG_UPDATE_CURRENT)
+    }
+
+    private fun deleteIntent(
+        activityId: String,
+        notificationId: Int,
+    ): PendingIntent {
+        val intent =
+            Intent(ACTION_NOTIFICATION_DELETED)
+                .setPackage(context.packageName)
+                .putExtra(EXTRA_ACTIVITY_ID, activityId)
+                .putExtra(EXTRA_NOTIFICATION_ID, notificationId)
+        // Notification ID as request code, so each notification keeps its own extras
+        return PendingIntent.getBroadcast(
+            context,
+            notificationId,
+            intent,
+            PendingIntent.FLAG_IMMUTABLE or PendingIntent.FLAG_UPDATE_CURRENT,
+        )
+    }
+
+    private fun emitStateChange(
+        activityId: String,
+        state: LiveActivityState,
+    ) {
+        val event = LiveActivityStateChangeEvent(activityId, state)
+        stateListeners.forEach { it(event) }
+    }
+
+    companion object {
+        private const val CHANNEL_ID = "live_activities"
+        private const val CHANNEL_NAME = "Live Activities"
+        private const val NOTIFICATION_ID_BASE = 0x4c41 // "LA"
+        private const val ANDROID_16 = 36
+        private const val EXTRA_REQUEST_PROMOTED_ONGOING = "android.requestPromotedOngoing"
+        private const val ACTION_NOTIFICATION_DELETED = "com.dynamicactivities.NOTIFICATION_DELETED"
+        private const val EXTRA_ACTIVITY_ID = "com.dynamicactivities.ACTIVITY_ID"
+        private const val EXTRA_NOTIFICATION_ID = "com.dynamicactivities.NOTIFICATION_ID"
+    }
+}
@@ -0,0 +1,121 @@
+package com.dynamicactivities
+
+import androidx.core.app.NotificationCompat
+import com.margelo.nitro.dynamicactivities.LiveActivityAlertConfiguration
+import com.margelo.nitro.dynamicactivities.LiveActivityAttributes
+import com.margelo.nitro.dynamicactivities.LiveActivityContent
+import com.margelo.nitro.dynamicactivities.LiveActivityDismissalPolicy
+import com.margelo.nitro.dynamicactivities.LiveActivityState
+import org.json.JSONException
+import org.json.JSONObject
+import java.time.Instant
+
+/**
+ * Notification fields derived from a Live Activity.
+ *
+ * Holds no Android framework types, so the mapping can be unit tested on the JVM.
+ */
+data class LiveNotificationContent(
+    val title: String,
+    val text: String,
+    /** Progress out of [LiveActivityNotificationMapper.PROGRESS_MAX], or null for no progress bar */
+    val progress: Int?,
+    val indeterminate: Boolean,
+    val ongoing: Boolean,
+    /** `NotificationCompat.PRIORITY_*` value, used before notification channels (API 26) */
+    val priority: Int,
+    val whenMillis: Long,
+    /** Whether posting this content should alert the user again */
+    val alert: Boolean,
+)
+
+/**
+ * Maps the cross-platform Live Activity model onto an ongoing notification.
+ *
+ * **Mapping:**
+ * - `attributes.title` becomes the notification title
+ * - `data.status` (a string) replaces `attributes.body` as the text when present
+ * - `data.progress` (0.0 - 1.0) drives the progress bar; pending activities
+ *   without progress show an indeterminate bar
+ * - `relevanceScore` picks the notification priority
+ * - Active, pending and stale activities are ongoing; ended ones can be swiped away
+ */
+object LiveActivityNotificationMapper {
+    const val PROGRESS_MAX = 100
+
+    /** Ended Live Activities stay on the iOS Lock Screen for at most 4 hours */
+    const val MAX_DISMISSAL_DELAY_MILLIS = 4 * 60 * 60 * 1000L
+
+    fun map(
+        attributes: LiveActivityAttributes,
+        content: LiveActivityContent,
+        alertConfiguration: LiveActivityAlertConfiguration?,
+        timestamp: Instant,
+    ): LiveNotificationContent {
+        val data = parsePayload(content.payload)
+        val progress = data?.optProgress()
+
+        return LiveNotificationContent(
+            title = attributes.title,
+            text = data?.optStatus() ?: attributes.body,
+            progress = progress?.let { (it * PROGRESS_MAX).toInt() },
+            indeterminate = progress == null && content.state == LiveActivityState.PENDING,
+            ongoing = isOngoing(content.state),
+            priority = priority(content.relevanceScore),
+            whenMillis = timestamp.toEpochMilli(),
+            alert = alertConfiguration != null,
+        )
+    }
+
+    fun isOngoing(state: LiveActivityState): Boolean =
+        when (state) {
+            LiveActivityState.ACTIVE, LiveActivityState.PENDING, LiveActivityState.STALE -> true
+            LiveActivityState.ENDED, LiveActivityState.DISMISSED -> false
+        }
+
+    fun priority(relevanceScore: Double?): Int =
+        when {
+            relevanceScore == null -> NotificationCompat.PRIORITY_DEFAULT
+            relevanceScore >= 0.75 -> NotificationCompat.PRIORITY_HIGH
+            relevanceScore < 0.25 -> NotificationCompat.PRIORITY_LOW
+            else -> NotificationCompat.PRIORITY_DEFAULT
+        }
+
+    /**
+     * How long an ended activity's notification stays visible, mirroring
+     * ActivityKit's dismissal policies.
+     *
+     * @return Delay in milliseconds; 0 removes the notification right away
+     */
+    fun dismissalDelayMillis(
+        dismissalPolicy: LiveActivityDismissalPolicy?,
+        dismissalDate: Instant?,
+        now: Instant,
+    ): Long =
+        when (dismissalPolicy) {
+            LiveActivityDismissalPolicy.IMMEDIATE -> 0L
+            LiveActivityDismissalPolicy.AFTER ->
+                dismissalDate
+                    ?.let { (it.toEpochMilli() - now.toEpochMilli()).coerceIn(0L, MAX_DISMISSAL_DELAY_MILLIS) }
+                    ?: MAX_DISMISSAL_DELAY_MILLIS
+            LiveActivityDismissalPolicy.DEFAULT, null -> MAX_DISMISSAL_DELAY_MILLIS
+        }
+
+    private fun parsePayload(payload: String?): JSONObject? {
+        if (payload == null) return null
+
+        return try {
+            JSONObject(payload)
+        } catch (e: JSONException) {
+            // Payloads that aren't JSON objects carry nothing the notification can show
+            null
+        }
+    }
+
+    private fun JSONObject.optProgress(): Double? {
+        val value = opt("progress") as? Number ?: return null
+        return value.toDouble().coerceIn(0.0, 1.0)
+    }
+
+    private fun JSONObject.optStatus(): String? = opt("status") as? String
+}
@@ -0,0 +1,105 @@
+package com.dynamicactivities
+
+import androidx.core.app.NotificationCompat
+import com.margelo.nitro.dynamicactivities.LiveActivityAlertConfiguration
+import com.margelo.nitro.dynamicactivities.LiveActivityAttributes
+import com.margelo.nitro.dynamicactivities.LiveActivityContent
+import com.margelo.nitro.dynamicactivities.LiveActivityDismissalPolicy
+import com.margelo.nitro.dynamicactivities.LiveActivityState
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertFalse
+import org.junit.Assert.assertNull
+import org.junit.Assert.assertTrue
+import org.junit.Test
+import java.time.Instant
+
+class LiveActivityNotificationMapperTest {
+    private val attributes = LiveActivityAttributes("Delivery", "Order #1234", null)
+    private val now = Instant.parse("2025-01-01T14:00:00Z")
+
+    private fun content(
+        state: LiveActivityState = LiveActivityState.ACTIVE,
+        relevanceScore: Double? = null,
+        payload: String? = null,
+    ) = LiveActivityContent(state, null, relevanceScore, payload)
+
+    @Test
+    fun mapsAttributesToTitleAndText() {
+        val mapped = LiveActivityNotificationMapper.map(attributes, content(), null, now)
+
+        assertEquals("Delivery", mapped.title)
+        assertEquals("Order #1234", mapped.text)
+        assertNull(mapped.progress)
+        assertFalse(mapped.indeterminate)
+        assertEquals(now.toEpochMilli(), mapped.whenMillis)
+    }
+
+    @Test
+    fun readsProgressAndStatusFromPayload() {
+        val payload = """{"progress":0.42,"status":"Driver is 5 minutes away"}"""
+        val mapped = LiveActivityNotificationMapper.map(attributes, content(payload = payload), null, now)
+
+        assertEquals(42, mapped.progress)
+        assertEquals("Driver is 5 minutes away", mapped.text)
+    }
+
+    @Test
+    fun clampsProgressAndIgnoresInvalidPayloads() {
+        val overflow = LiveActivityNotificationMapper.map(attributes, content(payload = """{"progress":3}"""), null, now)
+        val invalid = LiveActivityNotificationMapper.map(attributes, content(payload = "[1,2]"), null, now)
+
+        assertEquals(LiveActivityNotificationMapper.PROGRESS_MAX, overflow.progress)
+        assertNull(invalid.progress)
+        assertEquals("Order #1234", invalid.text)
+    }
+
+    @Test
+    fun showsIndeterminateProgressForPendingActivities() {
+        val mapped = LiveActivityNotificationMapper.map(attributes, content(LiveActivityState.PENDING), null, now)
+
+        assertTrue(mapped.indeterminate)
+    }
+
+    @Test
+    fun keepsOnlyRunningActivitiesOngoing() {
+        assertTrue(LiveActivityNotificationMapper.isOngoing(LiveActivityState.ACTIVE))
+        assertTrue(LiveActivityNotificationMapper.isOngoing(LiveActivityState.PENDING))
+        assertTrue(LiveActivityNotificationMapper.isOngoing(LiveActivityState.STALE))
+        assertFalse(LiveActivityNotificationMapper.isOngoing(LiveActivityState.ENDED))
+        assertFalse(LiveActivityNotificationMapper.isOngoing(LiveActivityState.DISMISSED))
+    }
+
+    @Test
+    fun mapsRelevanceScoreToPriority() {
+        assertEquals(NotificationCompat.PRIORITY_DEFAULT, LiveActivityNotificationMapper.priority(null))
+        assertEquals(NotificationCompat.PRIORITY_HIGH, LiveActivityNotificationMapper.priority(1.0))
+        assertEquals(NotificationCompat.PRIORITY_DEFAULT, LiveActivityNotificationMapper.priority(0.5))
+        assertEquals(NotificationCompat.PRIORITY_LOW, LiveActivityNotificationMapper.priority(0.1))
+    }
+
+    @Test
+    fun alertsOnlyWithAlertConfiguration() {
+        val alert = LiveActivityAlertConfiguration("Arriving", "Your order is here", "default")
+
+        assertTrue(LiveActivityNotificationMapper.map(attributes, content(), alert, now).alert)
+        assertFalse(LiveActivityNotificationMapper.map(attributes, content(), null, now).alert)
+    }
+
+    @Test
+    fun mirrorsActivityKitDismissalPolicies() {
+        val max = LiveActivityNotificationMapper.MAX_DISMISSAL_DELAY_MILLIS
+
+        assertEquals(0L, LiveActivityNotificationMapper.dismissalDelayMillis(LiveActivityDismissalPolicy.IMMEDIATE, null, now))
+        assertEquals(max, LiveActivityNotificationMapper.dismissalDelayMillis(LiveActivityDismissalPolicy.DEFAULT, null, now))
+        assertEquals(max, LiveActivityNotificationMapper.dismissalDelayMillis(null, null, now))
+        assertEquals(
+            60_000L,
+            LiveActivityNotificationMapper.dismissalDelayMillis(LiveActivityDismissalPolicy.AFTER, now.plusSeconds(60), now),
+        )
+        assertEquals(
+            max,
+            LiveActivityNotificationMapper.dismissalDelayMillis(LiveActivityDismissalPolicy.AFTER, now.plusSeconds(24 * 60 * 60), now),
+        )
+        assertEquals(max, LiveActivityNotificationMapper.dismissalDelayMillis(LiveActivityDismissalPolicy.AFTER, null, now))
+    }
+}
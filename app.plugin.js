@@ -1,4 +1,3 @@
-import fs from "node:fs";
 import path from "node:path";
 import {
   createRunOncePlugin,
@@ -6,28 +5,53 @@ import {
   withInfoPlist,
   withXcodeProject,
 } from "@expo/config-plugins";
+import { addWidgetExtension, writeWidgetFiles } from "./scripts/widget-extension";
 
 /**
  * Expo Config Plugin for React Native Dynamic Activities
  *
  * Automatically configures iOS projects for Live Activities:
  * - Adds Live Activities entitlement
- * - Creates Widget Extension target (template)
+ * - Creates the Widget Extension target, with sources from templates/widget
  * - Configures necessary capabilities
+ * - Applies App Groups, push notifications and frequent updates to both the
+ *   app and the Widget Extension
  */
 
 const PLUGIN_NAME = "react-native-dynamic-activities";
 
-async function withDynamicActivities(config, props = {}) {
+const APP_GROUPS_ENTITLEMENT = "com.apple.security.application-groups";
+const APS_ENVIRONMENTS = ["development", "production"];
+
+function withDynamicActivities(config, props = {}) {
   const {
-    widgetName = `${config.name}Widget`,
+    widgetName = `${config.name.replace(/[^A-Za-z0-9]/g, "")}Widget`,
     bundleIdSuffix = "widget",
     activityName = "DefaultActivity",
+    deploymentTarget,
+    appGroups = [],
+    apsEnvironment,
+    frequentUpdates,
   } = props;
 
+  // Shared by the app and the Widget Extension
+  const sharedEntitlements = getSharedEntitlements({ appGroups, apsEnvironment });
+  const sharedInfoPlist =
+    frequentUpdates === undefined
+      ? {}
+      : { NSSupportsLiveActivitiesFrequentUpdates: Boolean(frequentUpdates) };
+
   // Add Live Activities entitlement to main app
   let updatedConfig = withEntitlementsPlist(config, (config) => {
     config.modResults["com.apple.developer.live-activities"] = true;
+
+    // Keep App Groups added by other plugins
+    const { [APP_GROUPS_ENTITLEMENT]: groups, ...entitlements } = sharedEntitlements;
+    Object.assign(config.modResults, entitlements);
+    if (groups) {
+      const existing = config.modResults[APP_GROUPS_ENTITLEMENT] ?? [];
+      config.modResults[APP_GROUPS_ENTITLEMENT] = [...new Set([...existing, ...groups])];
+    }
     return config;
   });
 
@@ -37,6 +61,7 @@ async function withDynamicActivities(config, props = {}) {
     if (!config.modResults.NSSupportsLiveActivities) {
       config.modResults.NSSupportsLiveActivities = true;
     }
+    Object.assign(config.modResults, sharedInfoPlist);
     return config;
   });
 
@@ -46,41 +71,72 @@ async function withDynamicActivities(config, props = {}) {
       widgetName,
       bundleIdSuffix,
       activityName,
+      deploymentTarget,
+      entitlements: sharedEntitlements,
+      infoPlist: sharedInfoPlist,
     });
   });
 
   return updatedConfig;
 }
 
-function configureXcodeProject(config, { widgetName, bundleIdSuffix, activityName }) {
-  const project = config.modResults;
+function getSharedEntitlements({ appGroups, apsEnvironment }) {
+  const entitlements = {};
+
+  if (!Array.isArray(appGroups) || appGroups.some((group) => !group.startsWith("group."))) {
+    throw new Error(`[${PLUGIN_NAME}] appGroups must be an array of "group." identifiers`);
+  }
+  if (appGroups.length > 0) {
+    entitlements[APP_GROUPS_ENTITLEMENT] = appGroups;
+  }
+
+  if (apsEnvironment !== undefined) {
+    if (!APS_ENVIRONMENTS.includes(apsEnvironment)) {
+      throw new Error(
+        `[${PLUGIN_NAME}] apsEnvironment must be one of ${APS_ENVIRONMENTS.join(", ")}`,
+      );
+    }
+    entitlements["aps-environment"] = apsEnvironment;
+  }
+
+  return entitlements;
+}
+
+function configureXcodeProject(
+  config,
+  { widgetName, bundleIdSuffix, activityName, deploymentTarget, entitlements, infoPlist },
+) {
+  const { platformProjectRoot, projectName } = config.modRequest;
 
   // Get main app bundle identifier
   const mainBundleId = getBundleIdentifier(config);
   const widgetBundleId = `${mainBundleId}.${bundleIdSuffix}`;
 
   try {
-    // Check if widget target already exists
-    const existingTarget = findWidgetTarget(project, widgetName);
-    if (existingTarget) {
-      console.log(`[${PLUGIN_NAME}] Widget target "${widgetName}" already exists, skipping...`);
-      return config;
+    // Sources are written even when the target exists, restoring deleted files
+    const written = writeWidgetFiles(path.join(platformProjectRoot, widgetName), {
+      widgetName,
+      activityName,
+      entitlements,
+      infoPlist,
+    });
+    if (written.length > 0) {
+      console.log(`[${PLUGIN_NAME}] Wrote ${written.join(", ")} to ios/${widgetName}`);
     }
 
-    // Create widget target configuration
-    const widgetTargetUuid = project.generateUuid();
-    const widgetProductUuid = project.generateUuid();
-
-    // Add widget target
-    addWidgetTarget(project, {
+    const added = addWidgetExtension(config.modResults.hash, {
       widgetName,
-      widgetBundleId,
+      bundleId: widgetBundleId,
       activityName,
-      widgetTargetUuid,
-      widgetProductUuid,
+      mainTargetName: projectName,
+      deploymentTarget,
     });
 
-    console.log(`[${PLUGIN_NAME}] Added Widget Extension target: ${widgetName}`);
+    if (added) {
+      console.log(`[${PLUGIN_NAME}] Added Widget Extension target: ${widgetName}`);
+    } else {
+      console.log(`[${PLUGIN_NAME}] Widget target "${widgetName}" already exists, skipping...`);
+    }
   } catch (error) {
     console.warn(`[${PLUGIN_NAME}] Failed to configure Xcode project: ${error.message}`);
     console.warn("You may need to manually create the Widget Extension in Xcode");
@@ -94,77 +150,6 @@ function getBundleIdentifier(config) {
   return config.ios?.bundleIdentifier || `com.${config.owner || "anonymous"}.${config.slug}`;
 }
 
-function findWidgetTarget(project, widgetName) {
-  const targets = project.hash.project.objects.PBXNativeTarget || {};
-  return Object.values(targets).find(
-    (target) => target.name === widgetName || target.productName === widgetName,
-  );
-}
-
-function addWidgetTarget(
-  project,
-  { widgetName, widgetBundleId, activityName, widgetTargetUuid, widgetProductUuid },
-) {
-  // This is a simplified implementation
-  // In a real plugin, you'd need to:
-  // 1. Create PBXNativeTarget
-  // 2. Add build configurations
-  // 3. Create file references for Swift files
-  // 4. Add build phases (compile sources, copy bundle resources)
-  // 5. Link frameworks (WidgetKit, SwiftUI, ActivityKit)
-
-  // For now, we'll create placeholder files and instructions
-  const iosDir = path.join(config.modRequest.projectRoot, "ios");
-  const widgetDir = path.join(iosDir, widgetName);
-
-  // Create widget directory with instructions
-  if (!fs.existsSync(widgetDir)) {
-    fs.mkdirSync(widgetDir, { recursive: true });
-
-    // Create instruction file
-    const instructionContent = `
-# Widget Extension Setup Required
-
-This directory was created by the react-native-dynamic-activities Expo plugin.
-
-## Manual Setup Required:
-
-1. Open your project in Xcode
-2. Add a new Widget Extension target:
-   - File -> New -> Target...
-   - Select "Widget Extension"
-   - Product Name: ${widgetName}
-   - Bundle Identifier: ${widgetBundleId}
-   - Check "Include Live Activity" if available
-
-3. Replace the generated Swift files with templates from:
-   node_modules/react-native-dynamic-activities/templates/widget/
-
-4. Update your Swift files to match your TypeScript types
-
-## Configuration:
-- Widget Name: ${widgetName}
-- Bundle ID: ${widgetBundleId}
-- Activity Name: ${activityName}
-
-## Alternative:
-Run the widget scaffolder script:
-\`\`\`bash
-npx react-native-dynamic-activities create-widget --name=${widgetName} --activity=${activityName}
-\`\`\`
-`;
-
-    fs.writeFileSync(path.join(widgetDir, "SETUP_INSTRUCTIONS.md"), instructionContent.trim());
-  }
-
-  // Note: Full Xcode project manipulation would require a more sophisticated
-  // approach using xcodeproj parsing and manipulation libraries
-  console.log(`[${PLUGIN_NAME}] Created widget directory at ios/${widgetName}`);
-  console.log(
-    `[${PLUGIN_NAME}] See ios/${widgetName}/SETUP_INSTRUCTIONS.md for manual setup steps`,
-  );
-}
-
 // Create plugin with proper versioning
 const withDynamicActivitiesPlugin = createRunOncePlugin(
   withDynamicActivities,
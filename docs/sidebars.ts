@@ -35,13 +35,14 @@ const sidebars: SidebarsConfig = {
 				"guides/ERROR_HANDLING",
 				"guides/DISMISSAL_POLICIES", 
 				"guides/ActivityStyle",
-				"guides/CLI_GUIDE"
+				"guides/CLI_GUIDE",
+				"guides/TESTING"
 			],
 		},
 		{
 			type: "category",
 			label: "Platform Support",
-			items: ["platform/ios-compatibility"],
+			items: ["platform/ios-compatibility", "platform/android"],
 		},
 		"troubleshooting",
 	],
@@ -52,7 +53,7 @@ const sidebars: SidebarsConfig = {
 		{
 			type: "category",
 			label: "Core API",
-			items: ["api/dynamic-activities", "api/live-activity-state"],
+			items: ["api/dynamic-activities", "api/hooks", "api/live-activity-state"],
 		},
 		{
 			type: "category",
@@ -42,6 +42,12 @@ private func getRecoverySuggestion(for code: String, domain: String) -> String {
     "Call LiveActivityBridgeRegistry.shared.registerBridge() in your app initialization"
   case ("LiveActivitySystemError", "unsupported"):
     "Update to iOS 16.2 or later to use Live Activities"
+  case ("LiveActivitySystemError", "notFound"):
+    "Use getActiveLiveActivities() to find the identifiers of running activities"
+  case ("LiveActivitySystemError", "alreadyEnded"):
+    "Start a new Live Activity instead of updating this one"
+  case ("LiveActivitySystemError", "invalidContent"):
+    "Check that relevanceScore is a finite number and data can be serialized to JSON"
   default:
     "Check the error details and try again"
   }
@@ -58,6 +64,41 @@ private func getNumericCode(for domain: String) -> Int {
   }
 }
 
+// MARK: - JavaScript Bridging
+
+/**
+ * Error handed to Nitro promises and throwing functions.
+ *
+ * Nitro forwards `String(describing:)` of a thrown error to JavaScript as the
+ * message, which drops `userInfo`. The description is therefore the error's
+ * fields encoded as JSON, which the JS facade decodes into a `LiveActivityError`.
+ */
+struct LiveActivityJSError: Error, CustomStringConvertible {
+  let error: NSError
+
+  init(_ error: NSError) {
+    self.error = error
+  }
+
+  var description: String {
+    var fields: [String: Any] = [
+      "code": error.userInfo["code"] as? String ?? "unknownError",
+      "localizedDescription": error.localizedDescription,
+      "errorCode": error.code,
+      "errorDomain": error.domain,
+    ]
+    fields["failureReason"] = error.localizedFailureReason
+    fields["recoverySuggestion"] = error.localizedRecoverySuggestion
+
+    guard let data = try? JSONSerialization.data(withJSONObject: fields, options: [.sortedKeys]),
+          let json = String(data: data, encoding: .utf8)
+    else {
+      return error.localizedDescription
+    }
+    return json
+  }
+}
+
 // MARK: - ActivityKit Error Mapping
 
 /**
@@ -167,3 +208,60 @@ func unsupportedVersionError() -> NSError {
     domain: "LiveActivitySystemError"
   )
 }
+
+/**
+ * Creates a system error for activity IDs that match no running activity.
+ */
+func activityNotFoundError(_ activityId: String) -> NSError {
+  makeNSError(
+    code: "notFound",
+    message: "Activity with ID \(activityId) not found",
+    domain: "LiveActivitySystemError"
+  )
+}
+
+/**
+ * Creates a system error for updating or ending an activity that already ended.
+ */
+func activityAlreadyEndedError(_ activityId: String) -> NSError {
+  makeNSError(
+    code: "alreadyEnded",
+    message: "Activity with ID \(activityId) has already ended",
+    domain: "LiveActivitySystemError"
+  )
+}
+
+/**
+ * Creates a system error for content ActivityKit can't display.
+ *
+ * - Parameter reason: Which part of the content is invalid
+ */
+func invalidContentError(_ reason: String) -> NSError {
+  makeNSError(
+    code: "invalidContent",
+    message: "Invalid Live Activity content: \(reason)",
+    domain: "LiveActivitySystemError"
+  )
+}
+
+/**
+ * Creates a system error for activity types without a registered bridge.
+ */
+func noBridgeError(_ activityType: String) -> NSError {
+  makeNSError(
+    code: "noBridge",
+    message: "No LiveActivityBridge registered for activity type \"\(activityType)\"",
+    domain: "LiveActivitySystemError"
+  )
+}
+
+/**
+ * Creates a system error for operations that finished without a result.
+ */
+func operationFailedError(_ message: String) -> NSError {
+  makeNSError(
+    code: "operationFailed",
+    message: message,
+    domain: "LiveActivitySystemError"
+  )
+}
@@ -38,16 +38,18 @@ final class HybridDynamicActivities: HybridDynamicActivitiesSpec {
     pushToken: LiveActivityPushToken?,
     style: LiveActivityStyle?,
     alertConfiguration: LiveActivityAlertConfiguration?,
-    start: Date?
+    start: Date?,
+    activityType: String?
   ) throws -> Promise<LiveActivityStartResult> {
-    executeWithPromise { [weak self] in
-      try self?.service.startActivity(
+    executeWithAsyncPromise { [weak self] in
+      try await self?.service.startActivity(
         attributes: attributes,
         content: content,
         pushToken: pushToken,
         style: style,
         alertConfiguration: alertConfiguration,
-        start: start
+        start: start,
+        activityType: activityType
       )
     }
   }
@@ -58,8 +60,8 @@ final class HybridDynamicActivities: HybridDynamicActivitiesSpec {
     alertConfiguration: LiveActivityAlertConfiguration?,
     timestamp: Date?
   ) throws -> Promise<Void> {
-    executeWithPromise { [weak self] in
-      try self?.service.updateActivity(
+    executeWithAsyncPromise { [weak self] in
+      try await self?.service.updateActivity(
         activityId: activityId,
         content: content,
         alertConfiguration: alertConfiguration,
@@ -75,8 +77,8 @@ final class HybridDynamicActivities: HybridDynamicActivitiesSpec {
     timestamp: Date?,
     dismissalDate: Date?
   ) throws -> Promise<Void> {
-    executeWithPromise { [weak self] in
-      try self?.service.endActivity(
+    executeWithAsyncPromise { [weak self] in
+      try await self?.service.endActivity(
         activityId: activityId,
         content: content,
         dismissalPolicy: dismissalPolicy,
@@ -85,6 +87,53 @@ final class HybridDynamicActivities: HybridDynamicActivitiesSpec {
       )
     }
   }
+
+  // MARK: - Activity Enumeration
+
+  func getActiveLiveActivities() throws -> Promise<[LiveActivityInfo]> {
+    executeWithPromise { [weak self] in
+      try self?.service.getActiveActivities()
+    }
+  }
+
+  // MARK: - Activity Events
+
+  func onActivityStateChange(
+    listener: @escaping (_ event: LiveActivityStateChangeEvent) -> Void
+  ) throws -> () -> Void {
+    service.addStateListener(listener)
+  }
+
+  func onPushTokenUpdate(
+    listener: @escaping (_ event: PushTokenUpdateEvent) -> Void
+  ) throws -> () -> Void {
+    service.addPushTokenListener(listener)
+  }
+
+  // MARK: - Push to Start
+
+  func getPushToStartToken(activityType: String?) throws -> Promise<String?> {
+    let promise = Promise<String?>()
+
+    do {
+      try promise.resolve(withResult: service.getPushToStartToken(activityType: activityType))
+    } catch {
+      promise.reject(withError: mapError(error))
+    }
+
+    return promise
+  }
+
+  func onPushToStartTokenUpdate(
+    listener: @escaping (_ token: String) -> Void,
+    activityType: String?
+  ) throws -> () -> Void {
+    do {
+      return try service.addPushToStartTokenListener(listener, activityType: activityType)
+    } catch {
+      throw mapError(error)
+    }
+  }
 }
 
 // MARK: - Private Helpers
@@ -103,11 +152,7 @@ private extension HybridDynamicActivities {
 
     do {
       guard let result = try operation() else {
-        promise.reject(withError: makeNSError(
-          code: "operationFailed",
-          message: "Service operation returned nil",
-          domain: "LiveActivitySystemError"
-        ))
+        promise.reject(withError: LiveActivityJSError(operationFailedError("Service operation returned nil")))
         return promise
       }
       promise.resolve(withResult: result)
@@ -118,20 +163,54 @@ private extension HybridDynamicActivities {
     return promise
   }
 
+  /**
+   * Async variant of `executeWithPromise` for operations that await ActivityKit.
+   *
+   * - Parameter operation: The async service operation to execute
+   * - Returns: A Nitro Promise settled once the operation completes
+   */
+  func executeWithAsyncPromise<T>(
+    operation: @escaping () async throws -> T?
+  ) -> Promise<T> {
+    let promise = Promise<T>()
+
+    Task {
+      do {
+        guard let result = try await operation() else {
+          promise.reject(withError: LiveActivityJSError(operationFailedError("Service operation returned nil")))
+          return
+        }
+        promise.resolve(withResult: result)
+      } catch {
+        promise.reject(withError: mapError(error))
+      }
+    }
+
+    return promise
+  }
+
   /**
    * Maps native errors to structured JS errors with proper typing.
+   *
+   * Errors already created by `makeNSError` keep their code; anything else
+   * becomes an `unknownError`.
    */
-  func mapError(_ error: Error) -> NSError {
+  func mapError(_ error: Error) -> LiveActivityJSError {
     if #available(iOS 16.2, *),
        let authError = error as? ActivityAuthorizationError
     {
-      return mapAuthorizationError(authError)
+      return LiveActivityJSError(mapAuthorizationError(authError))
+    }
+
+    let nsError = error as NSError
+    if nsError.userInfo["code"] is String {
+      return LiveActivityJSError(nsError)
     }
 
-    return makeNSError(
+    return LiveActivityJSError(makeNSError(
       code: "unknownError",
       message: error.localizedDescription,
       domain: "LiveActivitySystemError"
-    )
+    ))
   }
 }
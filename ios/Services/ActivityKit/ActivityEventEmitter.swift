@@ -0,0 +1,174 @@
+import ActivityKit
+import Foundation
+
+// MARK: - ActivityEventEmitter
+
+/**
+ * Forwards ActivityKit's per-activity async sequences to JS listeners.
+ *
+ * **Architecture:**
+ * - State and push token observation tasks per activity, started on registration
+ * - Push-to-start token observation per attributes type, started by its first listener
+ * - Listeners are shared across activities and keyed by a token for removal
+ * - All mutable state is guarded by a serial queue
+ */
+final class ActivityEventEmitter {
+  typealias StateListener = (LiveActivityStateChangeEvent) -> Void
+  typealias PushTokenListener = (PushTokenUpdateEvent) -> Void
+  typealias PushToStartTokenListener = (String) -> Void
+
+  static let shared = ActivityEventEmitter()
+
+  private var stateListeners: [UUID: StateListener] = [:]
+  private var pushTokenListeners: [UUID: PushTokenListener] = [:]
+  private var pushToStartTokenListeners: [ObjectIdentifier: [UUID: PushToStartTokenListener]] = [:]
+  private var observationTasks: [String: [Task<Void, Never>]] = [:]
+  private var pushToStartTokenTasks: [ObjectIdentifier: Task<Void, Never>] = [:]
+  private let queue = DispatchQueue(label: "com.dynamicactivities.events", qos: .userInitiated)
+
+  private init() {}
+
+  // MARK: - Listeners
+
+  /**
+   * Adds a listener for state changes of every observed activity.
+   *
+   * - Parameter listener: Called with the activity ID and its new state
+   * - Returns: Closure that removes the listener
+   */
+  func addStateListener(_ listener: @escaping StateListener) -> () -> Void {
+    let token = UUID()
+    queue.sync {
+      stateListeners[token] = listener
+    }
+
+    return { [weak self] in
+      self?.queue.async {
+        self?.stateListeners.removeValue(forKey: token)
+      }
+    }
+  }
+
+  /**
+   * Adds a listener for push token rotations of every observed activity.
+   *
+   * - Parameter listener: Called with the activity ID and its new hex-encoded token
+   * - Returns: Closure that removes the listener
+   */
+  func addPushTokenListener(_ listener: @escaping PushTokenListener) -> () -> Void {
+    let token = UUID()
+    queue.sync {
+      pushTokenListeners[token] = listener
+    }
+
+    return { [weak self] in
+      self?.queue.async {
+        self?.pushTokenListeners.removeValue(forKey: token)
+      }
+    }
+  }
+
+  /**
+   * Adds a listener for push-to-start token updates of an attributes type.
+   * The underlying ActivityKit sequence is observed once the first listener
+   * for the type is added.
+   *
+   * - Parameters:
+   *   - type: Attributes type whose tokens are forwarded
+   *   - listener: Called with the new hex-encoded token
+   * - Returns: Closure that removes the listener
+   */
+  @available(iOS 17.2, *)
+  func addPushToStartTokenListener<T: LiveActivityBridge>(
+    for type: T.Type,
+    _ listener: @escaping PushToStartTokenListener
+  ) -> () -> Void {
+    let key = ObjectIdentifier(type)
+    let token = UUID()
+    queue.sync {
+      pushToStartTokenListeners[key, default: [:]][token] = listener
+
+      if pushToStartTokenTasks[key] == nil {
+        pushToStartTokenTasks[key] = Task { [weak self] in
+          for await tokenData in Activity<T>.pushToStartTokenUpdates {
+            self?.emitPushToStartTokenUpdate(tokenData.hexEncodedString, for: key)
+          }
+        }
+      }
+    }
+
+    return { [weak self] in
+      self?.queue.async {
+        self?.pushToStartTokenListeners[key]?.removeValue(forKey: token)
+      }
+    }
+  }
+
+  // MARK: - Observation
+
+  /**
+   * Starts forwarding updates of the given activity. Calling it again for an
+   * already observed activity is a no-op.
+   */
+  @available(iOS 16.2, *)
+  func observe(_ activity: Activity<some ActivityAttributes>) {
+    queue.async { [weak self] in
+      guard let self, observationTasks[activity.id] == nil else { return }
+
+      let stateTask = Task { [weak self] in
+        for await activityState in activity.activityStateUpdates {
+          self?.emitStateChange(
+            LiveActivityStateChangeEvent(
+              activityId: activity.id,
+              state: LiveActivityState(activityState: activityState)
+            )
+          )
+        }
+
+        // The state sequence finishes once the activity is gone for good
+        self?.stopObserving(activityId: activity.id)
+      }
+
+      let pushTokenTask = Task { [weak self] in
+        for await tokenData in activity.pushTokenUpdates {
+          self?.emitPushTokenUpdate(
+            PushTokenUpdateEvent(activityId: activity.id, token: tokenData.hexEncodedString)
+          )
+        }
+      }
+
+      observationTasks[activity.id] = [stateTask, pushTokenTask]
+    }
+  }
+}
+
+// MARK: - Private Helpers
+
+private extension ActivityEventEmitter {
+  func emitStateChange(_ event: LiveActivityStateChangeEvent) {
+    let listeners = queue.sync { Array(stateListeners.values) }
+    for listener in listeners {
+      listener(event)
+    }
+  }
+
+  func emitPushTokenUpdate(_ event: PushTokenUpdateEvent) {
+    let listeners = queue.sync { Array(pushTokenListeners.values) }
+    for listener in listeners {
+      listener(event)
+    }
+  }
+
+  func emitPushToStartTokenUpdate(_ token: String, for key: ObjectIdentifier) {
+    let listeners = queue.sync { Array(pushToStartTokenListeners[key, default: [:]].values) }
+    for listener in listeners {
+      listener(token)
+    }
+  }
+
+  func stopObserving(activityId: String) {
+    queue.async { [weak self] in
+      self?.observationTasks.removeValue(forKey: activityId)?.forEach { $0.cancel() }
+    }
+  }
+}
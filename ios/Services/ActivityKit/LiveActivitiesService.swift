@@ -19,10 +19,19 @@ struct GenericActivityAttributes: ActivityAttributes {
     /// Optional timestamp for the state change
     var timestamp: Date?
 
-    public init(state: String, relevanceScore: Double? = nil, timestamp: Date? = nil) {
+    /// Optional JSON-encoded custom state, passed as `data` from JS
+    var payload: String?
+
+    public init(
+      state: String,
+      relevanceScore: Double? = nil,
+      timestamp: Date? = nil,
+      payload: String? = nil
+    ) {
       self.state = state
       self.relevanceScore = relevanceScore
       self.timestamp = timestamp
+      self.payload = payload
     }
   }
 
@@ -32,9 +41,38 @@ struct GenericActivityAttributes: ActivityAttributes {
   /// Activity description/body text
   var body: String
 
-  public init(title: String, body: String) {
+  /// Custom static values passed from JavaScript
+  var metadata: [String: String]?
+
+  public init(title: String, body: String, metadata: [String: String]? = nil) {
     self.title = title
     self.body = body
+    self.metadata = metadata
+  }
+}
+
+// MARK: - LiveActivityBridge
+
+extension GenericActivityAttributes: LiveActivityBridge {
+  init(liveActivityAttributes attributes: LiveActivityBridgeAttributes) {
+    self.init(title: attributes.title, body: attributes.body, metadata: attributes.metadata)
+  }
+
+  var liveActivityAttributes: LiveActivityBridgeAttributes {
+    LiveActivityBridgeAttributes(title: title, body: body, metadata: metadata)
+  }
+
+  static func contentState(from content: LiveActivityBridgeContent, timestamp: Date) -> ContentState {
+    ContentState(
+      state: content.state,
+      relevanceScore: content.relevanceScore,
+      timestamp: timestamp,
+      payload: content.payload
+    )
+  }
+
+  static func payload(of state: ContentState) -> String? {
+    state.payload
   }
 }
 
@@ -44,43 +82,123 @@ struct GenericActivityAttributes: ActivityAttributes {
  * Registry for tracking active Live Activities.
  *
  * Uses type-safe storage with generic constraints while maintaining
- * compatibility with different ActivityAttributes types.
+ * compatibility with different ActivityAttributes types. Each activity
+ * remembers its `LiveActivityBridge` type so updates reach the right `Activity<T>`.
+ *
+ * The registry lives in memory only, so on access it rebuilds itself from
+ * ActivityKit's list of existing activities of every known bridge type. This
+ * keeps activities that survived an app relaunch controllable from JS with
+ * their original IDs.
  */
 private final class ActivityRegistry {
   static let shared = ActivityRegistry()
   private var activities: [String: Any] = [:] // Any required for different Activity<T> types
+  private var activityTypes: [String: any LiveActivityBridge.Type] = [:]
+  private var trackedTypes: Set<ObjectIdentifier> = []
+  private var activityUpdatesTasks: [Task<Void, Never>] = []
   private let queue = DispatchQueue(label: "com.dynamicactivities.registry", qos: .userInitiated)
 
   private init() {}
 
   @available(iOS 16.1, *)
-  func registerActivity(_ activity: Activity<some ActivityAttributes>) {
+  func registerActivity<T: LiveActivityBridge>(_ activity: Activity<T>) {
     queue.async { [weak self] in
       self?.activities[activity.id] = activity
+      self?.activityTypes[activity.id] = T.self
+    }
+
+    if #available(iOS 16.2, *) {
+      ActivityEventEmitter.shared.observe(activity)
     }
   }
 
   @available(iOS 16.1, *)
   func getActivity<T: ActivityAttributes>(id: String, type _: T.Type) -> Activity<T>? {
     queue.sync { [weak self] in
+      self?.rehydrateIfNeeded()
       guard let activity = self?.activities[id] else { return nil }
       return activity as? Activity<T>
     }
   }
 
+  /// Attributes type the activity was started with
+  func getActivityType(id: String) -> (any LiveActivityBridge.Type)? {
+    queue.sync { [weak self] in
+      self?.rehydrateIfNeeded()
+      return self?.activityTypes[id]
+    }
+  }
+
   func removeActivity(id: String) {
     queue.async { [weak self] in
       self?.activities.removeValue(forKey: id)
+      self?.activityTypes.removeValue(forKey: id)
     }
   }
 
   /// Get all active activity IDs for debugging/monitoring
   func getAllActivityIds() -> [String] {
     queue.sync { [weak self] in
+      self?.rehydrateIfNeeded()
       guard let activities = self?.activities else { return [] }
       return Array(activities.keys)
     }
   }
+
+  /// Eagerly rebuilds the registry so activities from a previous launch are tracked
+  func loadExistingActivities() {
+    queue.sync { [weak self] in
+      self?.rehydrateIfNeeded()
+    }
+  }
+
+  /**
+   * Starts tracking bridge types that haven't been tracked yet.
+   *
+   * Bridges can be registered at any time, so this runs on every lookup and
+   * only does work for newly registered types. Must be called on `queue`.
+   */
+  private func rehydrateIfNeeded() {
+    guard #available(iOS 16.1, *) else { return }
+
+    for bridge in LiveActivityBridgeRegistry.shared.allBridges
+      where trackedTypes.insert(ObjectIdentifier(bridge)).inserted {
+      track(bridge)
+    }
+  }
+
+  /**
+   * Seeds the registry with activities of one type that outlived the previous
+   * process and follows new ones.
+   *
+   * Ended and dismissed activities are skipped since they can no longer be
+   * updated. Must be called on `queue`.
+   */
+  @available(iOS 16.1, *)
+  private func track<T: LiveActivityBridge>(_: T.Type) {
+    for activity in Activity<T>.activities {
+      switch activity.activityState {
+      case .ended, .dismissed:
+        continue
+      default:
+        if activities[activity.id] == nil {
+          activities[activity.id] = activity
+          activityTypes[activity.id] = T.self
+        }
+
+        if #available(iOS 16.2, *) {
+          ActivityEventEmitter.shared.observe(activity)
+        }
+      }
+    }
+
+    // Activities started remotely via push-to-start show up here while the app runs
+    activityUpdatesTasks.append(Task { [weak self] in
+      for await activity in Activity<T>.activityUpdates {
+        self?.registerActivity(activity)
+      }
+    })
+  }
 }
 
 // MARK: - LiveActivitiesService
@@ -90,7 +208,7 @@ private final class ActivityRegistry {
  *
  * **Architecture:**
  * - Pure Swift service layer with direct ActivityKit integration
- * - Uses generic attributes that work for most use cases
+ * - Uses generic attributes by default, or app types registered as `LiveActivityBridge`
  * - Handles iOS version compatibility and authorization checks
  * - Complete activity lifecycle management (start, update, end)
  */
@@ -112,37 +230,43 @@ final class LiveActivitiesService {
       LiveActivitiesSupportInfo(
         supported: ActivityAuthorizationInfo().areActivitiesEnabled,
         version: 26.0,
-        comment: "Full feature support available"
+        comment: "Full feature support available",
+        pushToStartSupported: true
       )
     } else if #available(iOS 18.0, *) {
       LiveActivitiesSupportInfo(
         supported: ActivityAuthorizationInfo().areActivitiesEnabled,
         version: 18.0,
-        comment: "ActivityStyle support available, no alertConfiguration/start parameters in requests (available in iOS 26.0+)"
+        comment: "ActivityStyle support available, no alertConfiguration/start parameters in requests (available in iOS 26.0+)",
+        pushToStartSupported: true
       )
     } else if #available(iOS 17.2, *) {
       LiveActivitiesSupportInfo(
         supported: ActivityAuthorizationInfo().areActivitiesEnabled,
         version: 17.2,
-        comment: "Limited: no ActivityStyle parameter (iOS 18.0+) or alertConfiguration/start in requests (iOS 26.0+)"
+        comment: "Limited: no ActivityStyle parameter (iOS 18.0+) or alertConfiguration/start in requests (iOS 26.0+)",
+        pushToStartSupported: true
       )
     } else if #available(iOS 16.2, *) {
       LiveActivitiesSupportInfo(
         supported: ActivityAuthorizationInfo().areActivitiesEnabled,
         version: 16.2,
-        comment: "Basic support: no ActivityStyle (iOS 18.0+), timestamp (iOS 17.2+), or alertConfiguration/start in requests (iOS 26.0+)"
+        comment: "Basic support: no ActivityStyle (iOS 18.0+), timestamp or push-to-start (iOS 17.2+), or alertConfiguration/start in requests (iOS 26.0+)",
+        pushToStartSupported: false
       )
     } else if #available(iOS 16.1, *) {
       LiveActivitiesSupportInfo(
         supported: ActivityAuthorizationInfo().areActivitiesEnabled,
         version: 16.1,
-        comment: "ActivityKit available but Live Activities require iOS 16.2"
+        comment: "ActivityKit available but Live Activities require iOS 16.2",
+        pushToStartSupported: false
       )
     } else {
       LiveActivitiesSupportInfo(
         supported: false,
         version: Double(ProcessInfo.processInfo.operatingSystemVersion.majorVersion),
-        comment: "Live Activities require iOS 16.2 or later"
+        comment: "Live Activities require iOS 16.2 or later",
+        pushToStartSupported: false
       )
     }
   }
@@ -155,101 +279,58 @@ final class LiveActivitiesService {
    * **Validation Flow:**
    * 1. Checks iOS version compatibility (≥16.2)
    * 2. Verifies user authorization for Live Activities
-   * 3. Creates ActivityKit activity directly
+   * 3. Resolves the attributes type registered for `activityType`
+   * 4. Creates ActivityKit activity directly
    *
    * - Parameters:
    *   - attributes: Activity attributes (title, body, metadata)
    *   - content: Initial content state
-   *   - pushToken: Optional push token for remote updates
+   *   - pushToken: Opts into remote updates; the activity is requested with `pushType: .token`
    *   - style: Activity style (iOS 18.0+)
    *   - alertConfiguration: Alert configuration (iOS 26.0+)
    *   - start: Optional start date (iOS 26.0+)
-   * - Returns: Activity ID and push token information
-   * - Throws: Authorization or system errors
+   *   - activityType: Name of a registered `LiveActivityBridge`; nil uses `GenericActivityAttributes`
+   * - Returns: Activity ID and, for push-enabled activities, the ActivityKit push token
+   * - Throws: Authorization or system errors, `invalidContent`, `noBridge` for unregistered activity types
    */
   func startActivity(
     attributes: LiveActivityAttributes,
     content: LiveActivityContent,
-    pushToken _: LiveActivityPushToken?,
+    pushToken: LiveActivityPushToken?,
     style: LiveActivityStyle?,
-    alertConfiguration _: LiveActivityAlertConfiguration?,
-    start: Date?
-  ) throws -> LiveActivityStartResult {
+    alertConfiguration: LiveActivityAlertConfiguration?,
+    start: Date?,
+    activityType: String?
+  ) async throws -> LiveActivityStartResult {
     // Version compatibility check
     guard #available(iOS 16.2, *) else {
       throw unsupportedVersionError()
     }
 
-    // User authorization check
-    try validateUserAuthorization()
-
-    // Convert to generic attributes
-    let genericAttributes = GenericActivityAttributes(
-      title: attributes.title,
-      body: attributes.body
-    )
-
-    let contentState = GenericActivityAttributes.ContentState(
-      state: content.state.stringValue,
-      relevanceScore: content.relevanceScore,
-      timestamp: start ?? Date()
-    )
-
-    // Create ActivityKit request
-    do {
-      let activity: Activity<GenericActivityAttributes>
-
-      if #available(iOS 18.0, *), let style {
-        // iOS 18.0+ with ActivityStyle support
-        let activityStyle: ActivityStyle = switch style {
-        case .standard:
-          .standard
-        case .transient:
-          .transient
-        }
-
-        activity = try Activity.request(
-          attributes: genericAttributes,
-          content: .init(state: contentState, staleDate: content.staleDate),
-          style: activityStyle
-        )
-      } else if #available(iOS 16.2, *) {
-        // iOS 16.2+ without ActivityStyle (fallback)
-        activity = try Activity.request(
-          attributes: genericAttributes,
-          content: .init(state: contentState, staleDate: content.staleDate)
-        )
-      } else {
-        throw unsupportedVersionError()
-      }
-
-      // Register for tracking
-      activityRegistry.registerActivity(activity)
-
-      // Extract push token as hex if available
-      var hexToken: String?
-      if let tokenData = activity.pushToken {
-        hexToken = tokenData.map { String(format: "%02x", $0) }.joined()
-      }
-
-      return LiveActivityStartResult(activityId: activity.id, pushToken: hexToken)
-    } catch let authError as ActivityAuthorizationError {
-      if #available(iOS 16.1, *) {
-        throw mapAuthorizationError(authError)
-      } else {
-        throw makeNSError(
-          code: "unknownError",
-          message: authError.localizedDescription,
-          domain: "LiveActivitySystemError"
-        )
-      }
-    } catch {
+    // Alerts on start are only honored by the iOS 26.0 request API
+    if alertConfiguration != nil, #unavailable(iOS 26.0) {
       throw makeNSError(
-        code: "unknownError",
-        message: error.localizedDescription,
+        code: "unsupported",
+        message: "alertConfiguration in startLiveActivity requires iOS 26.0 or later",
         domain: "LiveActivitySystemError"
       )
     }
+
+    // User authorization check
+    try validateUserAuthorization()
+    try validateContent(content)
+
+    let bridge = try resolveBridge(activityType)
+
+    return try await requestActivity(
+      of: bridge,
+      attributes: attributes,
+      content: content,
+      pushToken: pushToken,
+      style: style,
+      alertConfiguration: alertConfiguration,
+      start: start
+    )
   }
 
   /**
@@ -258,47 +339,33 @@ final class LiveActivitiesService {
    * - Parameters:
    *   - activityId: The ID of the activity to update
    *   - content: New content state
-   *   - alertConfiguration: Optional alert for the update
+   *   - alertConfiguration: Optional alert shown with the update
    *   - timestamp: Custom timestamp (iOS 17.2+)
-   * - Throws: System or activity not found errors
+   * - Throws: `notFound`, `alreadyEnded`, `invalidContent` or system errors
+   * - Note: Returns once ActivityKit has applied the update
    */
   func updateActivity(
     activityId: String,
     content: LiveActivityContent,
-    alertConfiguration _: LiveActivityAlertConfiguration?,
+    alertConfiguration: LiveActivityAlertConfiguration?,
     timestamp: Date?
-  ) throws {
+  ) async throws {
     guard #available(iOS 16.2, *) else {
       throw unsupportedVersionError()
     }
 
-    guard let activity = activityRegistry.getActivity(id: activityId, type: GenericActivityAttributes.self) else {
-      throw makeNSError(
-        code: "notFound",
-        message: "Activity with ID \(activityId) not found",
-        domain: "LiveActivitySystemError"
-      )
+    guard let bridge = activityRegistry.getActivityType(id: activityId) else {
+      throw activityNotFoundError(activityId)
     }
-
-    let newState = GenericActivityAttributes.ContentState(
-      state: content.state.stringValue,
-      relevanceScore: content.relevanceScore,
-      timestamp: timestamp ?? Date()
+    try validateContent(content)
+
+    try await updateActivity(
+      of: bridge,
+      activityId: activityId,
+      content: content,
+      alertConfiguration: alertConfiguration,
+      timestamp: timestamp
     )
-
-    if #available(iOS 17.2, *), let timestamp {
-      Task {
-        await activity.update(
-          .init(state: newState, staleDate: content.staleDate),
-          alertConfiguration: nil,
-          timestamp: timestamp
-        )
-      }
-    } else {
-      Task {
-        await activity.update(.init(state: newState, staleDate: content.staleDate))
-      }
-    }
   }
 
   /**
@@ -306,11 +373,12 @@ final class LiveActivitiesService {
    *
    * - Parameters:
    *   - activityId: The ID of the activity to end
-   *   - content: Final content state
+   *   - content: Final content state, shown as-is until the activity is dismissed
    *   - dismissalPolicy: How the activity should be dismissed
    *   - timestamp: Custom timestamp (iOS 17.2+)
    *   - dismissalDate: Date for dismissal when policy is "after" (within 4-hour window)
-   * - Throws: System or activity not found errors
+   * - Throws: `notFound`, `alreadyEnded`, `invalidContent` or system errors
+   * - Note: Returns once ActivityKit has ended the activity
    */
   func endActivity(
     activityId: String,
@@ -318,24 +386,15 @@ final class LiveActivitiesService {
     dismissalPolicy: LiveActivityDismissalPolicy?,
     timestamp: Date?,
     dismissalDate: Date?
-  ) throws {
+  ) async throws {
     guard #available(iOS 16.2, *) else {
       throw unsupportedVersionError()
     }
 
-    guard let activity = activityRegistry.getActivity(id: activityId, type: GenericActivityAttributes.self) else {
-      throw makeNSError(
-        code: "notFound",
-        message: "Activity with ID \(activityId) not found",
-        domain: "LiveActivitySystemError"
-      )
+    guard let bridge = activityRegistry.getActivityType(id: activityId) else {
+      throw activityNotFoundError(activityId)
     }
-
-    let finalState = GenericActivityAttributes.ContentState(
-      state: "ended",
-      relevanceScore: content.relevanceScore,
-      timestamp: timestamp ?? Date()
-    )
+    try validateContent(content)
 
     // Convert dismissalPolicy - ActivityKit uses different enum
     let policy: ActivityUIDismissalPolicy = {
@@ -362,28 +421,381 @@ final class LiveActivitiesService {
       }
     }()
 
-    if #available(iOS 17.2, *), let timestamp {
-      Task {
-        await activity.end(
-          .init(state: finalState, staleDate: content.staleDate),
-          dismissalPolicy: policy,
-          timestamp: timestamp
+    try await endActivity(
+      of: bridge,
+      activityId: activityId,
+      content: content,
+      dismissalPolicy: policy,
+      timestamp: timestamp
+    )
+
+    // Clean up from registry once the end has landed
+    activityRegistry.removeActivity(id: activityId)
+  }
+
+  // MARK: - Activity Events
+
+  /**
+   * Subscribes to state changes of all tracked activities.
+   *
+   * Rehydrates the registry first so activities started before the current
+   * launch are observed as well.
+   *
+   * - Parameter listener: Called with the activity ID and its new state
+   * - Returns: Closure that removes the listener
+   */
+  func addStateListener(
+    _ listener: @escaping (LiveActivityStateChangeEvent) -> Void
+  ) -> () -> Void {
+    let unsubscribe = ActivityEventEmitter.shared.addStateListener(listener)
+    activityRegistry.loadExistingActivities()
+    return unsubscribe
+  }
+
+  /**
+   * Subscribes to push token rotations of all tracked activities.
+   *
+   * - Parameter listener: Called with the activity ID and its new hex-encoded token
+   * - Returns: Closure that removes the listener
+   */
+  func addPushTokenListener(
+    _ listener: @escaping (PushTokenUpdateEvent) -> Void
+  ) -> () -> Void {
+    let unsubscribe = ActivityEventEmitter.shared.addPushTokenListener(listener)
+    activityRegistry.loadExistingActivities()
+    return unsubscribe
+  }
+
+  // MARK: - Push to Start
+
+  /**
+   * Reads the current push-to-start token of an attributes type.
+   *
+   * Servers use this token to start Live Activities while the app is in the
+   * background, which `startActivity` cannot do. ActivityKit issues one token
+   * per attributes type.
+   *
+   * - Parameter activityType: Registered type name, or nil for `GenericActivityAttributes`
+   * - Returns: Hex-encoded token, or nil if ActivityKit has not issued one yet
+   * - Throws: System error on iOS versions before 17.2, `noBridge` for an unregistered type
+   */
+  func getPushToStartToken(activityType: String?) throws -> String? {
+    guard #available(iOS 17.2, *) else {
+      throw pushToStartUnsupportedError()
+    }
+
+    let bridge = try resolveBridge(activityType)
+    // Activities started remotely should be tracked like local ones
+    activityRegistry.loadExistingActivities()
+    return pushToStartToken(of: bridge)
+  }
+
+  /**
+   * Subscribes to push-to-start token updates of an attributes type.
+   *
+   * - Parameters:
+   *   - listener: Called with the new hex-encoded token
+   *   - activityType: Registered type name, or nil for `GenericActivityAttributes`
+   * - Returns: Closure that removes the listener
+   * - Throws: System error on iOS versions before 17.2, `noBridge` for an unregistered type
+   */
+  func addPushToStartTokenListener(
+    _ listener: @escaping (String) -> Void,
+    activityType: String?
+  ) throws -> () -> Void {
+    guard #available(iOS 17.2, *) else {
+      throw pushToStartUnsupportedError()
+    }
+
+    let bridge = try resolveBridge(activityType)
+    activityRegistry.loadExistingActivities()
+    return ActivityEventEmitter.shared.addPushToStartTokenListener(for: bridge, listener)
+  }
+
+  // MARK: - Activity Enumeration
+
+  /**
+   * Lists every Live Activity the system still has for this app.
+   *
+   * Reads from ActivityKit rather than the registry, so activities started
+   * before the current process was launched are included.
+   *
+   * - Returns: Snapshot of each activity's id, state, content and attributes
+   * - Throws: System errors on unsupported iOS versions
+   */
+  func getActiveActivities() throws -> [LiveActivityInfo] {
+    guard #available(iOS 16.2, *) else {
+      throw unsupportedVersionError()
+    }
+
+    return LiveActivityBridgeRegistry.shared.allBridges.flatMap { bridge in
+      activityInfos(of: bridge)
+    }
+  }
+}
+
+// MARK: - Typed Activity Operations
+
+@available(iOS 16.2, *)
+private extension LiveActivitiesService {
+  /**
+   * Requests an `Activity<T>` for the resolved bridge type.
+   *
+   * Split out of `startActivity` so the attributes type is a generic
+   * parameter, which ActivityKit requires.
+   */
+  func requestActivity<T: LiveActivityBridge>(
+    of _: T.Type,
+    attributes: LiveActivityAttributes,
+    content: LiveActivityContent,
+    pushToken: LiveActivityPushToken?,
+    style: LiveActivityStyle?,
+    alertConfiguration: LiveActivityAlertConfiguration?,
+    start: Date?
+  ) async throws -> LiveActivityStartResult {
+    let activityAttributes = T(liveActivityAttributes: LiveActivityBridgeAttributes(attributes))
+    let contentState = try makeContentState(of: T.self, from: content, timestamp: start ?? Date())
+
+    // Remote updates require ActivityKit to issue a token for the new activity
+    let pushType: PushType? = pushToken != nil ? .token : nil
+
+    // Create ActivityKit request
+    let activity: Activity<T>
+    do {
+      if #available(iOS 26.0, *), let alertConfiguration {
+        // iOS 26.0+ with an alert when the activity starts
+        activity = try Activity.request(
+          attributes: activityAttributes,
+          content: .init(state: contentState, staleDate: content.staleDate),
+          pushType: pushType,
+          style: style.map(ActivityStyle.init) ?? .standard,
+          alertConfiguration: AlertConfiguration(alertConfiguration),
+          start: start
+        )
+      } else if #available(iOS 18.0, *), let style {
+        // iOS 18.0+ with ActivityStyle support
+        let activityStyle = ActivityStyle(style)
+
+        activity = try Activity.request(
+          attributes: activityAttributes,
+          content: .init(state: contentState, staleDate: content.staleDate),
+          pushType: pushType,
+          style: activityStyle
+        )
+      } else {
+        // iOS 16.2+ without ActivityStyle (fallback)
+        activity = try Activity.request(
+          attributes: activityAttributes,
+          content: .init(state: contentState, staleDate: content.staleDate),
+          pushType: pushType
         )
       }
+    } catch let authError as ActivityAuthorizationError {
+      throw mapAuthorizationError(authError)
+    } catch {
+      throw makeNSError(
+        code: "unknownError",
+        message: error.localizedDescription,
+        domain: "LiveActivitySystemError"
+      )
+    }
+
+    // Register for tracking
+    activityRegistry.registerActivity(activity)
+
+    let hexToken = pushType != nil ? await firstPushToken(of: activity) : nil
+    return LiveActivityStartResult(activityId: activity.id, pushToken: hexToken)
+  }
+
+  func updateActivity<T: LiveActivityBridge>(
+    of type: T.Type,
+    activityId: String,
+    content: LiveActivityContent,
+    alertConfiguration: LiveActivityAlertConfiguration?,
+    timestamp: Date?
+  ) async throws {
+    guard let activity = activityRegistry.getActivity(id: activityId, type: type) else {
+      throw activityNotFoundError(activityId)
+    }
+    try validateRunning(activity)
+
+    let newState = try makeContentState(of: type, from: content, timestamp: timestamp ?? Date())
+    let alert = alertConfiguration.map(AlertConfiguration.init)
+
+    if #available(iOS 17.2, *), let timestamp {
+      await activity.update(
+        .init(state: newState, staleDate: content.staleDate),
+        alertConfiguration: alert,
+        timestamp: timestamp
+      )
     } else {
-      Task {
-        await activity.end(.init(state: finalState, staleDate: content.staleDate), dismissalPolicy: policy)
-      }
+      await activity.update(
+        .init(state: newState, staleDate: content.staleDate),
+        alertConfiguration: alert
+      )
+    }
+  }
+
+  func endActivity<T: LiveActivityBridge>(
+    of type: T.Type,
+    activityId: String,
+    content: LiveActivityContent,
+    dismissalPolicy: ActivityUIDismissalPolicy,
+    timestamp: Date?
+  ) async throws {
+    guard let activity = activityRegistry.getActivity(id: activityId, type: type) else {
+      throw activityNotFoundError(activityId)
     }
+    try validateRunning(activity)
 
-    // Clean up from registry
-    activityRegistry.removeActivity(id: activityId)
+    let finalState = try makeContentState(of: type, from: content, timestamp: timestamp ?? Date())
+
+    if #available(iOS 17.2, *), let timestamp {
+      await activity.end(
+        .init(state: finalState, staleDate: content.staleDate),
+        dismissalPolicy: dismissalPolicy,
+        timestamp: timestamp
+      )
+    } else {
+      await activity.end(.init(state: finalState, staleDate: content.staleDate), dismissalPolicy: dismissalPolicy)
+    }
+  }
+
+  /**
+   * Creates the content state of a bridge type.
+   *
+   * - Throws: `invalidContent` when the bridge can't represent the content
+   */
+  func makeContentState<T: LiveActivityBridge>(
+    of _: T.Type,
+    from content: LiveActivityContent,
+    timestamp: Date
+  ) throws -> T.ContentState {
+    do {
+      return try T.contentState(from: LiveActivityBridgeContent(content), timestamp: timestamp)
+    } catch {
+      throw invalidContentError("payload doesn't match \(T.self).ContentState (\(error))")
+    }
+  }
+
+  @available(iOS 17.2, *)
+  func pushToStartToken<T: LiveActivityBridge>(of _: T.Type) -> String? {
+    Activity<T>.pushToStartToken?.hexEncodedString
+  }
+
+  func activityInfos<T: LiveActivityBridge>(of _: T.Type) -> [LiveActivityInfo] {
+    Activity<T>.activities.map { activity in
+      LiveActivityInfo(
+        activityId: activity.id,
+        state: LiveActivityState(activityState: activity.activityState),
+        staleDate: activity.content.staleDate,
+        relevanceScore: activity.content.relevanceScore,
+        attributes: LiveActivityAttributes(activity.attributes.liveActivityAttributes),
+        payload: T.payload(of: activity.content.state)
+      )
+    }
   }
 }
 
 // MARK: - Private Helpers
 
 private extension LiveActivitiesService {
+  /// How long `startActivity` waits for ActivityKit to issue the first push token
+  static let pushTokenTimeout: UInt64 = 5_000_000_000 // 5 seconds
+
+  /**
+   * Waits for the first push token of a push-enabled activity.
+   *
+   * ActivityKit issues tokens asynchronously, so `activity.pushToken` is
+   * usually nil right after the request. Later rotations are delivered
+   * through `ActivityEventEmitter`.
+   *
+   * - Returns: Hex-encoded token, or nil when none arrived before the timeout
+   */
+  @available(iOS 16.2, *)
+  func firstPushToken(of activity: Activity<some ActivityAttributes>) async -> String? {
+    if let tokenData = activity.pushToken {
+      return tokenData.hexEncodedString
+    }
+
+    return await withTaskGroup(of: String?.self) { group in
+      group.addTask {
+        for await tokenData in activity.pushTokenUpdates {
+          return tokenData.hexEncodedString
+        }
+        return nil
+      }
+      group.addTask {
+        try? await Task.sleep(nanoseconds: Self.pushTokenTimeout)
+        return nil
+      }
+
+      let token = await group.next() ?? nil
+      group.cancelAll()
+      return token
+    }
+  }
+
+  /**
+   * Resolves the attributes type for a start request.
+   *
+   * - Parameter activityType: Name passed from JS, or nil for the built-in attributes
+   * - Throws: `noBridge` when no type was registered under the name
+   */
+  func resolveBridge(_ activityType: String?) throws -> any LiveActivityBridge.Type {
+    guard let activityType else {
+      return GenericActivityAttributes.self
+    }
+
+    guard let bridge = LiveActivityBridgeRegistry.shared.bridge(for: activityType) else {
+      throw noBridgeError(activityType)
+    }
+    return bridge
+  }
+
+  /**
+   * Creates a system error for iOS versions without push-to-start support.
+   */
+  func pushToStartUnsupportedError() -> NSError {
+    makeNSError(
+      code: "unsupported",
+      message: "Push-to-start tokens require iOS 17.2 or later",
+      domain: "LiveActivitySystemError"
+    )
+  }
+
+  /**
+   * Validates content before it reaches ActivityKit.
+   *
+   * - Throws: `invalidContent` for a non-finite relevance score or a payload that isn't JSON
+   */
+  func validateContent(_ content: LiveActivityContent) throws {
+    if let relevanceScore = content.relevanceScore, !relevanceScore.isFinite {
+      throw invalidContentError("relevanceScore must be a finite number")
+    }
+
+    if let payload = content.payload,
+       (try? JSONSerialization.jsonObject(with: Data(payload.utf8), options: .fragmentsAllowed)) == nil
+    {
+      throw invalidContentError("payload is not valid JSON")
+    }
+  }
+
+  /**
+   * Validates that an activity can still be updated or ended.
+   *
+   * - Throws: `alreadyEnded` once the activity has ended or been dismissed
+   */
+  @available(iOS 16.2, *)
+  func validateRunning(_ activity: Activity<some ActivityAttributes>) throws {
+    switch activity.activityState {
+    case .ended, .dismissed:
+      throw activityAlreadyEndedError(activity.id)
+    default:
+      return
+    }
+  }
+
   /**
    * Validates that user has authorized Live Activities for this app.
    *
@@ -406,6 +818,70 @@ private extension LiveActivitiesService {
   }
 }
 
+// MARK: - State Mapping
+
+extension LiveActivityState {
+  /**
+   * Maps ActivityKit's `ActivityState` to the JS-facing state union.
+   *
+   * - Note: The only case ActivityKit added after iOS 16.2 is `pending`
+   *   (scheduled activities), so unknown cases are reported as pending.
+   */
+  @available(iOS 16.2, *)
+  init(activityState: ActivityState) {
+    switch activityState {
+    case .active:
+      self = .active
+    case .dismissed:
+      self = .dismissed
+    case .ended:
+      self = .ended
+    case .stale:
+      self = .stale
+    @unknown default:
+      self = .pending
+    }
+  }
+}
+
+// MARK: - ActivityKit Conversions
+
+@available(iOS 16.1, *)
+private extension AlertConfiguration {
+  /**
+   * Maps the JS alert configuration to ActivityKit's `AlertConfiguration`.
+   *
+   * - Note: An empty sound or `"default"` plays the system sound; any other
+   *   value is treated as the name of a sound file in the app bundle.
+   */
+  init(_ configuration: LiveActivityAlertConfiguration) {
+    let sound: AlertSound = switch configuration.sound {
+    case "", "default":
+      .default
+    default:
+      .named(configuration.sound)
+    }
+
+    self.init(
+      title: LocalizedStringResource(stringLiteral: configuration.title),
+      body: LocalizedStringResource(stringLiteral: configuration.body),
+      sound: sound
+    )
+  }
+}
+
+@available(iOS 18.0, *)
+private extension ActivityStyle {
+  init(_ style: LiveActivityStyle) {
+    self = switch style {
+    case .standard:
+      .standard
+    case .transient:
+      .transient
+    }
+  }
+}
+
 // MARK: - Error Mapping Helpers
 
 // (Centralized in ios/Errors/ErrorMapping.swift)
@@ -413,11 +889,16 @@ private extension LiveActivitiesService {
 // MARK: - Data Extensions
 
 /**
- * Utility extension for converting hex strings to Data.
+ * Utility extension for converting between Data and hex strings.
  *
  * Used for processing push tokens in ActivityKit implementations.
  */
-private extension Data {
+extension Data {
+  /// Lowercase hexadecimal representation, as expected by APNs
+  var hexEncodedString: String {
+    map { String(format: "%02x", $0) }.joined()
+  }
+
   /**
    * Creates Data from a hexadecimal string representation.
    *
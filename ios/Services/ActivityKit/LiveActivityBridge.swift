@@ -0,0 +1,117 @@
+import ActivityKit
+import Foundation
+
+// MARK: - Bridge Values
+
+/// Static attributes passed to `startLiveActivity`
+public struct LiveActivityBridgeAttributes: Hashable {
+  public var title: String
+  public var body: String
+
+  /// Custom static values passed from JS
+  public var metadata: [String: String]?
+
+  public init(title: String, body: String, metadata: [String: String]? = nil) {
+    self.title = title
+    self.body = body
+    self.metadata = metadata
+  }
+}
+
+/// Content passed to `startLiveActivity`, `updateLiveActivity` and `endLiveActivity`
+public struct LiveActivityBridgeContent: Hashable {
+  /// "active", "dismissed", "pending", "stale" or "ended"
+  public var state: String
+
+  public var staleDate: Date?
+  public var relevanceScore: Double?
+
+  /// JSON-encoded custom state, passed as `data` from JS
+  public var payload: String?
+
+  public init(state: String, staleDate: Date? = nil, relevanceScore: Double? = nil, payload: String? = nil) {
+    self.state = state
+    self.staleDate = staleDate
+    self.relevanceScore = relevanceScore
+    self.payload = payload
+  }
+}
+
+extension LiveActivityBridgeAttributes {
+  init(_ attributes: LiveActivityAttributes) {
+    self.init(title: attributes.title, body: attributes.body, metadata: attributes.metadata)
+  }
+}
+
+extension LiveActivityAttributes {
+  init(_ attributes: LiveActivityBridgeAttributes) {
+    self.init(title: attributes.title, body: attributes.body, metadata: attributes.metadata)
+  }
+}
+
+extension LiveActivityBridgeContent {
+  init(_ content: LiveActivityContent) {
+    self.init(
+      state: content.state.stringValue,
+      staleDate: content.staleDate,
+      relevanceScore: content.relevanceScore,
+      payload: content.payload
+    )
+  }
+}
+
+// MARK: - LiveActivityBridge
+
+/**
+ * Connects an app-defined `ActivityAttributes` type to the library.
+ *
+ * Conforming types translate the JS-facing attributes and content into their
+ * own representation. The library then requests, updates and ends
+ * `Activity<Self>` on their behalf, so the widget extension can render its
+ * own attributes instead of `GenericActivityAttributes`.
+ *
+ * Requirements use plain Swift values rather than the generated Nitro
+ * structs, which are backed by C++, so app targets conform without enabling
+ * Swift/C++ interoperability.
+ *
+ * **Usage:**
+ * ```swift
+ * LiveActivityBridgeRegistry.shared.registerBridge(DeliveryAttributes.self, for: "Delivery")
+ * ```
+ */
+public protocol LiveActivityBridge: ActivityAttributes {
+  /**
+   * Creates the static attributes of a new activity.
+   *
+   * - Parameter attributes: Attributes passed to `startLiveActivity`
+   */
+  init(liveActivityAttributes attributes: LiveActivityBridgeAttributes)
+
+  /// Attributes reported back to JS by `getActiveLiveActivities`
+  var liveActivityAttributes: LiveActivityBridgeAttributes { get }
+
+  /**
+   * Creates the dynamic content state for a start, update or end.
+   *
+   * - Parameters:
+   *   - content: Content passed from JS
+   *   - timestamp: Time of the change, defaulting to now
+   * - Returns: Content state rendered by the widget
+   * - Throws: When the content can't be represented, e.g. a payload that doesn't decode.
+   *   Reported to JS as `invalidContent`.
+   */
+  static func contentState(from content: LiveActivityBridgeContent, timestamp: Date) throws -> ContentState
+
+  /**
+   * Extracts the JSON payload of a content state for `getActiveLiveActivities`.
+   *
+   * - Note: Defaults to nil for types that don't carry custom state.
+   */
+  static func payload(of state: ContentState) -> String?
+}
+
+public extension LiveActivityBridge {
+  static func payload(of _: ContentState) -> String? {
+    nil
+  }
+}
@@ -0,0 +1,55 @@
+import Foundation
+
+// MARK: - LiveActivityBridgeRegistry
+
+/**
+ * Maps activity type names used from JS to `LiveActivityBridge` types.
+ *
+ * Register each attributes type once, before the first activity of that type
+ * is started (for example in `application(_:didFinishLaunchingWithOptions:)`).
+ * Activities of registered types that outlived a previous launch are picked
+ * up again the next time the library reads its activity list.
+ */
+public final class LiveActivityBridgeRegistry {
+  public static let shared = LiveActivityBridgeRegistry()
+
+  private var bridges: [String: any LiveActivityBridge.Type] = [:]
+  private let queue = DispatchQueue(label: "com.dynamicactivities.bridges", qos: .userInitiated)
+
+  private init() {}
+
+  /**
+   * Registers an attributes type under the name JS passes as `activityType`.
+   *
+   * - Parameters:
+   *   - type: Attributes type shared between the app and its widget extension
+   *   - activityType: Name used in `startLiveActivity`; registering it again replaces the type
+   */
+  public func registerBridge(_ type: (some LiveActivityBridge).Type, for activityType: String) {
+    queue.sync {
+      bridges[activityType] = type
+    }
+  }
+
+  /**
+   * Looks up the attributes type registered under a name.
+   *
+   * - Parameter activityType: Name passed from JS
+   * - Returns: Registered type, or nil when nothing was registered under the name
+   */
+  func bridge(for activityType: String) -> (any LiveActivityBridge.Type)? {
+    queue.sync { bridges[activityType] }
+  }
+
+  /// Every known attributes type, starting with the built-in `GenericActivityAttributes`
+  var allBridges: [any LiveActivityBridge.Type] {
+    let registered = queue.sync { Array(bridges.values) }
+    var seen: Set<ObjectIdentifier> = [ObjectIdentifier(GenericActivityAttributes.self)]
+    var result: [any LiveActivityBridge.Type] = [GenericActivityAttributes.self]
+
+    for bridge in registered where seen.insert(ObjectIdentifier(bridge)).inserted {
+      result.append(bridge)
+    }
+    return result
+  }
+}
@@ -14,10 +14,16 @@ module.exports = {
   },
   testMatch: ["**/__tests__/**/*.(ts|tsx|js)", "**/*.(test|spec).(ts|tsx|js)"],
   collectCoverageFrom: ["src/**/*.{ts,tsx}", "!src/**/*.d.ts", "!src/index.ts"],
+  // The package and the build jest/index.js requires resolve to the sources
+  moduleNameMapper: {
+    "^react-native-dynamic-activities$": "<rootDir>/src/index",
+    "^react-native-dynamic-activities/jest$": "<rootDir>/jest/index",
+    "^\\.\\./lib/commonjs/(.*)$": "<rootDir>/src/$1",
+  },
   setupFilesAfterEnv: ["<rootDir>/jest.setup.js"],
   testEnvironment: "node",
   transformIgnorePatterns: [
     "node_modules/(?!(@react-native|react-native|react-native-nitro-modules)/)",
   ],
-  testPathIgnorePatterns: ["/node_modules/", "/lib/", "/dist/"],
+  testPathIgnorePatterns: ["/node_modules/", "/lib/", "/dist/", "/__tests__/fixtures/"],
 };
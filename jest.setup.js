@@ -10,11 +10,17 @@ jest.mock("react-native-nitro-modules", () => ({
               supported: true,
               version: 26.0,
               comment: "You can use everything",
+              pushToStartSupported: true,
             };
           }),
           startLiveActivity: jest.fn(() => Promise.resolve({ activityId: "test-activity-id" })),
           updateLiveActivity: jest.fn(() => Promise.resolve()),
           endLiveActivity: jest.fn(() => Promise.resolve()),
+          getActiveLiveActivities: jest.fn(() => Promise.resolve([])),
+          onActivityStateChange: jest.fn(() => jest.fn()),
+          onPushTokenUpdate: jest.fn(() => jest.fn()),
+          getPushToStartToken: jest.fn(() => Promise.resolve(undefined)),
+          onPushToStartTokenUpdate: jest.fn(() => jest.fn()),
         };
       }
       return {};
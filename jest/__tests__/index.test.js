@@ -0,0 +1,42 @@
+// Loaded through the package name like an app would; jest.config.js maps the
+// package and the build this entry point requires to the sources
+jest.mock("react-native-dynamic-activities", () => require("react-native-dynamic-activities/jest"));
+
+const {
+  DynamicActivities,
+  LiveActivityErrorCode,
+  isLiveActivityError,
+} = require("react-native-dynamic-activities");
+const { mockDynamicActivities } = require("react-native-dynamic-activities/jest");
+
+const attributes = { title: "Delivery", body: "Order #1234" };
+
+describe("react-native-dynamic-activities/jest", () => {
+  beforeEach(() => {
+    mockDynamicActivities.reset();
+  });
+
+  it("runs the package's exports on the in-memory fake", async () => {
+    const { activityId } = await DynamicActivities.startLiveActivity(attributes, {
+      state: "active",
+      data: { progress: 0.5 },
+    });
+
+    expect(activityId).toBe("mock-activity-1");
+    expect(mockDynamicActivities.activities.get(activityId)?.state).toBe("active");
+    await expect(DynamicActivities.getActiveLiveActivities()).resolves.toEqual([
+      expect.objectContaining({ activityId, data: { progress: 0.5 } }),
+    ]);
+  });
+
+  it("rejects with the LiveActivityError the app would see", async () => {
+    mockDynamicActivities.failNext("startLiveActivity", LiveActivityErrorCode.DENIED);
+
+    const error = await DynamicActivities.startLiveActivity(attributes, { state: "active" }).catch(
+      (caught) => caught,
+    );
+
+    expect(isLiveActivityError(error)).toBe(true);
+    expect(error.code).toBe(LiveActivityErrorCode.DENIED);
+  });
+});
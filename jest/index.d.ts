@@ -0,0 +1,7 @@
+import type { MockDynamicActivities } from "../lib/typescript/src/jest/MockDynamicActivities";
+
+export * from "../lib/typescript/src/index";
+export * from "../lib/typescript/src/jest/MockDynamicActivities";
+
+/** In-memory fake standing in for the native module */
+export declare const mockDynamicActivities: MockDynamicActivities;
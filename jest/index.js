@@ -0,0 +1,30 @@
+/**
+ * Jest mock for react-native-dynamic-activities
+ *
+ * Runs the real library on top of an in-memory fake of the native module, so
+ * components, hooks and schedulers can be tested without Nitro:
+ *
+ *   jest.mock("react-native-dynamic-activities", () =>
+ *     require("react-native-dynamic-activities/jest"),
+ *   );
+ *
+ * The fake is exported as `mockDynamicActivities`.
+ */
+
+const {
+  createMockDynamicActivities,
+  DEFAULT_MOCK_SUPPORT_INFO,
+} = require("../lib/commonjs/jest/MockDynamicActivities");
+
+const mockDynamicActivities = createMockDynamicActivities();
+
+jest.doMock(require.resolve("../lib/commonjs/NativeDynamicActivities"), () => ({
+  nativeDynamicActivities: mockDynamicActivities,
+}));
+
+module.exports = {
+  ...jest.requireActual("../lib/commonjs/index"),
+  createMockDynamicActivities,
+  DEFAULT_MOCK_SUPPORT_INFO,
+  mockDynamicActivities,
+};
@@ -16,6 +16,10 @@
 #include <NitroModules/HybridObjectRegistry.hpp>
 
 #include "JHybridDynamicActivitiesSpec.hpp"
+#include "JFunc_void.hpp"
+#include "JFunc_void_LiveActivityStateChangeEvent.hpp"
+#include "JFunc_void_PushTokenUpdateEvent.hpp"
+#include "JFunc_void_std__string.hpp"
 #include <NitroModules/DefaultConstructableObject.hpp>
 
 namespace margelo::nitro::dynamicactivities {
@@ -28,6 +32,10 @@ int initialize(JavaVM* vm) {
   return facebook::jni::initialize(vm, [] {
     // Register native JNI methods
     margelo::nitro::dynamicactivities::JHybridDynamicActivitiesSpec::registerNatives();
+    margelo::nitro::dynamicactivities::JFunc_void_cxx::registerNatives();
+    margelo::nitro::dynamicactivities::JFunc_void_LiveActivityStateChangeEvent_cxx::registerNatives();
+    margelo::nitro::dynamicactivities::JFunc_void_PushTokenUpdateEvent_cxx::registerNatives();
+    margelo::nitro::dynamicactivities::JFunc_void_std__string_cxx::registerNatives();
 
     // Register Nitro Hybrid Objects
     HybridObjectRegistry::registerHybridObjectConstructor(
@@ -0,0 +1,79 @@
+///
+/// JFunc_void_LiveActivityStateChangeEvent.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#include <fbjni/fbjni.h>
+#include <functional>
+
+#include "LiveActivityStateChangeEvent.hpp"
+#include <functional>
+#include "JLiveActivityStateChangeEvent.hpp"
+#include <string>
+#include "LiveActivityState.hpp"
+#include "JLiveActivityState.hpp"
+
+namespace margelo::nitro::dynamicactivities {
+
+  using namespace facebook;
+
+  /**
+   * Represents the Java/Kotlin callback `(event: LiveActivityStateChangeEvent) -> Unit`.
+   * This can be passed around between C++ and Java/Kotlin.
+   */
+  struct JFunc_void_LiveActivityStateChangeEvent: public jni::JavaClass<JFunc_void_LiveActivityStateChangeEvent> {
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/Func_void_LiveActivityStateChangeEvent;";
+
+  public:
+    /**
+     * Invokes the function this `JFunc_void_LiveActivityStateChangeEvent` instance holds through JNI.
+     */
+    void invoke(const LiveActivityStateChangeEvent& event) const {
+      static const auto method = javaClassStatic()->getMethod<void(jni::alias_ref<JLiveActivityStateChangeEvent> /* event */)>("invoke");
+      method(self(), JLiveActivityStateChangeEvent::fromCpp(event));
+    }
+  };
+
+  /**
+   * An implementation of Func_void_LiveActivityStateChangeEvent that is backed by a C++ implementation (using `std::function<...>`)
+   */
+  struct JFunc_void_LiveActivityStateChangeEvent_cxx final: public jni::HybridClass<JFunc_void_LiveActivityStateChangeEvent_cxx, JFunc_void_LiveActivityStateChangeEvent> {
+  public:
+    static jni::local_ref<JFunc_void_LiveActivityStateChangeEvent::javaobject> fromCpp(const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& func) {
+      return JFunc_void_LiveActivityStateChangeEvent_cxx::newObjectCxxArgs(func);
+    }
+
+  public:
+    /**
+     * Invokes the C++ `std::function<...>` this `JFunc_void_LiveActivityStateChangeEvent_cxx` instance holds.
+     */
+    void invoke_cxx(jni::alias_ref<JLiveActivityStateChangeEvent> event) {
+      _func(event->toCpp());
+    }
+
+  public:
+    [[nodiscard]]
+    inline const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& getFunction() const {
+      return _func;
+    }
+
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/Func_void_LiveActivityStateChangeEvent_cxx;";
+    static void registerNatives() {
+      registerHybrid({makeNativeMethod("invoke_cxx", JFunc_void_LiveActivityStateChangeEvent_cxx::invoke_cxx)});
+    }
+
+  private:
+    explicit JFunc_void_LiveActivityStateChangeEvent_cxx(const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& func): _func(func) { }
+
+  private:
+    friend HybridBase;
+    std::function<void(const LiveActivityStateChangeEvent& /* event */)> _func;
+  };
+
+} // namespace margelo::nitro::dynamicactivities
@@ -0,0 +1,77 @@
+///
+/// JFunc_void_PushTokenUpdateEvent.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#include <fbjni/fbjni.h>
+#include <functional>
+
+#include "PushTokenUpdateEvent.hpp"
+#include <functional>
+#include "JPushTokenUpdateEvent.hpp"
+#include <string>
+
+namespace margelo::nitro::dynamicactivities {
+
+  using namespace facebook;
+
+  /**
+   * Represents the Java/Kotlin callback `(event: PushTokenUpdateEvent) -> Unit`.
+   * This can be passed around between C++ and Java/Kotlin.
+   */
+  struct JFunc_void_PushTokenUpdateEvent: public jni::JavaClass<JFunc_void_PushTokenUpdateEvent> {
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/Func_void_PushTokenUpdateEvent;";
+
+  public:
+    /**
+     * Invokes the function this `JFunc_void_PushTokenUpdateEvent` instance holds through JNI.
+     */
+    void invoke(const PushTokenUpdateEvent& event) const {
+      static const auto method = javaClassStatic()->getMethod<void(jni::alias_ref<JPushTokenUpdateEvent> /* event */)>("invoke");
+      method(self(), JPushTokenUpdateEvent::fromCpp(event));
+    }
+  };
+
+  /**
+   * An implementation of Func_void_PushTokenUpdateEvent that is backed by a C++ implementation (using `std::function<...>`)
+   */
+  struct JFunc_void_PushTokenUpdateEvent_cxx final: public jni::HybridClass<JFunc_void_PushTokenUpdateEvent_cxx, JFunc_void_PushTokenUpdateEvent> {
+  public:
+    static jni::local_ref<JFunc_void_PushTokenUpdateEvent::javaobject> fromCpp(const std::function<void(const PushTokenUpdateEvent& /* event */)>& func) {
+      return JFunc_void_PushTokenUpdateEvent_cxx::newObjectCxxArgs(func);
+    }
+
+  public:
+    /**
+     * Invokes the C++ `std::function<...>` this `JFunc_void_PushTokenUpdateEvent_cxx` instance holds.
+     */
+    void invoke_cxx(jni::alias_ref<JPushTokenUpdateEvent> event) {
+      _func(event->toCpp());
+    }
+
+  public:
+    [[nodiscard]]
+    inline const std::function<void(const PushTokenUpdateEvent& /* event */)>& getFunction() const {
+      return _func;
+    }
+
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/Func_void_PushTokenUpdateEvent_cxx;";
+    static void registerNatives() {
+      registerHybrid({makeNativeMethod("invoke_cxx", JFunc_void_PushTokenUpdateEvent_cxx::invoke_cxx)});
+    }
+
+  private:
+    explicit JFunc_void_PushTokenUpdateEvent_cxx(const std::function<void(const PushTokenUpdateEvent& /* event */)>& func): _func(func) { }
+
+  private:
+    friend HybridBase;
+    std::function<void(const PushTokenUpdateEvent& /* event */)> _func;
+  };
+
+} // namespace margelo::nitro::dynamicactivities
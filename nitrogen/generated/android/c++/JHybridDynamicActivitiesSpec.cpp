@@ -11,12 +11,14 @@
 namespace margelo::nitro::dynamicactivities { struct LiveActivitiesSupportInfo; }
 // Forward declaration of `LiveActivityStartResult` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityStartResult; }
+// Forward declaration of `LiveActivityInfo` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityInfo; }
+// Forward declaration of `LiveActivityState` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
 // Forward declaration of `LiveActivityAttributes` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityAttributes; }
 // Forward declaration of `LiveActivityContent` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityContent; }
-// Forward declaration of `LiveActivityState` to properly resolve imports.
-namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
 // Forward declaration of `LiveActivityPushToken` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityPushToken; }
 // Forward declaration of `LiveActivityStyle` to properly resolve imports.
@@ -25,6 +27,10 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityStyle; }
 namespace margelo::nitro::dynamicactivities { struct LiveActivityAlertConfiguration; }
 // Forward declaration of `LiveActivityDismissalPolicy` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPolicy; }
+// Forward declaration of `LiveActivityStateChangeEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityStateChangeEvent; }
+// Forward declaration of `PushTokenUpdateEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct PushTokenUpdateEvent; }
 
 #include "LiveActivitiesSupportInfo.hpp"
 #include <NitroModules/Promise.hpp>
@@ -34,14 +40,20 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPo
 #include "LiveActivityStartResult.hpp"
 #include "JLiveActivityStartResult.hpp"
 #include <optional>
-#include "LiveActivityAttributes.hpp"
-#include "JLiveActivityAttributes.hpp"
-#include "LiveActivityContent.hpp"
-#include "JLiveActivityContent.hpp"
+#include "LiveActivityInfo.hpp"
+#include <vector>
+#include "JLiveActivityInfo.hpp"
 #include "LiveActivityState.hpp"
 #include "JLiveActivityState.hpp"
 #include <chrono>
 #include <NitroModules/JInstant.hpp>
+#include "LiveActivityAttributes.hpp"
+#include "JLiveActivityAttributes.hpp"
+#include <unordered_map>
+#include <functional>
+#include "JFunc_void.hpp"
+#include "LiveActivityContent.hpp"
+#include "JLiveActivityContent.hpp"
 #include "LiveActivityPushToken.hpp"
 #include "JLiveActivityPushToken.hpp"
 #include "LiveActivityStyle.hpp"
@@ -50,6 +62,13 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPo
 #include "JLiveActivityAlertConfiguration.hpp"
 #include "LiveActivityDismissalPolicy.hpp"
 #include "JLiveActivityDismissalPolicy.hpp"
+#include "LiveActivityStateChangeEvent.hpp"
+#include "JFunc_void_LiveActivityStateChangeEvent.hpp"
+#include "JLiveActivityStateChangeEvent.hpp"
+#include "PushTokenUpdateEvent.hpp"
+#include "JFunc_void_PushTokenUpdateEvent.hpp"
+#include "JPushTokenUpdateEvent.hpp"
+#include "JFunc_void_std__string.hpp"
 
 namespace margelo::nitro::dynamicactivities {
 
@@ -93,9 +112,9 @@ namespace margelo::nitro::dynamicactivities {
       return __promise;
     }();
   }
-  std::shared_ptr<Promise<LiveActivityStartResult>> JHybridDynamicActivitiesSpec::startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start) {
-    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JPromise::javaobject>(jni::alias_ref<JLiveActivityAttributes> /* attributes */, jni::alias_ref<JLiveActivityContent> /* content */, jni::alias_ref<JLiveActivityPushToken> /* pushToken */, jni::alias_ref<JLiveActivityStyle> /* style */, jni::alias_ref<JLiveActivityAlertConfiguration> /* alertConfiguration */, jni::alias_ref<JInstant> /* start */)>("startLiveActivity");
-    auto __result = method(_javaPart, JLiveActivityAttributes::fromCpp(attributes), JLiveActivityContent::fromCpp(content), pushToken.has_value() ? JLiveActivityPushToken::fromCpp(pushToken.value()) : nullptr, style.has_value() ? JLiveActivityStyle::fromCpp(style.value()) : nullptr, alertConfiguration.has_value() ? JLiveActivityAlertConfiguration::fromCpp(alertConfiguration.value()) : nullptr, start.has_value() ? JInstant::fromChrono(start.value()) : nullptr);
+  std::shared_ptr<Promise<LiveActivityStartResult>> JHybridDynamicActivitiesSpec::startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start, const std::optional<std::string>& activityType) {
+    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JPromise::javaobject>(jni::alias_ref<JLiveActivityAttributes> /* attributes */, jni::alias_ref<JLiveActivityContent> /* content */, jni::alias_ref<JLiveActivityPushToken> /* pushToken */, jni::alias_ref<JLiveActivityStyle> /* style */, jni::alias_ref<JLiveActivityAlertConfiguration> /* alertConfiguration */, jni::alias_ref<JInstant> /* start */, jni::alias_ref<jni::JString> /* activityType */)>("startLiveActivity");
+    auto __result = method(_javaPart, JLiveActivityAttributes::fromCpp(attributes), JLiveActivityContent::fromCpp(content), pushToken.has_value() ? JLiveActivityPushToken::fromCpp(pushToken.value()) : nullptr, style.has_value() ? JLiveActivityStyle::fromCpp(style.value()) : nullptr, alertConfiguration.has_value() ? JLiveActivityAlertConfiguration::fromCpp(alertConfiguration.value()) : nullptr, start.has_value() ? JInstant::fromChrono(start.value()) : nullptr, activityType.has_value() ? jni::make_jstring(activityType.value()) : nullptr);
     return [&]() {
       auto __promise = Promise<LiveActivityStartResult>::create();
       __result->cthis()->addOnResolvedListener([=](const jni::alias_ref<jni::JObject>& __boxedResult) {
@@ -139,5 +158,91 @@ namespace margelo::nitro::dynamicactivities {
       return __promise;
     }();
   }
+  std::shared_ptr<Promise<std::vector<LiveActivityInfo>>> JHybridDynamicActivitiesSpec::getActiveLiveActivities() {
+    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JPromise::javaobject>()>("getActiveLiveActivities");
+    auto __result = method(_javaPart);
+    return [&]() {
+      auto __promise = Promise<std::vector<LiveActivityInfo>>::create();
+      __result->cthis()->addOnResolvedListener([=](const jni::alias_ref<jni::JObject>& __boxedResult) {
+        auto __result = jni::static_ref_cast<jni::JArrayClass<JLiveActivityInfo>>(__boxedResult);
+        __promise->resolve([&]() {
+          size_t __size = __result->size();
+          std::vector<LiveActivityInfo> __vector;
+          __vector.reserve(__size);
+          for (size_t __i = 0; __i < __size; __i++) {
+            auto __element = __result->getElement(__i);
+            __vector.push_back(__element->toCpp());
+          }
+          return __vector;
+        }());
+      });
+      __result->cthis()->addOnRejectedListener([=](const jni::alias_ref<jni::JThrowable>& __throwable) {
+        jni::JniException __jniError(__throwable);
+        __promise->reject(std::make_exception_ptr(__jniError));
+      });
+      return __promise;
+    }();
+  }
+  std::function<void()> JHybridDynamicActivitiesSpec::onActivityStateChange(const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& listener) {
+    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JFunc_void::javaobject>(jni::alias_ref<JFunc_void_LiveActivityStateChangeEvent::javaobject> /* listener */)>("onActivityStateChange_cxx");
+    auto __result = method(_javaPart, JFunc_void_LiveActivityStateChangeEvent_cxx::fromCpp(listener));
+    return [&]() -> std::function<void()> {
+      if (__result->isInstanceOf(JFunc_void_cxx::javaClassStatic())) [[likely]] {
+        auto downcast = jni::static_ref_cast<JFunc_void_cxx::javaobject>(__result);
+        return downcast->cthis()->getFunction();
+      } else {
+        auto __resultRef = jni::make_global(__result);
+        return [__resultRef]() -> void {
+          return __resultRef->invoke();
+        };
+      }
+    }();
+  }
+  std::function<void()> JHybridDynamicActivitiesSpec::onPushTokenUpdate(const std::function<void(const PushTokenUpdateEvent& /* event */)>& listener) {
+    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JFunc_void::javaobject>(jni::alias_ref<JFunc_void_PushTokenUpdateEvent::javaobject> /* listener */)>("onPushTokenUpdate_cxx");
+    auto __result = method(_javaPart, JFunc_void_PushTokenUpdateEvent_cxx::fromCpp(listener));
+    return [&]() -> std::function<void()> {
+      if (__result->isInstanceOf(JFunc_void_cxx::javaClassStatic())) [[likely]] {
+        auto downcast = jni::static_ref_cast<JFunc_void_cxx::javaobject>(__result);
+        return downcast->cthis()->getFunction();
+      } else {
+        auto __resultRef = jni::make_global(__result);
+        return [__resultRef]() -> void {
+          return __resultRef->invoke();
+        };
+      }
+    }();
+  }
+  std::shared_ptr<Promise<std::optional<std::string>>> JHybridDynamicActivitiesSpec::getPushToStartToken(const std::optional<std::string>& activityType) {
+    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JPromise::javaobject>(jni::alias_ref<jni::JString> /* activityType */)>("getPushToStartToken");
+    auto __result = method(_javaPart, activityType.has_value() ? jni::make_jstring(activityType.value()) : nullptr);
+    return [&]() {
+      auto __promise = Promise<std::optional<std::string>>::create();
+      __result->cthis()->addOnResolvedListener([=](const jni::alias_ref<jni::JObject>& __boxedResult) {
+        auto __result = jni::static_ref_cast<jni::JString>(__boxedResult);
+        __promise->resolve(__result != nullptr ? std::make_optional(__result->toStdString()) : std::nullopt);
+      });
+      __result->cthis()->addOnRejectedListener([=](const jni::alias_ref<jni::JThrowable>& __throwable) {
+        jni::JniException __jniError(__throwable);
+        __promise->reject(std::make_exception_ptr(__jniError));
+      });
+      return __promise;
+    }();
+  }
+  std::function<void()> JHybridDynamicActivitiesSpec::onPushToStartTokenUpdate(const std::function<void(const std::string& /* token */)>& listener, const std::optional<std::string>& activityType) {
+    static const auto method = javaClassStatic()->getMethod<jni::local_ref<JFunc_void::javaobject>(jni::alias_ref<JFunc_void_std__string::javaobject> /* listener */, jni::alias_ref<jni::JString> /* activityType */)>("onPushToStartTokenUpdate_cxx");
+    auto __result = method(_javaPart, JFunc_void_std__string_cxx::fromCpp(listener), activityType.has_value() ? jni::make_jstring(activityType.value()) : nullptr);
+    return [&]() -> std::function<void()> {
+      if (__result->isInstanceOf(JFunc_void_cxx::javaClassStatic())) [[likely]] {
+        auto downcast = jni::static_ref_cast<JFunc_void_cxx::javaobject>(__result);
+        return downcast->cthis()->getFunction();
+      } else {
+        auto __resultRef = jni::make_global(__result);
+        return [__resultRef]() -> void {
+          return __resultRef->invoke();
+        };
+      }
+    }();
+  }
 
 } // namespace margelo::nitro::dynamicactivities
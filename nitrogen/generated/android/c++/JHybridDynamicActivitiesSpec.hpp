@@ -54,9 +54,14 @@ namespace margelo::nitro::dynamicactivities {
   public:
     // Methods
     std::shared_ptr<Promise<LiveActivitiesSupportInfo>> areLiveActivitiesSupported() override;
-    std::shared_ptr<Promise<LiveActivityStartResult>> startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start) override;
+    std::shared_ptr<Promise<LiveActivityStartResult>> startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start, const std::optional<std::string>& activityType) override;
     std::shared_ptr<Promise<void>> updateLiveActivity(const std::string& activityId, const LiveActivityContent& content, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> timestamp) override;
     std::shared_ptr<Promise<void>> endLiveActivity(const std::string& activityId, const LiveActivityContent& content, std::optional<LiveActivityDismissalPolicy> dismissalPolicy, std::optional<std::chrono::system_clock::time_point> timestamp, std::optional<std::chrono::system_clock::time_point> dismissalDate) override;
+    std::shared_ptr<Promise<std::vector<LiveActivityInfo>>> getActiveLiveActivities() override;
+    std::function<void()> onActivityStateChange(const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& listener) override;
+    std::function<void()> onPushTokenUpdate(const std::function<void(const PushTokenUpdateEvent& /* event */)>& listener) override;
+    std::shared_ptr<Promise<std::optional<std::string>>> getPushToStartToken(const std::optional<std::string>& activityType) override;
+    std::function<void()> onPushToStartTokenUpdate(const std::function<void(const std::string& /* token */)>& listener, const std::optional<std::string>& activityType) override;
 
   private:
     friend HybridBase;
@@ -37,10 +37,13 @@ namespace margelo::nitro::dynamicactivities {
       double version = this->getFieldValue(fieldVersion);
       static const auto fieldComment = clazz->getField<jni::JString>("comment");
       jni::local_ref<jni::JString> comment = this->getFieldValue(fieldComment);
+      static const auto fieldPushToStartSupported = clazz->getField<jboolean>("pushToStartSupported");
+      jboolean pushToStartSupported = this->getFieldValue(fieldPushToStartSupported);
       return LiveActivitiesSupportInfo(
         static_cast<bool>(supported),
         version,
-        comment->toStdString()
+        comment->toStdString(),
+        static_cast<bool>(pushToStartSupported)
       );
     }
 
@@ -53,7 +56,8 @@ namespace margelo::nitro::dynamicactivities {
       return newInstance(
         value.supported,
         value.version,
-        jni::make_jstring(value.comment)
+        jni::make_jstring(value.comment),
+        value.pushToStartSupported
       );
     }
   };
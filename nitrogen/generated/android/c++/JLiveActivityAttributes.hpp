@@ -10,7 +10,9 @@
 #include <fbjni/fbjni.h>
 #include "LiveActivityAttributes.hpp"
 
+#include <optional>
 #include <string>
+#include <unordered_map>
 
 namespace margelo::nitro::dynamicactivities {
 
@@ -35,9 +37,19 @@ namespace margelo::nitro::dynamicactivities {
       jni::local_ref<jni::JString> title = this->getFieldValue(fieldTitle);
       static const auto fieldBody = clazz->getField<jni::JString>("body");
       jni::local_ref<jni::JString> body = this->getFieldValue(fieldBody);
+      static const auto fieldMetadata = clazz->getField<jni::JMap<jni::JString, jni::JString>>("metadata");
+      jni::local_ref<jni::JMap<jni::JString, jni::JString>> metadata = this->getFieldValue(fieldMetadata);
       return LiveActivityAttributes(
         title->toStdString(),
-        body->toStdString()
+        body->toStdString(),
+        metadata != nullptr ? std::make_optional([&]() {
+          std::unordered_map<std::string, std::string> __map;
+          __map.reserve(metadata->size());
+          for (const auto& __entry : *metadata) {
+            __map.emplace(__entry.first->toStdString(), __entry.second->toStdString());
+          }
+          return __map;
+        }()) : std::nullopt
       );
     }
 
@@ -49,7 +61,14 @@ namespace margelo::nitro::dynamicactivities {
     static jni::local_ref<JLiveActivityAttributes::javaobject> fromCpp(const LiveActivityAttributes& value) {
       return newInstance(
         jni::make_jstring(value.title),
-        jni::make_jstring(value.body)
+        jni::make_jstring(value.body),
+        value.metadata.has_value() ? [&]() -> jni::local_ref<jni::JMap<jni::JString, jni::JString>> {
+          auto __map = jni::JHashMap<jni::JString, jni::JString>::create(value.metadata.value().size());
+          for (const auto& __entry : value.metadata.value()) {
+            __map->put(jni::make_jstring(__entry.first), jni::make_jstring(__entry.second));
+          }
+          return __map;
+        }() : nullptr
       );
     }
   };
@@ -15,6 +15,7 @@
 #include <NitroModules/JInstant.hpp>
 #include <chrono>
 #include <optional>
+#include <string>
 
 namespace margelo::nitro::dynamicactivities {
 
@@ -41,10 +42,13 @@ namespace margelo::nitro::dynamicactivities {
       jni::local_ref<JInstant> staleDate = this->getFieldValue(fieldStaleDate);
       static const auto fieldRelevanceScore = clazz->getField<jni::JDouble>("relevanceScore");
       jni::local_ref<jni::JDouble> relevanceScore = this->getFieldValue(fieldRelevanceScore);
+      static const auto fieldPayload = clazz->getField<jni::JString>("payload");
+      jni::local_ref<jni::JString> payload = this->getFieldValue(fieldPayload);
       return LiveActivityContent(
         state->toCpp(),
         staleDate != nullptr ? std::make_optional(staleDate->toChrono()) : std::nullopt,
-        relevanceScore != nullptr ? std::make_optional(relevanceScore->value()) : std::nullopt
+        relevanceScore != nullptr ? std::make_optional(relevanceScore->value()) : std::nullopt,
+        payload != nullptr ? std::make_optional(payload->toStdString()) : std::nullopt
       );
     }
 
@@ -57,7 +61,8 @@ namespace margelo::nitro::dynamicactivities {
       return newInstance(
         JLiveActivityState::fromCpp(value.state),
         value.staleDate.has_value() ? JInstant::fromChrono(value.staleDate.value()) : nullptr,
-        value.relevanceScore.has_value() ? jni::JDouble::valueOf(value.relevanceScore.value()) : nullptr
+        value.relevanceScore.has_value() ? jni::JDouble::valueOf(value.relevanceScore.value()) : nullptr,
+        value.payload.has_value() ? jni::make_jstring(value.payload.value()) : nullptr
       );
     }
   };
@@ -0,0 +1,81 @@
+///
+/// JLiveActivityInfo.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#include <fbjni/fbjni.h>
+#include "LiveActivityInfo.hpp"
+
+#include "JLiveActivityAttributes.hpp"
+#include "JLiveActivityState.hpp"
+#include "LiveActivityAttributes.hpp"
+#include "LiveActivityState.hpp"
+#include <NitroModules/JInstant.hpp>
+#include <chrono>
+#include <optional>
+#include <string>
+#include <unordered_map>
+
+namespace margelo::nitro::dynamicactivities {
+
+  using namespace facebook;
+
+  /**
+   * The C++ JNI bridge between the C++ struct "LiveActivityInfo" and the the Kotlin data class "LiveActivityInfo".
+   */
+  struct JLiveActivityInfo final: public jni::JavaClass<JLiveActivityInfo> {
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/LiveActivityInfo;";
+
+  public:
+    /**
+     * Convert this Java/Kotlin-based struct to the C++ struct LiveActivityInfo by copying all values to C++.
+     */
+    [[maybe_unused]]
+    [[nodiscard]]
+    LiveActivityInfo toCpp() const {
+      static const auto clazz = javaClassStatic();
+      static const auto fieldActivityId = clazz->getField<jni::JString>("activityId");
+      jni::local_ref<jni::JString> activityId = this->getFieldValue(fieldActivityId);
+      static const auto fieldState = clazz->getField<JLiveActivityState>("state");
+      jni::local_ref<JLiveActivityState> state = this->getFieldValue(fieldState);
+      static const auto fieldStaleDate = clazz->getField<JInstant>("staleDate");
+      jni::local_ref<JInstant> staleDate = this->getFieldValue(fieldStaleDate);
+      static const auto fieldRelevanceScore = clazz->getField<jni::JDouble>("relevanceScore");
+      jni::local_ref<jni::JDouble> relevanceScore = this->getFieldValue(fieldRelevanceScore);
+      static const auto fieldAttributes = clazz->getField<JLiveActivityAttributes>("attributes");
+      jni::local_ref<JLiveActivityAttributes> attributes = this->getFieldValue(fieldAttributes);
+      static const auto fieldPayload = clazz->getField<jni::JString>("payload");
+      jni::local_ref<jni::JString> payload = this->getFieldValue(fieldPayload);
+      return LiveActivityInfo(
+        activityId->toStdString(),
+        state->toCpp(),
+        staleDate != nullptr ? std::make_optional(staleDate->toChrono()) : std::nullopt,
+        relevanceScore != nullptr ? std::make_optional(relevanceScore->value()) : std::nullopt,
+        attributes->toCpp(),
+        payload != nullptr ? std::make_optional(payload->toStdString()) : std::nullopt
+      );
+    }
+
+  public:
+    /**
+     * Create a Java/Kotlin-based struct by copying all values from the given C++ struct to Java.
+     */
+    [[maybe_unused]]
+    static jni::local_ref<JLiveActivityInfo::javaobject> fromCpp(const LiveActivityInfo& value) {
+      return newInstance(
+        jni::make_jstring(value.activityId),
+        JLiveActivityState::fromCpp(value.state),
+        value.staleDate.has_value() ? JInstant::fromChrono(value.staleDate.value()) : nullptr,
+        value.relevanceScore.has_value() ? jni::JDouble::valueOf(value.relevanceScore.value()) : nullptr,
+        JLiveActivityAttributes::fromCpp(value.attributes),
+        value.payload.has_value() ? jni::make_jstring(value.payload.value()) : nullptr
+      );
+    }
+  };
+
+} // namespace margelo::nitro::dynamicactivities
@@ -0,0 +1,59 @@
+///
+/// JLiveActivityStateChangeEvent.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#include <fbjni/fbjni.h>
+#include "LiveActivityStateChangeEvent.hpp"
+
+#include "JLiveActivityState.hpp"
+#include "LiveActivityState.hpp"
+#include <string>
+
+namespace margelo::nitro::dynamicactivities {
+
+  using namespace facebook;
+
+  /**
+   * The C++ JNI bridge between the C++ struct "LiveActivityStateChangeEvent" and the the Kotlin data class "LiveActivityStateChangeEvent".
+   */
+  struct JLiveActivityStateChangeEvent final: public jni::JavaClass<JLiveActivityStateChangeEvent> {
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/LiveActivityStateChangeEvent;";
+
+  public:
+    /**
+     * Convert this Java/Kotlin-based struct to the C++ struct LiveActivityStateChangeEvent by copying all values to C++.
+     */
+    [[maybe_unused]]
+    [[nodiscard]]
+    LiveActivityStateChangeEvent toCpp() const {
+      static const auto clazz = javaClassStatic();
+      static const auto fieldActivityId = clazz->getField<jni::JString>("activityId");
+      jni::local_ref<jni::JString> activityId = this->getFieldValue(fieldActivityId);
+      static const auto fieldState = clazz->getField<JLiveActivityState>("state");
+      jni::local_ref<JLiveActivityState> state = this->getFieldValue(fieldState);
+      return LiveActivityStateChangeEvent(
+        activityId->toStdString(),
+        state->toCpp()
+      );
+    }
+
+  public:
+    /**
+     * Create a Java/Kotlin-based struct by copying all values from the given C++ struct to Java.
+     */
+    [[maybe_unused]]
+    static jni::local_ref<JLiveActivityStateChangeEvent::javaobject> fromCpp(const LiveActivityStateChangeEvent& value) {
+      return newInstance(
+        jni::make_jstring(value.activityId),
+        JLiveActivityState::fromCpp(value.state)
+      );
+    }
+  };
+
+} // namespace margelo::nitro::dynamicactivities
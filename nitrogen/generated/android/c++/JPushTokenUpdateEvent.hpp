@@ -0,0 +1,57 @@
+///
+/// JPushTokenUpdateEvent.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#include <fbjni/fbjni.h>
+#include "PushTokenUpdateEvent.hpp"
+
+#include <string>
+
+namespace margelo::nitro::dynamicactivities {
+
+  using namespace facebook;
+
+  /**
+   * The C++ JNI bridge between the C++ struct "PushTokenUpdateEvent" and the the Kotlin data class "PushTokenUpdateEvent".
+   */
+  struct JPushTokenUpdateEvent final: public jni::JavaClass<JPushTokenUpdateEvent> {
+  public:
+    static auto constexpr kJavaDescriptor = "Lcom/margelo/nitro/dynamicactivities/PushTokenUpdateEvent;";
+
+  public:
+    /**
+     * Convert this Java/Kotlin-based struct to the C++ struct PushTokenUpdateEvent by copying all values to C++.
+     */
+    [[maybe_unused]]
+    [[nodiscard]]
+    PushTokenUpdateEvent toCpp() const {
+      static const auto clazz = javaClassStatic();
+      static const auto fieldActivityId = clazz->getField<jni::JString>("activityId");
+      jni::local_ref<jni::JString> activityId = this->getFieldValue(fieldActivityId);
+      static const auto fieldToken = clazz->getField<jni::JString>("token");
+      jni::local_ref<jni::JString> token = this->getFieldValue(fieldToken);
+      return PushTokenUpdateEvent(
+        activityId->toStdString(),
+        token->toStdString()
+      );
+    }
+
+  public:
+    /**
+     * Create a Java/Kotlin-based struct by copying all values from the given C++ struct to Java.
+     */
+    [[maybe_unused]]
+    static jni::local_ref<JPushTokenUpdateEvent::javaobject> fromCpp(const PushTokenUpdateEvent& value) {
+      return newInstance(
+        jni::make_jstring(value.activityId),
+        jni::make_jstring(value.token)
+      );
+    }
+  };
+
+} // namespace margelo::nitro::dynamicactivities
@@ -46,7 +46,7 @@ abstract class HybridDynamicActivitiesSpec: HybridObject() {
   
   @DoNotStrip
   @Keep
-  abstract fun startLiveActivity(attributes: LiveActivityAttributes, content: LiveActivityContent, pushToken: LiveActivityPushToken?, style: LiveActivityStyle?, alertConfiguration: LiveActivityAlertConfiguration?, start: java.time.Instant?): Promise<LiveActivityStartResult>
+  abstract fun startLiveActivity(attributes: LiveActivityAttributes, content: LiveActivityContent, pushToken: LiveActivityPushToken?, style: LiveActivityStyle?, alertConfiguration: LiveActivityAlertConfiguration?, start: java.time.Instant?, activityType: String?): Promise<LiveActivityStartResult>
   
   @DoNotStrip
   @Keep
@@ -55,6 +55,41 @@ abstract class HybridDynamicActivitiesSpec: HybridObject() {
   @DoNotStrip
   @Keep
   abstract fun endLiveActivity(activityId: String, content: LiveActivityContent, dismissalPolicy: LiveActivityDismissalPolicy?, timestamp: java.time.Instant?, dismissalDate: java.time.Instant?): Promise<Unit>
+  
+  @DoNotStrip
+  @Keep
+  abstract fun getActiveLiveActivities(): Promise<Array<LiveActivityInfo>>
+  
+  abstract fun onActivityStateChange(listener: (event: LiveActivityStateChangeEvent) -> Unit): () -> Unit
+  
+  @DoNotStrip
+  @Keep
+  private fun onActivityStateChange_cxx(listener: Func_void_LiveActivityStateChangeEvent): Func_void {
+    val __result = onActivityStateChange(listener)
+    return Func_void_java(__result)
+  }
+  
+  abstract fun onPushTokenUpdate(listener: (event: PushTokenUpdateEvent) -> Unit): () -> Unit
+  
+  @DoNotStrip
+  @Keep
+  private fun onPushTokenUpdate_cxx(listener: Func_void_PushTokenUpdateEvent): Func_void {
+    val __result = onPushTokenUpdate(listener)
+    return Func_void_java(__result)
+  }
+  
+  @DoNotStrip
+  @Keep
+  abstract fun getPushToStartToken(activityType: String?): Promise<String?>
+  
+  abstract fun onPushToStartTokenUpdate(listener: (token: String) -> Unit, activityType: String?): () -> Unit
+  
+  @DoNotStrip
+  @Keep
+  private fun onPushToStartTokenUpdate_cxx(listener: Func_void_std__string, activityType: String?): Func_void {
+    val __result = onPushToStartTokenUpdate(listener, activityType)
+    return Func_void_java(__result)
+  }
 
   private external fun initHybrid(): HybridData
 
@@ -29,7 +29,10 @@ data class LiveActivitiesSupportInfo
     val version: Double,
     @DoNotStrip
     @Keep
-    val comment: String
+    val comment: String,
+    @DoNotStrip
+    @Keep
+    val pushToStartSupported: Boolean
   ) {
   /* main constructor */
 }
@@ -26,7 +26,10 @@ data class LiveActivityAttributes
     val title: String,
     @DoNotStrip
     @Keep
-    val body: String
+    val body: String,
+    @DoNotStrip
+    @Keep
+    val metadata: Map<String, String>?
   ) {
   /* main constructor */
 }
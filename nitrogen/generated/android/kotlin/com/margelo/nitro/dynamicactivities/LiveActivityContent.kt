@@ -29,7 +29,10 @@ data class LiveActivityContent
     val staleDate: java.time.Instant?,
     @DoNotStrip
     @Keep
-    val relevanceScore: Double?
+    val relevanceScore: Double?,
+    @DoNotStrip
+    @Keep
+    val payload: String?
   ) {
   /* main constructor */
 }
@@ -0,0 +1,44 @@
+///
+/// LiveActivityInfo.kt
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+package com.margelo.nitro.dynamicactivities
+
+import androidx.annotation.Keep
+import com.facebook.proguard.annotations.DoNotStrip
+import com.margelo.nitro.core.*
+
+
+/**
+ * Represents the JavaScript object/struct "LiveActivityInfo".
+ */
+@DoNotStrip
+@Keep
+data class LiveActivityInfo
+  @DoNotStrip
+  @Keep
+  constructor(
+    @DoNotStrip
+    @Keep
+    val activityId: String,
+    @DoNotStrip
+    @Keep
+    val state: LiveActivityState,
+    @DoNotStrip
+    @Keep
+    val staleDate: java.time.Instant?,
+    @DoNotStrip
+    @Keep
+    val relevanceScore: Double?,
+    @DoNotStrip
+    @Keep
+    val attributes: LiveActivityAttributes,
+    @DoNotStrip
+    @Keep
+    val payload: String?
+  ) {
+  /* main constructor */
+}
@@ -0,0 +1,32 @@
+///
+/// LiveActivityStateChangeEvent.kt
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+package com.margelo.nitro.dynamicactivities
+
+import androidx.annotation.Keep
+import com.facebook.proguard.annotations.DoNotStrip
+import com.margelo.nitro.core.*
+
+
+/**
+ * Represents the JavaScript object/struct "LiveActivityStateChangeEvent".
+ */
+@DoNotStrip
+@Keep
+data class LiveActivityStateChangeEvent
+  @DoNotStrip
+  @Keep
+  constructor(
+    @DoNotStrip
+    @Keep
+    val activityId: String,
+    @DoNotStrip
+    @Keep
+    val state: LiveActivityState
+  ) {
+  /* main constructor */
+}
@@ -45,6 +45,46 @@ namespace margelo::nitro::dynamicactivities::bridge::swift {
     };
   }
   
+  // pragma MARK: std::function<void(const std::vector<LiveActivityInfo>& /* result */)>
+  Func_void_std__vector_LiveActivityInfo_ create_Func_void_std__vector_LiveActivityInfo_(void* _Nonnull swiftClosureWrapper) noexcept {
+    auto swiftClosure = DynamicActivities::Func_void_std__vector_LiveActivityInfo_::fromUnsafe(swiftClosureWrapper);
+    return [swiftClosure = std::move(swiftClosure)](const std::vector<LiveActivityInfo>& result) mutable -> void {
+      swiftClosure.call(result);
+    };
+  }
+  
+  // pragma MARK: std::function<void(const LiveActivityStateChangeEvent& /* event */)>
+  Func_void_LiveActivityStateChangeEvent create_Func_void_LiveActivityStateChangeEvent(void* _Nonnull swiftClosureWrapper) noexcept {
+    auto swiftClosure = DynamicActivities::Func_void_LiveActivityStateChangeEvent::fromUnsafe(swiftClosureWrapper);
+    return [swiftClosure = std::move(swiftClosure)](const LiveActivityStateChangeEvent& event) mutable -> void {
+      swiftClosure.call(event);
+    };
+  }
+  
+  // pragma MARK: std::function<void(const PushTokenUpdateEvent& /* event */)>
+  Func_void_PushTokenUpdateEvent create_Func_void_PushTokenUpdateEvent(void* _Nonnull swiftClosureWrapper) noexcept {
+    auto swiftClosure = DynamicActivities::Func_void_PushTokenUpdateEvent::fromUnsafe(swiftClosureWrapper);
+    return [swiftClosure = std::move(swiftClosure)](const PushTokenUpdateEvent& event) mutable -> void {
+      swiftClosure.call(event);
+    };
+  }
+  
+  // pragma MARK: std::function<void(const std::optional<std::string>& /* result */)>
+  Func_void_std__optional_std__string_ create_Func_void_std__optional_std__string_(void* _Nonnull swiftClosureWrapper) noexcept {
+    auto swiftClosure = DynamicActivities::Func_void_std__optional_std__string_::fromUnsafe(swiftClosureWrapper);
+    return [swiftClosure = std::move(swiftClosure)](const std::optional<std::string>& result) mutable -> void {
+      swiftClosure.call(result);
+    };
+  }
+  
+  // pragma MARK: std::function<void(const std::string& /* token */)>
+  Func_void_std__string create_Func_void_std__string(void* _Nonnull swiftClosureWrapper) noexcept {
+    auto swiftClosure = DynamicActivities::Func_void_std__string::fromUnsafe(swiftClosureWrapper);
+    return [swiftClosure = std::move(swiftClosure)](const std::string& token) mutable -> void {
+      swiftClosure.call(token);
+    };
+  }
+  
   // pragma MARK: std::shared_ptr<HybridDynamicActivitiesSpec>
   std::shared_ptr<HybridDynamicActivitiesSpec> create_std__shared_ptr_HybridDynamicActivitiesSpec_(void* _Nonnull swiftUnsafePointer) noexcept {
     DynamicActivities::HybridDynamicActivitiesSpec_cxx swiftPart = DynamicActivities::HybridDynamicActivitiesSpec_cxx::fromUnsafe(swiftUnsafePointer);
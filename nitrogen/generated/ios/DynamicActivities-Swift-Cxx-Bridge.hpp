@@ -14,14 +14,24 @@ namespace margelo::nitro::dynamicactivities { class HybridDynamicActivitiesSpec;
 namespace margelo::nitro::dynamicactivities { struct LiveActivitiesSupportInfo; }
 // Forward declaration of `LiveActivityAlertConfiguration` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityAlertConfiguration; }
+// Forward declaration of `LiveActivityAttributes` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityAttributes; }
 // Forward declaration of `LiveActivityDismissalPolicy` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPolicy; }
+// Forward declaration of `LiveActivityInfo` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityInfo; }
 // Forward declaration of `LiveActivityPushToken` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityPushToken; }
 // Forward declaration of `LiveActivityStartResult` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityStartResult; }
+// Forward declaration of `LiveActivityStateChangeEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityStateChangeEvent; }
+// Forward declaration of `LiveActivityState` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
 // Forward declaration of `LiveActivityStyle` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityStyle; }
+// Forward declaration of `PushTokenUpdateEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct PushTokenUpdateEvent; }
 
 // Forward declarations of Swift defined types
 // Forward declaration of `HybridDynamicActivitiesSpec_cxx` to properly resolve imports.
@@ -31,10 +41,15 @@ namespace DynamicActivities { class HybridDynamicActivitiesSpec_cxx; }
 #include "HybridDynamicActivitiesSpec.hpp"
 #include "LiveActivitiesSupportInfo.hpp"
 #include "LiveActivityAlertConfiguration.hpp"
+#include "LiveActivityAttributes.hpp"
 #include "LiveActivityDismissalPolicy.hpp"
+#include "LiveActivityInfo.hpp"
 #include "LiveActivityPushToken.hpp"
 #include "LiveActivityStartResult.hpp"
+#include "LiveActivityState.hpp"
+#include "LiveActivityStateChangeEvent.hpp"
 #include "LiveActivityStyle.hpp"
+#include "PushTokenUpdateEvent.hpp"
 #include <NitroModules/Promise.hpp>
 #include <NitroModules/PromiseHolder.hpp>
 #include <NitroModules/Result.hpp>
@@ -44,6 +59,8 @@ namespace DynamicActivities { class HybridDynamicActivitiesSpec_cxx; }
 #include <memory>
 #include <optional>
 #include <string>
+#include <unordered_map>
+#include <vector>
 
 /**
  * Contains specialized versions of C++ templated types so they can be accessed from Swift,
@@ -156,6 +173,46 @@ namespace margelo::nitro::dynamicactivities::bridge::swift {
     return Func_void_LiveActivityStartResult_Wrapper(std::move(value));
   }
   
+  // pragma MARK: std::unordered_map<std::string, std::string>
+  /**
+   * Specialized version of `std::unordered_map<std::string, std::string>`.
+   */
+  using std__unordered_map_std__string__std__string_ = std::unordered_map<std::string, std::string>;
+  inline std::unordered_map<std::string, std::string> create_std__unordered_map_std__string__std__string_(size_t size) noexcept {
+    std::unordered_map<std::string, std::string> map;
+    map.reserve(size);
+    return map;
+  }
+  inline std::vector<std::string> get_std__unordered_map_std__string__std__string__keys(const std__unordered_map_std__string__std__string_& map) noexcept {
+    std::vector<std::string> keys;
+    keys.reserve(map.size());
+    for (const auto& entry : map) {
+      keys.push_back(entry.first);
+    }
+    return keys;
+  }
+  inline std::string get_std__unordered_map_std__string__std__string__value(const std__unordered_map_std__string__std__string_& map, const std::string& key) noexcept {
+    return map.find(key)->second;
+  }
+  inline void emplace_std__unordered_map_std__string__std__string_(std__unordered_map_std__string__std__string_& map, const std::string& key, const std::string& value) noexcept {
+    map.emplace(key, value);
+  }
+  
+  // pragma MARK: std::optional<std::unordered_map<std::string, std::string>>
+  /**
+   * Specialized version of `std::optional<std::unordered_map<std::string, std::string>>`.
+   */
+  using std__optional_std__unordered_map_std__string__std__string__ = std::optional<std::unordered_map<std::string, std::string>>;
+  inline std::optional<std::unordered_map<std::string, std::string>> create_std__optional_std__unordered_map_std__string__std__string__(const std::unordered_map<std::string, std::string>& value) noexcept {
+    return std::optional<std::unordered_map<std::string, std::string>>(value);
+  }
+  inline bool has_value_std__optional_std__unordered_map_std__string__std__string__(const std::optional<std::unordered_map<std::string, std::string>>& optional) noexcept {
+    return optional.has_value();
+  }
+  inline std::unordered_map<std::string, std::string> get_std__optional_std__unordered_map_std__string__std__string__(const std::optional<std::unordered_map<std::string, std::string>>& optional) noexcept {
+    return *optional;
+  }
+  
   // pragma MARK: std::optional<std::chrono::system_clock::time_point>
   /**
    * Specialized version of `std::optional<std::chrono::system_clock::time_point>`.
@@ -280,6 +337,151 @@ namespace margelo::nitro::dynamicactivities::bridge::swift {
     return *optional;
   }
   
+  // pragma MARK: std::vector<LiveActivityInfo>
+  /**
+   * Specialized version of `std::vector<LiveActivityInfo>`.
+   */
+  using std__vector_LiveActivityInfo_ = std::vector<LiveActivityInfo>;
+  inline std::vector<LiveActivityInfo> create_std__vector_LiveActivityInfo_(size_t size) noexcept {
+    std::vector<LiveActivityInfo> vector;
+    vector.reserve(size);
+    return vector;
+  }
+  
+  // pragma MARK: std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>
+  /**
+   * Specialized version of `std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>`.
+   */
+  using std__shared_ptr_Promise_std__vector_LiveActivityInfo___ = std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>;
+  inline std::shared_ptr<Promise<std::vector<LiveActivityInfo>>> create_std__shared_ptr_Promise_std__vector_LiveActivityInfo___() noexcept {
+    return Promise<std::vector<LiveActivityInfo>>::create();
+  }
+  inline PromiseHolder<std::vector<LiveActivityInfo>> wrap_std__shared_ptr_Promise_std__vector_LiveActivityInfo___(std::shared_ptr<Promise<std::vector<LiveActivityInfo>>> promise) noexcept {
+    return PromiseHolder<std::vector<LiveActivityInfo>>(std::move(promise));
+  }
+  
+  // pragma MARK: std::function<void(const std::vector<LiveActivityInfo>& /* result */)>
+  /**
+   * Specialized version of `std::function<void(const std::vector<LiveActivityInfo>&)>`.
+   */
+  using Func_void_std__vector_LiveActivityInfo_ = std::function<void(const std::vector<LiveActivityInfo>& /* result */)>;
+  /**
+   * Wrapper class for a `std::function<void(const std::vector<LiveActivityInfo>& / * result * /)>`, this can be used from Swift.
+   */
+  class Func_void_std__vector_LiveActivityInfo__Wrapper final {
+  public:
+    explicit Func_void_std__vector_LiveActivityInfo__Wrapper(std::function<void(const std::vector<LiveActivityInfo>& /* result */)>&& func): _function(std::make_unique<std::function<void(const std::vector<LiveActivityInfo>& /* result */)>>(std::move(func))) {}
+    inline void call(std::vector<LiveActivityInfo> result) const noexcept {
+      _function->operator()(result);
+    }
+  private:
+    std::unique_ptr<std::function<void(const std::vector<LiveActivityInfo>& /* result */)>> _function;
+  } SWIFT_NONCOPYABLE;
+  Func_void_std__vector_LiveActivityInfo_ create_Func_void_std__vector_LiveActivityInfo_(void* _Nonnull swiftClosureWrapper) noexcept;
+  inline Func_void_std__vector_LiveActivityInfo__Wrapper wrap_Func_void_std__vector_LiveActivityInfo_(Func_void_std__vector_LiveActivityInfo_ value) noexcept {
+    return Func_void_std__vector_LiveActivityInfo__Wrapper(std::move(value));
+  }
+  
+  // pragma MARK: std::function<void(const LiveActivityStateChangeEvent& /* event */)>
+  /**
+   * Specialized version of `std::function<void(const LiveActivityStateChangeEvent&)>`.
+   */
+  using Func_void_LiveActivityStateChangeEvent = std::function<void(const LiveActivityStateChangeEvent& /* event */)>;
+  /**
+   * Wrapper class for a `std::function<void(const LiveActivityStateChangeEvent& / * event * /)>`, this can be used from Swift.
+   */
+  class Func_void_LiveActivityStateChangeEvent_Wrapper final {
+  public:
+    explicit Func_void_LiveActivityStateChangeEvent_Wrapper(std::function<void(const LiveActivityStateChangeEvent& /* event */)>&& func): _function(std::make_unique<std::function<void(const LiveActivityStateChangeEvent& /* event */)>>(std::move(func))) {}
+    inline void call(LiveActivityStateChangeEvent event) const noexcept {
+      _function->operator()(event);
+    }
+  private:
+    std::unique_ptr<std::function<void(const LiveActivityStateChangeEvent& /* event */)>> _function;
+  } SWIFT_NONCOPYABLE;
+  Func_void_LiveActivityStateChangeEvent create_Func_void_LiveActivityStateChangeEvent(void* _Nonnull swiftClosureWrapper) noexcept;
+  inline Func_void_LiveActivityStateChangeEvent_Wrapper wrap_Func_void_LiveActivityStateChangeEvent(Func_void_LiveActivityStateChangeEvent value) noexcept {
+    return Func_void_LiveActivityStateChangeEvent_Wrapper(std::move(value));
+  }
+  
+  // pragma MARK: std::function<void(const PushTokenUpdateEvent& /* event */)>
+  /**
+   * Specialized version of `std::function<void(const PushTokenUpdateEvent&)>`.
+   */
+  using Func_void_PushTokenUpdateEvent = std::function<void(const PushTokenUpdateEvent& /* event */)>;
+  /**
+   * Wrapper class for a `std::function<void(const PushTokenUpdateEvent& / * event * /)>`, this can be used from Swift.
+   */
+  class Func_void_PushTokenUpdateEvent_Wrapper final {
+  public:
+    explicit Func_void_PushTokenUpdateEvent_Wrapper(std::function<void(const PushTokenUpdateEvent& /* event */)>&& func): _function(std::make_unique<std::function<void(const PushTokenUpdateEvent& /* event */)>>(std::move(func))) {}
+    inline void call(PushTokenUpdateEvent event) const noexcept {
+      _function->operator()(event);
+    }
+  private:
+    std::unique_ptr<std::function<void(const PushTokenUpdateEvent& /* event */)>> _function;
+  } SWIFT_NONCOPYABLE;
+  Func_void_PushTokenUpdateEvent create_Func_void_PushTokenUpdateEvent(void* _Nonnull swiftClosureWrapper) noexcept;
+  inline Func_void_PushTokenUpdateEvent_Wrapper wrap_Func_void_PushTokenUpdateEvent(Func_void_PushTokenUpdateEvent value) noexcept {
+    return Func_void_PushTokenUpdateEvent_Wrapper(std::move(value));
+  }
+  
+  // pragma MARK: std::shared_ptr<Promise<std::optional<std::string>>>
+  /**
+   * Specialized version of `std::shared_ptr<Promise<std::optional<std::string>>>`.
+   */
+  using std__shared_ptr_Promise_std__optional_std__string___ = std::shared_ptr<Promise<std::optional<std::string>>>;
+  inline std::shared_ptr<Promise<std::optional<std::string>>> create_std__shared_ptr_Promise_std__optional_std__string___() noexcept {
+    return Promise<std::optional<std::string>>::create();
+  }
+  inline PromiseHolder<std::optional<std::string>> wrap_std__shared_ptr_Promise_std__optional_std__string___(std::shared_ptr<Promise<std::optional<std::string>>> promise) noexcept {
+    return PromiseHolder<std::optional<std::string>>(std::move(promise));
+  }
+  
+  // pragma MARK: std::function<void(const std::optional<std::string>& /* result */)>
+  /**
+   * Specialized version of `std::function<void(const std::optional<std::string>&)>`.
+   */
+  using Func_void_std__optional_std__string_ = std::function<void(const std::optional<std::string>& /* result */)>;
+  /**
+   * Wrapper class for a `std::function<void(const std::optional<std::string>& / * result * /)>`, this can be used from Swift.
+   */
+  class Func_void_std__optional_std__string__Wrapper final {
+  public:
+    explicit Func_void_std__optional_std__string__Wrapper(std::function<void(const std::optional<std::string>& /* result */)>&& func): _function(std::make_unique<std::function<void(const std::optional<std::string>& /* result */)>>(std::move(func))) {}
+    inline void call(std::optional<std::string> result) const noexcept {
+      _function->operator()(result);
+    }
+  private:
+    std::unique_ptr<std::function<void(const std::optional<std::string>& /* result */)>> _function;
+  } SWIFT_NONCOPYABLE;
+  Func_void_std__optional_std__string_ create_Func_void_std__optional_std__string_(void* _Nonnull swiftClosureWrapper) noexcept;
+  inline Func_void_std__optional_std__string__Wrapper wrap_Func_void_std__optional_std__string_(Func_void_std__optional_std__string_ value) noexcept {
+    return Func_void_std__optional_std__string__Wrapper(std::move(value));
+  }
+  
+  // pragma MARK: std::function<void(const std::string& /* token */)>
+  /**
+   * Specialized version of `std::function<void(const std::string&)>`.
+   */
+  using Func_void_std__string = std::function<void(const std::string& /* token */)>;
+  /**
+   * Wrapper class for a `std::function<void(const std::string& / * token * /)>`, this can be used from Swift.
+   */
+  class Func_void_std__string_Wrapper final {
+  public:
+    explicit Func_void_std__string_Wrapper(std::function<void(const std::string& /* token */)>&& func): _function(std::make_unique<std::function<void(const std::string& /* token */)>>(std::move(func))) {}
+    inline void call(std::string token) const noexcept {
+      _function->operator()(token);
+    }
+  private:
+    std::unique_ptr<std::function<void(const std::string& /* token */)>> _function;
+  } SWIFT_NONCOPYABLE;
+  Func_void_std__string create_Func_void_std__string(void* _Nonnull swiftClosureWrapper) noexcept;
+  inline Func_void_std__string_Wrapper wrap_Func_void_std__string(Func_void_std__string value) noexcept {
+    return Func_void_std__string_Wrapper(std::move(value));
+  }
+  
   // pragma MARK: std::shared_ptr<HybridDynamicActivitiesSpec>
   /**
    * Specialized version of `std::shared_ptr<HybridDynamicActivitiesSpec>`.
@@ -318,5 +520,32 @@ namespace margelo::nitro::dynamicactivities::bridge::swift {
   inline Result_std__shared_ptr_Promise_void___ create_Result_std__shared_ptr_Promise_void___(const std::exception_ptr& error) noexcept {
     return Result<std::shared_ptr<Promise<void>>>::withError(error);
   }
+  
+  // pragma MARK: Result<std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>>
+  using Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____ = Result<std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>>;
+  inline Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____ create_Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____(const std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>& value) noexcept {
+    return Result<std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>>::withValue(value);
+  }
+  inline Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____ create_Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____(const std::exception_ptr& error) noexcept {
+    return Result<std::shared_ptr<Promise<std::vector<LiveActivityInfo>>>>::withError(error);
+  }
+  
+  // pragma MARK: Result<std::function<void()>>
+  using Result_std__function_void____ = Result<std::function<void()>>;
+  inline Result_std__function_void____ create_Result_std__function_void____(const std::function<void()>& value) noexcept {
+    return Result<std::function<void()>>::withValue(value);
+  }
+  inline Result_std__function_void____ create_Result_std__function_void____(const std::exception_ptr& error) noexcept {
+    return Result<std::function<void()>>::withError(error);
+  }
+  
+  // pragma MARK: Result<std::shared_ptr<Promise<std::optional<std::string>>>>
+  using Result_std__shared_ptr_Promise_std__optional_std__string____ = Result<std::shared_ptr<Promise<std::optional<std::string>>>>;
+  inline Result_std__shared_ptr_Promise_std__optional_std__string____ create_Result_std__shared_ptr_Promise_std__optional_std__string____(const std::shared_ptr<Promise<std::optional<std::string>>>& value) noexcept {
+    return Result<std::shared_ptr<Promise<std::optional<std::string>>>>::withValue(value);
+  }
+  inline Result_std__shared_ptr_Promise_std__optional_std__string____ create_Result_std__shared_ptr_Promise_std__optional_std__string____(const std::exception_ptr& error) noexcept {
+    return Result<std::shared_ptr<Promise<std::optional<std::string>>>>::withError(error);
+  }
 
 } // namespace margelo::nitro::dynamicactivities::bridge::swift
@@ -20,14 +20,20 @@ namespace margelo::nitro::dynamicactivities { struct LiveActivityAttributes; }
 namespace margelo::nitro::dynamicactivities { struct LiveActivityContent; }
 // Forward declaration of `LiveActivityDismissalPolicy` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPolicy; }
+// Forward declaration of `LiveActivityInfo` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityInfo; }
 // Forward declaration of `LiveActivityPushToken` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityPushToken; }
 // Forward declaration of `LiveActivityStartResult` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { struct LiveActivityStartResult; }
+// Forward declaration of `LiveActivityStateChangeEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityStateChangeEvent; }
 // Forward declaration of `LiveActivityState` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
 // Forward declaration of `LiveActivityStyle` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityStyle; }
+// Forward declaration of `PushTokenUpdateEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct PushTokenUpdateEvent; }
 
 // Include C++ defined types
 #include "HybridDynamicActivitiesSpec.hpp"
@@ -36,17 +42,23 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityStyle; }
 #include "LiveActivityAttributes.hpp"
 #include "LiveActivityContent.hpp"
 #include "LiveActivityDismissalPolicy.hpp"
+#include "LiveActivityInfo.hpp"
 #include "LiveActivityPushToken.hpp"
 #include "LiveActivityStartResult.hpp"
 #include "LiveActivityState.hpp"
+#include "LiveActivityStateChangeEvent.hpp"
 #include "LiveActivityStyle.hpp"
+#include "PushTokenUpdateEvent.hpp"
 #include <NitroModules/Promise.hpp>
 #include <NitroModules/Result.hpp>
 #include <chrono>
 #include <exception>
+#include <functional>
 #include <memory>
 #include <optional>
 #include <string>
+#include <unordered_map>
+#include <vector>
 
 // C++ helpers for Swift
 #include "DynamicActivities-Swift-Cxx-Bridge.hpp"
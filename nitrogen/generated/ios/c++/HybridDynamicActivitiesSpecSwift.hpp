@@ -30,6 +30,12 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityStyle; }
 namespace margelo::nitro::dynamicactivities { struct LiveActivityAlertConfiguration; }
 // Forward declaration of `LiveActivityDismissalPolicy` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPolicy; }
+// Forward declaration of `LiveActivityInfo` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityInfo; }
+// Forward declaration of `LiveActivityStateChangeEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityStateChangeEvent; }
+// Forward declaration of `PushTokenUpdateEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct PushTokenUpdateEvent; }
 
 #include "LiveActivitiesSupportInfo.hpp"
 #include <NitroModules/Promise.hpp>
@@ -37,6 +43,7 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPo
 #include "LiveActivityStartResult.hpp"
 #include <optional>
 #include "LiveActivityAttributes.hpp"
+#include <unordered_map>
 #include "LiveActivityContent.hpp"
 #include "LiveActivityState.hpp"
 #include <chrono>
@@ -44,6 +51,11 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPo
 #include "LiveActivityStyle.hpp"
 #include "LiveActivityAlertConfiguration.hpp"
 #include "LiveActivityDismissalPolicy.hpp"
+#include "LiveActivityInfo.hpp"
+#include <vector>
+#include <functional>
+#include "LiveActivityStateChangeEvent.hpp"
+#include "PushTokenUpdateEvent.hpp"
 
 #include "DynamicActivities-Swift-Cxx-Umbrella.hpp"
 
@@ -94,8 +106,8 @@ namespace margelo::nitro::dynamicactivities {
       auto __value = std::move(__result.value());
       return __value;
     }
-    inline std::shared_ptr<Promise<LiveActivityStartResult>> startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start) override {
-      auto __result = _swiftPart.startLiveActivity(attributes, content, pushToken, style, alertConfiguration, start);
+    inline std::shared_ptr<Promise<LiveActivityStartResult>> startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start, const std::optional<std::string>& activityType) override {
+      auto __result = _swiftPart.startLiveActivity(attributes, content, pushToken, style, alertConfiguration, start, activityType);
       if (__result.hasError()) [[unlikely]] {
         std::rethrow_exception(__result.error());
       }
@@ -118,6 +130,46 @@ namespace margelo::nitro::dynamicactivities {
       auto __value = std::move(__result.value());
       return __value;
     }
+    inline std::shared_ptr<Promise<std::vector<LiveActivityInfo>>> getActiveLiveActivities() override {
+      auto __result = _swiftPart.getActiveLiveActivities();
+      if (__result.hasError()) [[unlikely]] {
+        std::rethrow_exception(__result.error());
+      }
+      auto __value = std::move(__result.value());
+      return __value;
+    }
+    inline std::function<void()> onActivityStateChange(const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& listener) override {
+      auto __result = _swiftPart.onActivityStateChange(listener);
+      if (__result.hasError()) [[unlikely]] {
+        std::rethrow_exception(__result.error());
+      }
+      auto __value = std::move(__result.value());
+      return __value;
+    }
+    inline std::function<void()> onPushTokenUpdate(const std::function<void(const PushTokenUpdateEvent& /* event */)>& listener) override {
+      auto __result = _swiftPart.onPushTokenUpdate(listener);
+      if (__result.hasError()) [[unlikely]] {
+        std::rethrow_exception(__result.error());
+      }
+      auto __value = std::move(__result.value());
+      return __value;
+    }
+    inline std::shared_ptr<Promise<std::optional<std::string>>> getPushToStartToken(const std::optional<std::string>& activityType) override {
+      auto __result = _swiftPart.getPushToStartToken(activityType);
+      if (__result.hasError()) [[unlikely]] {
+        std::rethrow_exception(__result.error());
+      }
+      auto __value = std::move(__result.value());
+      return __value;
+    }
+    inline std::function<void()> onPushToStartTokenUpdate(const std::function<void(const std::string& /* token */)>& listener, const std::optional<std::string>& activityType) override {
+      auto __result = _swiftPart.onPushToStartTokenUpdate(listener, activityType);
+      if (__result.hasError()) [[unlikely]] {
+        std::rethrow_exception(__result.error());
+      }
+      auto __value = std::move(__result.value());
+      return __value;
+    }
 
   private:
     DynamicActivities::HybridDynamicActivitiesSpec_cxx _swiftPart;
@@ -0,0 +1,47 @@
+///
+/// Func_void_LiveActivityStateChangeEvent.swift
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+import NitroModules
+
+
+/**
+ * Wraps a Swift `(_ event: LiveActivityStateChangeEvent) -> Void` as a class.
+ * This class can be used from C++, e.g. to wrap the Swift closure as a `std::function`.
+ */
+public final class Func_void_LiveActivityStateChangeEvent {
+  public typealias bridge = margelo.nitro.dynamicactivities.bridge.swift
+
+  private let closure: (_ event: LiveActivityStateChangeEvent) -> Void
+
+  public init(_ closure: @escaping (_ event: LiveActivityStateChangeEvent) -> Void) {
+    self.closure = closure
+  }
+
+  @inline(__always)
+  public func call(event: LiveActivityStateChangeEvent) -> Void {
+    self.closure(event)
+  }
+
+  /**
+   * Casts this instance to a retained unsafe raw pointer.
+   * This acquires one additional strong reference on the object!
+   */
+  @inline(__always)
+  public func toUnsafe() -> UnsafeMutableRawPointer {
+    return Unmanaged.passRetained(self).toOpaque()
+  }
+
+  /**
+   * Casts an unsafe pointer to a `Func_void_LiveActivityStateChangeEvent`.
+   * The pointer has to be a retained opaque `Unmanaged<Func_void_LiveActivityStateChangeEvent>`.
+   * This removes one strong reference from the object!
+   */
+  @inline(__always)
+  public static func fromUnsafe(_ pointer: UnsafeMutableRawPointer) -> Func_void_LiveActivityStateChangeEvent {
+    return Unmanaged<Func_void_LiveActivityStateChangeEvent>.fromOpaque(pointer).takeRetainedValue()
+  }
+}
@@ -15,9 +15,14 @@ public protocol HybridDynamicActivitiesSpec_protocol: HybridObject {
 
   // Methods
   func areLiveActivitiesSupported() throws -> Promise<LiveActivitiesSupportInfo>
-  func startLiveActivity(attributes: LiveActivityAttributes, content: LiveActivityContent, pushToken: LiveActivityPushToken?, style: LiveActivityStyle?, alertConfiguration: LiveActivityAlertConfiguration?, start: Date?) throws -> Promise<LiveActivityStartResult>
+  func startLiveActivity(attributes: LiveActivityAttributes, content: LiveActivityContent, pushToken: LiveActivityPushToken?, style: LiveActivityStyle?, alertConfiguration: LiveActivityAlertConfiguration?, start: Date?, activityType: String?) throws -> Promise<LiveActivityStartResult>
   func updateLiveActivity(activityId: String, content: LiveActivityContent, alertConfiguration: LiveActivityAlertConfiguration?, timestamp: Date?) throws -> Promise<Void>
   func endLiveActivity(activityId: String, content: LiveActivityContent, dismissalPolicy: LiveActivityDismissalPolicy?, timestamp: Date?, dismissalDate: Date?) throws -> Promise<Void>
+  func getActiveLiveActivities() throws -> Promise<[LiveActivityInfo]>
+  func onActivityStateChange(listener: @escaping (_ event: LiveActivityStateChangeEvent) -> Void) throws -> () -> Void
+  func onPushTokenUpdate(listener: @escaping (_ event: PushTokenUpdateEvent) -> Void) throws -> () -> Void
+  func getPushToStartToken(activityType: String?) throws -> Promise<String?>
+  func onPushToStartTokenUpdate(listener: @escaping (_ token: String) -> Void, activityType: String?) throws -> () -> Void
 }
 
 /// See ``HybridDynamicActivitiesSpec``
@@ -129,7 +129,7 @@ open class HybridDynamicActivitiesSpec_cxx {
   }
   
   @inline(__always)
-  public final func startLiveActivity(attributes: LiveActivityAttributes, content: LiveActivityContent, pushToken: bridge.std__optional_LiveActivityPushToken_, style: bridge.std__optional_LiveActivityStyle_, alertConfiguration: bridge.std__optional_LiveActivityAlertConfiguration_, start: bridge.std__optional_std__chrono__system_clock__time_point_) -> bridge.Result_std__shared_ptr_Promise_LiveActivityStartResult___ {
+  public final func startLiveActivity(attributes: LiveActivityAttributes, content: LiveActivityContent, pushToken: bridge.std__optional_LiveActivityPushToken_, style: bridge.std__optional_LiveActivityStyle_, alertConfiguration: bridge.std__optional_LiveActivityAlertConfiguration_, start: bridge.std__optional_std__chrono__system_clock__time_point_, activityType: bridge.std__optional_std__string_) -> bridge.Result_std__shared_ptr_Promise_LiveActivityStartResult___ {
     do {
       let __result = try self.__implementation.startLiveActivity(attributes: attributes, content: content, pushToken: { () -> LiveActivityPushToken? in
         if bridge.has_value_std__optional_LiveActivityPushToken_(pushToken) {
@@ -152,6 +152,13 @@ open class HybridDynamicActivitiesSpec_cxx {
         } else {
           return nil
         }
+      }(), activityType: { () -> String? in
+        if bridge.has_value_std__optional_std__string_(activityType) {
+          let __unwrapped = bridge.get_std__optional_std__string_(activityType)
+          return String(__unwrapped)
+        } else {
+          return nil
+        }
       }())
       let __resultCpp = { () -> bridge.std__shared_ptr_Promise_LiveActivityStartResult__ in
         let __promise = bridge.create_std__shared_ptr_Promise_LiveActivityStartResult__()
@@ -233,4 +240,128 @@ open class HybridDynamicActivitiesSpec_cxx {
       return bridge.create_Result_std__shared_ptr_Promise_void___(__exceptionPtr)
     }
   }
+  
+  @inline(__always)
+  public final func getActiveLiveActivities() -> bridge.Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____ {
+    do {
+      let __result = try self.__implementation.getActiveLiveActivities()
+      let __resultCpp = { () -> bridge.std__shared_ptr_Promise_std__vector_LiveActivityInfo___ in
+        let __promise = bridge.create_std__shared_ptr_Promise_std__vector_LiveActivityInfo___()
+        let __promiseHolder = bridge.wrap_std__shared_ptr_Promise_std__vector_LiveActivityInfo___(__promise)
+        __result
+          .then({ __result in __promiseHolder.resolve({ () -> bridge.std__vector_LiveActivityInfo_ in
+              var __vector = bridge.create_std__vector_LiveActivityInfo_(__result.count)
+              for __item in __result {
+                __vector.push_back(__item)
+              }
+              return __vector
+            }()) })
+          .catch({ __error in __promiseHolder.reject(__error.toCpp()) })
+        return __promise
+      }()
+      return bridge.create_Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____(__resultCpp)
+    } catch (let __error) {
+      let __exceptionPtr = __error.toCpp()
+      return bridge.create_Result_std__shared_ptr_Promise_std__vector_LiveActivityInfo____(__exceptionPtr)
+    }
+  }
+  
+  @inline(__always)
+  public final func onActivityStateChange(listener: bridge.Func_void_LiveActivityStateChangeEvent) -> bridge.Result_std__function_void____ {
+    do {
+      let __result = try self.__implementation.onActivityStateChange(listener: { () -> (LiveActivityStateChangeEvent) -> Void in
+        let __wrappedFunction = bridge.wrap_Func_void_LiveActivityStateChangeEvent(listener)
+        return { (__event: LiveActivityStateChangeEvent) -> Void in
+          __wrappedFunction.call(__event)
+        }
+      }())
+      let __resultCpp = { () -> bridge.Func_void in
+        let __closureWrapper = Func_void(__result)
+        return bridge.create_Func_void(__closureWrapper.toUnsafe())
+      }()
+      return bridge.create_Result_std__function_void____(__resultCpp)
+    } catch (let __error) {
+      let __exceptionPtr = __error.toCpp()
+      return bridge.create_Result_std__function_void____(__exceptionPtr)
+    }
+  }
+  
+  @inline(__always)
+  public final func onPushTokenUpdate(listener: bridge.Func_void_PushTokenUpdateEvent) -> bridge.Result_std__function_void____ {
+    do {
+      let __result = try self.__implementation.onPushTokenUpdate(listener: { () -> (PushTokenUpdateEvent) -> Void in
+        let __wrappedFunction = bridge.wrap_Func_void_PushTokenUpdateEvent(listener)
+        return { (__event: PushTokenUpdateEvent) -> Void in
+          __wrappedFunction.call(__event)
+        }
+      }())
+      let __resultCpp = { () -> bridge.Func_void in
+        let __closureWrapper = Func_void(__result)
+        return bridge.create_Func_void(__closureWrapper.toUnsafe())
+      }()
+      return bridge.create_Result_std__function_void____(__resultCpp)
+    } catch (let __error) {
+      let __exceptionPtr = __error.toCpp()
+      return bridge.create_Result_std__function_void____(__exceptionPtr)
+    }
+  }
+  
+  @inline(__always)
+  public final func getPushToStartToken(activityType: bridge.std__optional_std__string_) -> bridge.Result_std__shared_ptr_Promise_std__optional_std__string____ {
+    do {
+      let __result = try self.__implementation.getPushToStartToken(activityType: { () -> String? in
+        if bridge.has_value_std__optional_std__string_(activityType) {
+          let __unwrapped = bridge.get_std__optional_std__string_(activityType)
+          return String(__unwrapped)
+        } else {
+          return nil
+        }
+      }())
+      let __resultCpp = { () -> bridge.std__shared_ptr_Promise_std__optional_std__string___ in
+        let __promise = bridge.create_std__shared_ptr_Promise_std__optional_std__string___()
+        let __promiseHolder = bridge.wrap_std__shared_ptr_Promise_std__optional_std__string___(__promise)
+        __result
+          .then({ __result in __promiseHolder.resolve({ () -> bridge.std__optional_std__string_ in
+              if let __unwrappedValue = __result {
+                return bridge.create_std__optional_std__string_(std.string(__unwrappedValue))
+              } else {
+                return .init()
+              }
+            }()) })
+          .catch({ __error in __promiseHolder.reject(__error.toCpp()) })
+        return __promise
+      }()
+      return bridge.create_Result_std__shared_ptr_Promise_std__optional_std__string____(__resultCpp)
+    } catch (let __error) {
+      let __exceptionPtr = __error.toCpp()
+      return bridge.create_Result_std__shared_ptr_Promise_std__optional_std__string____(__exceptionPtr)
+    }
+  }
+  
+  @inline(__always)
+  public final func onPushToStartTokenUpdate(listener: bridge.Func_void_std__string, activityType: bridge.std__optional_std__string_) -> bridge.Result_std__function_void____ {
+    do {
+      let __result = try self.__implementation.onPushToStartTokenUpdate(listener: { () -> (String) -> Void in
+        let __wrappedFunction = bridge.wrap_Func_void_std__string(listener)
+        return { (__token: String) -> Void in
+          __wrappedFunction.call(std.string(__token))
+        }
+      }(), activityType: { () -> String? in
+        if bridge.has_value_std__optional_std__string_(activityType) {
+          let __unwrapped = bridge.get_std__optional_std__string_(activityType)
+          return String(__unwrapped)
+        } else {
+          return nil
+        }
+      }())
+      let __resultCpp = { () -> bridge.Func_void in
+        let __closureWrapper = Func_void(__result)
+        return bridge.create_Func_void(__closureWrapper.toUnsafe())
+      }()
+      return bridge.create_Result_std__function_void____(__resultCpp)
+    } catch (let __error) {
+      let __exceptionPtr = __error.toCpp()
+      return bridge.create_Result_std__function_void____(__exceptionPtr)
+    }
+  }
 }
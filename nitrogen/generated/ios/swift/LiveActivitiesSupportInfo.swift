@@ -18,8 +18,8 @@ public extension LiveActivitiesSupportInfo {
   /**
    * Create a new instance of `LiveActivitiesSupportInfo`.
    */
-  init(supported: Bool, version: Double, comment: String) {
-    self.init(supported, version, std.string(comment))
+  init(supported: Bool, version: Double, comment: String, pushToStartSupported: Bool) {
+    self.init(supported, version, std.string(comment), pushToStartSupported)
   }
 
   var supported: Bool {
@@ -54,4 +54,15 @@ public extension LiveActivitiesSupportInfo {
       self.__comment = std.string(newValue)
     }
   }
+  
+  var pushToStartSupported: Bool {
+    @inline(__always)
+    get {
+      return self.__pushToStartSupported
+    }
+    @inline(__always)
+    set {
+      self.__pushToStartSupported = newValue
+    }
+  }
 }
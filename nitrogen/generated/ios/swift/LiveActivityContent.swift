@@ -18,7 +18,7 @@ public extension LiveActivityContent {
   /**
    * Create a new instance of `LiveActivityContent`.
    */
-  init(state: LiveActivityState, staleDate: Date?, relevanceScore: Double?) {
+  init(state: LiveActivityState, staleDate: Date?, relevanceScore: Double?, payload: String?) {
     self.init(state, { () -> bridge.std__optional_std__chrono__system_clock__time_point_ in
       if let __unwrappedValue = staleDate {
         return bridge.create_std__optional_std__chrono__system_clock__time_point_(__unwrappedValue.toCpp())
@@ -31,6 +31,12 @@ public extension LiveActivityContent {
       } else {
         return .init()
       }
+    }(), { () -> bridge.std__optional_std__string_ in
+      if let __unwrappedValue = payload {
+        return bridge.create_std__optional_std__string_(std.string(__unwrappedValue))
+      } else {
+        return .init()
+      }
     }())
   }
 
@@ -85,4 +91,28 @@ public extension LiveActivityContent {
       }()
     }
   }
+  
+  var payload: String? {
+    @inline(__always)
+    get {
+      return { () -> String? in
+        if bridge.has_value_std__optional_std__string_(self.__payload) {
+          let __unwrapped = bridge.get_std__optional_std__string_(self.__payload)
+          return String(__unwrapped)
+        } else {
+          return nil
+        }
+      }()
+    }
+    @inline(__always)
+    set {
+      self.__payload = { () -> bridge.std__optional_std__string_ in
+        if let __unwrappedValue = newValue {
+          return bridge.create_std__optional_std__string_(std.string(__unwrappedValue))
+        } else {
+          return .init()
+        }
+      }()
+    }
+  }
 }
@@ -0,0 +1,140 @@
+///
+/// LiveActivityInfo.swift
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+import NitroModules
+
+/**
+ * Represents an instance of `LiveActivityInfo`, backed by a C++ struct.
+ */
+public typealias LiveActivityInfo = margelo.nitro.dynamicactivities.LiveActivityInfo
+
+public extension LiveActivityInfo {
+  private typealias bridge = margelo.nitro.dynamicactivities.bridge.swift
+
+  /**
+   * Create a new instance of `LiveActivityInfo`.
+   */
+  init(activityId: String, state: LiveActivityState, staleDate: Date?, relevanceScore: Double?, attributes: LiveActivityAttributes, payload: String?) {
+    self.init(std.string(activityId), state, { () -> bridge.std__optional_std__chrono__system_clock__time_point_ in
+      if let __unwrappedValue = staleDate {
+        return bridge.create_std__optional_std__chrono__system_clock__time_point_(__unwrappedValue.toCpp())
+      } else {
+        return .init()
+      }
+    }(), { () -> bridge.std__optional_double_ in
+      if let __unwrappedValue = relevanceScore {
+        return bridge.create_std__optional_double_(__unwrappedValue)
+      } else {
+        return .init()
+      }
+    }(), attributes, { () -> bridge.std__optional_std__string_ in
+      if let __unwrappedValue = payload {
+        return bridge.create_std__optional_std__string_(std.string(__unwrappedValue))
+      } else {
+        return .init()
+      }
+    }())
+  }
+
+  var activityId: String {
+    @inline(__always)
+    get {
+      return String(self.__activityId)
+    }
+    @inline(__always)
+    set {
+      self.__activityId = std.string(newValue)
+    }
+  }
+  
+  var state: LiveActivityState {
+    @inline(__always)
+    get {
+      return self.__state
+    }
+    @inline(__always)
+    set {
+      self.__state = newValue
+    }
+  }
+  
+  var staleDate: Date? {
+    @inline(__always)
+    get {
+      return { () -> Date? in
+        if bridge.has_value_std__optional_std__chrono__system_clock__time_point_(self.__staleDate) {
+          let __unwrapped = bridge.get_std__optional_std__chrono__system_clock__time_point_(self.__staleDate)
+          return Date(fromChrono: __unwrapped)
+        } else {
+          return nil
+        }
+      }()
+    }
+    @inline(__always)
+    set {
+      self.__staleDate = { () -> bridge.std__optional_std__chrono__system_clock__time_point_ in
+        if let __unwrappedValue = newValue {
+          return bridge.create_std__optional_std__chrono__system_clock__time_point_(__unwrappedValue.toCpp())
+        } else {
+          return .init()
+        }
+      }()
+    }
+  }
+  
+  var relevanceScore: Double? {
+    @inline(__always)
+    get {
+      return self.__relevanceScore.value
+    }
+    @inline(__always)
+    set {
+      self.__relevanceScore = { () -> bridge.std__optional_double_ in
+        if let __unwrappedValue = newValue {
+          return bridge.create_std__optional_double_(__unwrappedValue)
+        } else {
+          return .init()
+        }
+      }()
+    }
+  }
+  
+  var attributes: LiveActivityAttributes {
+    @inline(__always)
+    get {
+      return self.__attributes
+    }
+    @inline(__always)
+    set {
+      self.__attributes = newValue
+    }
+  }
+  
+  var payload: String? {
+    @inline(__always)
+    get {
+      return { () -> String? in
+        if bridge.has_value_std__optional_std__string_(self.__payload) {
+          let __unwrapped = bridge.get_std__optional_std__string_(self.__payload)
+          return String(__unwrapped)
+        } else {
+          return nil
+        }
+      }()
+    }
+    @inline(__always)
+    set {
+      self.__payload = { () -> bridge.std__optional_std__string_ in
+        if let __unwrappedValue = newValue {
+          return bridge.create_std__optional_std__string_(std.string(__unwrappedValue))
+        } else {
+          return .init()
+        }
+      }()
+    }
+  }
+}
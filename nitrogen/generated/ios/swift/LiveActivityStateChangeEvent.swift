@@ -0,0 +1,46 @@
+///
+/// LiveActivityStateChangeEvent.swift
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+import NitroModules
+
+/**
+ * Represents an instance of `LiveActivityStateChangeEvent`, backed by a C++ struct.
+ */
+public typealias LiveActivityStateChangeEvent = margelo.nitro.dynamicactivities.LiveActivityStateChangeEvent
+
+public extension LiveActivityStateChangeEvent {
+  private typealias bridge = margelo.nitro.dynamicactivities.bridge.swift
+
+  /**
+   * Create a new instance of `LiveActivityStateChangeEvent`.
+   */
+  init(activityId: String, state: LiveActivityState) {
+    self.init(std.string(activityId), state)
+  }
+
+  var activityId: String {
+    @inline(__always)
+    get {
+      return String(self.__activityId)
+    }
+    @inline(__always)
+    set {
+      self.__activityId = std.string(newValue)
+    }
+  }
+  
+  var state: LiveActivityState {
+    @inline(__always)
+    get {
+      return self.__state
+    }
+    @inline(__always)
+    set {
+      self.__state = newValue
+    }
+  }
+}
@@ -0,0 +1,46 @@
+///
+/// PushTokenUpdateEvent.swift
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+import NitroModules
+
+/**
+ * Represents an instance of `PushTokenUpdateEvent`, backed by a C++ struct.
+ */
+public typealias PushTokenUpdateEvent = margelo.nitro.dynamicactivities.PushTokenUpdateEvent
+
+public extension PushTokenUpdateEvent {
+  private typealias bridge = margelo.nitro.dynamicactivities.bridge.swift
+
+  /**
+   * Create a new instance of `PushTokenUpdateEvent`.
+   */
+  init(activityId: String, token: String) {
+    self.init(std.string(activityId), std.string(token))
+  }
+
+  var activityId: String {
+    @inline(__always)
+    get {
+      return String(self.__activityId)
+    }
+    @inline(__always)
+    set {
+      self.__activityId = std.string(newValue)
+    }
+  }
+  
+  var token: String {
+    @inline(__always)
+    get {
+      return String(self.__token)
+    }
+    @inline(__always)
+    set {
+      self.__token = std.string(newValue)
+    }
+  }
+}
@@ -18,6 +18,11 @@ namespace margelo::nitro::dynamicactivities {
       prototype.registerHybridMethod("startLiveActivity", &HybridDynamicActivitiesSpec::startLiveActivity);
       prototype.registerHybridMethod("updateLiveActivity", &HybridDynamicActivitiesSpec::updateLiveActivity);
       prototype.registerHybridMethod("endLiveActivity", &HybridDynamicActivitiesSpec::endLiveActivity);
+      prototype.registerHybridMethod("getActiveLiveActivities", &HybridDynamicActivitiesSpec::getActiveLiveActivities);
+      prototype.registerHybridMethod("onActivityStateChange", &HybridDynamicActivitiesSpec::onActivityStateChange);
+      prototype.registerHybridMethod("onPushTokenUpdate", &HybridDynamicActivitiesSpec::onPushTokenUpdate);
+      prototype.registerHybridMethod("getPushToStartToken", &HybridDynamicActivitiesSpec::getPushToStartToken);
+      prototype.registerHybridMethod("onPushToStartTokenUpdate", &HybridDynamicActivitiesSpec::onPushToStartTokenUpdate);
     });
   }
 
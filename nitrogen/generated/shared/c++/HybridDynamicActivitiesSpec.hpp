@@ -29,6 +29,12 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityStyle; }
 namespace margelo::nitro::dynamicactivities { struct LiveActivityAlertConfiguration; }
 // Forward declaration of `LiveActivityDismissalPolicy` to properly resolve imports.
 namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPolicy; }
+// Forward declaration of `LiveActivityInfo` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityInfo; }
+// Forward declaration of `LiveActivityStateChangeEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityStateChangeEvent; }
+// Forward declaration of `PushTokenUpdateEvent` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct PushTokenUpdateEvent; }
 
 #include "LiveActivitiesSupportInfo.hpp"
 #include <NitroModules/Promise.hpp>
@@ -42,6 +48,11 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityDismissalPo
 #include <chrono>
 #include <string>
 #include "LiveActivityDismissalPolicy.hpp"
+#include "LiveActivityInfo.hpp"
+#include <vector>
+#include <functional>
+#include "LiveActivityStateChangeEvent.hpp"
+#include "PushTokenUpdateEvent.hpp"
 
 namespace margelo::nitro::dynamicactivities {
 
@@ -75,9 +86,14 @@ namespace margelo::nitro::dynamicactivities {
     public:
       // Methods
       virtual std::shared_ptr<Promise<LiveActivitiesSupportInfo>> areLiveActivitiesSupported() = 0;
-      virtual std::shared_ptr<Promise<LiveActivityStartResult>> startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start) = 0;
+      virtual std::shared_ptr<Promise<LiveActivityStartResult>> startLiveActivity(const LiveActivityAttributes& attributes, const LiveActivityContent& content, const std::optional<LiveActivityPushToken>& pushToken, std::optional<LiveActivityStyle> style, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> start, const std::optional<std::string>& activityType) = 0;
       virtual std::shared_ptr<Promise<void>> updateLiveActivity(const std::string& activityId, const LiveActivityContent& content, const std::optional<LiveActivityAlertConfiguration>& alertConfiguration, std::optional<std::chrono::system_clock::time_point> timestamp) = 0;
       virtual std::shared_ptr<Promise<void>> endLiveActivity(const std::string& activityId, const LiveActivityContent& content, std::optional<LiveActivityDismissalPolicy> dismissalPolicy, std::optional<std::chrono::system_clock::time_point> timestamp, std::optional<std::chrono::system_clock::time_point> dismissalDate) = 0;
+      virtual std::shared_ptr<Promise<std::vector<LiveActivityInfo>>> getActiveLiveActivities() = 0;
+      virtual std::function<void()> onActivityStateChange(const std::function<void(const LiveActivityStateChangeEvent& /* event */)>& listener) = 0;
+      virtual std::function<void()> onPushTokenUpdate(const std::function<void(const PushTokenUpdateEvent& /* event */)>& listener) = 0;
+      virtual std::shared_ptr<Promise<std::optional<std::string>>> getPushToStartToken(const std::optional<std::string>& activityType) = 0;
+      virtual std::function<void()> onPushToStartTokenUpdate(const std::function<void(const std::string& /* token */)>& listener, const std::optional<std::string>& activityType) = 0;
 
     protected:
       // Hybrid Setup
@@ -32,10 +32,11 @@ namespace margelo::nitro::dynamicactivities {
     bool supported     SWIFT_PRIVATE;
     double version     SWIFT_PRIVATE;
     std::string comment     SWIFT_PRIVATE;
+    bool pushToStartSupported     SWIFT_PRIVATE;
 
   public:
     LiveActivitiesSupportInfo() = default;
-    explicit LiveActivitiesSupportInfo(bool supported, double version, std::string comment): supported(supported), version(version), comment(comment) {}
+    explicit LiveActivitiesSupportInfo(bool supported, double version, std::string comment, bool pushToStartSupported): supported(supported), version(version), comment(comment), pushToStartSupported(pushToStartSupported) {}
   };
 
 } // namespace margelo::nitro::dynamicactivities
@@ -50,7 +51,8 @@ namespace margelo::nitro {
       return margelo::nitro::dynamicactivities::LiveActivitiesSupportInfo(
         JSIConverter<bool>::fromJSI(runtime, obj.getProperty(runtime, "supported")),
         JSIConverter<double>::fromJSI(runtime, obj.getProperty(runtime, "version")),
-        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "comment"))
+        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "comment")),
+        JSIConverter<bool>::fromJSI(runtime, obj.getProperty(runtime, "pushToStartSupported"))
       );
     }
     static inline jsi::Value toJSI(jsi::Runtime& runtime, const margelo::nitro::dynamicactivities::LiveActivitiesSupportInfo& arg) {
@@ -58,6 +60,7 @@ namespace margelo::nitro {
       obj.setProperty(runtime, "supported", JSIConverter<bool>::toJSI(runtime, arg.supported));
       obj.setProperty(runtime, "version", JSIConverter<double>::toJSI(runtime, arg.version));
       obj.setProperty(runtime, "comment", JSIConverter<std::string>::toJSI(runtime, arg.comment));
+      obj.setProperty(runtime, "pushToStartSupported", JSIConverter<bool>::toJSI(runtime, arg.pushToStartSupported));
       return obj;
     }
     static inline bool canConvert(jsi::Runtime& runtime, const jsi::Value& value) {
@@ -68,6 +71,7 @@ namespace margelo::nitro {
       if (!JSIConverter<bool>::canConvert(runtime, obj.getProperty(runtime, "supported"))) return false;
       if (!JSIConverter<double>::canConvert(runtime, obj.getProperty(runtime, "version"))) return false;
       if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "comment"))) return false;
+      if (!JSIConverter<bool>::canConvert(runtime, obj.getProperty(runtime, "pushToStartSupported"))) return false;
       return true;
     }
   };
@@ -21,6 +21,8 @@
 
 
 #include <string>
+#include <unordered_map>
+#include <optional>
 
 namespace margelo::nitro::dynamicactivities {
 
@@ -31,10 +33,11 @@ namespace margelo::nitro::dynamicactivities {
   public:
     std::string title     SWIFT_PRIVATE;
     std::string body     SWIFT_PRIVATE;
+    std::optional<std::unordered_map<std::string, std::string>> metadata     SWIFT_PRIVATE;
 
   public:
     LiveActivityAttributes() = default;
-    explicit LiveActivityAttributes(std::string title, std::string body): title(title), body(body) {}
+    explicit LiveActivityAttributes(std::string title, std::string body, std::optional<std::unordered_map<std::string, std::string>> metadata): title(title), body(body), metadata(metadata) {}
   };
 
 } // namespace margelo::nitro::dynamicactivities
@@ -48,13 +51,15 @@ namespace margelo::nitro {
       jsi::Object obj = arg.asObject(runtime);
       return margelo::nitro::dynamicactivities::LiveActivityAttributes(
         JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "title")),
-        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "body"))
+        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "body")),
+        JSIConverter<std::optional<std::unordered_map<std::string, std::string>>>::fromJSI(runtime, obj.getProperty(runtime, "metadata"))
       );
     }
     static inline jsi::Value toJSI(jsi::Runtime& runtime, const margelo::nitro::dynamicactivities::LiveActivityAttributes& arg) {
       jsi::Object obj(runtime);
       obj.setProperty(runtime, "title", JSIConverter<std::string>::toJSI(runtime, arg.title));
       obj.setProperty(runtime, "body", JSIConverter<std::string>::toJSI(runtime, arg.body));
+      obj.setProperty(runtime, "metadata", JSIConverter<std::optional<std::unordered_map<std::string, std::string>>>::toJSI(runtime, arg.metadata));
       return obj;
     }
     static inline bool canConvert(jsi::Runtime& runtime, const jsi::Value& value) {
@@ -64,6 +69,7 @@ namespace margelo::nitro {
       jsi::Object obj = value.getObject(runtime);
       if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "title"))) return false;
       if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "body"))) return false;
+      if (!JSIConverter<std::optional<std::unordered_map<std::string, std::string>>>::canConvert(runtime, obj.getProperty(runtime, "metadata"))) return false;
       return true;
     }
   };
@@ -24,6 +24,7 @@ namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
 #include "LiveActivityState.hpp"
 #include <chrono>
 #include <optional>
+#include <string>
 
 namespace margelo::nitro::dynamicactivities {
 
@@ -35,10 +36,11 @@ namespace margelo::nitro::dynamicactivities {
     LiveActivityState state     SWIFT_PRIVATE;
     std::optional<std::chrono::system_clock::time_point> staleDate     SWIFT_PRIVATE;
     std::optional<double> relevanceScore     SWIFT_PRIVATE;
+    std::optional<std::string> payload     SWIFT_PRIVATE;
 
   public:
     LiveActivityContent() = default;
-    explicit LiveActivityContent(LiveActivityState state, std::optional<std::chrono::system_clock::time_point> staleDate, std::optional<double> relevanceScore): state(state), staleDate(staleDate), relevanceScore(relevanceScore) {}
+    explicit LiveActivityContent(LiveActivityState state, std::optional<std::chrono::system_clock::time_point> staleDate, std::optional<double> relevanceScore, std::optional<std::string> payload): state(state), staleDate(staleDate), relevanceScore(relevanceScore), payload(payload) {}
   };
 
 } // namespace margelo::nitro::dynamicactivities
@@ -53,7 +55,8 @@ namespace margelo::nitro {
       return margelo::nitro::dynamicactivities::LiveActivityContent(
         JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::fromJSI(runtime, obj.getProperty(runtime, "state")),
         JSIConverter<std::optional<std::chrono::system_clock::time_point>>::fromJSI(runtime, obj.getProperty(runtime, "staleDate")),
-        JSIConverter<std::optional<double>>::fromJSI(runtime, obj.getProperty(runtime, "relevanceScore"))
+        JSIConverter<std::optional<double>>::fromJSI(runtime, obj.getProperty(runtime, "relevanceScore")),
+        JSIConverter<std::optional<std::string>>::fromJSI(runtime, obj.getProperty(runtime, "payload"))
       );
     }
     static inline jsi::Value toJSI(jsi::Runtime& runtime, const margelo::nitro::dynamicactivities::LiveActivityContent& arg) {
@@ -61,6 +64,7 @@ namespace margelo::nitro {
       obj.setProperty(runtime, "state", JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::toJSI(runtime, arg.state));
       obj.setProperty(runtime, "staleDate", JSIConverter<std::optional<std::chrono::system_clock::time_point>>::toJSI(runtime, arg.staleDate));
       obj.setProperty(runtime, "relevanceScore", JSIConverter<std::optional<double>>::toJSI(runtime, arg.relevanceScore));
+      obj.setProperty(runtime, "payload", JSIConverter<std::optional<std::string>>::toJSI(runtime, arg.payload));
       return obj;
     }
     static inline bool canConvert(jsi::Runtime& runtime, const jsi::Value& value) {
@@ -71,6 +75,7 @@ namespace margelo::nitro {
       if (!JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::canConvert(runtime, obj.getProperty(runtime, "state"))) return false;
       if (!JSIConverter<std::optional<std::chrono::system_clock::time_point>>::canConvert(runtime, obj.getProperty(runtime, "staleDate"))) return false;
       if (!JSIConverter<std::optional<double>>::canConvert(runtime, obj.getProperty(runtime, "relevanceScore"))) return false;
+      if (!JSIConverter<std::optional<std::string>>::canConvert(runtime, obj.getProperty(runtime, "payload"))) return false;
       return true;
     }
   };
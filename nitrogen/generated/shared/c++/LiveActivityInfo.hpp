@@ -0,0 +1,94 @@
+///
+/// LiveActivityInfo.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#if __has_include(<NitroModules/JSIConverter.hpp>)
+#include <NitroModules/JSIConverter.hpp>
+#else
+#error NitroModules cannot be found! Are you sure you installed NitroModules properly?
+#endif
+#if __has_include(<NitroModules/NitroDefines.hpp>)
+#include <NitroModules/NitroDefines.hpp>
+#else
+#error NitroModules cannot be found! Are you sure you installed NitroModules properly?
+#endif
+
+// Forward declaration of `LiveActivityState` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
+// Forward declaration of `LiveActivityAttributes` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { struct LiveActivityAttributes; }
+
+#include <string>
+#include "LiveActivityState.hpp"
+#include <chrono>
+#include <optional>
+#include "LiveActivityAttributes.hpp"
+
+namespace margelo::nitro::dynamicactivities {
+
+  /**
+   * A struct which can be represented as a JavaScript object (LiveActivityInfo).
+   */
+  struct LiveActivityInfo {
+  public:
+    std::string activityId     SWIFT_PRIVATE;
+    LiveActivityState state     SWIFT_PRIVATE;
+    std::optional<std::chrono::system_clock::time_point> staleDate     SWIFT_PRIVATE;
+    std::optional<double> relevanceScore     SWIFT_PRIVATE;
+    LiveActivityAttributes attributes     SWIFT_PRIVATE;
+    std::optional<std::string> payload     SWIFT_PRIVATE;
+
+  public:
+    LiveActivityInfo() = default;
+    explicit LiveActivityInfo(std::string activityId, LiveActivityState state, std::optional<std::chrono::system_clock::time_point> staleDate, std::optional<double> relevanceScore, LiveActivityAttributes attributes, std::optional<std::string> payload): activityId(activityId), state(state), staleDate(staleDate), relevanceScore(relevanceScore), attributes(attributes), payload(payload) {}
+  };
+
+} // namespace margelo::nitro::dynamicactivities
+
+namespace margelo::nitro {
+
+  // C++ LiveActivityInfo <> JS LiveActivityInfo (object)
+  template <>
+  struct JSIConverter<margelo::nitro::dynamicactivities::LiveActivityInfo> final {
+    static inline margelo::nitro::dynamicactivities::LiveActivityInfo fromJSI(jsi::Runtime& runtime, const jsi::Value& arg) {
+      jsi::Object obj = arg.asObject(runtime);
+      return margelo::nitro::dynamicactivities::LiveActivityInfo(
+        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "activityId")),
+        JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::fromJSI(runtime, obj.getProperty(runtime, "state")),
+        JSIConverter<std::optional<std::chrono::system_clock::time_point>>::fromJSI(runtime, obj.getProperty(runtime, "staleDate")),
+        JSIConverter<std::optional<double>>::fromJSI(runtime, obj.getProperty(runtime, "relevanceScore")),
+        JSIConverter<margelo::nitro::dynamicactivities::LiveActivityAttributes>::fromJSI(runtime, obj.getProperty(runtime, "attributes")),
+        JSIConverter<std::optional<std::string>>::fromJSI(runtime, obj.getProperty(runtime, "payload"))
+      );
+    }
+    static inline jsi::Value toJSI(jsi::Runtime& runtime, const margelo::nitro::dynamicactivities::LiveActivityInfo& arg) {
+      jsi::Object obj(runtime);
+      obj.setProperty(runtime, "activityId", JSIConverter<std::string>::toJSI(runtime, arg.activityId));
+      obj.setProperty(runtime, "state", JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::toJSI(runtime, arg.state));
+      obj.setProperty(runtime, "staleDate", JSIConverter<std::optional<std::chrono::system_clock::time_point>>::toJSI(runtime, arg.staleDate));
+      obj.setProperty(runtime, "relevanceScore", JSIConverter<std::optional<double>>::toJSI(runtime, arg.relevanceScore));
+      obj.setProperty(runtime, "attributes", JSIConverter<margelo::nitro::dynamicactivities::LiveActivityAttributes>::toJSI(runtime, arg.attributes));
+      obj.setProperty(runtime, "payload", JSIConverter<std::optional<std::string>>::toJSI(runtime, arg.payload));
+      return obj;
+    }
+    static inline bool canConvert(jsi::Runtime& runtime, const jsi::Value& value) {
+      if (!value.isObject()) {
+        return false;
+      }
+      jsi::Object obj = value.getObject(runtime);
+      if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "activityId"))) return false;
+      if (!JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::canConvert(runtime, obj.getProperty(runtime, "state"))) return false;
+      if (!JSIConverter<std::optional<std::chrono::system_clock::time_point>>::canConvert(runtime, obj.getProperty(runtime, "staleDate"))) return false;
+      if (!JSIConverter<std::optional<double>>::canConvert(runtime, obj.getProperty(runtime, "relevanceScore"))) return false;
+      if (!JSIConverter<margelo::nitro::dynamicactivities::LiveActivityAttributes>::canConvert(runtime, obj.getProperty(runtime, "attributes"))) return false;
+      if (!JSIConverter<std::optional<std::string>>::canConvert(runtime, obj.getProperty(runtime, "payload"))) return false;
+      return true;
+    }
+  };
+
+} // namespace margelo::nitro
@@ -0,0 +1,73 @@
+///
+/// LiveActivityStateChangeEvent.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#if __has_include(<NitroModules/JSIConverter.hpp>)
+#include <NitroModules/JSIConverter.hpp>
+#else
+#error NitroModules cannot be found! Are you sure you installed NitroModules properly?
+#endif
+#if __has_include(<NitroModules/NitroDefines.hpp>)
+#include <NitroModules/NitroDefines.hpp>
+#else
+#error NitroModules cannot be found! Are you sure you installed NitroModules properly?
+#endif
+
+// Forward declaration of `LiveActivityState` to properly resolve imports.
+namespace margelo::nitro::dynamicactivities { enum class LiveActivityState; }
+
+#include <string>
+#include "LiveActivityState.hpp"
+
+namespace margelo::nitro::dynamicactivities {
+
+  /**
+   * A struct which can be represented as a JavaScript object (LiveActivityStateChangeEvent).
+   */
+  struct LiveActivityStateChangeEvent {
+  public:
+    std::string activityId     SWIFT_PRIVATE;
+    LiveActivityState state     SWIFT_PRIVATE;
+
+  public:
+    LiveActivityStateChangeEvent() = default;
+    explicit LiveActivityStateChangeEvent(std::string activityId, LiveActivityState state): activityId(activityId), state(state) {}
+  };
+
+} // namespace margelo::nitro::dynamicactivities
+
+namespace margelo::nitro {
+
+  // C++ LiveActivityStateChangeEvent <> JS LiveActivityStateChangeEvent (object)
+  template <>
+  struct JSIConverter<margelo::nitro::dynamicactivities::LiveActivityStateChangeEvent> final {
+    static inline margelo::nitro::dynamicactivities::LiveActivityStateChangeEvent fromJSI(jsi::Runtime& runtime, const jsi::Value& arg) {
+      jsi::Object obj = arg.asObject(runtime);
+      return margelo::nitro::dynamicactivities::LiveActivityStateChangeEvent(
+        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "activityId")),
+        JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::fromJSI(runtime, obj.getProperty(runtime, "state"))
+      );
+    }
+    static inline jsi::Value toJSI(jsi::Runtime& runtime, const margelo::nitro::dynamicactivities::LiveActivityStateChangeEvent& arg) {
+      jsi::Object obj(runtime);
+      obj.setProperty(runtime, "activityId", JSIConverter<std::string>::toJSI(runtime, arg.activityId));
+      obj.setProperty(runtime, "state", JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::toJSI(runtime, arg.state));
+      return obj;
+    }
+    static inline bool canConvert(jsi::Runtime& runtime, const jsi::Value& value) {
+      if (!value.isObject()) {
+        return false;
+      }
+      jsi::Object obj = value.getObject(runtime);
+      if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "activityId"))) return false;
+      if (!JSIConverter<margelo::nitro::dynamicactivities::LiveActivityState>::canConvert(runtime, obj.getProperty(runtime, "state"))) return false;
+      return true;
+    }
+  };
+
+} // namespace margelo::nitro
@@ -0,0 +1,71 @@
+///
+/// PushTokenUpdateEvent.hpp
+/// This file was generated by nitrogen. DO NOT MODIFY THIS FILE.
+/// https://github.com/mrousavy/nitro
+/// Copyright © 2025 Marc Rousavy @ Margelo
+///
+
+#pragma once
+
+#if __has_include(<NitroModules/JSIConverter.hpp>)
+#include <NitroModules/JSIConverter.hpp>
+#else
+#error NitroModules cannot be found! Are you sure you installed NitroModules properly?
+#endif
+#if __has_include(<NitroModules/NitroDefines.hpp>)
+#include <NitroModules/NitroDefines.hpp>
+#else
+#error NitroModules cannot be found! Are you sure you installed NitroModules properly?
+#endif
+
+
+
+#include <string>
+
+namespace margelo::nitro::dynamicactivities {
+
+  /**
+   * A struct which can be represented as a JavaScript object (PushTokenUpdateEvent).
+   */
+  struct PushTokenUpdateEvent {
+  public:
+    std::string activityId     SWIFT_PRIVATE;
+    std::string token     SWIFT_PRIVATE;
+
+  public:
+    PushTokenUpdateEvent() = default;
+    explicit PushTokenUpdateEvent(std::string activityId, std::string token): activityId(activityId), token(token) {}
+  };
+
+} // namespace margelo::nitro::dynamicactivities
+
+namespace margelo::nitro {
+
+  // C++ PushTokenUpdateEvent <> JS PushTokenUpdateEvent (object)
+  template <>
+  struct JSIConverter<margelo::nitro::dynamicactivities::PushTokenUpdateEvent> final {
+    static inline margelo::nitro::dynamicactivities::PushTokenUpdateEvent fromJSI(jsi::Runtime& runtime, const jsi::Value& arg) {
+      jsi::Object obj = arg.asObject(runtime);
+      return margelo::nitro::dynamicactivities::PushTokenUpdateEvent(
+        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "activityId")),
+        JSIConverter<std::string>::fromJSI(runtime, obj.getProperty(runtime, "token"))
+      );
+    }
+    static inline jsi::Value toJSI(jsi::Runtime& runtime, const margelo::nitro::dynamicactivities::PushTokenUpdateEvent& arg) {
+      jsi::Object obj(runtime);
+      obj.setProperty(runtime, "activityId", JSIConverter<std::string>::toJSI(runtime, arg.activityId));
+      obj.setProperty(runtime, "token", JSIConverter<std::string>::toJSI(runtime, arg.token));
+      return obj;
+    }
+    static inline bool canConvert(jsi::Runtime& runtime, const jsi::Value& value) {
+      if (!value.isObject()) {
+        return false;
+      }
+      jsi::Object obj = value.getObject(runtime);
+      if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "activityId"))) return false;
+      if (!JSIConverter<std::string>::canConvert(runtime, obj.getProperty(runtime, "token"))) return false;
+      return true;
+    }
+  };
+
+} // namespace margelo::nitro
@@ -0,0 +1,176 @@
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const CLI = path.join(__dirname, "..", "cli.js");
+const TEMPLATES_DIR = path.join(__dirname, "..", "..", "templates");
+
+describe("cli", () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "cli-"));
+    fs.writeFileSync(path.join(projectRoot, "package.json"), '{ "name": "shop" }');
+    fs.mkdirSync(path.join(projectRoot, "ios", "Shop.xcodeproj"), { recursive: true });
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  function run(...args) {
+    return execFileSync("node", [CLI, ...args], { cwd: projectRoot, encoding: "utf8" });
+  }
+
+  /** Runs a command expected to exit with 1, returning its output */
+  function runFailing(...args) {
+    try {
+      run(...args);
+    } catch (error) {
+      expect(error.status).toBe(1);
+      return error.stdout;
+    }
+    throw new Error(`${args.join(" ")} exited with 0`);
+  }
+
+  function writeActivityTypes() {
+    fs.mkdirSync(path.join(projectRoot, "src"));
+    fs.writeFileSync(
+      path.join(projectRoot, "src", "delivery.live-activity.ts"),
+      "export interface DeliveryActivityContentState {\n  eta: Date;\n  stops: string[];\n}\n",
+    );
+  }
+
+  function read(...segments) {
+    return fs.readFileSync(path.join(projectRoot, ...segments), "utf8");
+  }
+
+  describe("create", () => {
+    it("generates registrable attributes from the widget template", () => {
+      run("create", "DeliveryWidget");
+      const attributes = read("ios", "DeliveryWidget", "DeliveryActivityAttributes.swift");
+
+      const template = fs.readFileSync(
+        path.join(TEMPLATES_DIR, "widget", "ActivityAttributes.template.swift"),
+        "utf8",
+      );
+      expect(attributes).toBe(template.replace(/\{\{ACTIVITY_NAME\}\}/g, "DeliveryActivity"));
+      expect(attributes).toContain("extension DeliveryActivityAttributes: LiveActivityBridge {");
+    });
+  });
+
+  describe("generate-attributes", () => {
+    it("regenerates the created attributes with the fields the widget view reads", () => {
+      run("create", "DeliveryWidget");
+      writeActivityTypes();
+
+      run("generate-attributes", "src/delivery.live-activity.ts");
+      const attributes = read("ios", "DeliveryWidget", "DeliveryActivityAttributes.swift");
+      const view = read("ios", "DeliveryWidget", "DeliveryActivityLiveActivity.swift");
+
+      expect(attributes).toMatch(/^\/\/ Generated by react-native-dynamic-activities/);
+      for (const [, field] of view.matchAll(/context\.state\.(\w+)/g)) {
+        expect(attributes).toMatch(new RegExp(`^ +var ${field}: `, "m"));
+      }
+      expect(view).toContain("DeliveryActivityAttributes.ContentState(\n        state:");
+      expect(attributes).toContain("init(state: String, relevanceScore: Double? = nil) {");
+    });
+  });
+
+  describe("validate", () => {
+    beforeEach(() => {
+      run("create", "DeliveryWidget");
+      writeActivityTypes();
+      run("generate-attributes", "src/delivery.live-activity.ts");
+    });
+
+    it("checks every *.live-activity.ts without arguments", () => {
+      expect(run("validate")).toContain("Swift attributes match src/delivery.live-activity.ts");
+    });
+
+    it("reports widget files that are missing", () => {
+      fs.rmSync(
+        path.join(projectRoot, "ios", "DeliveryWidget", "DeliveryActivityLiveActivity.swift"),
+      );
+
+      const output = runFailing("validate");
+      expect(output).toContain(
+        "ios/DeliveryWidget/DeliveryActivityLiveActivity.swift: widget file is missing",
+      );
+      expect(output).toContain("Run create DeliveryWidget");
+      expect(output).not.toContain("Run generate-attributes");
+    });
+
+    it("fails without a file when the project has none", () => {
+      fs.rmSync(path.join(projectRoot, "src"), { recursive: true });
+
+      expect(runFailing("validate")).toContain("No *.live-activity.ts files found");
+    });
+  });
+
+  describe("create-android", () => {
+    const sourceDir = ["android", "app", "src", "main", "java", "com", "shop"];
+    const layoutDir = ["android", "app", "src", "main", "res", "layout"];
+
+    beforeEach(() => {
+      fs.mkdirSync(path.join(projectRoot, "android", "app"), { recursive: true });
+      fs.writeFileSync(
+        path.join(projectRoot, "android", "app", "build.gradle"),
+        'android {\n    namespace "com.shop"\n}\n',
+      );
+    });
+
+    it("generates the layout class and views with the activity's names", () => {
+      const output = run("create-android", "FoodDeliveryWidget");
+      expect(output).toContain(
+        'LiveActivityLayoutRegistry.register("FoodDelivery", FoodDeliveryLayout())',
+      );
+      // Only the placeholder arguments of the usage snippet may read undefined
+      expect(output.replace(/ {2}undefined, \/\/ \w+/g, "")).not.toContain("undefined");
+      expect(output).not.toContain("registerBridge");
+
+      const layout = read(...sourceDir, "FoodDeliveryLayout.kt");
+      expect(layout).toMatch(/^package com\.shop\n/);
+      expect(layout).toContain("class FoodDeliveryLayout : LiveActivityLayout {");
+      expect(layout).toContain(
+        'LiveActivityLayoutRegistry.register("FoodDelivery", FoodDeliveryLayout())',
+      );
+      expect(layout).toContain("R.layout.live_activity_food_delivery)");
+      expect(layout).toContain("R.layout.live_activity_food_delivery_expanded)");
+
+      expect(layout).not.toContain("{{");
+
+      expect(fs.readdirSync(path.join(projectRoot, ...layoutDir)).sort()).toEqual([
+        "live_activity_food_delivery.xml",
+        "live_activity_food_delivery_expanded.xml",
+      ]);
+      for (const fileName of fs.readdirSync(path.join(projectRoot, ...layoutDir))) {
+        const view = read(...layoutDir, fileName);
+        expect(view).toContain("bound by FoodDeliveryLayout.kt");
+        expect(view).not.toContain("{{");
+      }
+    });
+
+    it("keeps files that already exist", () => {
+      fs.mkdirSync(path.join(projectRoot, ...sourceDir), { recursive: true });
+      fs.writeFileSync(path.join(projectRoot, ...sourceDir, "FoodDeliveryLayout.kt"), "// Edited");
+
+      expect(run("create-android", "FoodDelivery")).toContain(
+        "Skipped existing file: FoodDeliveryLayout.kt",
+      );
+      expect(read(...sourceDir, "FoodDeliveryLayout.kt")).toBe("// Edited");
+      expect(
+        fs.existsSync(path.join(projectRoot, ...layoutDir, "live_activity_food_delivery.xml")),
+      ).toBe(true);
+    });
+
+    it("fails without an Android app module", () => {
+      fs.rmSync(path.join(projectRoot, "android"), { recursive: true });
+
+      expect(runFailing("create-android", "FoodDelivery")).toContain(
+        "android/app/build.gradle not found",
+      );
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/** Where the order is */
+export type DeliveryStatus = "preparing" | "en-route" | "delivered";
+
+export enum Vehicle {
+  Bike = "bike",
+  Car = "car",
+  CARGO_BIKE = "cargo-bike",
+}
+
+export enum Priority {
+  Low = 1,
+  Normal = 2,
+  High = 3,
+}
+
+export interface Courier {
+  name: string;
+  /** Shown as a call button */
+  phone?: string;
+  vehicle: Vehicle;
+  location: { latitude: number; longitude: number } | null;
+}
+
+/** Content state of the delivery activity, passed as `data` */
+export interface DeliveryContentState {
+  status: DeliveryStatus;
+  /** Estimated arrival */
+  eta?: Date;
+  courier: Courier;
+  items: Array<{ name: string; quantity: number }>;
+  stops: readonly string[];
+  priority: Priority;
+  isPaid: boolean;
+  tip: number | undefined;
+  default: "express" | "standard";
+  labels: Record<string, string>;
+}
@@ -0,0 +1,158 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { generateSwiftAttributes, parseActivitySchemas } = require("../swift-codegen");
+const { parseSwiftTypes } = require("../swift-validate");
+const { renderWidgetTemplate } = require("../widget-extension");
+
+const FIXTURE = path.join(__dirname, "fixtures", "delivery.live-activity.ts");
+const SOURCE_PATH = "src/delivery.live-activity.ts";
+
+function parse(source) {
+  return parseActivitySchemas(source, SOURCE_PATH);
+}
+
+describe("parseActivitySchemas", () => {
+  it("maps TypeScript types to Swift", () => {
+    const [schema] = parse(fs.readFileSync(FIXTURE, "utf8"));
+    const field = (name) => schema.contentState.fields.find((item) => item.name === name);
+
+    expect(schema.activityName).toBe("Delivery");
+    expect(field("eta")).toMatchObject({
+      type: { kind: "primitive", name: "Date" },
+      optional: true,
+      doc: "Estimated arrival",
+      line: 28,
+    });
+    expect(field("tip")).toMatchObject({ type: { name: "Double" }, optional: true });
+    expect(field("stops").type).toEqual({
+      kind: "array",
+      element: { kind: "primitive", name: "String" },
+    });
+    expect(field("labels").type).toEqual({
+      kind: "dictionary",
+      value: { kind: "primitive", name: "String" },
+    });
+    expect(schema.types.map((type) => type.name)).toEqual([
+      "DeliveryStatus",
+      "Courier",
+      "Vehicle",
+      "Location",
+      "Item",
+      "Priority",
+      "Default",
+    ]);
+  });
+
+  it("reads one schema per content state", () => {
+    const schemas = parse(`
+      export interface TimerContentState { endsAt: Date }
+      export interface ScoreContentState { home: number; away: number }
+      export interface Unrelated { name: string }
+    `);
+
+    expect(schemas.map((schema) => schema.activityName)).toEqual(["Timer", "Score"]);
+  });
+
+  it("shares types referenced more than once", () => {
+    const [schema] = parse(`
+      interface Team { name: string }
+      export interface ScoreContentState { home: Team; away: Team; history: Team[] }
+    `);
+
+    expect(schema.types).toHaveLength(1);
+  });
+
+  it.each([
+    ["any", "export interface AContentState {\n  value: any;\n}", 2, 'Unsupported type "any"'],
+    [
+      "mixed unions",
+      "export interface AContentState {\n  value: string | number;\n}",
+      2,
+      "Only unions of string literals are supported",
+    ],
+    [
+      "unknown types",
+      "export interface AContentState {\n\n  value: Money;\n}",
+      3,
+      'Unknown type "Money"',
+    ],
+    [
+      "methods",
+      "export interface AContentState {\n  format(): string;\n}",
+      2,
+      "Only properties are supported in AContentState",
+    ],
+    [
+      "reserved names",
+      "interface Data { id: string }\nexport interface AContentState {\n  data: Data;\n}",
+      1,
+      '"Data" is reserved',
+    ],
+    [
+      "library fields",
+      "export interface AContentState {\n  id: string;\n  state: string;\n}",
+      3,
+      '"state" is set by the library',
+    ],
+  ])("reports %s with their line", (_, source, line, message) => {
+    expect(() => parse(source)).toThrow(
+      expect.objectContaining({
+        name: "SchemaError",
+        line,
+        message: expect.stringContaining(`${SOURCE_PATH}:${line}: ${message}`),
+      }),
+    );
+  });
+
+  it("requires a content state interface", () => {
+    expect(() => parse("export interface Delivery { id: string }")).toThrow(
+      "no interface named {Activity}ContentState found",
+    );
+  });
+});
+
+describe("generateSwiftAttributes", () => {
+  it("generates Codable attributes and a library bridge", () => {
+    const [schema] = parse(fs.readFileSync(FIXTURE, "utf8"));
+
+    expect(generateSwiftAttributes(schema)).toMatchSnapshot();
+  });
+
+  it("names enum cases after their values", () => {
+    const [schema] = parse(`
+      export interface AContentState {
+        phase: "IN_TRANSIT" | "out for delivery" | "2fa" | "default";
+      }
+    `);
+
+    expect(generateSwiftAttributes(schema)).toContain(`    enum Phase: String, Codable, Hashable {
+        case inTransit = "IN_TRANSIT"
+        case outForDelivery = "out for delivery"
+        case _2fa = "2fa"
+        case \`default\`
+    }`);
+  });
+
+  it("keeps the fields the scaffolded view reads", () => {
+    const [schema] = parse(fs.readFileSync(FIXTURE, "utf8"));
+    const generated = generateSwiftAttributes(schema);
+    const view = renderWidgetTemplate("LiveActivity.template.swift", {
+      widgetName: "DeliveryWidget",
+      activityName: "Delivery",
+    });
+
+    const fields = parseSwiftTypes(generated)
+      .get("DeliveryAttributes.ContentState")
+      .fields.map((field) => field.name);
+    const read = new Set([...view.matchAll(/context\.state\.(\w+)/g)].map((match) => match[1]));
+    expect([...read].sort()).toEqual(["relevanceScore", "state"]);
+    expect([...read].filter((name) => !fields.includes(name))).toEqual([]);
+
+    // The view's preview calls the placeholder initializer
+    expect(view).toContain(`DeliveryAttributes.ContentState(
+        state: "active",
+        relevanceScore: 0.75
+    )`);
+    expect(generated).toContain("init(state: String, relevanceScore: Double? = nil) {");
+  });
+});
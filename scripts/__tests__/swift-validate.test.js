@@ -0,0 +1,118 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { generateSwiftAttributes, parseActivitySchemas } = require("../swift-codegen");
+const { parseSwiftTypes, validateSwiftAttributes } = require("../swift-validate");
+
+const FIXTURE = path.join(__dirname, "fixtures", "delivery.live-activity.ts");
+const SOURCE_PATH = "src/delivery.live-activity.ts";
+const SWIFT_PATH = "ios/DeliveryWidget/DeliveryAttributes.swift";
+
+describe("validateSwiftAttributes", () => {
+  const [schema] = parseActivitySchemas(fs.readFileSync(FIXTURE, "utf8"), SOURCE_PATH);
+  const generated = generateSwiftAttributes(schema, SOURCE_PATH);
+
+  function validate(swift) {
+    return validateSwiftAttributes(schema, swift, SWIFT_PATH);
+  }
+
+  function lineOf(swift, text) {
+    return swift.split("\n").findIndex((line) => line.includes(text)) + 1;
+  }
+
+  it("accepts the generated attributes", () => {
+    expect(validate(generated)).toEqual([]);
+  });
+
+  it("reads stored properties and enum raw values", () => {
+    const types = parseSwiftTypes(generated);
+
+    expect(types.get("DeliveryAttributes.ContentState").fields.map((field) => field.name)).toEqual([
+      "state",
+      "relevanceScore",
+      "timestamp",
+      "status",
+      "eta",
+      "courier",
+      "items",
+      "stops",
+      "priority",
+      "isPaid",
+      "tip",
+      "default",
+      "labels",
+    ]);
+    expect(types.get("DeliveryAttributes.Priority").cases.map((item) => item.rawValue)).toEqual([
+      1, 2, 3,
+    ]);
+  });
+
+  it("reports changed types at the Swift line", () => {
+    const swift = generated.replace("var eta: Date?", "var eta: Date");
+
+    expect(validate(swift)).toEqual([
+      {
+        fileName: SWIFT_PATH,
+        line: lineOf(swift, "var eta: Date"),
+        message: `eta is Date in Swift but Date? in TypeScript (${SOURCE_PATH}:28)`,
+      },
+    ]);
+  });
+
+  it("accepts equivalent spellings", () => {
+    const swift = generated
+      .replace("var eta: Date?", "var eta: Optional<Foundation.Date>")
+      .replace("var stops: [String]", "var stops: Array<Swift.String>");
+
+    expect(validate(swift)).toEqual([]);
+  });
+
+  it("reports missing and extra fields", () => {
+    const swift = generated
+      .replace(/\n +var isPaid: Bool\n/, "\n")
+      .replace("var tip: Double?", "var tip: Double?\n        var discount: Double");
+
+    expect(validate(swift)).toEqual([
+      expect.objectContaining({
+        line: lineOf(swift, "struct ContentState"),
+        message: expect.stringMatching(/^ContentState is missing isPaid: Bool \(src\/delivery/),
+      }),
+      expect.objectContaining({
+        line: lineOf(swift, "var discount"),
+        message: expect.stringMatching(/^discount isn't in DeliveryContentState/),
+      }),
+    ]);
+  });
+
+  it("expects the library's fields", () => {
+    const swift = generated.replace(/\n +var relevanceScore: Double\?\n/, "\n");
+
+    expect(validate(swift)).toEqual([
+      expect.objectContaining({
+        line: lineOf(swift, "struct ContentState"),
+        message: expect.stringMatching(/^ContentState is missing relevanceScore: Double\?/),
+      }),
+    ]);
+  });
+
+  it("checks nested structs and enums", () => {
+    const swift = generated
+      .replace('case cargoBike = "cargo-bike"', 'case cargoBike = "cargo_bike"')
+      .replace("var phone: String?", "var phone: Int?");
+
+    expect(validate(swift).map(({ line, message }) => [line, message.split(" (")[0]])).toEqual([
+      [lineOf(swift, "var phone"), "phone is Int? in Swift but String? in TypeScript"],
+      [lineOf(swift, "enum Vehicle"), 'Vehicle is missing a case for "cargo-bike"'],
+      [lineOf(swift, "case cargoBike"), 'Vehicle.cargoBike = "cargo_bike" isn\'t in TypeScript'],
+    ]);
+  });
+
+  it("reports a missing content state on the first line", () => {
+    expect(validate("struct DeliveryAttributes {}")).toEqual([
+      {
+        fileName: SWIFT_PATH,
+        line: 1,
+        message: "DeliveryAttributes.ContentState isn't declared",
+      },
+    ]);
+  });
+});
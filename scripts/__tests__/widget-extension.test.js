@@ -0,0 +1,315 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { build, getObject, parse, sectionEntries, unquote } = require("../pbxproj");
+const {
+  addWidgetExtension,
+  buildEntitlements,
+  renderPayloadDecoding,
+  writeWidgetFiles,
+} = require("../widget-extension");
+const WidgetWizard = require("../widget-wizard");
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+
+const EXAMPLE_PROJECT = path.join(
+  __dirname,
+  "../../example/ios/DynamicActivitiesExample.xcodeproj/project.pbxproj",
+);
+
+const widgetOptions = {
+  widgetName: "HelloWorldWidget",
+  bundleId: "com.example.helloworld.widget",
+  activityName: "Delivery",
+  mainTargetName: "HelloWorld",
+};
+
+function target(hash, name) {
+  return sectionEntries(hash.project.objects, "PBXNativeTarget").find(
+    ([, nativeTarget]) => unquote(nativeTarget.name) === name,
+  );
+}
+
+function resolve(hash, items) {
+  return items.map((item) => getObject(hash.project.objects, item.value ?? item));
+}
+
+describe("pbxproj", () => {
+  it("round-trips Xcode projects unchanged", () => {
+    const expo = fixture("expo.pbxproj");
+    const example = fs.readFileSync(EXAMPLE_PROJECT, "utf8");
+
+    expect(build(parse(expo))).toBe(expo);
+    expect(build(parse(example))).toBe(example);
+  });
+
+  it("parses into the xcode package's shape", () => {
+    const hash = parse(fixture("expo.pbxproj"));
+    const [uuid, app] = target(hash, "HelloWorld");
+
+    expect(hash.project.rootObject).toBe("83CBB9F71A601CBA00E9B192");
+    expect(hash.project.objects.PBXNativeTarget[`${uuid}_comment`]).toBe("HelloWorld");
+    expect(app.productType).toBe('"com.apple.product-type.application"');
+    expect(app.buildPhases[0]).toEqual({
+      value: "08A4A3CD28434E44B6B9DE2E",
+      comment: "[CP] Check Pods Manifest.lock",
+    });
+  });
+});
+
+describe("addWidgetExtension", () => {
+  it("adds the extension target to an Expo project", () => {
+    const hash = parse(fixture("expo.pbxproj"));
+
+    expect(addWidgetExtension(hash, widgetOptions)).toBe(true);
+    expect(build(hash)).toBe(fixture("expo.widget.pbxproj"));
+  });
+
+  it("configures the extension like Xcode's Widget Extension template", () => {
+    const hash = parse(fixture("expo.pbxproj"));
+    addWidgetExtension(hash, widgetOptions);
+
+    const [, widget] = target(hash, "HelloWorldWidget");
+    expect(unquote(widget.productType)).toBe("com.apple.product-type.app-extension");
+
+    const phases = resolve(hash, widget.buildPhases);
+    expect(phases.map((phase) => phase.isa)).toEqual([
+      "PBXSourcesBuildPhase",
+      "PBXFrameworksBuildPhase",
+      "PBXResourcesBuildPhase",
+    ]);
+    expect(phases[0].files.map((file) => file.comment)).toEqual([
+      "HelloWorldWidgetBundle.swift in Sources",
+      "DeliveryLiveActivity.swift in Sources",
+      "DeliveryAttributes.swift in Sources",
+    ]);
+    expect(phases[1].files.map((file) => file.comment)).toEqual([
+      "WidgetKit.framework in Frameworks",
+      "SwiftUI.framework in Frameworks",
+    ]);
+
+    const configurationList = getObject(hash.project.objects, widget.buildConfigurationList);
+    const configurations = resolve(hash, configurationList.buildConfigurations);
+    expect(configurations.map((configuration) => configuration.name)).toEqual(["Debug", "Release"]);
+    for (const { buildSettings } of configurations) {
+      expect(buildSettings).toMatchObject({
+        PRODUCT_BUNDLE_IDENTIFIER: "com.example.helloworld.widget",
+        INFOPLIST_FILE: "HelloWorldWidget/Info.plist",
+        CODE_SIGN_ENTITLEMENTS: "HelloWorldWidget/HelloWorldWidget.entitlements",
+        IPHONEOS_DEPLOYMENT_TARGET: "16.2",
+        MARKETING_VERSION: "1.0",
+        CURRENT_PROJECT_VERSION: "1",
+      });
+    }
+  });
+
+  it("embeds the extension in the app and compiles the attributes into it", () => {
+    const hash = parse(fixture("expo.pbxproj"));
+    addWidgetExtension(hash, widgetOptions);
+
+    const [widgetUuid] = target(hash, "HelloWorldWidget");
+    const [, app] = target(hash, "HelloWorld");
+    const phases = resolve(hash, app.buildPhases);
+
+    const [dependency] = resolve(hash, app.dependencies);
+    expect(dependency.target).toBe(widgetUuid);
+
+    const embed = phases.find((phase) => phase.isa === "PBXCopyFilesBuildPhase");
+    expect(embed).toMatchObject({ dstSubfolderSpec: "13", name: '"Embed App Extensions"' });
+    expect(embed.files.map((file) => file.comment)).toEqual([
+      "HelloWorldWidget.appex in Embed App Extensions",
+    ]);
+
+    const sources = phases.find((phase) => phase.isa === "PBXSourcesBuildPhase");
+    expect(sources.files.map((file) => file.comment)).toContain(
+      "DeliveryAttributes.swift in Sources",
+    );
+  });
+
+  it("is idempotent across runs", () => {
+    const hash = parse(fixture("expo.widget.pbxproj"));
+
+    expect(addWidgetExtension(hash, widgetOptions)).toBe(false);
+    expect(build(hash)).toBe(fixture("expo.widget.pbxproj"));
+  });
+
+  it("shares the embed phase and framework references between extensions", () => {
+    const hash = parse(fixture("expo.widget.pbxproj"));
+    addWidgetExtension(hash, {
+      ...widgetOptions,
+      widgetName: "OrdersWidget",
+      bundleId: "com.example.helloworld.orders",
+      activityName: "Order",
+    });
+
+    const [, app] = target(hash, "HelloWorld");
+    const embedPhases = resolve(hash, app.buildPhases).filter(
+      (phase) => phase.isa === "PBXCopyFilesBuildPhase",
+    );
+    expect(embedPhases).toHaveLength(1);
+    expect(embedPhases[0].files).toHaveLength(2);
+
+    const frameworks = sectionEntries(hash.project.objects, "PBXFileReference").filter(
+      ([, file]) => file.name === "WidgetKit.framework",
+    );
+    expect(frameworks).toHaveLength(1);
+  });
+
+  it("works with bare React Native projects", () => {
+    const hash = parse(fs.readFileSync(EXAMPLE_PROJECT, "utf8"));
+    addWidgetExtension(hash, {
+      widgetName: "ExampleWidget",
+      bundleId: "com.dynamicactivitiesexample.widget",
+      activityName: "Timer",
+    });
+
+    const [, widget] = target(hash, "ExampleWidget");
+    const configurationList = getObject(hash.project.objects, widget.buildConfigurationList);
+    const [debug] = resolve(hash, configurationList.buildConfigurations);
+
+    // Signed with the app's team
+    expect(debug.buildSettings.DEVELOPMENT_TEAM).toBe("8Y2L2HA25J");
+    expect(build(parse(build(hash)))).toBe(build(hash));
+  });
+
+  it("throws without an app target", () => {
+    const hash = parse(fixture("expo.pbxproj"));
+    const [, app] = target(hash, "HelloWorld");
+    app.productType = '"com.apple.product-type.framework"';
+
+    expect(() => addWidgetExtension(hash, widgetOptions)).toThrow("No application target");
+  });
+});
+
+describe("writeWidgetFiles", () => {
+  let widgetDir;
+
+  beforeEach(() => {
+    widgetDir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "widget-")), "HelloWorldWidget");
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(widgetDir), { recursive: true, force: true });
+  });
+
+  it("writes the sources from the templates", () => {
+    const written = writeWidgetFiles(widgetDir, widgetOptions);
+
+    expect(written.sort()).toEqual([
+      "DeliveryAttributes.swift",
+      "DeliveryLiveActivity.swift",
+      "HelloWorldWidget.entitlements",
+      "HelloWorldWidgetBundle.swift",
+      "Info.plist",
+    ]);
+
+    const bundle = fs.readFileSync(path.join(widgetDir, "HelloWorldWidgetBundle.swift"), "utf8");
+    expect(bundle).toContain("struct HelloWorldWidgetBundle: WidgetBundle");
+    expect(bundle).toContain("DeliveryLiveActivity()");
+    expect(bundle).not.toContain("{{");
+  });
+
+  it("keeps files that already exist", () => {
+    writeWidgetFiles(widgetDir, widgetOptions);
+    const livePath = path.join(widgetDir, "DeliveryLiveActivity.swift");
+    fs.writeFileSync(livePath, "// edited");
+
+    expect(writeWidgetFiles(widgetDir, widgetOptions)).toEqual([]);
+    expect(fs.readFileSync(livePath, "utf8")).toBe("// edited");
+  });
+
+  it("applies the app's entitlements and Info.plist keys", () => {
+    const shared = {
+      ...widgetOptions,
+      entitlements: {
+        "aps-environment": "development",
+        "com.apple.security.application-groups": ["group.com.example.helloworld"],
+      },
+      infoPlist: { NSSupportsLiveActivitiesFrequentUpdates: true },
+    };
+    writeWidgetFiles(widgetDir, widgetOptions);
+
+    expect(writeWidgetFiles(widgetDir, shared).sort()).toEqual([
+      "HelloWorldWidget.entitlements",
+      "Info.plist",
+    ]);
+    expect(fs.readFileSync(path.join(widgetDir, "HelloWorldWidget.entitlements"), "utf8")).toBe(
+      buildEntitlements(shared.entitlements),
+    );
+    const infoPlist = fs.readFileSync(path.join(widgetDir, "Info.plist"), "utf8");
+    expect(infoPlist).toContain(
+      "    <key>NSSupportsLiveActivitiesFrequentUpdates</key>\n    <true/>\n</dict>",
+    );
+    expect(writeWidgetFiles(widgetDir, shared)).toEqual([]);
+
+    writeWidgetFiles(widgetDir, {
+      ...shared,
+      infoPlist: { NSSupportsLiveActivitiesFrequentUpdates: false },
+    });
+    expect(fs.readFileSync(path.join(widgetDir, "Info.plist"), "utf8")).toBe(
+      infoPlist.replace(
+        "<key>NSSupportsLiveActivitiesFrequentUpdates</key>\n    <true/>",
+        "<key>NSSupportsLiveActivitiesFrequentUpdates</key>\n    <false/>",
+      ),
+    );
+  });
+});
+
+describe("buildEntitlements", () => {
+  it("writes entitlements like Xcode", () => {
+    expect(
+      buildEntitlements({
+        "com.apple.security.application-groups": ["group.com.example.a", "group.com.example.b"],
+        "aps-environment": "production",
+      }),
+    ).toBe(`<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+<dict>
+\t<key>aps-environment</key>
+\t<string>production</string>
+\t<key>com.apple.security.application-groups</key>
+\t<array>
+\t\t<string>group.com.example.a</string>
+\t\t<string>group.com.example.b</string>
+\t</array>
+</dict>
+</plist>
+`);
+  });
+});
+
+describe("renderPayloadDecoding", () => {
+  let widgetDir;
+
+  beforeEach(() => {
+    widgetDir = fs.mkdtempSync(path.join(os.tmpdir(), "widget-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(widgetDir, { recursive: true, force: true });
+  });
+
+  it("is the decodePayload extension of the attributes template", () => {
+    writeWidgetFiles(widgetDir, widgetOptions);
+    const attributes = fs.readFileSync(path.join(widgetDir, "DeliveryAttributes.swift"), "utf8");
+    const decoding = renderPayloadDecoding("Delivery");
+
+    expect(decoding).toMatch(
+      /^\/\/ MARK: - Custom State\nextension DeliveryAttributes.ContentState \{/,
+    );
+    expect(decoding).toContain("func decodePayload<T: Decodable>");
+    expect(attributes).toContain(decoding);
+  });
+
+  it("is shared with the wizard's attributes", async () => {
+    await new WidgetWizard().generateAdvancedAttributes(widgetDir, {
+      activityName: "Ride",
+      features: ["progress"],
+    });
+    const attributes = fs.readFileSync(path.join(widgetDir, "RideAttributes.swift"), "utf8");
+
+    expect(attributes).toContain(renderPayloadDecoding("Ride"));
+    expect(attributes.match(/func decodePayload/g)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,95 @@
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { parse, sectionEntries, unquote } = require("../pbxproj");
+const XcodeManager = require("../xcode-manager");
+
+const EXAMPLE_PROJECT = path.join(
+  __dirname,
+  "../../example/ios/DynamicActivitiesExample.xcodeproj/project.pbxproj",
+);
+
+describe("XcodeManager", () => {
+  let projectRoot;
+  let pbxprojPath;
+  let manager;
+
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), "xcode-manager-"));
+    const xcodeprojDir = path.join(projectRoot, "ios", "DynamicActivitiesExample.xcodeproj");
+    fs.mkdirSync(xcodeprojDir, { recursive: true });
+    pbxprojPath = path.join(xcodeprojDir, "project.pbxproj");
+    fs.copyFileSync(EXAMPLE_PROJECT, pbxprojPath);
+
+    manager = new XcodeManager();
+    manager.projectRoot = projectRoot;
+    manager.iosDir = path.join(projectRoot, "ios");
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  function widgetTarget() {
+    const { project } = parse(fs.readFileSync(pbxprojPath, "utf8"));
+    return sectionEntries(project.objects, "PBXNativeTarget").find(
+      ([, target]) => unquote(target.name) === "TimerWidget",
+    )?.[1];
+  }
+
+  it("adds the extension target to a bare React Native project", async () => {
+    await expect(manager.setupWidget("TimerWidget", undefined, [], "Timer")).resolves.toBe(true);
+
+    expect(unquote(widgetTarget().productType)).toBe("com.apple.product-type.app-extension");
+    expect(fs.readdirSync(path.join(projectRoot, "ios", "TimerWidget")).sort()).toEqual([
+      "Info.plist",
+      "TimerAttributes.swift",
+      "TimerLiveActivity.swift",
+      "TimerWidget.entitlements",
+      "TimerWidgetBundle.swift",
+    ]);
+    expect(fs.existsSync(path.join(projectRoot, "ios", "WIDGET_SETUP_INSTRUCTIONS.md"))).toBe(
+      false,
+    );
+
+    const content = fs.readFileSync(pbxprojPath, "utf8");
+    expect(content).toContain("PRODUCT_BUNDLE_IDENTIFIER = com.dynamicactivitiesexample.widget;");
+  });
+
+  it("uses the scaffolded activity name and leaves the project alone on a second run", async () => {
+    const widgetDir = path.join(projectRoot, "ios", "TimerWidget");
+    fs.mkdirSync(widgetDir);
+    fs.writeFileSync(path.join(widgetDir, "CountdownAttributes.swift"), "// scaffolded");
+
+    await manager.setupWidget("TimerWidget", "com.example.timer", []);
+    const content = fs.readFileSync(pbxprojPath, "utf8");
+    expect(content).toContain("CountdownLiveActivity.swift in Sources");
+    expect(fs.readFileSync(path.join(widgetDir, "CountdownAttributes.swift"), "utf8")).toBe(
+      "// scaffolded",
+    );
+
+    await expect(manager.setupWidget("TimerWidget", "com.example.timer", [])).resolves.toBe(true);
+    expect(fs.readFileSync(pbxprojPath, "utf8")).toBe(content);
+  });
+
+  it("falls back to instructions for projects it cannot write back unchanged", async () => {
+    const original = fs.readFileSync(pbxprojPath, "utf8").replace(/\t/g, "  ");
+    fs.writeFileSync(pbxprojPath, original);
+
+    await expect(manager.setupWidget("TimerWidget", undefined, [], "Timer")).resolves.toBe(false);
+
+    expect(fs.readFileSync(pbxprojPath, "utf8")).toBe(original);
+    expect(fs.existsSync(path.join(projectRoot, "ios", "WIDGET_SETUP_INSTRUCTIONS.md"))).toBe(true);
+  });
+
+  it("verifies the target it added", async () => {
+    await expect(manager.verify("TimerWidget")).resolves.toBe(false);
+
+    await manager.setupWidget("TimerWidget", undefined, [], "Timer");
+
+    await expect(manager.verify("TimerWidget")).resolves.toBe(true);
+  });
+});
@@ -8,6 +8,10 @@
 const { program } = require("commander");
 const path = require("node:path");
 const fs = require("node:fs");
+const { generateFromFile } = require("./swift-codegen");
+const { validateFile } = require("./swift-validate");
+const { getWidgetFiles, renderWidgetTemplate } = require("./widget-extension");
+const XcodeManager = require("./xcode-manager");
 
 // Color output helpers
 const colors = {
@@ -32,6 +36,8 @@ class DynamicActivitiesCLI {
   constructor() {
     this.projectRoot = process.cwd();
     this.iosDir = path.join(this.projectRoot, "ios");
+    this.androidAppDir = path.join(this.projectRoot, "android", "app");
+    this.templatesDir = path.join(__dirname, "..", "templates", "android");
   }
 
   /**
@@ -327,84 +333,12 @@ struct ${config.activityName}LiveActivity_Previews: PreviewProvider {
   }
 
   /**
-   * Generates the Activity Attributes
+   * Generates the Activity Attributes from `templates/widget/`, with the
+   * LiveActivityBridge conformance the app registers
    */
   generateActivityAttributes(widgetDir, config) {
-    const template = `import ActivityKit
-import Foundation
-
-// MARK: - Activity Attributes
-struct ${config.activityName}Attributes: ActivityAttributes {
-    public struct ContentState: Codable, Hashable {
-        /// Current state of the activity (e.g., "active", "paused", "ended")
-        var state: String
-        
-        /// Optional relevance score for Dynamic Island priority (0.0 - 1.0)
-        var relevanceScore: Double?
-        
-        /// Optional timestamp for the state change
-        var timestamp: Date?
-        
-        public init(state: String, relevanceScore: Double? = nil, timestamp: Date? = nil) {
-            self.state = state
-            self.relevanceScore = relevanceScore
-            self.timestamp = timestamp
-        }
-    }
-    
-    /// Activity title
-    var title: String
-    
-    /// Activity description/body text
-    var body: String
-    
-    /// Optional metadata
-    var metadata: [String: String]?
-    
-    public init(title: String, body: String, metadata: [String: String]? = nil) {
-        self.title = title
-        self.body = body
-        self.metadata = metadata
-    }
-}
-
-// MARK: - Type Mapping Helper
-extension ${config.activityName}Attributes {
-    /// Maps JavaScript LiveActivityAttributes to Swift ActivityAttributes
-    static func from(jsAttributes: [String: Any]) -> ${config.activityName}Attributes? {
-        guard let title = jsAttributes["title"] as? String,
-              let body = jsAttributes["body"] as? String else {
-            return nil
-        }
-        
-        let metadata = jsAttributes["metadata"] as? [String: String]
-        
-        return ${config.activityName}Attributes(
-            title: title,
-            body: body,
-            metadata: metadata
-        )
-    }
-    
-    /// Maps JavaScript LiveActivityContent to Swift ContentState
-    static func contentStateFrom(jsContent: [String: Any]) -> ContentState? {
-        guard let state = jsContent["state"] as? String else {
-            return nil
-        }
-        
-        let relevanceScore = jsContent["relevanceScore"] as? Double
-        let timestamp = jsContent["timestamp"] as? Date
-        
-        return ContentState(
-            state: state,
-            relevanceScore: relevanceScore,
-            timestamp: timestamp
-        )
-    }
-}
-`;
     const filePath = path.join(widgetDir, `${config.activityName}Attributes.swift`);
-    fs.writeFileSync(filePath, template);
+    fs.writeFileSync(filePath, renderWidgetTemplate("ActivityAttributes.template.swift", config));
     log.success(`Generated: ${config.activityName}Attributes.swift`);
   }
 
@@ -463,7 +397,12 @@ extension ${config.activityName}Attributes {
     console.log(`  📄 ${config.activityName}Attributes.swift`);
     console.log("  📄 Info.plist\n");
 
-    console.log(`${colors.yellow}${colors.bold}Manual Xcode Setup Required:${colors.reset}`);
+    console.log(`${colors.yellow}${colors.bold}Add the Widget Extension target:${colors.reset}`);
+    console.log(
+      `  ${colors.bold}npx react-native-dynamic-activities setup-xcode ${config.widgetName} --activity=${config.activityName}${colors.reset}\n`,
+    );
+
+    console.log(`${colors.yellow}${colors.bold}Or set it up manually:${colors.reset}`);
     console.log(
       `${colors.cyan}1.${colors.reset} Open your project in ${colors.bold}Xcode${colors.reset}`,
     );
@@ -488,6 +427,13 @@ extension ${config.activityName}Attributes {
       `${colors.cyan}9.${colors.reset} Add "${colors.bold}Live Activities${colors.reset}" capability to your main app target\n`,
     );
 
+    console.log(
+      `${colors.yellow}${colors.bold}Register the attributes at app launch:${colors.reset}`,
+    );
+    console.log(
+      `  ${colors.bold}LiveActivityBridgeRegistry.shared.registerBridge(${config.activityName}Attributes.self, for: "${config.activityName}")${colors.reset}\n`,
+    );
+
     console.log(`${colors.blue}${colors.bold}Usage in React Native:${colors.reset}`);
     console.log(
       `${colors.reset}// Your attributes should match ${config.activityName}Attributes${colors.reset}`,
@@ -514,6 +460,297 @@ extension ${config.activityName}Attributes {
     console.log("• Update your TypeScript types to match Swift ActivityAttributes");
     console.log("• Check the documentation for more advanced features\n");
   }
+
+  /**
+   * Gets the Android application package from android/app/build.gradle
+   */
+  getAndroidPackage() {
+    if (!fs.existsSync(path.join(this.projectRoot, "package.json"))) {
+      throw new Error(
+        "Not in a React Native project root. Please run this command from your React Native project's root directory.",
+      );
+    }
+
+    const gradleFile = ["build.gradle", "build.gradle.kts"]
+      .map((file) => path.join(this.androidAppDir, file))
+      .find((file) => fs.existsSync(file));
+
+    if (!gradleFile) {
+      throw new Error(
+        "android/app/build.gradle not found. Make sure you're in a React Native project root with an android/ directory.",
+      );
+    }
+
+    const gradle = fs.readFileSync(gradleFile, "utf8");
+    const match =
+      gradle.match(/namespace\s*=?\s*["']([\w.]+)["']/) ||
+      gradle.match(/applicationId\s*=?\s*["']([\w.]+)["']/);
+
+    if (!match) {
+      throw new Error(`Could not find namespace or applicationId in ${path.basename(gradleFile)}`);
+    }
+
+    return match[1];
+  }
+
+  /**
+   * Gets Android layout configuration from command line args or defaults
+   */
+  getAndroidLayoutConfig(name) {
+    const activityType = (name || "Example").replace(/(Widget|Activity|Layout)$/, "");
+    const packageName = this.getAndroidPackage();
+    const snakeName = activityType
+      .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+      .replace(/[^A-Za-z0-9_]/g, "_")
+      .toLowerCase();
+
+    return {
+      activityType,
+      packageName,
+      className: `${activityType}Layout`,
+      layoutName: `live_activity_${snakeName}`,
+      sourceDir: path.join(this.androidAppDir, "src", "main", "java", ...packageName.split(".")),
+      layoutDir: path.join(this.androidAppDir, "src", "main", "res", "layout"),
+    };
+  }
+
+  /**
+   * Generates Swift ActivityAttributes from TypeScript content state types
+   */
+  generateAttributes(file, options) {
+    try {
+      log.title("React Native Dynamic Activities - Attributes Generator");
+
+      const sourcePath = path.resolve(this.projectRoot, file);
+      for (const { fileName, content } of generateFromFile(sourcePath, this.projectRoot)) {
+        const outDir = options.out
+          ? path.resolve(this.projectRoot, options.out)
+          : this.findAttributesDir(fileName);
+        const outPath = path.join(outDir, fileName);
+
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(outPath, content);
+        log.success(`Generated ${path.relative(this.projectRoot, outPath)}`);
+      }
+    } catch (error) {
+      log.error(`Failed to generate attributes: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Checks that Swift attributes still match the TypeScript content state
+   * types, and that the widget holding them has its other files
+   */
+  validateAttributes(files, options) {
+    const issues = [];
+    let sourcePaths;
+    try {
+      log.title("React Native Dynamic Activities - Attributes Validator");
+
+      sourcePaths =
+        files.length > 0
+          ? files.map((file) => path.resolve(this.projectRoot, file))
+          : this.findActivityTypeFiles();
+      const findWidgetDir = (fileName) => {
+        const widgetDir = options.dir
+          ? path.resolve(this.projectRoot, options.dir)
+          : this.findAttributesDir(fileName, "--dir");
+        issues.push(...this.findMissingWidgetFiles(widgetDir, fileName));
+        return widgetDir;
+      };
+      for (const sourcePath of sourcePaths) {
+        issues.push(...validateFile(sourcePath, findWidgetDir, this.projectRoot));
+      }
+    } catch (error) {
+      log.error(`Failed to validate attributes: ${error.message}`);
+      process.exit(1);
+    }
+
+    const sources = sourcePaths.map((sourcePath) => path.relative(this.projectRoot, sourcePath));
+    if (issues.length === 0) {
+      log.success(`Swift attributes match ${sources.join(", ")}`);
+      return;
+    }
+
+    for (const { fileName, line, message } of issues) {
+      log.error(`${fileName}${line ? `:${line}` : ""}: ${message}`);
+    }
+    const missingWidgets = [
+      ...new Set(issues.filter((issue) => issue.widgetName).map((issue) => issue.widgetName)),
+    ];
+    for (const widgetName of missingWidgets) {
+      log.info(
+        `Run create ${widgetName} to scaffold the missing widget files; it rewrites the widget's other files too`,
+      );
+    }
+    if (issues.some((issue) => !issue.widgetName)) {
+      log.info(`Run generate-attributes ${sources.join(" ")} to regenerate the Swift attributes`);
+    }
+    process.exit(1);
+  }
+
+  /**
+   * Finds the `*.live-activity.ts` files of the project, for validate without arguments
+   */
+  findActivityTypeFiles() {
+    const skipped = new Set(["node_modules", "ios", "android", "lib", "build"]);
+    const found = [];
+    const visit = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith(".") || skipped.has(entry.name)) continue;
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) visit(entryPath);
+        else if (entry.name.endsWith(".live-activity.ts")) found.push(entryPath);
+      }
+    };
+    visit(this.projectRoot);
+
+    if (found.length === 0) {
+      throw new Error(
+        "No *.live-activity.ts files found. Pass the TypeScript file with your ContentState interfaces.",
+      );
+    }
+    return found.sort();
+  }
+
+  /**
+   * Reports the widget sources scaffolded next to an attributes file that are missing
+   */
+  findMissingWidgetFiles(widgetDir, attributesFileName) {
+    const widgetName = path.basename(widgetDir);
+    const files = getWidgetFiles({
+      widgetName,
+      activityName: attributesFileName.replace(/Attributes\.swift$/, ""),
+    });
+    return [files.bundle, files.liveActivity, files.infoPlist]
+      .map((fileName) => path.join(widgetDir, fileName))
+      .filter((filePath) => !fs.existsSync(filePath))
+      .map((filePath) => ({
+        fileName: path.relative(this.projectRoot, filePath),
+        message: "widget file is missing",
+        widgetName,
+      }));
+  }
+
+  /**
+   * Finds the widget directory holding an attributes file, to regenerate it in place
+   */
+  findAttributesDir(fileName, option = "--out") {
+    const widgetDirs = fs.existsSync(this.iosDir)
+      ? fs
+          .readdirSync(this.iosDir, { withFileTypes: true })
+          .filter((entry) => entry.isDirectory())
+          .map((entry) => path.join(this.iosDir, entry.name))
+      : [];
+
+    const widgetDir = widgetDirs.find((dir) => fs.existsSync(path.join(dir, fileName)));
+    if (!widgetDir) {
+      throw new Error(`No ios/*/${fileName} found. Pass ${option} with your widget directory.`);
+    }
+    return widgetDir;
+  }
+
+  /**
+   * Creates a notification layout for an activity type on Android
+   */
+  async createAndroidLayout(name) {
+    try {
+      log.title("React Native Dynamic Activities - Android Layout Creator");
+
+      const config = this.getAndroidLayoutConfig(name);
+
+      log.info("Creating Android layout with configuration:");
+      console.log(`  ${colors.cyan}Activity Type:${colors.reset} ${config.activityType}`);
+      console.log(`  ${colors.cyan}Package:${colors.reset} ${config.packageName}`);
+      console.log(`  ${colors.cyan}Layout:${colors.reset} ${config.layoutName}\n`);
+
+      for (const dir of [config.sourceDir, config.layoutDir]) {
+        if (!fs.existsSync(dir)) {
+          fs.mkdirSync(dir, { recursive: true });
+          log.success(`Created directory: ${dir}`);
+        }
+      }
+
+      this.generateFromAndroidTemplate(
+        "LiveActivityLayout.template.kt",
+        path.join(config.sourceDir, `${config.className}.kt`),
+        config,
+      );
+      this.generateFromAndroidTemplate(
+        "live_activity.template.xml",
+        path.join(config.layoutDir, `${config.layoutName}.xml`),
+        config,
+      );
+      this.generateFromAndroidTemplate(
+        "live_activity_expanded.template.xml",
+        path.join(config.layoutDir, `${config.layoutName}_expanded.xml`),
+        config,
+      );
+
+      log.success("Android layout files generated successfully!");
+      this.showAndroidCompletionMessage(config);
+    } catch (error) {
+      log.error(`Failed to create Android layout: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Fills an Android template's placeholders and writes the result
+   */
+  generateFromAndroidTemplate(templateName, filePath, config) {
+    if (fs.existsSync(filePath)) {
+      log.warning(`Skipped existing file: ${path.basename(filePath)}`);
+      return;
+    }
+
+    const template = fs.readFileSync(path.join(this.templatesDir, templateName), "utf8");
+    const content = template
+      .replace(/{{PACKAGE_NAME}}/g, config.packageName)
+      .replace(/{{ACTIVITY_NAME}}/g, config.activityType)
+      .replace(/{{LAYOUT_NAME}}/g, config.layoutName);
+
+    fs.writeFileSync(filePath, content);
+    log.success(`Generated: ${path.basename(filePath)}`);
+  }
+
+  /**
+   * Shows completion message for Android layouts with next steps
+   */
+  showAndroidCompletionMessage(config) {
+    console.log(
+      `\n${colors.bold}${colors.green}🎉 Android Layout Created Successfully!${colors.reset}\n`,
+    );
+
+    console.log(`${colors.green}Generated Files:${colors.reset}`);
+    console.log(`  📄 ${config.className}.kt`);
+    console.log(`  📄 res/layout/${config.layoutName}.xml`);
+    console.log(`  📄 res/layout/${config.layoutName}_expanded.xml\n`);
+
+    console.log(
+      `${colors.yellow}${colors.bold}Register the layout in MainApplication.onCreate():${colors.reset}`,
+    );
+    console.log(
+      `LiveActivityLayoutRegistry.register("${config.activityType}", ${config.className}())\n`,
+    );
+
+    console.log(`${colors.blue}${colors.bold}Usage in React Native:${colors.reset}`);
+    console.log("const result = await DynamicActivities.startLiveActivity(");
+    console.log("  attributes,");
+    console.log("  content,");
+    console.log("  undefined, // pushToken");
+    console.log("  undefined, // style");
+    console.log("  undefined, // alertConfiguration");
+    console.log("  undefined, // start");
+    console.log(`  "${config.activityType}",`);
+    console.log(`);${colors.reset}\n`);
+
+    console.log(`${colors.green}${colors.bold}Next Steps:${colors.reset}`);
+    console.log(`• Customize the views in ${colors.bold}${config.layoutName}.xml${colors.reset}`);
+    console.log("• Set data.endsAt (an ISO 8601 date) in your content to show a countdown");
+    console.log("• Custom layouts aren't promoted to Live Updates on Android 16+\n");
+  }
 }
 
 // CLI Setup
@@ -531,6 +768,53 @@ program
     await cli.createWidget(name);
   });
 
+program
+  .command("setup-xcode")
+  .argument("[name]", "Widget name (e.g., DeliveryWidget)", "ExampleWidget")
+  .option(
+    "--bundle-id <id>",
+    "Bundle identifier of the extension (default: <app bundle id>.widget)",
+  )
+  .option("--activity <name>", "Activity name of the generated Swift files (default: detected)")
+  .description("Add the Widget Extension target to the Xcode project")
+  .action(async (name, options) => {
+    const manager = new XcodeManager();
+    const success = await manager.setupWidget(name, options.bundleId, [], options.activity);
+    if (!success) process.exit(1);
+  });
+
+program
+  .command("generate-attributes")
+  .argument("<file>", "TypeScript file with {Activity}ContentState interfaces")
+  .option("--out <dir>", "Directory to write to (default: the widget directory with the file)")
+  .description("Generate Swift ActivityAttributes from TypeScript content state types")
+  .action((file, options) => {
+    const cli = new DynamicActivitiesCLI();
+    cli.generateAttributes(file, options);
+  });
+
+program
+  .command("validate")
+  .argument(
+    "[files...]",
+    "TypeScript files with {Activity}ContentState interfaces (default: every *.live-activity.ts)",
+  )
+  .option("--dir <dir>", "Widget directory (default: the one with the attributes file)")
+  .description("Check that Swift ActivityAttributes match the TypeScript content state types")
+  .action((files, options) => {
+    const cli = new DynamicActivitiesCLI();
+    cli.validateAttributes(files, options);
+  });
+
+program
+  .command("create-android")
+  .argument("[name]", "Activity type name (e.g., Delivery)", "Example")
+  .description("Create a notification layout for an activity type on Android")
+  .action(async (name) => {
+    const cli = new DynamicActivitiesCLI();
+    await cli.createAndroidLayout(name);
+  });
+
 program
   .command("help")
   .description("Show help information")
@@ -0,0 +1,353 @@
+const crypto = require("node:crypto");
+
+/**
+ * Xcode project.pbxproj reader and writer
+ *
+ * Parses into the same shape as the `xcode` package, which Expo's
+ * `withXcodeProject` exposes as `project.hash`, so the same editing code works
+ * on both:
+ * - `hash.project.objects[isa][uuid]` holds each object, `[uuid + "_comment"]` its comment
+ * - A comment on an entry is stored next to it as `key + "_comment"`
+ * - Array items with a comment are `{ value, comment }`
+ * - Strings keep their quotes, e.g. `"\"$(inherited)\""`
+ */
+
+// Objects Xcode writes on a single line
+const INLINE_SECTIONS = new Set(["PBXBuildFile", "PBXFileReference"]);
+
+const COMMENT_SUFFIX = "_comment";
+
+function tokenize(text) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (text.startsWith("//", index)) {
+      const end = text.indexOf("\n", index);
+      const stop = end === -1 ? text.length : end;
+      tokens.push({ type: "lineComment", value: text.slice(index + 2, stop).trim() });
+      index = stop;
+    } else if (text.startsWith("/*", index)) {
+      const end = text.indexOf("*/", index + 2);
+      if (end === -1) throw new Error("Unterminated comment in project.pbxproj");
+      tokens.push({ type: "comment", value: text.slice(index + 2, end).trim() });
+      index = end + 2;
+    } else if (char === '"') {
+      let end = index + 1;
+      while (end < text.length && text[end] !== '"') {
+        end += text[end] === "\\" ? 2 : 1;
+      }
+      if (end >= text.length) throw new Error("Unterminated string in project.pbxproj");
+      tokens.push({ type: "string", value: text.slice(index, end + 1) });
+      index = end + 1;
+    } else if ("{}()=;,".includes(char)) {
+      tokens.push({ type: char });
+      index++;
+    } else {
+      const match = /^[^\s{}()=;,"]+/.exec(text.slice(index, index + 1024));
+      tokens.push({ type: "string", value: match[0] });
+      index += match[0].length;
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    const token = this.tokens[this.position++];
+    if (!token) throw new Error("Unexpected end of project.pbxproj");
+    return token;
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new Error(
+        `Expected "${type}" in project.pbxproj, found "${token.value ?? token.type}"`,
+      );
+    }
+    return token;
+  }
+
+  skipComments() {
+    while (this.peek()?.type === "comment") this.position++;
+  }
+
+  optionalComment() {
+    if (this.peek()?.type !== "comment") return undefined;
+    return this.next().value;
+  }
+
+  value() {
+    this.skipComments();
+    const token = this.next();
+    if (token.type === "{") return this.dict();
+    if (token.type === "(") return this.array();
+    if (token.type === "string") return token.value;
+    throw new Error(`Unexpected "${token.type}" in project.pbxproj`);
+  }
+
+  dict() {
+    const result = {};
+    for (;;) {
+      this.skipComments();
+      if (this.peek()?.type === "}") {
+        this.position++;
+        return result;
+      }
+
+      const key = this.expect("string").value;
+      const keyComment = this.optionalComment();
+      this.expect("=");
+      const value = this.value();
+      const valueComment = this.optionalComment();
+      this.expect(";");
+
+      result[key] = value;
+      const comment = keyComment ?? valueComment;
+      if (comment !== undefined) result[key + COMMENT_SUFFIX] = comment;
+    }
+  }
+
+  array() {
+    const result = [];
+    for (;;) {
+      this.skipComments();
+      if (this.peek()?.type === ")") {
+        this.position++;
+        return result;
+      }
+
+      const value = this.value();
+      const comment = this.optionalComment();
+      this.expect(",");
+      result.push(comment === undefined ? value : { value, comment });
+    }
+  }
+}
+
+function isCommentKey(key) {
+  return key.endsWith(COMMENT_SUFFIX);
+}
+
+function isDict(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Parses the contents of a project.pbxproj file
+ */
+function parse(text) {
+  const parser = new Parser(tokenize(text));
+  const head = parser.peek()?.type === "lineComment" ? parser.next().value : undefined;
+  parser.expect("{");
+  const project = parser.dict();
+
+  // Group objects by isa, like the `xcode` package does
+  const objects = {};
+  for (const [uuid, object] of Object.entries(project.objects ?? {})) {
+    if (isCommentKey(uuid)) continue;
+
+    const isa = unquote(object.isa);
+    objects[isa] ??= {};
+    objects[isa][uuid] = object;
+
+    const comment = project.objects[uuid + COMMENT_SUFFIX];
+    if (comment !== undefined) objects[isa][uuid + COMMENT_SUFFIX] = comment;
+  }
+  project.objects = objects;
+
+  return { headComment: head, project };
+}
+
+function tabs(depth) {
+  return "\t".repeat(depth);
+}
+
+function comment(text) {
+  return text === undefined ? "" : ` /* ${text} */`;
+}
+
+function entries(dict) {
+  return Object.keys(dict)
+    .filter((key) => !isCommentKey(key))
+    .map((key) => [key, dict[key], dict[key + COMMENT_SUFFIX]]);
+}
+
+function buildItem(item, depth, inline) {
+  if (isDict(item) && "value" in item && "comment" in item) {
+    return buildValue(item.value, depth, inline) + comment(item.comment);
+  }
+  return buildValue(item, depth, inline);
+}
+
+function buildValue(value, depth, inline) {
+  if (Array.isArray(value)) {
+    if (inline) {
+      return `(${value.map((item) => `${buildItem(item, depth, true)}, `).join("")})`;
+    }
+    const items = value.map((item) => `${tabs(depth + 1)}${buildItem(item, depth + 1)},\n`);
+    return `(\n${items.join("")}${tabs(depth)})`;
+  }
+
+  if (isDict(value)) {
+    if (inline) {
+      return `{${entries(value)
+        .map(([key, item, itemComment]) => buildEntry(key, item, itemComment, depth, true))
+        .join("")}}`;
+    }
+    const lines = entries(value).map(
+      ([key, item, itemComment]) =>
+        `${tabs(depth + 1)}${buildEntry(key, item, itemComment, depth + 1)}\n`,
+    );
+    return `{\n${lines.join("")}${tabs(depth)}}`;
+  }
+
+  return String(value);
+}
+
+function buildEntry(key, value, entryComment, depth, inline = false) {
+  // Xcode comments the key of dictionaries and the value of everything else
+  const keyComment = isDict(value) ? comment(entryComment) : "";
+  const valueComment = isDict(value) ? "" : comment(entryComment);
+  const entry = `${key}${keyComment} = ${buildValue(value, depth, inline)}${valueComment};`;
+  return inline ? `${entry} ` : entry;
+}
+
+function buildObjects(objects) {
+  let result = "";
+
+  // Xcode keeps sections and the objects in them sorted
+  for (const isa of Object.keys(objects).sort()) {
+    const section = objects[isa];
+    const uuids = Object.keys(section)
+      .filter((key) => !isCommentKey(key))
+      .sort();
+    if (uuids.length === 0) continue;
+
+    result += `\n/* Begin ${isa} section */\n`;
+    for (const uuid of uuids) {
+      const inline = INLINE_SECTIONS.has(isa);
+      const objectComment = comment(section[uuid + COMMENT_SUFFIX]);
+      result += `${tabs(2)}${uuid}${objectComment} = ${buildValue(section[uuid], 2, inline)};\n`;
+    }
+    result += `/* End ${isa} section */\n`;
+  }
+
+  return result;
+}
+
+/**
+ * Writes a parsed project back in Xcode's format
+ */
+function build(hash) {
+  let result = hash.headComment === undefined ? "" : `// ${hash.headComment}\n`;
+  result += "{\n";
+
+  for (const [key, value, entryComment] of entries(hash.project)) {
+    if (key === "objects") {
+      result += `${tabs(1)}objects = {\n${buildObjects(value)}${tabs(1)}};\n`;
+    } else {
+      result += `${tabs(1)}${buildEntry(key, value, entryComment, 1)}\n`;
+    }
+  }
+
+  return `${result}}\n`;
+}
+
+/**
+ * Strips the quotes and escapes of a pbxproj string
+ */
+function unquote(value) {
+  const text = String(value);
+  if (!(text.length >= 2 && text.startsWith('"') && text.endsWith('"'))) return text;
+
+  return text.slice(1, -1).replace(/\\(.)/g, (_, escaped) => {
+    if (escaped === "n") return "\n";
+    if (escaped === "t") return "\t";
+    return escaped;
+  });
+}
+
+/**
+ * Quotes a string for a pbxproj when Xcode would
+ */
+function quote(value) {
+  const text = String(value);
+  if (/^[\w$/.]+$/.test(text)) return text;
+
+  const escaped = text
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t");
+  return `"${escaped}"`;
+}
+
+/**
+ * Finds an object by UUID in any section
+ */
+function getObject(objects, uuid) {
+  for (const section of Object.values(objects)) {
+    if (section[uuid]) return section[uuid];
+  }
+  return undefined;
+}
+
+/**
+ * Adds an object to the section matching its isa
+ */
+function addObject(objects, uuid, object, objectComment) {
+  const isa = unquote(object.isa);
+  objects[isa] ??= {};
+  objects[isa][uuid] = object;
+  if (objectComment !== undefined) objects[isa][uuid + COMMENT_SUFFIX] = objectComment;
+}
+
+/**
+ * Lists `[uuid, object]` pairs of a section
+ */
+function sectionEntries(objects, isa) {
+  return Object.entries(objects[isa] ?? {}).filter(([uuid]) => !isCommentKey(uuid));
+}
+
+/**
+ * Generates a UUID derived from `seed`, so editing the same project the same
+ * way produces the same UUIDs
+ */
+function generateUuid(objects, seed) {
+  for (let attempt = 0; ; attempt++) {
+    const uuid = crypto
+      .createHash("md5")
+      .update(attempt === 0 ? seed : `${seed}:${attempt}`)
+      .digest("hex")
+      .slice(0, 24)
+      .toUpperCase();
+    if (!getObject(objects, uuid)) return uuid;
+  }
+}
+
+module.exports = {
+  addObject,
+  build,
+  generateUuid,
+  getObject,
+  parse,
+  quote,
+  sectionEntries,
+  unquote,
+};
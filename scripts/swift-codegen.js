@@ -0,0 +1,790 @@
+const fs = require("node:fs");
+const path = require("node:path");
+
+/**
+ * Swift ActivityAttributes generation from TypeScript
+ *
+ * Reads each exported `{Activity}ContentState` interface of a file such as
+ * `delivery.live-activity.ts`, and the types it references, into a schema.
+ * The schema is written as a Codable Swift `{Activity}Attributes` whose
+ * `ContentState` decodes the `data` passed to `startLiveActivity`.
+ */
+
+const CONTENT_STATE_SUFFIX = "ContentState";
+
+// Names the generated Swift uses, which nested types would shadow
+const RESERVED_TYPE_NAMES = new Set([
+  "Bool",
+  "ContentState",
+  "Data",
+  "Date",
+  "Double",
+  "Int",
+  "String",
+]);
+
+const SWIFT_KEYWORDS = new Set([
+  "associatedtype",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "continue",
+  "default",
+  "defer",
+  "deinit",
+  "do",
+  "else",
+  "enum",
+  "extension",
+  "fallthrough",
+  "false",
+  "fileprivate",
+  "for",
+  "func",
+  "guard",
+  "if",
+  "import",
+  "in",
+  "init",
+  "inout",
+  "internal",
+  "is",
+  "let",
+  "nil",
+  "operator",
+  "private",
+  "protocol",
+  "public",
+  "repeat",
+  "rethrows",
+  "return",
+  "self",
+  "static",
+  "struct",
+  "subscript",
+  "super",
+  "switch",
+  "throw",
+  "throws",
+  "true",
+  "try",
+  "typealias",
+  "var",
+  "where",
+  "while",
+]);
+
+const INDENT = "    ";
+
+// Fields every ContentState has next to the activity's data, filled in by the
+// library and read by the scaffolded widget views
+const LIBRARY_FIELDS = [
+  {
+    name: "state",
+    type: { kind: "primitive", name: "String" },
+    optional: false,
+    doc: 'Current state of the activity (e.g., "active", "paused", "ended")',
+  },
+  {
+    name: "relevanceScore",
+    type: { kind: "primitive", name: "Double" },
+    optional: true,
+    doc: "Optional relevance score for Dynamic Island priority (0.0 - 1.0)",
+  },
+  {
+    name: "timestamp",
+    type: { kind: "primitive", name: "Date" },
+    optional: true,
+    doc: "Optional timestamp for the state change",
+  },
+];
+
+/**
+ * A type that can't be represented in Swift, at a line of the TypeScript source
+ */
+class SchemaError extends Error {
+  constructor(message, fileName, line) {
+    super(`${fileName}:${line}: ${message}`);
+    this.name = "SchemaError";
+    this.fileName = fileName;
+    this.line = line;
+  }
+}
+
+function loadTypeScript() {
+  try {
+    // Prefer the project's own compiler
+    return require(require.resolve("typescript", { paths: [process.cwd(), __dirname] }));
+  } catch {
+    throw new Error("The typescript package is required to read TypeScript activity types");
+  }
+}
+
+function pascalCase(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Element type name for an array property, e.g. stops → Stop
+ */
+function singular(name) {
+  if (/ies$/.test(name)) return name.replace(/ies$/, "y");
+  if (/(ss|sh|ch|x)es$/.test(name)) return name.slice(0, -2);
+  if (/[^su]s$/.test(name)) return name.slice(0, -1);
+  return `${name}Item`;
+}
+
+function isIdentifier(name) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+}
+
+/**
+ * Swift identifier for a name, escaped with backticks if it's a keyword
+ */
+function swiftIdentifier(name) {
+  return SWIFT_KEYWORDS.has(name) ? `\`${name}\`` : name;
+}
+
+/**
+ * Enum case name for a string value or TypeScript enum member, e.g.
+ * "en-route" and EN_ROUTE → enRoute
+ */
+function caseName(value) {
+  const words = value
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => (word === word.toUpperCase() ? word.toLowerCase() : word));
+  if (words.length === 0) return undefined;
+
+  const name = words
+    .map((word, index) =>
+      index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : pascalCase(word),
+    )
+    .join("");
+  return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+class SchemaReader {
+  constructor(ts, sourceFile) {
+    this.ts = ts;
+    this.sourceFile = sourceFile;
+    this.declarations = new Map();
+    this.types = new Map();
+
+    for (const statement of sourceFile.statements) {
+      if (
+        ts.isInterfaceDeclaration(statement) ||
+        ts.isTypeAliasDeclaration(statement) ||
+        ts.isEnumDeclaration(statement)
+      ) {
+        this.declarations.set(statement.name.text, statement);
+      }
+    }
+  }
+
+  line(node) {
+    return this.sourceFile.getLineAndCharacterOfPosition(node.getStart(this.sourceFile)).line + 1;
+  }
+
+  error(message, node) {
+    return new SchemaError(message, this.sourceFile.fileName, this.line(node));
+  }
+
+  doc(node) {
+    const text = this.ts
+      .getJSDocCommentsAndTags(node)
+      .filter((jsDoc) => this.ts.isJSDoc(jsDoc))
+      .map((jsDoc) => this.ts.getTextOfJSDocComment(jsDoc.comment) ?? "")
+      .join("\n")
+      .trim();
+    return text === "" ? undefined : text;
+  }
+
+  /**
+   * Registers a named Swift type, built once even when referenced repeatedly
+   */
+  define(name, node, create) {
+    const existing = this.types.get(name);
+    if (existing) {
+      if (existing.node !== node) throw this.error(`Type name "${name}" is used twice`, node);
+      return { kind: "named", name };
+    }
+    if (RESERVED_TYPE_NAMES.has(name)) {
+      throw this.error(`"${name}" is reserved in the generated Swift; rename the type`, node);
+    }
+
+    const definition = { name, node, doc: this.doc(node), line: this.line(node) };
+    this.types.set(name, definition);
+    Object.assign(definition, create());
+
+    const caseNames = (definition.cases ?? []).map((enumCase) => enumCase.name);
+    const duplicate = caseNames.find((value, index) => caseNames.indexOf(value) !== index);
+    if (duplicate) throw this.error(`Enum "${name}" has two cases named ${duplicate}`, node);
+
+    return { kind: "named", name };
+  }
+
+  fields(members, owner) {
+    return members.map((member) => {
+      const { ts } = this;
+      if (!ts.isPropertySignature(member) || !member.type) {
+        throw this.error(`Only properties are supported in ${owner}`, member);
+      }
+
+      const name = member.name.text;
+      if (name === undefined || !isIdentifier(name)) {
+        throw this.error(
+          `Property name "${member.name.getText()}" isn't a Swift identifier`,
+          member,
+        );
+      }
+
+      const { type, optional } = this.optionalType(member.type, pascalCase(name));
+      return {
+        name,
+        type,
+        optional: optional || member.questionToken !== undefined,
+        doc: this.doc(member),
+        line: this.line(member),
+      };
+    });
+  }
+
+  /**
+   * Reads a type, unwrapping `| undefined` and `| null` into an optional
+   */
+  optionalType(node, hint) {
+    const { ts } = this;
+    if (ts.isParenthesizedTypeNode(node)) return this.optionalType(node.type, hint);
+    if (!ts.isUnionTypeNode(node)) return { type: this.type(node, hint), optional: false };
+
+    const isNullish = (member) =>
+      member.kind === ts.SyntaxKind.UndefinedKeyword ||
+      (ts.isLiteralTypeNode(member) && member.literal.kind === ts.SyntaxKind.NullKeyword);
+    const members = node.types.filter((member) => !isNullish(member));
+    const optional = members.length < node.types.length;
+
+    if (members.length === 1) return { type: this.type(members[0], hint), optional };
+    return { type: this.union(node, members, hint), optional };
+  }
+
+  union(node, members, hint) {
+    const { ts } = this;
+    const literals = members.map((member) =>
+      ts.isLiteralTypeNode(member) ? member.literal : undefined,
+    );
+
+    if (literals.every((literal) => literal && ts.isStringLiteral(literal))) {
+      return this.stringEnum(
+        hint,
+        node,
+        literals.map((literal) => literal.text),
+      );
+    }
+    if (
+      literals.every(
+        (literal) =>
+          literal?.kind === ts.SyntaxKind.TrueKeyword ||
+          literal?.kind === ts.SyntaxKind.FalseKeyword,
+      )
+    ) {
+      return { kind: "primitive", name: "Bool" };
+    }
+
+    throw this.error("Only unions of string literals are supported", node);
+  }
+
+  stringEnum(name, node, values) {
+    return this.define(name, node, () => ({
+      kind: "enum",
+      rawType: "String",
+      cases: values.map((value) => this.enumCase(caseName(value), JSON.stringify(value), node)),
+    }));
+  }
+
+  enumCase(name, rawValue, node) {
+    if (name === undefined) throw this.error(`Can't name an enum case for ${rawValue}`, node);
+    return { name, rawValue };
+  }
+
+  type(node, hint) {
+    const { ts } = this;
+
+    switch (node.kind) {
+      case ts.SyntaxKind.StringKeyword:
+        return { kind: "primitive", name: "String" };
+      case ts.SyntaxKind.NumberKeyword:
+        return { kind: "primitive", name: "Double" };
+      case ts.SyntaxKind.BooleanKeyword:
+        return { kind: "primitive", name: "Bool" };
+    }
+
+    if (ts.isParenthesizedTypeNode(node)) return this.type(node.type, hint);
+    if (ts.isUnionTypeNode(node)) {
+      const { type, optional } = this.optionalType(node, hint);
+      if (optional) throw this.error("Optional values are only supported for properties", node);
+      return type;
+    }
+    if (ts.isLiteralTypeNode(node) && ts.isStringLiteral(node.literal)) {
+      return this.stringEnum(hint, node, [node.literal.text]);
+    }
+    if (ts.isArrayTypeNode(node)) {
+      return { kind: "array", element: this.type(node.elementType, singular(hint)) };
+    }
+    if (ts.isTypeOperatorNode(node) && node.operator === ts.SyntaxKind.ReadonlyKeyword) {
+      return this.type(node.type, hint);
+    }
+    if (ts.isTypeLiteralNode(node)) return this.typeLiteral(node, hint);
+    if (ts.isTypeReferenceNode(node)) return this.reference(node, hint);
+
+    throw this.error(`Unsupported type "${node.getText(this.sourceFile)}"`, node);
+  }
+
+  typeLiteral(node, name) {
+    const { ts } = this;
+    const [member] = node.members;
+
+    // `{ [key: string]: T }`
+    if (node.members.length === 1 && ts.isIndexSignatureDeclaration(member)) {
+      const [key] = member.parameters;
+      if (key.type?.kind !== ts.SyntaxKind.StringKeyword) {
+        throw this.error("Only string keys are supported", member);
+      }
+      return { kind: "dictionary", value: this.type(member.type, `${name}Value`) };
+    }
+
+    return this.define(name, node, () => ({
+      kind: "struct",
+      fields: this.fields(node.members, name),
+    }));
+  }
+
+  reference(node, hint) {
+    const { ts } = this;
+    const name = node.typeName.getText(this.sourceFile);
+    const typeArguments = node.typeArguments ?? [];
+
+    if (name === "Date") return { kind: "primitive", name: "Date" };
+    if ((name === "Array" || name === "ReadonlyArray") && typeArguments.length === 1) {
+      return { kind: "array", element: this.type(typeArguments[0], singular(hint)) };
+    }
+    if (name === "Record" && typeArguments.length === 2) {
+      if (typeArguments[0].kind !== ts.SyntaxKind.StringKeyword) {
+        throw this.error("Only Record<string, T> is supported", node);
+      }
+      return { kind: "dictionary", value: this.type(typeArguments[1], `${hint}Value`) };
+    }
+
+    const declaration = this.declarations.get(name);
+    if (!declaration) {
+      throw this.error(
+        `Unknown type "${name}"; declare it in ${path.basename(this.sourceFile.fileName)}`,
+        node,
+      );
+    }
+    if (typeArguments.length > 0 || declaration.typeParameters?.length > 0) {
+      throw this.error(`Generic type "${name}" isn't supported`, node);
+    }
+
+    if (ts.isInterfaceDeclaration(declaration)) {
+      if (declaration.heritageClauses?.length > 0) {
+        throw this.error(
+          `Interface "${name}" extends another type, which isn't supported`,
+          declaration,
+        );
+      }
+      return this.define(name, declaration, () => ({
+        kind: "struct",
+        fields: this.fields(declaration.members, name),
+      }));
+    }
+    if (ts.isEnumDeclaration(declaration)) return this.enumDeclaration(declaration);
+
+    // Type aliases name the struct or enum they declare, otherwise they're transparent
+    const aliased = declaration.type;
+    if (ts.isTypeLiteralNode(aliased)) {
+      const type = this.typeLiteral(aliased, name);
+      if (type.kind === "named") this.types.get(name).doc = this.doc(declaration);
+      return type;
+    }
+    const type = this.type(aliased, name);
+    if (type.kind === "named" && type.name === name)
+      this.types.get(name).doc = this.doc(declaration);
+    return type;
+  }
+
+  enumDeclaration(declaration) {
+    const { ts } = this;
+    const name = declaration.name.text;
+
+    return this.define(name, declaration, () => {
+      const initializers = declaration.members.map((member) => member.initializer);
+
+      if (initializers.every((initializer) => initializer && ts.isStringLiteral(initializer))) {
+        return {
+          kind: "enum",
+          rawType: "String",
+          cases: declaration.members.map((member) =>
+            this.enumCase(
+              caseName(member.name.getText(this.sourceFile)),
+              JSON.stringify(member.initializer.text),
+              member,
+            ),
+          ),
+        };
+      }
+
+      // Numeric enums count up from the previous value like TypeScript does
+      let next = 0;
+      return {
+        kind: "enum",
+        rawType: "Int",
+        cases: declaration.members.map((member) => {
+          const { initializer } = member;
+          if (initializer) {
+            if (!ts.isNumericLiteral(initializer)) {
+              throw this.error("Enum values must all be strings or number literals", member);
+            }
+            next = Number(initializer.text);
+          }
+          const value = next++;
+          return this.enumCase(
+            caseName(member.name.getText(this.sourceFile)),
+            String(value),
+            member,
+          );
+        }),
+      };
+    });
+  }
+
+  contentState(declaration) {
+    const { ts } = this;
+    if (!ts.isInterfaceDeclaration(declaration) && !ts.isTypeAliasDeclaration(declaration)) {
+      throw this.error(`${declaration.name.text} must be an interface`, declaration);
+    }
+
+    const members = ts.isInterfaceDeclaration(declaration)
+      ? declaration.members
+      : ts.isTypeLiteralNode(declaration.type)
+        ? declaration.type.members
+        : undefined;
+    if (!members) throw this.error(`${declaration.name.text} must be an object type`, declaration);
+
+    const fields = this.fields(members, declaration.name.text);
+    for (const field of fields) {
+      if (LIBRARY_FIELDS.some((libraryField) => libraryField.name === field.name)) {
+        throw new SchemaError(
+          `"${field.name}" is set by the library on every ContentState; rename the property`,
+          this.sourceFile.fileName,
+          field.line,
+        );
+      }
+    }
+
+    return {
+      doc: this.doc(declaration),
+      line: this.line(declaration),
+      fields,
+    };
+  }
+}
+
+/**
+ * Reads the activity types declared in a TypeScript source
+ *
+ * @param source Contents of the file, e.g. `delivery.live-activity.ts`
+ * @param fileName Path reported in errors and the generated header
+ * @returns One schema per `{Activity}ContentState` interface
+ * @throws SchemaError for types that can't be represented in Swift
+ */
+function parseActivitySchemas(source, fileName) {
+  const ts = loadTypeScript();
+  const sourceFile = ts.createSourceFile(fileName, source, ts.ScriptTarget.Latest, true);
+  const schemas = [];
+
+  for (const [name, declaration] of new SchemaReader(ts, sourceFile).declarations) {
+    if (!name.endsWith(CONTENT_STATE_SUFFIX) || name === CONTENT_STATE_SUFFIX) continue;
+
+    // Each activity gets its own set of nested types
+    const reader = new SchemaReader(ts, sourceFile);
+    const contentState = reader.contentState(declaration);
+    schemas.push({
+      activityName: name.slice(0, -CONTENT_STATE_SUFFIX.length),
+      fileName,
+      contentState,
+      types: [...reader.types.values()].map(({ node, ...type }) => type),
+    });
+  }
+
+  if (schemas.length === 0) {
+    throw new Error(`${fileName}: no interface named {Activity}${CONTENT_STATE_SUFFIX} found`);
+  }
+  return schemas;
+}
+
+function swiftType(type) {
+  switch (type.kind) {
+    case "primitive":
+    case "named":
+      return type.name;
+    case "array":
+      return `[${swiftType(type.element)}]`;
+    case "dictionary":
+      return `[String: ${swiftType(type.value)}]`;
+  }
+  throw new Error(`Unknown type kind "${type.kind}"`);
+}
+
+function docLines(doc, indent) {
+  if (doc === undefined) return [];
+  return doc.split("\n").map((line) => `${indent}/// ${line}`.trimEnd());
+}
+
+function fieldLines(fields, indent) {
+  // Documented fields are set apart like in the widget templates
+  return fields.flatMap((field, index) => [
+    ...(index > 0 && (field.doc ?? fields[index - 1].doc) !== undefined ? [""] : []),
+    ...docLines(field.doc, indent),
+    `${indent}var ${swiftIdentifier(field.name)}: ${swiftType(field.type)}${field.optional ? "?" : ""}`,
+  ]);
+}
+
+/**
+ * Swift expression for a placeholder value of a field, for previews
+ */
+function placeholderValue(field, types, attributes) {
+  if (field.optional) return "nil";
+
+  const { type } = field;
+  switch (type.kind) {
+    case "array":
+      return "[]";
+    case "dictionary":
+      return "[:]";
+    case "primitive":
+      return { Bool: "false", Date: "Date()", Double: "0", String: '""' }[type.name];
+  }
+
+  const named = types.find((candidate) => candidate.name === type.name);
+  if (named.kind === "enum") return `.${swiftIdentifier(named.cases[0].name)}`;
+  return `${attributes}.${named.name}(${placeholderArguments(named.fields, types, attributes)})`;
+}
+
+/**
+ * Memberwise initializer arguments for the required fields, which have no default
+ */
+function placeholderArguments(fields, types, attributes) {
+  return fields
+    .filter((field) => !field.optional)
+    .map((field) => `${field.name}: ${placeholderValue(field, types, attributes)}`)
+    .join(", ");
+}
+
+function typeLines(type, indent) {
+  const inner = indent + INDENT;
+  const lines = [...docLines(type.doc, indent)];
+
+  if (type.kind === "enum") {
+    lines.push(`${indent}enum ${type.name}: ${type.rawType}, Codable, Hashable {`);
+    for (const { name, rawValue } of type.cases) {
+      const implicit = type.rawType === "String" && rawValue === JSON.stringify(name);
+      lines.push(`${inner}case ${swiftIdentifier(name)}${implicit ? "" : ` = ${rawValue}`}`);
+    }
+  } else {
+    lines.push(`${indent}struct ${type.name}: Codable, Hashable {`);
+    lines.push(...fieldLines(type.fields, inner));
+  }
+
+  lines.push(`${indent}}`);
+  return lines;
+}
+
+/**
+ * Writes the Swift `{Activity}Attributes` for a schema from `parseActivitySchemas`
+ *
+ * @param schema Activity schema
+ * @param sourcePath Path of the TypeScript source named in the header
+ */
+function generateSwiftAttributes(schema, sourcePath = schema.fileName) {
+  const attributes = `${schema.activityName}Attributes`;
+  const contentState = schema.contentState;
+  const lines = [
+    `// Generated by react-native-dynamic-activities from ${sourcePath.split(path.sep).join("/")}.`,
+    "// Don't edit: change the TypeScript types and run generate-attributes again.",
+    "",
+    "import ActivityKit",
+    "import Foundation",
+    "#if canImport(DynamicActivities)",
+    "import DynamicActivities",
+    "#endif",
+    "",
+    "// MARK: - Activity Attributes",
+    `struct ${attributes}: ActivityAttributes {`,
+    ...docLines(contentState.doc, INDENT),
+    `${INDENT}public struct ContentState: Codable, Hashable {`,
+    ...fieldLines([...LIBRARY_FIELDS, ...contentState.fields], INDENT.repeat(2)),
+    `${INDENT}}`,
+    "",
+    `${INDENT}/// Activity title`,
+    `${INDENT}var title: String`,
+    "",
+    `${INDENT}/// Activity description/body text`,
+    `${INDENT}var body: String`,
+    "",
+    `${INDENT}/// Optional metadata`,
+    `${INDENT}var metadata: [String: String]?`,
+    "}",
+  ];
+
+  if (schema.types.length > 0) {
+    lines.push("", "// MARK: - Types", `extension ${attributes} {`);
+    schema.types.forEach((type, index) => {
+      if (index > 0) lines.push("");
+      lines.push(...typeLines(type, INDENT));
+    });
+    lines.push("}");
+  }
+
+  lines.push(
+    "",
+    "// MARK: - JSON",
+    `extension ${attributes}.ContentState {`,
+    `${INDENT}private static let dateFormatter: ISO8601DateFormatter = {`,
+    `${INDENT}${INDENT}let formatter = ISO8601DateFormatter()`,
+    `${INDENT}${INDENT}formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]`,
+    `${INDENT}${INDENT}return formatter`,
+    `${INDENT}}()`,
+    "",
+    `${INDENT}/// Keys of the library's fields, which aren't part of the data from JavaScript`,
+    `${INDENT}private static let libraryKeys = [${LIBRARY_FIELDS.map(({ name }) => `"${name}"`).join(", ")}]`,
+    "",
+    `${INDENT}/// Decodes the data passed from JavaScript, alongside the library's fields.`,
+    `${INDENT}/// Dates arrive as ISO 8601 strings, the format JSON.stringify produces.`,
+    `${INDENT}init(jsonPayload: String, state: String, relevanceScore: Double? = nil, timestamp: Date? = nil) throws {`,
+    `${INDENT}${INDENT}let json = try JSONSerialization.jsonObject(with: Foundation.Data(jsonPayload.utf8))`,
+    `${INDENT}${INDENT}guard var object = json as? [String: Any] else {`,
+    `${INDENT}${INDENT}${INDENT}throw DecodingError.dataCorrupted(.init(codingPath: [], debugDescription: "Data must be a JSON object"))`,
+    `${INDENT}${INDENT}}`,
+    `${INDENT}${INDENT}object["state"] = state`,
+    `${INDENT}${INDENT}object["relevanceScore"] = relevanceScore`,
+    `${INDENT}${INDENT}object["timestamp"] = timestamp.map(Self.dateFormatter.string(from:))`,
+    "",
+    `${INDENT}${INDENT}let decoder = JSONDecoder()`,
+    `${INDENT}${INDENT}decoder.dateDecodingStrategy = .custom { decoder in`,
+    `${INDENT}${INDENT}${INDENT}let value = try decoder.singleValueContainer().decode(String.self)`,
+    `${INDENT}${INDENT}${INDENT}guard let date = Self.dateFormatter.date(from: value) else {`,
+    `${INDENT}${INDENT}${INDENT}${INDENT}throw DecodingError.dataCorrupted(`,
+    `${INDENT}${INDENT}${INDENT}${INDENT}${INDENT}.init(codingPath: decoder.codingPath, debugDescription: "Invalid ISO 8601 date: \\(value)")`,
+    `${INDENT}${INDENT}${INDENT}${INDENT})`,
+    `${INDENT}${INDENT}${INDENT}}`,
+    `${INDENT}${INDENT}${INDENT}return date`,
+    `${INDENT}${INDENT}}`,
+    `${INDENT}${INDENT}self = try decoder.decode(Self.self, from: JSONSerialization.data(withJSONObject: object))`,
+    `${INDENT}}`,
+    "",
+    `${INDENT}/// Encodes the content state as the data JavaScript reads back, without the library's fields`,
+    `${INDENT}func jsonPayload() throws -> String {`,
+    `${INDENT}${INDENT}let encoder = JSONEncoder()`,
+    `${INDENT}${INDENT}encoder.dateEncodingStrategy = .custom { date, encoder in`,
+    `${INDENT}${INDENT}${INDENT}var container = encoder.singleValueContainer()`,
+    `${INDENT}${INDENT}${INDENT}try container.encode(Self.dateFormatter.string(from: date))`,
+    `${INDENT}${INDENT}}`,
+    `${INDENT}${INDENT}var object = try JSONSerialization.jsonObject(with: encoder.encode(self)) as? [String: Any] ?? [:]`,
+    `${INDENT}${INDENT}for key in Self.libraryKeys {`,
+    `${INDENT}${INDENT}${INDENT}object.removeValue(forKey: key)`,
+    `${INDENT}${INDENT}}`,
+    `${INDENT}${INDENT}return String(decoding: try JSONSerialization.data(withJSONObject: object), as: UTF8.self)`,
+    `${INDENT}}`,
+    "}",
+  );
+
+  // The scaffolded views preview ContentState(state:relevanceScore:), which the
+  // memberwise initializer only covers when all of the data is optional
+  const required = contentState.fields.filter((field) => !field.optional);
+  if (required.length > 0) {
+    const values = required.map(
+      (field) => `${field.name}: ${placeholderValue(field, schema.types, attributes)}`,
+    );
+    lines.push(
+      "",
+      "// MARK: - Previews",
+      "#if DEBUG",
+      `extension ${attributes}.ContentState {`,
+      `${INDENT}/// Placeholder data for SwiftUI previews, such as the scaffolded widget view's`,
+      `${INDENT}init(state: String, relevanceScore: Double? = nil) {`,
+      `${INDENT}${INDENT}self.init(`,
+      `${INDENT}${INDENT}${INDENT}state: state,`,
+      `${INDENT}${INDENT}${INDENT}relevanceScore: relevanceScore,`,
+      ...values.map(
+        (value, index) =>
+          `${INDENT}${INDENT}${INDENT}${value}${index < values.length - 1 ? "," : ""}`,
+      ),
+      `${INDENT}${INDENT})`,
+      `${INDENT}}`,
+      "}",
+      "#endif",
+    );
+  }
+
+  lines.push(
+    "",
+    "// MARK: - Library Bridge Implementation",
+    "// Compiled only in the app target, which links react-native-dynamic-activities.",
+    `// Register the type at launch so JS can start it with activityType "${schema.activityName}":`,
+    "//",
+    `//     LiveActivityBridgeRegistry.shared.registerBridge(${attributes}.self, for: "${schema.activityName}")`,
+    "#if canImport(DynamicActivities)",
+    `extension ${attributes}: LiveActivityBridge {`,
+    `${INDENT}init(liveActivityAttributes attributes: LiveActivityBridgeAttributes) {`,
+    `${INDENT}${INDENT}self.init(title: attributes.title, body: attributes.body, metadata: attributes.metadata)`,
+    `${INDENT}}`,
+    "",
+    `${INDENT}var liveActivityAttributes: LiveActivityBridgeAttributes {`,
+    `${INDENT}${INDENT}LiveActivityBridgeAttributes(title: title, body: body, metadata: metadata)`,
+    `${INDENT}}`,
+    "",
+    `${INDENT}static func contentState(from content: LiveActivityBridgeContent, timestamp: Date) throws -> ContentState {`,
+    `${INDENT}${INDENT}try ContentState(`,
+    `${INDENT}${INDENT}${INDENT}jsonPayload: content.payload ?? "{}",`,
+    `${INDENT}${INDENT}${INDENT}state: content.state,`,
+    `${INDENT}${INDENT}${INDENT}relevanceScore: content.relevanceScore,`,
+    `${INDENT}${INDENT}${INDENT}timestamp: timestamp`,
+    `${INDENT}${INDENT})`,
+    `${INDENT}}`,
+    "",
+    `${INDENT}static func payload(of state: ContentState) -> String? {`,
+    `${INDENT}${INDENT}try? state.jsonPayload()`,
+    `${INDENT}}`,
+    "}",
+    "#endif",
+  );
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Generates the Swift attributes for every activity in a TypeScript file
+ *
+ * @returns `{ activityName, fileName, content }` for each `{Activity}Attributes.swift`
+ */
+function generateFromFile(sourcePath, relativeTo = process.cwd()) {
+  const source = fs.readFileSync(sourcePath, "utf8");
+  const displayPath = path.relative(relativeTo, sourcePath);
+
+  return parseActivitySchemas(source, displayPath).map((schema) => ({
+    activityName: schema.activityName,
+    fileName: `${schema.activityName}Attributes.swift`,
+    content: generateSwiftAttributes(schema, displayPath),
+  }));
+}
+
+module.exports = {
+  LIBRARY_FIELDS,
+  SchemaError,
+  generateFromFile,
+  generateSwiftAttributes,
+  parseActivitySchemas,
+  swiftType,
+};
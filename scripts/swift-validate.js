@@ -0,0 +1,553 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { LIBRARY_FIELDS, parseActivitySchemas, swiftType } = require("./swift-codegen");
+
+/**
+ * Drift check between TypeScript activity types and Swift attributes
+ *
+ * Reads the struct and enum declarations of a widget's
+ * `{Activity}Attributes.swift` and compares the `ContentState`, and every
+ * type it references, with the schema `swift-codegen.js` reads from
+ * TypeScript. Catches hand edits to generated files and types changed on one
+ * side only.
+ */
+
+const TYPE_KEYWORDS = new Set(["struct", "enum", "class", "extension"]);
+const STATIC_MODIFIERS = new Set(["static", "class"]);
+const DECLARATION_MODIFIERS = new Set([
+  "public",
+  "private",
+  "fileprivate",
+  "internal",
+  "open",
+  "final",
+  "lazy",
+  "weak",
+  "unowned",
+  "nonisolated",
+  "static",
+  "class",
+]);
+const MODULE_PREFIXES = ["Swift.", "Foundation."];
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+
+  const advance = (end) => {
+    for (let i = index; i < end; i++) if (source[i] === "\n") line++;
+    index = end;
+  };
+
+  while (index < source.length) {
+    const char = source[index];
+    const start = line;
+
+    if (/\s/.test(char)) {
+      advance(index + 1);
+    } else if (source.startsWith("//", index)) {
+      const end = source.indexOf("\n", index);
+      advance(end === -1 ? source.length : end);
+    } else if (source.startsWith("/*", index)) {
+      // Swift block comments nest
+      let depth = 0;
+      let end = index;
+      do {
+        if (source.startsWith("/*", end)) {
+          depth++;
+          end += 2;
+        } else if (source.startsWith("*/", end)) {
+          depth--;
+          end += 2;
+        } else {
+          end++;
+        }
+      } while (depth > 0 && end < source.length);
+      advance(end);
+    } else if (source.startsWith('"""', index)) {
+      const end = source.indexOf('"""', index + 3);
+      advance(end === -1 ? source.length : end + 3);
+      tokens.push({ type: "string", value: "", line: start });
+    } else if (char === '"') {
+      let end = index + 1;
+      while (end < source.length && source[end] !== '"' && source[end] !== "\n") {
+        end += source[end] === "\\" ? 2 : 1;
+      }
+      const value = source.slice(index + 1, end).replace(/\\(.)/g, "$1");
+      advance(end + 1);
+      tokens.push({ type: "string", value, line: start });
+    } else if (char === "`") {
+      const end = source.indexOf("`", index + 1);
+      tokens.push({ type: "identifier", value: source.slice(index + 1, end), line: start });
+      advance(end + 1);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [value] = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index, index + 256));
+      tokens.push({ type: "identifier", value, line: start });
+      advance(index + value.length);
+    } else if (/[0-9]/.test(char)) {
+      const [value] = /^[0-9][0-9_.xXa-fA-F]*/.exec(source.slice(index, index + 64));
+      tokens.push({ type: "number", value: value.replace(/_/g, ""), line: start });
+      advance(index + value.length);
+    } else {
+      tokens.push({ type: "punctuation", value: char, line: start });
+      advance(index + 1);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Reads a type annotation into `{ kind, ... }`, the shape `swiftType()` writes
+ */
+function parseTypeTokens(tokens) {
+  let position = 0;
+  const peek = () => tokens[position]?.value;
+  const expect = (value) => {
+    if (peek() !== value) throw new Error(`Expected "${value}"`);
+    position++;
+  };
+
+  function named() {
+    const parts = [];
+    do {
+      const token = tokens[position++];
+      if (token?.type !== "identifier") throw new Error("Expected a type name");
+      parts.push(token.value);
+    } while (peek() === "." && position++);
+
+    let name = parts.join(".");
+    for (const prefix of MODULE_PREFIXES) {
+      if (name.startsWith(prefix)) name = name.slice(prefix.length);
+    }
+
+    if (peek() !== "<") return { kind: "named", name };
+    position++;
+    const args = [type()];
+    while (peek() === ",") {
+      position++;
+      args.push(type());
+    }
+    expect(">");
+
+    if (name === "Optional" && args.length === 1) return { ...args[0], optional: true };
+    if (name === "Array" && args.length === 1) return { kind: "array", element: args[0] };
+    if (name === "Dictionary" && args.length === 2) {
+      return { kind: "dictionary", key: args[0], value: args[1] };
+    }
+    return { kind: "named", name, args };
+  }
+
+  function type() {
+    let result;
+    if (peek() === "[") {
+      position++;
+      const element = type();
+      if (peek() === ":") {
+        position++;
+        result = { kind: "dictionary", key: element, value: type() };
+      } else {
+        result = { kind: "array", element };
+      }
+      expect("]");
+    } else {
+      result = named();
+    }
+
+    while (peek() === "?" || peek() === "!") {
+      position++;
+      result = { ...result, optional: true };
+    }
+    return result;
+  }
+
+  const result = type();
+  if (position !== tokens.length) throw new Error("Unsupported type");
+  return result;
+}
+
+function describeType(type) {
+  const optional = type.optional ? "?" : "";
+  switch (type.kind) {
+    case "array":
+      return `[${describeType(type.element)}]${optional}`;
+    case "dictionary":
+      return `[${describeType(type.key)}: ${describeType(type.value)}]${optional}`;
+    default:
+      return `${type.name}${type.args ? `<${type.args.map(describeType).join(", ")}>` : ""}${optional}`;
+  }
+}
+
+/**
+ * Reads the struct and enum declarations of a Swift file
+ *
+ * @returns Declarations by qualified name, e.g. `DeliveryAttributes.ContentState`
+ */
+function parseSwiftTypes(source) {
+  const tokens = tokenize(source);
+  const types = new Map();
+  const scopes = [{ kind: "file", name: "" }];
+
+  const qualify = (name) => {
+    const parent = scopes.findLast((scope) => scope.kind !== "block");
+    return parent.name ? `${parent.name}.${name}` : name;
+  };
+
+  for (let index = 0; index < tokens.length; index++) {
+    const token = tokens[index];
+    const scope = scopes[scopes.length - 1];
+
+    if (token.value === "{" && token.type === "punctuation") {
+      scopes.push({ kind: "block" });
+      continue;
+    }
+    if (token.value === "}" && token.type === "punctuation") {
+      if (scopes.length > 1) scopes.pop();
+      continue;
+    }
+    if (scope.kind === "block") continue;
+
+    if (token.type === "identifier" && TYPE_KEYWORDS.has(token.value)) {
+      const next = tokens[index + 1];
+      if (next?.type !== "identifier") continue;
+
+      // Name, then everything up to the body: `: String, Codable where ...`
+      let end = index + 2;
+      const nameParts = [next.value];
+      while (tokens[end]?.value === "." && tokens[end + 1]?.type === "identifier") {
+        nameParts.push(tokens[end + 1].value);
+        end += 2;
+      }
+      const header = [];
+      while (end < tokens.length && tokens[end].value !== "{") header.push(tokens[end++]);
+      if (end >= tokens.length) break;
+
+      const name = nameParts.join(".");
+      if (token.value === "extension") {
+        scopes.push({ kind: "extension", name });
+      } else {
+        const qualifiedName = qualify(name);
+        const inherited = header[0]?.value === ":" ? header[1]?.value : undefined;
+        types.set(qualifiedName, {
+          kind: token.value === "enum" ? "enum" : "struct",
+          name,
+          qualifiedName,
+          line: token.line,
+          rawType: token.value === "enum" ? inherited : undefined,
+          fields: [],
+          cases: [],
+        });
+        scopes.push({ kind: token.value, name: qualifiedName });
+      }
+      index = end;
+      continue;
+    }
+
+    const declaration =
+      scope.kind === "struct" || scope.kind === "class" ? types.get(scope.name) : undefined;
+    if (declaration && (token.value === "var" || token.value === "let")) {
+      let back = index - 1;
+      let isStatic = false;
+      while (back >= 0 && DECLARATION_MODIFIERS.has(tokens[back].value)) {
+        if (STATIC_MODIFIERS.has(tokens[back].value)) isStatic = true;
+        back--;
+      }
+      const name = tokens[index + 1];
+      if (isStatic || name?.type !== "identifier") continue;
+
+      if (tokens[index + 2]?.value !== ":") {
+        declaration.fields.push({ name: name.value, line: token.line, type: undefined });
+        continue;
+      }
+
+      // The annotation ends at the end of the line, an initializer or a body
+      let end = index + 3;
+      let depth = 0;
+      while (end < tokens.length) {
+        const { value, line } = tokens[end];
+        if (
+          depth === 0 &&
+          (line !== tokens[end - 1].line || ["=", "{", ";", "}"].includes(value))
+        ) {
+          break;
+        }
+        if (value === "[" || value === "<" || value === "(") depth++;
+        if (value === "]" || value === ">" || value === ")") depth--;
+        end++;
+      }
+
+      // Computed properties don't decode
+      if (tokens[end]?.value === "{" && tokens[end].line === tokens[end - 1].line) continue;
+
+      let type;
+      try {
+        type = parseTypeTokens(tokens.slice(index + 3, end));
+      } catch {
+        type = {
+          kind: "named",
+          name: tokens
+            .slice(index + 3, end)
+            .map((t) => t.value)
+            .join(""),
+        };
+      }
+      declaration.fields.push({ name: name.value, line: token.line, type });
+      index = end - 1;
+      continue;
+    }
+
+    const enumDeclaration = scope.kind === "enum" ? types.get(scope.name) : undefined;
+    if (enumDeclaration && token.value === "case") {
+      let position = index + 1;
+      for (;;) {
+        const name = tokens[position];
+        if (name?.type !== "identifier") break;
+        const enumCase = { name: name.value, line: name.line, rawValue: undefined };
+        position++;
+
+        if (tokens[position]?.value === "(") {
+          enumCase.associatedValues = true;
+          let depth = 0;
+          do {
+            if (tokens[position].value === "(") depth++;
+            if (tokens[position].value === ")") depth--;
+            position++;
+          } while (depth > 0 && position < tokens.length);
+        }
+        if (tokens[position]?.value === "=") {
+          const negative = tokens[position + 1]?.value === "-";
+          const literal = tokens[position + (negative ? 2 : 1)];
+          enumCase.rawValue =
+            literal?.type === "number"
+              ? Number(`${negative ? "-" : ""}${literal.value}`)
+              : literal?.value;
+          position += negative ? 3 : 2;
+        }
+        enumDeclaration.cases.push(enumCase);
+
+        if (tokens[position]?.value !== ",") break;
+        position++;
+      }
+      index = position - 1;
+    }
+  }
+
+  // Implicit raw values: the case name for strings, counting up for integers
+  for (const declaration of types.values()) {
+    let next = 0;
+    for (const enumCase of declaration.cases) {
+      if (declaration.rawType === "String") enumCase.rawValue ??= enumCase.name;
+      if (declaration.rawType === "Int") {
+        enumCase.rawValue ??= next;
+        next = enumCase.rawValue + 1;
+      }
+    }
+  }
+
+  return types;
+}
+
+class Comparison {
+  constructor(schema, types, swiftFileName) {
+    this.schema = schema;
+    this.types = types;
+    this.swiftFileName = swiftFileName;
+    this.tsTypes = new Map(schema.types.map((type) => [type.name, type]));
+    this.issues = [];
+    this.compared = new Set();
+  }
+
+  report(line, message) {
+    this.issues.push({ fileName: this.swiftFileName, line, message });
+  }
+
+  tsLocation(line) {
+    return `${this.schema.fileName}:${line}`;
+  }
+
+  /**
+   * Looks a type name up from a scope outwards, like Swift does
+   */
+  resolve(name, scope) {
+    const parts = scope.split(".");
+    for (let length = parts.length; length >= 0; length--) {
+      const prefix = parts.slice(0, length).join(".");
+      const declaration = this.types.get(prefix ? `${prefix}.${name}` : name);
+      if (declaration) return declaration;
+    }
+    return undefined;
+  }
+
+  struct(tsName, tsFields, tsLine, declaration) {
+    const swiftFields = new Map(declaration.fields.map((field) => [field.name, field]));
+
+    for (const field of tsFields) {
+      const expected = `${swiftType(field.type)}${field.optional ? "?" : ""}`;
+      const swiftField = swiftFields.get(field.name);
+      if (!swiftField) {
+        this.report(
+          declaration.line,
+          `${declaration.name} is missing ${field.name}: ${expected} (${this.tsLocation(field.line)})`,
+        );
+        continue;
+      }
+      if (!swiftField.type) {
+        this.report(swiftField.line, `${field.name} needs a type annotation: ${expected}`);
+        continue;
+      }
+
+      const matches =
+        Boolean(swiftField.type.optional) === field.optional &&
+        this.type(field.type, swiftField.type, declaration.qualifiedName, swiftField.line);
+      if (!matches) {
+        this.report(
+          swiftField.line,
+          `${field.name} is ${describeType(swiftField.type)} in Swift but ${expected} in TypeScript (${this.tsLocation(field.line)})`,
+        );
+      }
+    }
+
+    const tsFieldNames = new Set(tsFields.map((field) => field.name));
+    for (const field of declaration.fields) {
+      if (!tsFieldNames.has(field.name)) {
+        this.report(field.line, `${field.name} isn't in ${tsName} (${this.tsLocation(tsLine)})`);
+      }
+    }
+  }
+
+  enum(tsType, declaration) {
+    if (declaration.rawType !== tsType.rawType) {
+      this.report(
+        declaration.line,
+        `${declaration.name} has ${declaration.rawType ?? "no"} raw values in Swift but ${tsType.rawType} in TypeScript (${this.tsLocation(tsType.line)})`,
+      );
+      return;
+    }
+
+    const parse = tsType.rawType === "String" ? JSON.parse : Number;
+    const tsValues = tsType.cases.map((enumCase) => parse(enumCase.rawValue));
+    const swiftValues = new Set(declaration.cases.map((enumCase) => enumCase.rawValue));
+
+    for (const value of tsValues) {
+      if (!swiftValues.has(value)) {
+        this.report(
+          declaration.line,
+          `${declaration.name} is missing a case for ${JSON.stringify(value)} (${this.tsLocation(tsType.line)})`,
+        );
+      }
+    }
+    for (const enumCase of declaration.cases) {
+      if (!tsValues.includes(enumCase.rawValue)) {
+        this.report(
+          enumCase.line,
+          `${declaration.name}.${enumCase.name} = ${JSON.stringify(enumCase.rawValue)} isn't in TypeScript (${this.tsLocation(tsType.line)})`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Compares a field's type, reporting mismatches inside named types
+   *
+   * @returns false if the field itself has the wrong type
+   */
+  type(expected, actual, scope, line) {
+    switch (expected.kind) {
+      case "primitive":
+        return actual.kind === "named" && actual.name === expected.name && !actual.args;
+      case "array":
+        return (
+          actual.kind === "array" &&
+          !actual.element.optional &&
+          this.type(expected.element, actual.element, scope, line)
+        );
+      case "dictionary":
+        return (
+          actual.kind === "dictionary" &&
+          actual.key.kind === "named" &&
+          actual.key.name === "String" &&
+          !actual.value.optional &&
+          this.type(expected.value, actual.value, scope, line)
+        );
+    }
+
+    if (actual.kind !== "named") return false;
+    const tsType = this.tsTypes.get(expected.name);
+    const declaration = this.resolve(actual.name, scope);
+    if (!declaration) {
+      this.report(line, `${actual.name} isn't declared in ${path.basename(this.swiftFileName)}`);
+      return true;
+    }
+    if ((tsType.kind === "enum") !== (declaration.kind === "enum")) return false;
+
+    // Each pair is compared once, however often it's referenced
+    const key = `${tsType.name}:${declaration.qualifiedName}`;
+    if (this.compared.has(key)) return true;
+    this.compared.add(key);
+
+    if (tsType.kind === "enum") this.enum(tsType, declaration);
+    else this.struct(tsType.name, tsType.fields, tsType.line, declaration);
+    return true;
+  }
+}
+
+/**
+ * Compares a Swift attributes file with the TypeScript schema it should match
+ *
+ * @param schema Schema from `parseActivitySchemas`
+ * @param swiftSource Contents of `{Activity}Attributes.swift`
+ * @param swiftFileName Path reported with each mismatch
+ * @returns Mismatches as `{ fileName, line, message }`, empty when in sync
+ */
+function validateSwiftAttributes(schema, swiftSource, swiftFileName) {
+  const types = parseSwiftTypes(swiftSource);
+  const comparison = new Comparison(schema, types, swiftFileName);
+  const attributesName = `${schema.activityName}Attributes`;
+  const contentState = types.get(`${attributesName}.ContentState`);
+
+  if (!contentState) {
+    comparison.report(1, `${attributesName}.ContentState isn't declared`);
+  } else {
+    // The library's fields are expected too, at the interface they're added to
+    const libraryFields = LIBRARY_FIELDS.map((field) => ({
+      ...field,
+      line: schema.contentState.line,
+    }));
+    comparison.struct(
+      `${schema.activityName}ContentState`,
+      [...libraryFields, ...schema.contentState.fields],
+      schema.contentState.line,
+      contentState,
+    );
+  }
+
+  return comparison.issues;
+}
+
+/**
+ * Validates every activity of a TypeScript file against its Swift attributes
+ *
+ * @param findWidgetDir Returns the directory holding an attributes file name
+ * @returns Mismatches as `{ fileName, line, message }`, empty when in sync
+ */
+function validateFile(sourcePath, findWidgetDir, relativeTo = process.cwd()) {
+  const source = fs.readFileSync(sourcePath, "utf8");
+  const schemas = parseActivitySchemas(source, path.relative(relativeTo, sourcePath));
+
+  return schemas.flatMap((schema) => {
+    const fileName = `${schema.activityName}Attributes.swift`;
+    const swiftPath = path.join(findWidgetDir(fileName), fileName);
+    return validateSwiftAttributes(
+      schema,
+      fs.readFileSync(swiftPath, "utf8"),
+      path.relative(relativeTo, swiftPath),
+    );
+  });
+}
+
+module.exports = {
+  parseSwiftTypes,
+  validateFile,
+  validateSwiftAttributes,
+};
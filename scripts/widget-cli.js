@@ -165,12 +165,13 @@ ${this.colors.yellow}📖 Need help?${this.colors.reset} Run: ${this.colors.cyan
     const bundleId = this.getArgValue(args, "--bundle-id");
     const filesArg = this.getArgValue(args, "--files");
     const files = filesArg ? filesArg.split(",") : [];
+    const activityName = this.getArgValue(args, "--activity");
 
     if (!widgetName) {
       throw new Error("--widget parameter is required");
     }
 
-    await manager.setupWidget(widgetName, bundleId, files);
+    await manager.setupWidget(widgetName, bundleId, files, activityName);
   }
 
   async verifyWidget(args) {
@@ -0,0 +1,650 @@
+const fs = require("node:fs");
+const path = require("node:path");
+const { addObject, generateUuid, getObject, quote, sectionEntries, unquote } = require("./pbxproj");
+
+/**
+ * Widget Extension target creation
+ *
+ * Adds a WidgetKit app extension for Live Activities to a parsed
+ * project.pbxproj (see `pbxproj.js`) and writes its sources from
+ * `templates/widget/`. Used by the Expo config plugin and the CLI.
+ */
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates", "widget");
+
+// Section of ActivityAttributes.template.swift holding `decodePayload`
+const PAYLOAD_DECODING_MARK = "// MARK: - Custom State";
+
+const APPLICATION_PRODUCT_TYPE = "com.apple.product-type.application";
+const APP_EXTENSION_PRODUCT_TYPE = "com.apple.product-type.app-extension";
+const WIDGET_FRAMEWORKS = ["WidgetKit.framework", "SwiftUI.framework"];
+
+// PBXCopyFilesBuildPhase destination for app extensions ("Plugins")
+const PLUGINS_SUBFOLDER_SPEC = "13";
+
+const DEFAULT_DEPLOYMENT_TARGET = "16.2";
+
+// Build settings copied from the app so the extension is signed and versioned alike
+const INHERITED_BUILD_SETTINGS = [
+  "DEVELOPMENT_TEAM",
+  "MARKETING_VERSION",
+  "CURRENT_PROJECT_VERSION",
+];
+
+const PLIST_HEADER = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">
+<plist version="1.0">
+`;
+
+/**
+ * Names of the files making up a widget extension, relative to its directory
+ */
+function getWidgetFiles({ widgetName, activityName }) {
+  return {
+    bundle: `${widgetName}Bundle.swift`,
+    liveActivity: `${activityName}LiveActivity.swift`,
+    // Also compiled into the app, which registers it with LiveActivityBridgeRegistry
+    attributes: `${activityName}Attributes.swift`,
+    infoPlist: "Info.plist",
+    entitlements: `${widgetName}.entitlements`,
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function buildPlistValue(value, depth) {
+  const indent = "\t".repeat(depth);
+  if (typeof value === "boolean") return `${indent}<${value}/>`;
+  if (Array.isArray(value)) {
+    const items = value.map((item) => `${buildPlistValue(item, depth + 1)}\n`).join("");
+    return `${indent}<array>\n${items}${indent}</array>`;
+  }
+  return `${indent}<string>${escapeXml(value)}</string>`;
+}
+
+/**
+ * Writes entitlements (booleans, strings and string arrays) as Xcode formats them
+ */
+function buildEntitlements(entitlements) {
+  const keys = Object.keys(entitlements).sort();
+  if (keys.length === 0) return `${PLIST_HEADER}<dict/>\n</plist>\n`;
+
+  const entries = keys.map(
+    (key) => `\t<key>${escapeXml(key)}</key>\n${buildPlistValue(entitlements[key], 1)}\n`,
+  );
+  return `${PLIST_HEADER}<dict>\n${entries.join("")}</dict>\n</plist>\n`;
+}
+
+/**
+ * Sets a boolean key of a property list's top-level dictionary, keeping the
+ * rest of the file as is
+ */
+function setPlistBoolean(xml, key, value) {
+  const tag = `<${Boolean(value)}/>`;
+  const existing = new RegExp(`(<key>${key}</key>\\s*)<(?:true|false)\\s*/>`);
+  if (existing.test(xml)) return xml.replace(existing, `$1${tag}`);
+
+  const end = xml.lastIndexOf("</dict>");
+  if (end === -1) throw new Error(`Cannot set ${key}: no top-level dictionary`);
+
+  const indent = /^([ \t]*)<key>/m.exec(xml)?.[1] ?? "\t";
+  return `${xml.slice(0, end)}${indent}<key>${key}</key>\n${indent}${tag}\n${xml.slice(end)}`;
+}
+
+/**
+ * Fills a template of `templates/widget/` with the widget's names
+ */
+function renderWidgetTemplate(templateName, { widgetName, activityName }) {
+  const template = fs.readFileSync(path.join(TEMPLATES_DIR, templateName), "utf8");
+  return template
+    .replace(/\{\{WIDGET_NAME\}\}/g, widgetName)
+    .replace(/\{\{ACTIVITY_NAME\}\}/g, activityName);
+}
+
+/**
+ * The `decodePayload` extension of the attributes template, for generators
+ * that write their own `ContentState` with a `payload` property
+ */
+function renderPayloadDecoding(activityName) {
+  const attributes = renderWidgetTemplate("ActivityAttributes.template.swift", {
+    widgetName: "",
+    activityName,
+  });
+  const start = attributes.indexOf(PAYLOAD_DECODING_MARK);
+  const end = attributes.indexOf("// MARK:", start + PAYLOAD_DECODING_MARK.length);
+  return `${attributes.slice(start, end).trimEnd()}\n`;
+}
+
+function writeIfChanged(filePath, content) {
+  if (fs.existsSync(filePath) && fs.readFileSync(filePath, "utf8") === content) return false;
+  fs.writeFileSync(filePath, content);
+  return true;
+}
+
+/**
+ * Writes the widget sources from `templates/widget/`. Existing sources are
+ * kept, so edits survive running this again.
+ *
+ * `infoPlist` booleans are set in Info.plist, and `entitlements` replace the
+ * extension's entitlements file. Without `entitlements`, an existing file is
+ * kept.
+ *
+ * @returns Names of the files written
+ */
+function writeWidgetFiles(widgetDir, { widgetName, activityName, entitlements, infoPlist = {} }) {
+  const files = getWidgetFiles({ widgetName, activityName });
+  const templates = {
+    [files.bundle]: "WidgetBundle.template.swift",
+    [files.liveActivity]: "LiveActivity.template.swift",
+    [files.attributes]: "ActivityAttributes.template.swift",
+    [files.infoPlist]: "Info.template.plist",
+  };
+
+  fs.mkdirSync(widgetDir, { recursive: true });
+  const written = [];
+
+  for (const [fileName, templateName] of Object.entries(templates)) {
+    const filePath = path.join(widgetDir, fileName);
+    if (fs.existsSync(filePath)) continue;
+
+    fs.writeFileSync(filePath, renderWidgetTemplate(templateName, { widgetName, activityName }));
+    written.push(fileName);
+  }
+
+  const infoPlistPath = path.join(widgetDir, files.infoPlist);
+  let infoPlistContent = fs.readFileSync(infoPlistPath, "utf8");
+  for (const [key, value] of Object.entries(infoPlist)) {
+    infoPlistContent = setPlistBoolean(infoPlistContent, key, value);
+  }
+  if (writeIfChanged(infoPlistPath, infoPlistContent) && !written.includes(files.infoPlist)) {
+    written.push(files.infoPlist);
+  }
+
+  const entitlementsPath = path.join(widgetDir, files.entitlements);
+  if (entitlements !== undefined || !fs.existsSync(entitlementsPath)) {
+    if (writeIfChanged(entitlementsPath, buildEntitlements(entitlements ?? {}))) {
+      written.push(files.entitlements);
+    }
+  }
+
+  return written;
+}
+
+function ref(uuid, comment) {
+  return { value: uuid, comment };
+}
+
+function refValue(item) {
+  return typeof item === "object" && item !== null ? item.value : item;
+}
+
+function findNativeTarget(objects, name) {
+  return sectionEntries(objects, "PBXNativeTarget").find(
+    ([, target]) => unquote(target.name) === name || unquote(target.productName) === name,
+  );
+}
+
+function findMainTarget(objects, project, name) {
+  const applications = (project.targets ?? [])
+    .map((item) => [refValue(item), getObject(objects, refValue(item))])
+    .filter(([, target]) => target && unquote(target.productType) === APPLICATION_PRODUCT_TYPE);
+
+  const target = applications.find(([, app]) => name && unquote(app.name) === name);
+  return target ?? applications[0];
+}
+
+function findBuildPhase(objects, target, isa) {
+  for (const item of target.buildPhases ?? []) {
+    const phase = getObject(objects, refValue(item));
+    if (phase && unquote(phase.isa) === isa) return [refValue(item), phase];
+  }
+  return undefined;
+}
+
+function getBuildConfigurations(objects, target) {
+  const list = getObject(objects, target.buildConfigurationList);
+  return (list?.buildConfigurations ?? []).map((item) => getObject(objects, refValue(item)));
+}
+
+function findGroupChild(objects, group, name) {
+  for (const item of group.children ?? []) {
+    const child = getObject(objects, refValue(item));
+    if (child && unquote(child.name ?? child.path) === name) return [refValue(item), child];
+  }
+  return undefined;
+}
+
+function addFileReference(objects, seed, fileName, lastKnownFileType) {
+  const uuid = generateUuid(objects, seed);
+  addObject(
+    objects,
+    uuid,
+    {
+      isa: "PBXFileReference",
+      lastKnownFileType,
+      path: quote(fileName),
+      sourceTree: quote("<group>"),
+    },
+    fileName,
+  );
+  return uuid;
+}
+
+function addBuildFile(objects, seed, fileRef, fileName, phaseName, settings) {
+  const uuid = generateUuid(objects, seed);
+  const buildFile = { isa: "PBXBuildFile", fileRef, fileRef_comment: fileName };
+  if (settings) buildFile.settings = settings;
+  addObject(objects, uuid, buildFile, `${fileName} in ${phaseName}`);
+  return uuid;
+}
+
+function addBuildPhase(objects, seed, isa, name, files) {
+  const uuid = generateUuid(objects, seed);
+  addObject(
+    objects,
+    uuid,
+    {
+      isa,
+      buildActionMask: "2147483647",
+      files,
+      runOnlyForDeploymentPostprocessing: "0",
+    },
+    name,
+  );
+  return uuid;
+}
+
+/**
+ * Framework references shared by all targets, e.g. `WidgetKit.framework`,
+ * listed in the project's Frameworks group
+ */
+function getFrameworkReference(objects, project, seedPrefix, framework) {
+  const existing = sectionEntries(objects, "PBXFileReference").find(
+    ([, file]) => unquote(file.name ?? file.path) === framework,
+  );
+  if (existing) return existing[0];
+
+  const mainGroup = getObject(objects, project.mainGroup);
+  let frameworksGroup = findGroupChild(objects, mainGroup, "Frameworks")?.[1];
+  if (!frameworksGroup) {
+    const groupUuid = generateUuid(objects, `${seedPrefix}:FrameworksGroup`);
+    frameworksGroup = {
+      isa: "PBXGroup",
+      children: [],
+      name: "Frameworks",
+      sourceTree: quote("<group>"),
+    };
+    addObject(objects, groupUuid, frameworksGroup, "Frameworks");
+    mainGroup.children.push(ref(groupUuid, "Frameworks"));
+  }
+
+  const uuid = generateUuid(objects, `${seedPrefix}:${framework}`);
+  addObject(
+    objects,
+    uuid,
+    {
+      isa: "PBXFileReference",
+      lastKnownFileType: "wrapper.framework",
+      name: framework,
+      path: `System/Library/Frameworks/${framework}`,
+      sourceTree: "SDKROOT",
+    },
+    framework,
+  );
+  frameworksGroup.children.push(ref(uuid, framework));
+  return uuid;
+}
+
+function sortKeys(settings) {
+  return Object.fromEntries(
+    Object.entries(settings).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)),
+  );
+}
+
+function widgetBuildSettings(appSettings, configurationName, options) {
+  const { widgetName, bundleId, deploymentTarget } = options;
+  const files = getWidgetFiles(options);
+
+  const settings = {
+    CODE_SIGN_ENTITLEMENTS: quote(`${widgetName}/${files.entitlements}`),
+    CODE_SIGN_STYLE: "Automatic",
+    INFOPLIST_FILE: quote(`${widgetName}/${files.infoPlist}`),
+    IPHONEOS_DEPLOYMENT_TARGET: quote(deploymentTarget),
+    LD_RUNPATH_SEARCH_PATHS: [
+      quote("$(inherited)"),
+      quote("@executable_path/Frameworks"),
+      quote("@executable_path/../../Frameworks"),
+    ],
+    PRODUCT_BUNDLE_IDENTIFIER: quote(bundleId),
+    PRODUCT_NAME: quote("$(TARGET_NAME)"),
+    SKIP_INSTALL: "YES",
+    SWIFT_VERSION: "5.0",
+    TARGETED_DEVICE_FAMILY: "1",
+  };
+
+  for (const key of INHERITED_BUILD_SETTINGS) {
+    if (appSettings?.[key] !== undefined) settings[key] = appSettings[key];
+  }
+
+  if (/debug/i.test(configurationName)) {
+    settings.SWIFT_ACTIVE_COMPILATION_CONDITIONS = "DEBUG";
+    settings.SWIFT_OPTIMIZATION_LEVEL = quote("-Onone");
+  }
+
+  return sortKeys(settings);
+}
+
+/**
+ * Bundle identifier of the app target, used to derive the extension's
+ *
+ * @param hash Project from `pbxproj.parse()` or the `xcode` package's `project.hash`
+ * @param mainTargetName App target; defaults to the first app
+ */
+function getMainBundleIdentifier(hash, mainTargetName) {
+  const objects = hash.project.objects;
+  const project = getObject(objects, refValue(hash.project.rootObject));
+  const mainTarget = findMainTarget(objects, project, mainTargetName);
+  if (!mainTarget) return undefined;
+
+  const bundleId = getBuildConfigurations(objects, mainTarget[1])
+    .map((configuration) => configuration?.buildSettings?.PRODUCT_BUNDLE_IDENTIFIER)
+    .find((value) => value !== undefined);
+  return bundleId === undefined ? undefined : unquote(bundleId);
+}
+
+/**
+ * Adds a WidgetKit app extension target to a parsed project.pbxproj:
+ * - A group with the widget sources, Info.plist and entitlements
+ * - Sources, Frameworks (WidgetKit, SwiftUI) and Resources build phases
+ * - Build configurations matching the app's, with `bundleId`
+ * - A dependency of the app on the extension and an Embed App Extensions phase
+ *
+ * The attributes file is also added to the app's sources.
+ *
+ * @param hash Project from `pbxproj.parse()` or the `xcode` package's `project.hash`
+ * @param options.widgetName Target and directory name
+ * @param options.bundleId Bundle identifier of the extension
+ * @param options.activityName Activity name used in the source file names
+ * @param options.mainTargetName App target to embed the extension in; defaults to the first app
+ * @param options.deploymentTarget Defaults to 16.2, the first release with ActivityContent
+ * @returns false if a target named `widgetName` already exists, true once added
+ */
+function addWidgetExtension(hash, options) {
+  const { widgetName, bundleId, activityName, mainTargetName } = options;
+  const deploymentTarget = options.deploymentTarget ?? DEFAULT_DEPLOYMENT_TARGET;
+  const objects = hash.project.objects;
+  const projectUuid = refValue(hash.project.rootObject);
+  const project = getObject(objects, projectUuid);
+
+  if (findNativeTarget(objects, widgetName)) return false;
+
+  const mainTarget = findMainTarget(objects, project, mainTargetName);
+  if (!mainTarget) throw new Error("No application target found in the Xcode project");
+  const [, app] = mainTarget;
+
+  const seed = `react-native-dynamic-activities:${widgetName}`;
+  const files = getWidgetFiles({ widgetName, activityName });
+  const productName = `${widgetName}.appex`;
+
+  // Sources, Info.plist and entitlements in a group named after the widget
+  const sourceFiles = [files.bundle, files.liveActivity, files.attributes];
+  const sourceRefs = sourceFiles.map((fileName) =>
+    addFileReference(objects, `${seed}:${fileName}`, fileName, "sourcecode.swift"),
+  );
+  const infoPlistRef = addFileReference(
+    objects,
+    `${seed}:${files.infoPlist}`,
+    files.infoPlist,
+    "text.plist.xml",
+  );
+  const entitlementsRef = addFileReference(
+    objects,
+    `${seed}:${files.entitlements}`,
+    files.entitlements,
+    "text.plist.entitlements",
+  );
+
+  const groupUuid = generateUuid(objects, `${seed}:Group`);
+  addObject(
+    objects,
+    groupUuid,
+    {
+      isa: "PBXGroup",
+      children: [
+        ...sourceFiles.map((fileName, index) => ref(sourceRefs[index], fileName)),
+        ref(infoPlistRef, files.infoPlist),
+        ref(entitlementsRef, files.entitlements),
+      ],
+      path: quote(widgetName),
+      sourceTree: quote("<group>"),
+    },
+    widgetName,
+  );
+  getObject(objects, project.mainGroup).children.push(ref(groupUuid, widgetName));
+
+  // Product, listed in the Products group
+  const productRef = generateUuid(objects, `${seed}:Product`);
+  addObject(
+    objects,
+    productRef,
+    {
+      isa: "PBXFileReference",
+      explicitFileType: quote("wrapper.app-extension"),
+      includeInIndex: "0",
+      path: quote(productName),
+      sourceTree: "BUILT_PRODUCTS_DIR",
+    },
+    productName,
+  );
+  getObject(objects, project.productRefGroup).children.push(ref(productRef, productName));
+
+  // Build phases
+  const sourcesPhase = addBuildPhase(
+    objects,
+    `${seed}:SourcesPhase`,
+    "PBXSourcesBuildPhase",
+    "Sources",
+    sourceFiles.map((fileName, index) =>
+      ref(
+        addBuildFile(
+          objects,
+          `${seed}:Sources:${fileName}`,
+          sourceRefs[index],
+          fileName,
+          "Sources",
+        ),
+        `${fileName} in Sources`,
+      ),
+    ),
+  );
+  const frameworksPhase = addBuildPhase(
+    objects,
+    `${seed}:FrameworksPhase`,
+    "PBXFrameworksBuildPhase",
+    "Frameworks",
+    WIDGET_FRAMEWORKS.map((framework) =>
+      ref(
+        addBuildFile(
+          objects,
+          `${seed}:Frameworks:${framework}`,
+          getFrameworkReference(objects, project, seed, framework),
+          framework,
+          "Frameworks",
+        ),
+        `${framework} in Frameworks`,
+      ),
+    ),
+  );
+  const resourcesPhase = addBuildPhase(
+    objects,
+    `${seed}:ResourcesPhase`,
+    "PBXResourcesBuildPhase",
+    "Resources",
+    [],
+  );
+
+  // One build configuration for each of the app's, e.g. Debug and Release
+  const appConfigurationList = getObject(objects, app.buildConfigurationList);
+  const appConfigurations = getBuildConfigurations(objects, app);
+  const configurationRefs = appConfigurations.map((appConfiguration) => {
+    const name = unquote(appConfiguration.name);
+    const uuid = generateUuid(objects, `${seed}:Configuration:${name}`);
+    addObject(
+      objects,
+      uuid,
+      {
+        isa: "XCBuildConfiguration",
+        buildSettings: widgetBuildSettings(appConfiguration.buildSettings, name, {
+          widgetName,
+          activityName,
+          bundleId,
+          deploymentTarget,
+        }),
+        name: appConfiguration.name,
+      },
+      name,
+    );
+    return ref(uuid, name);
+  });
+
+  const configurationListUuid = generateUuid(objects, `${seed}:ConfigurationList`);
+  const configurationListComment = `Build configuration list for PBXNativeTarget "${widgetName}"`;
+  addObject(
+    objects,
+    configurationListUuid,
+    {
+      isa: "XCConfigurationList",
+      buildConfigurations: configurationRefs,
+      defaultConfigurationIsVisible: "0",
+      defaultConfigurationName: appConfigurationList?.defaultConfigurationName ?? "Release",
+    },
+    configurationListComment,
+  );
+
+  // Target
+  const targetUuid = generateUuid(objects, `${seed}:Target`);
+  addObject(
+    objects,
+    targetUuid,
+    {
+      isa: "PBXNativeTarget",
+      buildConfigurationList: configurationListUuid,
+      buildConfigurationList_comment: configurationListComment,
+      buildPhases: [
+        ref(sourcesPhase, "Sources"),
+        ref(frameworksPhase, "Frameworks"),
+        ref(resourcesPhase, "Resources"),
+      ],
+      buildRules: [],
+      dependencies: [],
+      name: quote(widgetName),
+      productName: quote(widgetName),
+      productReference: productRef,
+      productReference_comment: productName,
+      productType: quote(APP_EXTENSION_PRODUCT_TYPE),
+    },
+    widgetName,
+  );
+  project.targets.push(ref(targetUuid, widgetName));
+
+  // The app builds the extension first...
+  const proxyUuid = generateUuid(objects, `${seed}:ContainerItemProxy`);
+  addObject(
+    objects,
+    proxyUuid,
+    {
+      isa: "PBXContainerItemProxy",
+      containerPortal: projectUuid,
+      containerPortal_comment: "Project object",
+      proxyType: "1",
+      remoteGlobalIDString: targetUuid,
+      remoteInfo: quote(widgetName),
+    },
+    "PBXContainerItemProxy",
+  );
+
+  const dependencyUuid = generateUuid(objects, `${seed}:TargetDependency`);
+  addObject(
+    objects,
+    dependencyUuid,
+    {
+      isa: "PBXTargetDependency",
+      target: targetUuid,
+      target_comment: widgetName,
+      targetProxy: proxyUuid,
+      targetProxy_comment: "PBXContainerItemProxy",
+    },
+    "PBXTargetDependency",
+  );
+  app.dependencies ??= [];
+  app.dependencies.push(ref(dependencyUuid, "PBXTargetDependency"));
+
+  // ...then embeds it, in a phase shared with other extensions
+  const embedPhaseName = "Embed App Extensions";
+  const embedFile = addBuildFile(
+    objects,
+    `${seed}:Embed`,
+    productRef,
+    productName,
+    embedPhaseName,
+    { ATTRIBUTES: ["RemoveHeadersOnCopy"] },
+  );
+
+  const existingEmbedPhase = (app.buildPhases ?? [])
+    .map((item) => getObject(objects, refValue(item)))
+    .find(
+      (phase) =>
+        phase &&
+        unquote(phase.isa) === "PBXCopyFilesBuildPhase" &&
+        unquote(phase.dstSubfolderSpec) === PLUGINS_SUBFOLDER_SPEC,
+    );
+
+  if (existingEmbedPhase) {
+    existingEmbedPhase.files.push(ref(embedFile, `${productName} in ${embedPhaseName}`));
+  } else {
+    const embedPhaseUuid = generateUuid(objects, `${seed}:EmbedPhase`);
+    addObject(
+      objects,
+      embedPhaseUuid,
+      {
+        isa: "PBXCopyFilesBuildPhase",
+        buildActionMask: "2147483647",
+        dstPath: quote(""),
+        dstSubfolderSpec: PLUGINS_SUBFOLDER_SPEC,
+        files: [ref(embedFile, `${productName} in ${embedPhaseName}`)],
+        name: quote(embedPhaseName),
+        runOnlyForDeploymentPostprocessing: "0",
+      },
+      embedPhaseName,
+    );
+    app.buildPhases.push(ref(embedPhaseUuid, embedPhaseName));
+  }
+
+  // The app registers the attributes type, so it compiles that file too
+  const appSources = findBuildPhase(objects, app, "PBXSourcesBuildPhase");
+  if (appSources) {
+    const attributesIndex = sourceFiles.indexOf(files.attributes);
+    const appAttributesFile = addBuildFile(
+      objects,
+      `${seed}:AppSources:${files.attributes}`,
+      sourceRefs[attributesIndex],
+      files.attributes,
+      "Sources",
+    );
+    appSources[1].files.push(ref(appAttributesFile, `${files.attributes} in Sources`));
+  }
+
+  return true;
+}
+
+module.exports = {
+  addWidgetExtension,
+  buildEntitlements,
+  getMainBundleIdentifier,
+  getWidgetFiles,
+  renderPayloadDecoding,
+  renderWidgetTemplate,
+  writeWidgetFiles,
+};
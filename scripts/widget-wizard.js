@@ -3,6 +3,7 @@
 const fs = require("node:fs");
 const path = require("node:path");
 const { execSync } = require("node:child_process");
+const { renderPayloadDecoding } = require("./widget-extension");
 
 // Enhanced CLI with interactive prompts
 class WidgetWizard {
@@ -651,9 +652,13 @@ public struct ${config.activityName}Attributes: ActivityAttributes {
         
         ${config.features.includes("media") ? "/// Media information\n        public var mediaInfo: MediaInfo?" : ""}
         
+        /// Optional JSON-encoded custom state, passed as data from JavaScript
+        public var payload: String?
+        
         public init(
             state: String,
-            relevanceScore: Double? = nil${config.features.includes("timer") ? ",\n            timestamp: Date? = nil" : ""}${config.features.includes("progress") ? ",\n            progress: Double? = nil" : ""}${config.features.includes("location") ? ",\n            location: String? = nil" : ""}${config.features.includes("media") ? ",\n            mediaInfo: MediaInfo? = nil" : ""}
+            relevanceScore: Double? = nil${config.features.includes("timer") ? ",\n            timestamp: Date? = nil" : ""}${config.features.includes("progress") ? ",\n            progress: Double? = nil" : ""}${config.features.includes("location") ? ",\n            location: String? = nil" : ""}${config.features.includes("media") ? ",\n            mediaInfo: MediaInfo? = nil" : ""},
+            payload: String? = nil
         ) {
             self.state = state
             self.relevanceScore = relevanceScore
@@ -661,6 +666,7 @@ public struct ${config.activityName}Attributes: ActivityAttributes {
             ${config.features.includes("progress") ? "self.progress = progress" : ""}
             ${config.features.includes("location") ? "self.location = location" : ""}
             ${config.features.includes("media") ? "self.mediaInfo = mediaInfo" : ""}
+            self.payload = payload
         }
     }
     
@@ -680,6 +686,7 @@ public struct ${config.activityName}Attributes: ActivityAttributes {
     }
 }
 
+${renderPayloadDecoding(config.activityName)}
 ${config.features.includes("media") ? this.generateMediaInfoStruct() : ""}
 
 // MARK: - JavaScript Integration
@@ -711,10 +718,12 @@ extension ${config.activityName}Attributes {
         ${config.features.includes("progress") ? 'let progress = jsContent["progress"] as? Double' : ""}
         ${config.features.includes("location") ? 'let location = jsContent["location"] as? String' : ""}
         ${config.features.includes("media") ? 'let mediaInfo = MediaInfo.from(jsContent["mediaInfo"] as? [String: Any])' : ""}
+        let payload = jsContent["payload"] as? String
         
         return ContentState(
             state: state,
-            relevanceScore: relevanceScore${config.features.includes("timer") ? ",\n            timestamp: timestamp" : ""}${config.features.includes("progress") ? ",\n            progress: progress" : ""}${config.features.includes("location") ? ",\n            location: location" : ""}${config.features.includes("media") ? ",\n            mediaInfo: mediaInfo" : ""}
+            relevanceScore: relevanceScore${config.features.includes("timer") ? ",\n            timestamp: timestamp" : ""}${config.features.includes("progress") ? ",\n            progress: progress" : ""}${config.features.includes("location") ? ",\n            location: location" : ""}${config.features.includes("media") ? ",\n            mediaInfo: mediaInfo" : ""},
+            payload: payload
         )
     }
 }`;
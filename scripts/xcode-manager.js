@@ -3,6 +3,14 @@
 const fs = require("node:fs");
 const path = require("node:path");
 const { execSync } = require("node:child_process");
+const { build, parse, sectionEntries, unquote } = require("./pbxproj");
+const {
+  addWidgetExtension,
+  getMainBundleIdentifier,
+  writeWidgetFiles,
+} = require("./widget-extension");
+
+const DEFAULT_ACTIVITY_NAME = "DefaultActivity";
 
 /**
  * Automatic Xcode Project Manager
@@ -33,7 +41,7 @@ class XcodeManager {
       console.log(`\n${this.colors.bold}${this.colors.cyan}${msg}${this.colors.reset}\n`),
   };
 
-  async setupWidget(widgetName, bundleId, widgetFiles) {
+  async setupWidget(widgetName, bundleId, widgetFiles, activityName) {
     this.log.title("🔧 Automatic Xcode Setup");
 
     try {
@@ -48,18 +56,20 @@ class XcodeManager {
       // Check if we can modify the project
       await this.validateXcodeProject(xcodeproj);
 
-      // Try different approaches for Xcode modification
-      const success = await this.tryXcodeModification(xcodeproj, widgetName, bundleId, widgetFiles);
+      const added = this.addWidgetTarget(
+        xcodeproj,
+        widgetName,
+        bundleId,
+        activityName ?? this.findActivityName(widgetName, widgetFiles),
+      );
 
-      if (success) {
+      if (added) {
         this.log.success("Widget Extension target created successfully!");
-        await this.configureMainAppCapabilities(xcodeproj);
-        return true;
+      } else {
+        this.log.info(`Widget target "${widgetName}" already exists, skipping...`);
       }
-
-      this.log.warning("Automatic setup failed - generating manual instructions");
-      this.generateManualInstructions(widgetName, bundleId, widgetFiles);
-      return false;
+      await this.configureMainAppCapabilities(xcodeproj);
+      return true;
     } catch (error) {
       this.log.error(`Setup failed: ${error.message}`);
       this.generateManualInstructions(widgetName, bundleId, widgetFiles);
@@ -90,98 +100,57 @@ class XcodeManager {
     this.log.success("Xcode project validation passed");
   }
 
-  async tryXcodeModification(xcodeproj, widgetName, bundleId, widgetFiles) {
-    const methods = [
-      () => this.useNodeXcode(xcodeproj, widgetName, bundleId, widgetFiles),
-      () => this.useXcodebuild(xcodeproj, widgetName, bundleId, widgetFiles),
-      () => this.usePBXProjManipulation(xcodeproj, widgetName, bundleId, widgetFiles),
-    ];
+  findActivityName(widgetName, widgetFiles = []) {
+    const widgetDir = path.join(this.iosDir, widgetName);
+    const files = fs.existsSync(widgetDir)
+      ? [...widgetFiles, ...fs.readdirSync(widgetDir)]
+      : widgetFiles;
 
-    for (const method of methods) {
-      try {
-        this.log.info("Trying automatic project modification...");
-        await method();
-        return true;
-      } catch (error) {
-        this.log.warning(`Method failed: ${error.message}`);
-      }
+    for (const file of files) {
+      const match = /^(\w+)Attributes\.swift$/.exec(path.basename(file));
+      if (match) return match[1];
     }
-
-    return false;
+    return DEFAULT_ACTIVITY_NAME;
   }
 
-  async useNodeXcode(xcodeproj, widgetName, bundleId, widgetFiles) {
-    try {
-      const xcode = require("xcode");
-      const pbxprojPath = path.join(this.iosDir, xcodeproj, "project.pbxproj");
-      const project = xcode.project(pbxprojPath);
-
-      project.parseSync();
-
-      // Add widget extension target
-      const targetUuid = project.generateUuid();
-      const productUuid = project.generateUuid();
-
-      // Create the target
-      project.addTarget(widgetName, "app_extension", widgetName, bundleId);
-
-      // Add source files
-      for (const file of widgetFiles) {
-        if (file.endsWith(".swift")) {
-          project.addSourceFile(
-            path.join(widgetName, file),
-            { target: targetUuid },
-            project.findTargetKey(widgetName),
-          );
-        }
-      }
-
-      // Add frameworks
-      project.addFramework("WidgetKit.framework", { target: targetUuid });
-      project.addFramework("SwiftUI.framework", { target: targetUuid });
-
-      // Write the project
-      fs.writeFileSync(pbxprojPath, project.writeSync());
+  addWidgetTarget(xcodeproj, widgetName, bundleId, activityName) {
+    const pbxprojPath = path.join(this.iosDir, xcodeproj, "project.pbxproj");
+    const content = fs.readFileSync(pbxprojPath, "utf8");
+    const hash = parse(content);
 
-      this.log.success("Used node-xcode for project modification");
-    } catch (error) {
-      if (error.code === "MODULE_NOT_FOUND") {
-        throw new Error("node-xcode not available - install with: npm install xcode");
-      }
-      throw error;
+    // Only edit projects written back byte for byte, so nothing else changes
+    if (build(hash) !== content) {
+      throw new Error("project.pbxproj has formatting that cannot be preserved");
     }
-  }
 
-  async useXcodebuild(xcodeproj, widgetName, bundleId, widgetFiles) {
-    try {
-      // Check if xcodebuild is available
-      execSync("which xcodebuild", { stdio: "pipe" });
-
-      const projectPath = path.join(this.iosDir, xcodeproj);
-
-      // This is a simplified approach - real implementation would be more complex
-      const script = `
-tell application "Xcode"
-    set myProject to open POSIX file "${projectPath}"
-    -- Add widget extension target
-    -- This would require AppleScript automation which is complex
-end tell
-`;
+    const mainTargetName = xcodeproj.replace(".xcodeproj", "");
+    const mainBundleId = getMainBundleIdentifier(hash, mainTargetName);
+    const widgetBundleId = bundleId ?? (mainBundleId && `${mainBundleId}.widget`);
+    if (!widgetBundleId) {
+      throw new Error("Could not determine the app's bundle identifier - pass --bundle-id");
+    }
 
-      this.log.warning("xcodebuild automation not fully implemented yet");
-      throw new Error("xcodebuild method not ready");
-    } catch (error) {
-      throw new Error(`xcodebuild not available: ${error.message}`);
+    // Fill in sources the target expects but the scaffolder didn't generate
+    const written = writeWidgetFiles(path.join(this.iosDir, widgetName), {
+      widgetName,
+      activityName,
+    });
+    if (written.length > 0) {
+      this.log.info(`Generated ${written.join(", ")} in ios/${widgetName}`);
     }
-  }
 
-  async usePBXProjManipulation(xcodeproj, widgetName, bundleId, widgetFiles) {
-    // Direct pbxproj file manipulation (advanced but fragile)
-    const pbxprojPath = path.join(this.iosDir, xcodeproj, "project.pbxproj");
+    const added = addWidgetExtension(hash, {
+      widgetName,
+      bundleId: widgetBundleId,
+      activityName,
+      mainTargetName,
+    });
+    if (added) {
+      fs.writeFileSync(pbxprojPath, build(hash));
+      this.log.success(`Added ${widgetName} target (${widgetBundleId})`);
+    }
 
-    // This is very complex and error-prone
-    // Would require deep understanding of pbxproj format
-    throw new Error("Direct pbxproj manipulation not implemented - too risky");
+    return added;
   }
 
   async configureMainAppCapabilities(xcodeproj) {
@@ -327,22 +296,31 @@ Run: \`npx react-native-dynamic-activities doctor\`
       // Check if widget target exists in project
       try {
         const pbxprojPath = path.join(this.iosDir, xcodeproj, "project.pbxproj");
-        const content = fs.readFileSync(pbxprojPath, "utf8");
-
-        if (content.includes(widgetName)) {
-          this.log.success("Widget target found in Xcode project");
-        } else {
-          warnings.push("Widget target not found in Xcode project - may need manual setup");
-        }
-
-        if (content.includes("com.apple.widgetkit-extension")) {
-          this.log.success("WidgetKit extension configuration found");
+        const { project } = parse(fs.readFileSync(pbxprojPath, "utf8"));
+        const target = sectionEntries(project.objects, "PBXNativeTarget").find(
+          ([, nativeTarget]) => unquote(nativeTarget.name) === widgetName,
+        );
+
+        if (!target) {
+          warnings.push("Widget target not found in Xcode project - run setup-xcode");
+        } else if (unquote(target[1].productType) !== "com.apple.product-type.app-extension") {
+          issues.push(`Target "${widgetName}" is not an app extension`);
         } else {
-          warnings.push("WidgetKit extension configuration not found");
+          this.log.success("Widget target found in Xcode project");
         }
       } catch (error) {
         warnings.push(`Could not read Xcode project: ${error.message}`);
       }
+
+      const infoPlistPath = path.join(widgetDir, "Info.plist");
+      if (
+        fs.existsSync(infoPlistPath) &&
+        fs.readFileSync(infoPlistPath, "utf8").includes("com.apple.widgetkit-extension")
+      ) {
+        this.log.success("WidgetKit extension configuration found");
+      } else {
+        warnings.push("WidgetKit extension configuration not found");
+      }
     } else {
       issues.push("No Xcode project found");
     }
@@ -531,13 +509,14 @@ async function main() {
       const bundleId = args.find((arg) => arg.startsWith("--bundle-id="))?.split("=")[1];
       const filesArg = args.find((arg) => arg.startsWith("--files="))?.split("=")[1];
       const files = filesArg ? filesArg.split(",") : [];
+      const activityName = args.find((arg) => arg.startsWith("--activity="))?.split("=")[1];
 
       if (!widgetName) {
         console.error("Error: --widget parameter required");
         process.exit(1);
       }
 
-      await manager.setupWidget(widgetName, bundleId, files);
+      await manager.setupWidget(widgetName, bundleId, files, activityName);
       break;
     }
 
@@ -560,7 +539,7 @@ async function main() {
     default:
       console.log("Usage:");
       console.log(
-        "  setup-xcode --widget=WidgetName [--bundle-id=com.app.widget] [--files=file1,file2]",
+        "  setup-xcode --widget=WidgetName [--bundle-id=com.app.widget] [--activity=ActivityName] [--files=file1,file2]",
       );
       console.log("  verify --widget=WidgetName");
       console.log("  doctor");
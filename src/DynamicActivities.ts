@@ -0,0 +1,207 @@
+import { nativeDynamicActivities } from "./NativeDynamicActivities";
+import type {
+  LiveActivitiesSupportInfo,
+  LiveActivityAlertConfiguration,
+  LiveActivityAttributes,
+  LiveActivityDismissalPolicy,
+  LiveActivityPushToken,
+  LiveActivityStartResult,
+  LiveActivityStateChangeEvent,
+  LiveActivityStyle,
+  LiveActivityContent as NativeLiveActivityContent,
+  LiveActivityInfo as NativeLiveActivityInfo,
+  PushTokenUpdateEvent,
+} from "./specs/LiveActivities.nitro";
+import {
+  type LiveActivityError,
+  LiveActivityErrorCode,
+  LiveActivityErrorFactory,
+  isLiveActivityError,
+} from "./specs/LiveActivitiesErrors.nitro";
+
+/**
+ * Custom state carried by a Live Activity. Must survive `JSON.stringify`;
+ * dates are sent as ISO 8601 strings.
+ */
+export type LiveActivityData = object;
+
+export interface LiveActivityContent<TData extends LiveActivityData = LiveActivityData>
+  extends Omit<NativeLiveActivityContent, "payload"> {
+  /** Custom state, decoded in the widget with `context.state.decodePayload()` */
+  data?: TData;
+}
+
+export interface LiveActivityInfo<TData extends LiveActivityData = LiveActivityData>
+  extends Omit<NativeLiveActivityInfo, "payload"> {
+  data?: TData;
+}
+
+/** ActivityKit rejects static attributes larger than 4KB */
+const MAX_ATTRIBUTES_SIZE = 4096;
+
+function utf8ByteLength(value: string): number {
+  let length = 0;
+  for (const char of value) {
+    const codePoint = char.codePointAt(0) ?? 0;
+    length += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+  }
+  return length;
+}
+
+function validateAttributesSize(attributes: LiveActivityAttributes): void {
+  const size = utf8ByteLength(JSON.stringify(attributes));
+  if (size > MAX_ATTRIBUTES_SIZE) {
+    throw LiveActivityErrorFactory.createError(
+      LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE,
+      undefined,
+      {
+        failureReason: `Attributes are ${size} bytes when encoded`,
+      },
+    );
+  }
+}
+
+function toLiveActivityError(error: unknown, activityId?: string): LiveActivityError {
+  return isLiveActivityError(error)
+    ? error
+    : LiveActivityErrorFactory.createErrorFromNativeError(error, activityId);
+}
+
+/**
+ * Runs a native call and rejects with a `LiveActivityError` if it fails.
+ */
+async function callNative<T>(operation: () => Promise<T>, activityId?: string): Promise<T> {
+  try {
+    return await operation();
+  } catch (error) {
+    throw toLiveActivityError(error, activityId);
+  }
+}
+
+function toNativeContent(content: LiveActivityContent): NativeLiveActivityContent {
+  const { data, ...nativeContent } = content;
+  return data === undefined ? nativeContent : { ...nativeContent, payload: JSON.stringify(data) };
+}
+
+function fromNativeInfo<TData extends LiveActivityData>(
+  info: NativeLiveActivityInfo,
+): LiveActivityInfo<TData> {
+  const { payload, ...activityInfo } = info;
+  return payload === undefined
+    ? activityInfo
+    : { ...activityInfo, data: JSON.parse(payload) as TData };
+}
+
+/**
+ * Typed entry point to Live Activities.
+ *
+ * Forwards every call to the native `DynamicActivities` hybrid object and
+ * serializes the custom `data` of each content into the native `payload`.
+ * Attributes are checked against ActivityKit's 4KB limit before a start
+ * reaches native code, and every failure rejects with a `LiveActivityError`.
+ * Pass your state type as a generic to have it checked end to end:
+ *
+ * @example
+ * await DynamicActivities.updateLiveActivity<DeliveryState>(id, {
+ *   state: "active",
+ *   data: { progress: 0.5, driverName: "Alex" },
+ * });
+ */
+export const DynamicActivities = {
+  areLiveActivitiesSupported(): Promise<LiveActivitiesSupportInfo> {
+    return callNative(() => nativeDynamicActivities.areLiveActivitiesSupported());
+  },
+
+  async startLiveActivity<TData extends LiveActivityData = LiveActivityData>(
+    attributes: LiveActivityAttributes,
+    content: LiveActivityContent<TData>,
+    pushToken?: LiveActivityPushToken,
+    style?: LiveActivityStyle,
+    alertConfiguration?: LiveActivityAlertConfiguration,
+    start?: Date,
+    activityType?: string,
+  ): Promise<LiveActivityStartResult> {
+    validateAttributesSize(attributes);
+
+    return callNative(() =>
+      nativeDynamicActivities.startLiveActivity(
+        attributes,
+        toNativeContent(content),
+        pushToken,
+        style,
+        alertConfiguration,
+        start,
+        activityType,
+      ),
+    );
+  },
+
+  updateLiveActivity<TData extends LiveActivityData = LiveActivityData>(
+    activityId: string,
+    content: LiveActivityContent<TData>,
+    alertConfiguration?: LiveActivityAlertConfiguration,
+    timestamp?: Date,
+  ): Promise<void> {
+    return callNative(
+      () =>
+        nativeDynamicActivities.updateLiveActivity(
+          activityId,
+          toNativeContent(content),
+          alertConfiguration,
+          timestamp,
+        ),
+      activityId,
+    );
+  },
+
+  endLiveActivity<TData extends LiveActivityData = LiveActivityData>(
+    activityId: string,
+    content: LiveActivityContent<TData>,
+    dismissalPolicy?: LiveActivityDismissalPolicy,
+    timestamp?: Date,
+    dismissalDate?: Date,
+  ): Promise<void> {
+    return callNative(
+      () =>
+        nativeDynamicActivities.endLiveActivity(
+          activityId,
+          toNativeContent(content),
+          dismissalPolicy,
+          timestamp,
+          dismissalDate,
+        ),
+      activityId,
+    );
+  },
+
+  async getActiveLiveActivities<TData extends LiveActivityData = LiveActivityData>(): Promise<
+    LiveActivityInfo<TData>[]
+  > {
+    const activities = await callNative(() => nativeDynamicActivities.getActiveLiveActivities());
+    return activities.map((info) => fromNativeInfo<TData>(info));
+  },
+
+  onActivityStateChange(listener: (event: LiveActivityStateChangeEvent) => void): () => void {
+    try {
+      return nativeDynamicActivities.onActivityStateChange(listener);
+    } catch (error) {
+      throw toLiveActivityError(error);
+    }
+  },
+
+  onPushTokenUpdate(listener: (event: PushTokenUpdateEvent) => void): () => void {
+    return nativeDynamicActivities.onPushTokenUpdate(listener);
+  },
+
+  getPushToStartToken(activityType?: string): Promise<string | undefined> {
+    return callNative(() => nativeDynamicActivities.getPushToStartToken(activityType));
+  },
+
+  onPushToStartTokenUpdate(listener: (token: string) => void, activityType?: string): () => void {
+    try {
+      return nativeDynamicActivities.onPushToStartTokenUpdate(listener, activityType);
+    } catch (error) {
+      throw toLiveActivityError(error);
+    }
+  },
+};
@@ -0,0 +1,110 @@
+import {
+  type LiveActivityError,
+  LiveActivityErrorCode,
+  LiveActivityErrorFactory,
+  LiveActivityErrorSeverity,
+  getErrorSeverity,
+  isLiveActivityError,
+} from "./specs/LiveActivitiesErrors.nitro";
+
+export interface LiveActivityRetryPolicy {
+  /** Total attempts, including the first call */
+  maxAttempts: number;
+  /** Delay before the first retry */
+  initialDelayMs: number;
+  /** Factor applied to the delay after every retry */
+  backoffMultiplier: number;
+  /** Upper bound for a single delay */
+  maxDelayMs: number;
+  /** Overrides `isRetryableError` to decide whether a failure is retried */
+  shouldRetry?: (error: LiveActivityError, attempt: number) => boolean;
+  /** Called before waiting for each retry, e.g. for logging */
+  onRetry?: (error: LiveActivityError, attempt: number, delayMs: number) => void;
+}
+
+export const DEFAULT_RETRY_POLICY: LiveActivityRetryPolicy = {
+  maxAttempts: 3,
+  initialDelayMs: 500,
+  backoffMultiplier: 2,
+  maxDelayMs: 8000,
+};
+
+// Low or medium severity, but retrying can't change the outcome
+const PERSISTENT_ERROR_CODES: ReadonlySet<LiveActivityErrorCode> = new Set([
+  LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE,
+  LiveActivityErrorCode.GLOBAL_MAXIMUM_EXCEEDED,
+  LiveActivityErrorCode.TARGET_MAXIMUM_EXCEEDED,
+  LiveActivityErrorCode.VISIBILITY,
+  LiveActivityErrorCode.NOT_FOUND,
+  LiveActivityErrorCode.ALREADY_ENDED,
+]);
+
+// High severity, but caused by a passing system condition
+const TRANSIENT_ERROR_CODES: ReadonlySet<LiveActivityErrorCode> = new Set([
+  LiveActivityErrorCode.PERSISTENCE_FAILURE,
+]);
+
+/**
+ * Whether an operation that failed with this error may succeed when retried.
+ *
+ * Low and medium severity errors are retried, except those whose cause
+ * outlives a backoff (size and count limits, background starts, activities
+ * that are gone). High and critical errors need the user or developer to act,
+ * except `PERSISTENCE_FAILURE`.
+ */
+export function isRetryableError(error: LiveActivityError): boolean {
+  if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+  if (PERSISTENT_ERROR_CODES.has(error.code)) return false;
+
+  const severity = getErrorSeverity(error);
+  return (
+    severity === LiveActivityErrorSeverity.LOW || severity === LiveActivityErrorSeverity.MEDIUM
+  );
+}
+
+function retryDelay(policy: LiveActivityRetryPolicy, attempt: number): number {
+  const delay = policy.initialDelayMs * policy.backoffMultiplier ** (attempt - 1);
+  return Math.min(delay, policy.maxDelayMs);
+}
+
+function wait(delayMs: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, delayMs));
+}
+
+/**
+ * Runs an operation and retries it with exponential backoff while it fails
+ * with a retryable `LiveActivityError`.
+ *
+ * @param operation Call to retry, e.g. `() => DynamicActivities.updateLiveActivity(id, content)`
+ * @param policy Overrides for `DEFAULT_RETRY_POLICY`
+ * @returns Result of the first successful attempt
+ * @throws The last `LiveActivityError` once attempts run out or the error isn't retryable
+ *
+ * @example
+ * await withRetry(() => DynamicActivities.updateLiveActivity(id, content), { maxAttempts: 5 });
+ */
+export async function withRetry<T>(
+  operation: () => Promise<T>,
+  policy?: Partial<LiveActivityRetryPolicy>,
+): Promise<T> {
+  const resolvedPolicy = { ...DEFAULT_RETRY_POLICY, ...policy };
+  const shouldRetry = resolvedPolicy.shouldRetry ?? isRetryableError;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation();
+    } catch (caught) {
+      const error = isLiveActivityError(caught)
+        ? caught
+        : LiveActivityErrorFactory.createErrorFromNativeError(caught);
+
+      if (attempt >= resolvedPolicy.maxAttempts || !shouldRetry(error, attempt)) {
+        throw error;
+      }
+
+      const delayMs = retryDelay(resolvedPolicy, attempt);
+      resolvedPolicy.onRetry?.(error, attempt, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
@@ -0,0 +1,218 @@
+import {
+  DynamicActivities,
+  type LiveActivityContent,
+  type LiveActivityData,
+} from "./DynamicActivities";
+import type {
+  LiveActivityAlertConfiguration,
+  LiveActivityDismissalPolicy,
+} from "./specs/LiveActivities.nitro";
+import {
+  LiveActivityErrorCode,
+  LiveActivityErrorFactory,
+} from "./specs/LiveActivitiesErrors.nitro";
+
+export interface LiveActivityUpdateSchedulerOptions {
+  /** Minimum time between two updates sent for the same activity */
+  minIntervalMs?: number;
+}
+
+export interface LiveActivityUpdateScheduler {
+  /**
+   * Schedules an update. Updates arriving within `minIntervalMs` of the last
+   * one sent are coalesced, and only the latest content is sent.
+   *
+   * @returns Resolves once this content, or newer content replacing it, is applied
+   */
+  updateLiveActivity<TData extends LiveActivityData = LiveActivityData>(
+    activityId: string,
+    content: LiveActivityContent<TData>,
+    alertConfiguration?: LiveActivityAlertConfiguration,
+    timestamp?: Date,
+  ): Promise<void>;
+
+  /**
+   * Sends the pending update, if any, waits for it and then ends the activity.
+   */
+  endLiveActivity<TData extends LiveActivityData = LiveActivityData>(
+    activityId: string,
+    content: LiveActivityContent<TData>,
+    dismissalPolicy?: LiveActivityDismissalPolicy,
+    timestamp?: Date,
+    dismissalDate?: Date,
+  ): Promise<void>;
+
+  /**
+   * Sends the pending update of an activity right away, ignoring `minIntervalMs`.
+   */
+  flush(activityId: string): Promise<void>;
+}
+
+/** ActivityKit budgets frequent updates; one every 5 seconds stays well within it */
+export const DEFAULT_MIN_UPDATE_INTERVAL_MS = 5000;
+
+interface PendingUpdate {
+  content: LiveActivityContent;
+  alertConfiguration?: LiveActivityAlertConfiguration;
+  timestamp?: Date;
+  waiters: { resolve: () => void; reject: (error: unknown) => void }[];
+}
+
+interface ActivityUpdateQueue {
+  lastSentAt: number;
+  pending?: PendingUpdate;
+  timer?: ReturnType<typeof setTimeout>;
+  /** Last update sent; settles once it lands and never rejects */
+  inFlight: Promise<void>;
+}
+
+/**
+ * Creates a scheduler that throttles `updateLiveActivity` per activity.
+ *
+ * Use it for screens that produce updates faster than ActivityKit's budget,
+ * and end activities through the scheduler so the latest content is sent
+ * before the activity ends. Activities that end or are dismissed elsewhere
+ * are dropped, rejecting their pending update with `alreadyEnded`.
+ *
+ * @example
+ * const scheduler = createUpdateScheduler({ minIntervalMs: 2000 });
+ * // Called every second; at most one update every 2 seconds reaches native
+ * scheduler.updateLiveActivity(activityId, { state: "active", data: { eta } });
+ * await scheduler.endLiveActivity(activityId, { state: "ended" });
+ */
+export function createUpdateScheduler(
+  options?: LiveActivityUpdateSchedulerOptions,
+): LiveActivityUpdateScheduler {
+  const minIntervalMs = options?.minIntervalMs ?? DEFAULT_MIN_UPDATE_INTERVAL_MS;
+  const queues = new Map<string, ActivityUpdateQueue>();
+  // Listens only while there are queues, so an idle scheduler holds no listener
+  let unsubscribe: (() => void) | undefined;
+
+  function queueFor(activityId: string): ActivityUpdateQueue {
+    // Subscribes first, so a failed subscription leaves no queue behind
+    if (!unsubscribe) {
+      unsubscribe = DynamicActivities.onActivityStateChange(({ activityId: id, state }) => {
+        if (state === "ended" || state === "dismissed") drop(id);
+      });
+    }
+    let queue = queues.get(activityId);
+    if (!queue) {
+      queue = { lastSentAt: Number.NEGATIVE_INFINITY, inFlight: Promise.resolve() };
+      queues.set(activityId, queue);
+    }
+    return queue;
+  }
+
+  function remove(activityId: string): void {
+    queues.delete(activityId);
+    if (queues.size === 0) {
+      unsubscribe?.();
+      unsubscribe = undefined;
+    }
+  }
+
+  /** Forgets an activity that ended without the scheduler */
+  function drop(activityId: string): void {
+    const queue = queues.get(activityId);
+    if (!queue) return;
+
+    remove(activityId);
+    clearTimeout(queue.timer);
+    const update = queue.pending;
+    queue.pending = undefined;
+    if (!update) return;
+
+    const error = LiveActivityErrorFactory.createError(
+      LiveActivityErrorCode.ALREADY_ENDED,
+      undefined,
+      { activityId },
+    );
+    for (const waiter of update.waiters) waiter.reject(error);
+  }
+
+  function send(activityId: string, queue: ActivityUpdateQueue): void {
+    const update = queue.pending;
+    if (!update) return;
+
+    clearTimeout(queue.timer);
+    queue.timer = undefined;
+    queue.pending = undefined;
+    queue.lastSentAt = Date.now();
+
+    // Chained so updates reach native in the order they were sent
+    const call = queue.inFlight.then(() =>
+      DynamicActivities.updateLiveActivity(
+        activityId,
+        update.content,
+        update.alertConfiguration,
+        update.timestamp,
+      ),
+    );
+    queue.inFlight = call.catch(() => undefined);
+
+    call.then(
+      () => {
+        for (const waiter of update.waiters) waiter.resolve();
+      },
+      (error: unknown) => {
+        for (const waiter of update.waiters) waiter.reject(error);
+      },
+    );
+  }
+
+  function schedule(activityId: string, queue: ActivityUpdateQueue): void {
+    if (queue.timer !== undefined) return;
+
+    const delay = queue.lastSentAt + minIntervalMs - Date.now();
+    if (delay <= 0) {
+      send(activityId, queue);
+      return;
+    }
+
+    queue.timer = setTimeout(() => send(activityId, queue), delay);
+  }
+
+  return {
+    updateLiveActivity(activityId, content, alertConfiguration, timestamp) {
+      // Inside the executor, so a failed subscription rejects instead of throwing
+      return new Promise<void>((resolve, reject) => {
+        const queue = queueFor(activityId);
+        const replaced = queue.pending;
+        queue.pending = {
+          content,
+          // An alert from a replaced update still fires unless this one has its own
+          alertConfiguration: alertConfiguration ?? replaced?.alertConfiguration,
+          timestamp,
+          waiters: [...(replaced?.waiters ?? []), { resolve, reject }],
+        };
+        schedule(activityId, queue);
+      });
+    },
+
+    async endLiveActivity(activityId, content, dismissalPolicy, timestamp, dismissalDate) {
+      const queue = queues.get(activityId);
+
+      if (queue) {
+        remove(activityId);
+        send(activityId, queue);
+        await queue.inFlight;
+      }
+
+      return DynamicActivities.endLiveActivity(
+        activityId,
+        content,
+        dismissalPolicy,
+        timestamp,
+        dismissalDate,
+      );
+    },
+
+    async flush(activityId) {
+      const queue = queues.get(activityId);
+      if (!queue) return;
+
+      send(activityId, queue);
+      await queue.inFlight;
+    },
+  };
+}
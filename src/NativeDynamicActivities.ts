@@ -0,0 +1,9 @@
+import { NitroModules } from "react-native-nitro-modules";
+import type { DynamicActivities } from "./specs/LiveActivities.nitro";
+
+/**
+ * Native `DynamicActivities` hybrid object. Kept in its own module so
+ * `react-native-dynamic-activities/jest` can swap it for an in-memory fake.
+ */
+export const nativeDynamicActivities =
+  NitroModules.createHybridObject<DynamicActivities>("DynamicActivities");
@@ -0,0 +1,177 @@
+import { NitroModules } from "react-native-nitro-modules";
+import {
+  DynamicActivities,
+  LiveActivityErrorCode,
+  LiveActivityRecoverySuggestions,
+  isLiveActivityError,
+} from "../index";
+
+interface DeliveryState {
+  progress: number;
+  driverName: string;
+  eta?: Date;
+}
+
+const nativeDynamicActivities = (NitroModules.createHybridObject as jest.Mock).mock.results[0]
+  ?.value as Record<string, jest.Mock>;
+
+describe("DynamicActivities typed content", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("serializes custom data into the native payload", async () => {
+    await DynamicActivities.startLiveActivity<DeliveryState>(
+      { title: "Delivery", body: "Order #1234" },
+      {
+        state: "active",
+        relevanceScore: 1,
+        data: {
+          progress: 0.25,
+          driverName: "Alex",
+          eta: new Date("2025-01-01T14:02:00.000Z"),
+        },
+      },
+    );
+
+    const [, content] = nativeDynamicActivities.startLiveActivity?.mock.calls[0] ?? [];
+    expect(content).toEqual({
+      state: "active",
+      relevanceScore: 1,
+      payload: '{"progress":0.25,"driverName":"Alex","eta":"2025-01-01T14:02:00.000Z"}',
+    });
+  });
+
+  it("leaves the payload out when no data is passed", async () => {
+    await DynamicActivities.updateLiveActivity("activity-id", { state: "stale" });
+
+    expect(nativeDynamicActivities.updateLiveActivity).toHaveBeenCalledWith(
+      "activity-id",
+      { state: "stale" },
+      undefined,
+      undefined,
+    );
+  });
+
+  it("serializes final data when ending an activity", async () => {
+    await DynamicActivities.endLiveActivity<DeliveryState>(
+      "activity-id",
+      { state: "ended", data: { progress: 1, driverName: "Alex" } },
+      "default",
+    );
+
+    const [, content, policy] = nativeDynamicActivities.endLiveActivity?.mock.calls[0] ?? [];
+    expect(content).toEqual({ state: "ended", payload: '{"progress":1,"driverName":"Alex"}' });
+    expect(policy).toBe("default");
+  });
+
+  it("parses the payload of running activities back into data", async () => {
+    nativeDynamicActivities.getActiveLiveActivities?.mockResolvedValueOnce([
+      {
+        activityId: "activity-id",
+        state: "active",
+        attributes: { title: "Delivery", body: "Order #1234" },
+        payload: '{"progress":0.5,"driverName":"Alex"}',
+      },
+      {
+        activityId: "other-id",
+        state: "stale",
+        attributes: { title: "Timer", body: "Counting down" },
+      },
+    ]);
+
+    const activities = await DynamicActivities.getActiveLiveActivities<DeliveryState>();
+
+    expect(activities[0]?.data).toEqual({ progress: 0.5, driverName: "Alex" });
+    expect(activities[0]).not.toHaveProperty("payload");
+    expect(activities[1]?.data).toBeUndefined();
+  });
+});
+
+describe("DynamicActivities static attributes", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("passes metadata through to native", async () => {
+    const attributes = {
+      title: "Delivery",
+      body: "Order #1234",
+      metadata: { orderId: "1234", restaurant: "Mario's" },
+    };
+
+    await DynamicActivities.startLiveActivity(attributes, { state: "active" });
+
+    expect(nativeDynamicActivities.startLiveActivity?.mock.calls[0]?.[0]).toEqual(attributes);
+  });
+
+  it("forwards the registered activity type to native", async () => {
+    await DynamicActivities.startLiveActivity(
+      { title: "Delivery", body: "Order #1234" },
+      { state: "active" },
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      "Delivery",
+    );
+
+    expect(nativeDynamicActivities.startLiveActivity?.mock.calls[0]?.[6]).toBe("Delivery");
+  });
+
+  it("rejects attributes over 4KB before calling native", async () => {
+    const attributes = {
+      title: "Delivery",
+      body: "Order #1234",
+      metadata: { notes: "ü".repeat(2048) },
+    };
+
+    await expect(
+      DynamicActivities.startLiveActivity(attributes, { state: "active" }),
+    ).rejects.toMatchObject({
+      code: LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE,
+      failureReason: expect.stringMatching(/^Attributes are \d+ bytes when encoded$/),
+      recoverySuggestion:
+        LiveActivityRecoverySuggestions[LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE],
+    });
+    expect(nativeDynamicActivities.startLiveActivity).not.toHaveBeenCalled();
+  });
+});
+
+describe("DynamicActivities errors", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("rejects with a LiveActivityError decoded from the native error", async () => {
+    nativeDynamicActivities.startLiveActivity?.mockRejectedValueOnce(
+      new Error(
+        '{"code":"denied","errorDomain":"LiveActivityAuthorizationError","localizedDescription":"Live Activities are disabled by the user in Settings"}',
+      ),
+    );
+
+    const error = await DynamicActivities.startLiveActivity(
+      { title: "Delivery", body: "Order #1234" },
+      { state: "active" },
+    ).catch((e: unknown) => e);
+
+    expect(isLiveActivityError(error)).toBe(true);
+    expect(error).toMatchObject({
+      code: LiveActivityErrorCode.DENIED,
+      message: "Live Activities are disabled by the user in Settings",
+      errorDomain: "LiveActivityAuthorizationError",
+    });
+  });
+
+  it("attaches the activity ID to update and end failures", async () => {
+    nativeDynamicActivities.updateLiveActivity?.mockRejectedValueOnce(new Error("Update failed"));
+    nativeDynamicActivities.endLiveActivity?.mockRejectedValueOnce(new Error("End failed"));
+
+    await expect(
+      DynamicActivities.updateLiveActivity("activity-id", { state: "active" }),
+    ).rejects.toMatchObject({ activityId: "activity-id", message: "Update failed" });
+    await expect(
+      DynamicActivities.endLiveActivity("activity-id", { state: "ended" }),
+    ).rejects.toMatchObject({ activityId: "activity-id", message: "End failed" });
+  });
+});
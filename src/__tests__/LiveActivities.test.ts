@@ -1,14 +1,48 @@
-import type {
+import { nativeDynamicActivities } from "../NativeDynamicActivities";
+import {
   DynamicActivities,
-  LiveActivityAlertConfiguration,
-  LiveActivityAttributes,
-  LiveActivityContent,
-  LiveActivityDismissalPolicy,
-  LiveActivityPushToken,
-  LiveActivityState,
-  LiveActivityStyle,
+  type LiveActivityAlertConfiguration,
+  type LiveActivityAttributes,
+  type LiveActivityContent,
+  type LiveActivityDismissalPolicy,
+  LiveActivityErrorCode,
+  type LiveActivityPushToken,
+  type LiveActivityState,
+  type LiveActivityStateChangeEvent,
+  type LiveActivityStyle,
+  type PushTokenUpdateEvent,
+  isLiveActivityError,
 } from "../index";
 
+jest.mock("../NativeDynamicActivities", () => ({
+  nativeDynamicActivities: {
+    getActiveLiveActivities: jest.fn(),
+    onActivityStateChange: jest.fn(),
+    onPushTokenUpdate: jest.fn(),
+    areLiveActivitiesSupported: jest.fn(),
+    getPushToStartToken: jest.fn(),
+    onPushToStartTokenUpdate: jest.fn(),
+  },
+}));
+
+const native = nativeDynamicActivities as jest.Mocked<typeof nativeDynamicActivities>;
+
+/** Listeners registered with the native module, to emit events from native code */
+function nativeListeners<T>() {
+  const listeners = new Set<(event: T) => void>();
+  return {
+    subscribe(listener: (event: T) => void) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    emit(event: T) {
+      for (const listener of listeners) listener(event);
+    },
+  };
+}
+
 const mockDynamicActivities = {
   areLiveActivitiesSupported() {
     return {
@@ -97,3 +131,130 @@ describe("LiveActivities specification", () => {
     ).resolves.toBeUndefined();
   });
 });
+
+describe("DynamicActivities against the native module", () => {
+  const attributes = { title: "Test", body: "Body" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("lists running activities with their state, attributes and data", async () => {
+    native.getActiveLiveActivities.mockResolvedValue([
+      {
+        activityId: "first",
+        state: "active",
+        relevanceScore: 1,
+        attributes,
+        payload: '{"progress":0.5}',
+      },
+      { activityId: "second", state: "stale", attributes },
+    ]);
+
+    await expect(
+      DynamicActivities.getActiveLiveActivities<{ progress: number }>(),
+    ).resolves.toEqual([
+      {
+        activityId: "first",
+        state: "active",
+        relevanceScore: 1,
+        attributes,
+        data: { progress: 0.5 },
+      },
+      { activityId: "second", state: "stale", attributes },
+    ]);
+  });
+
+  it("rejects listing with a LiveActivityError", async () => {
+    native.getActiveLiveActivities.mockRejectedValue(
+      new Error('{"code":"unsupported","localizedDescription":"Not available"}'),
+    );
+
+    const error = await DynamicActivities.getActiveLiveActivities().catch((caught) => caught);
+
+    expect(isLiveActivityError(error)).toBe(true);
+    expect(error).toMatchObject({ code: LiveActivityErrorCode.UNSUPPORTED });
+  });
+
+  it("delivers native state changes until the listener unsubscribes", () => {
+    const states = nativeListeners<LiveActivityStateChangeEvent>();
+    native.onActivityStateChange.mockImplementation(states.subscribe);
+    const listener = jest.fn();
+
+    const unsubscribe = DynamicActivities.onActivityStateChange(listener);
+    states.emit({ activityId: "first", state: "dismissed" });
+    unsubscribe();
+    states.emit({ activityId: "first", state: "ended" });
+
+    expect(native.onActivityStateChange).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ activityId: "first", state: "dismissed" });
+  });
+
+  it("forwards every native push token rotation until the listener unsubscribes", () => {
+    const pushTokens = nativeListeners<PushTokenUpdateEvent>();
+    native.onPushTokenUpdate.mockImplementation(pushTokens.subscribe);
+    const tokens: string[] = [];
+
+    const unsubscribe = DynamicActivities.onPushTokenUpdate(({ token }) => {
+      tokens.push(token);
+    });
+    pushTokens.emit({ activityId: "first", token: "aa01" });
+    pushTokens.emit({ activityId: "first", token: "bb02" });
+    unsubscribe();
+    pushTokens.emit({ activityId: "first", token: "cc03" });
+
+    expect(tokens).toEqual(["aa01", "bb02"]);
+  });
+
+  it("reports push-to-start support and the current token", async () => {
+    native.areLiveActivitiesSupported.mockResolvedValue({
+      supported: true,
+      version: 17.2,
+      comment: "Push to start is available",
+      pushToStartSupported: true,
+    });
+    native.getPushToStartToken.mockResolvedValue("push-to-start-token");
+
+    await expect(DynamicActivities.areLiveActivitiesSupported()).resolves.toMatchObject({
+      pushToStartSupported: true,
+    });
+    await expect(DynamicActivities.getPushToStartToken()).resolves.toBe("push-to-start-token");
+  });
+
+  it("forwards push-to-start tokens until the listener unsubscribes", () => {
+    const pushToStartTokens = nativeListeners<string>();
+    native.onPushToStartTokenUpdate.mockImplementation(pushToStartTokens.subscribe);
+    const listener = jest.fn();
+
+    const unsubscribe = DynamicActivities.onPushToStartTokenUpdate(listener);
+    pushToStartTokens.emit("aa01");
+    unsubscribe();
+    pushToStartTokens.emit("bb02");
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith("aa01");
+  });
+
+  it("asks for the push-to-start token of a registered activity type", async () => {
+    native.getPushToStartToken.mockResolvedValue("delivery-token");
+    native.onPushToStartTokenUpdate.mockReturnValue(jest.fn());
+    const listener = jest.fn();
+
+    await expect(DynamicActivities.getPushToStartToken("Delivery")).resolves.toBe("delivery-token");
+    DynamicActivities.onPushToStartTokenUpdate(listener, "Delivery");
+
+    expect(native.getPushToStartToken).toHaveBeenCalledWith("Delivery");
+    expect(native.onPushToStartTokenUpdate).toHaveBeenCalledWith(listener, "Delivery");
+  });
+
+  it("throws a LiveActivityError when push to start is unavailable", () => {
+    native.onPushToStartTokenUpdate.mockImplementation(() => {
+      throw new Error('{"code":"unsupported","localizedDescription":"Requires iOS 17.2"}');
+    });
+
+    expect(() => DynamicActivities.onPushToStartTokenUpdate(jest.fn())).toThrow(
+      expect.objectContaining({ code: LiveActivityErrorCode.UNSUPPORTED }),
+    );
+  });
+});
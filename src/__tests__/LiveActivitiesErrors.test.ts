@@ -36,6 +36,14 @@ describe("Live Activities Error Handling", () => {
       expect(LiveActivityErrorCode.NETWORK_ERROR).toBe("networkError");
       expect(LiveActivityErrorCode.UNKNOWN_ERROR).toBe("unknownError");
     });
+
+    it("should have activity lifecycle error codes matching native", () => {
+      expect(LiveActivityErrorCode.NOT_FOUND).toBe("notFound");
+      expect(LiveActivityErrorCode.ALREADY_ENDED).toBe("alreadyEnded");
+      expect(LiveActivityErrorCode.INVALID_CONTENT).toBe("invalidContent");
+      expect(LiveActivityErrorCode.OPERATION_FAILED).toBe("operationFailed");
+      expect(LiveActivityErrorCode.NO_BRIDGE).toBe("noBridge");
+    });
   });
 
   describe("Error Messages", () => {
@@ -209,6 +217,22 @@ describe("Live Activities Error Handling", () => {
       });
     });
 
+    describe("createError", () => {
+      it("should pick the category of the code", () => {
+        const tooLarge = LiveActivityErrorFactory.createError(
+          LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE,
+        );
+        const notFound = LiveActivityErrorFactory.createError(LiveActivityErrorCode.NOT_FOUND);
+
+        expect(isAuthorizationError(tooLarge)).toBe(true);
+        expect(isSystemError(notFound)).toBe(true);
+        expect(tooLarge).toHaveProperty(
+          "recoverySuggestion",
+          LiveActivityRecoverySuggestions[LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE],
+        );
+      });
+    });
+
     describe("createErrorFromNativeError", () => {
       it("should create error from native error object", () => {
         const nativeError = {
@@ -246,6 +270,66 @@ describe("Live Activities Error Handling", () => {
         expect(error).toHaveProperty("message", "Unknown error");
       });
 
+      it("should decode errors thrown through Nitro", () => {
+        const nativeError = new Error(
+          'DynamicActivities.startLiveActivity(...): {"code":"denied","errorCode":1001,"errorDomain":"LiveActivityAuthorizationError","localizedDescription":"Live Activities are disabled","recoverySuggestion":"Enable in Settings"}',
+        );
+
+        const error = LiveActivityErrorFactory.createErrorFromNativeError(nativeError);
+
+        expect(error).toHaveProperty("code", LiveActivityErrorCode.DENIED);
+        expect(error).toHaveProperty("message", "Live Activities are disabled");
+        expect(error).toHaveProperty("recoverySuggestion", "Enable in Settings");
+        expect(error).toHaveProperty("errorCode", 1001);
+        expect(error).toHaveProperty("errorDomain", "LiveActivityAuthorizationError");
+        expect(error).toHaveProperty("nativeError", nativeError);
+      });
+
+      it("should fall back to the code's recovery suggestion", () => {
+        // Shaped like LiveActivityException.toString() on Android
+        const nativeError = new Error(
+          '{"code":"notFound","localizedDescription":"No notification for activity-1","errorDomain":"LiveActivitySystemError"}',
+        );
+
+        const error = LiveActivityErrorFactory.createErrorFromNativeError(
+          nativeError,
+          "activity-1",
+        );
+
+        expect(error).toHaveProperty("code", LiveActivityErrorCode.NOT_FOUND);
+        expect(error).toHaveProperty("message", "No notification for activity-1");
+        expect(error).toHaveProperty(
+          "recoverySuggestion",
+          LiveActivityRecoverySuggestions[LiveActivityErrorCode.NOT_FOUND],
+        );
+      });
+
+      it("should keep the message of errors without native fields", () => {
+        const error = LiveActivityErrorFactory.createErrorFromNativeError(
+          new Error("Timeouted: Promise<void> was destroyed!"),
+        );
+
+        expect(error).toHaveProperty("code", LiveActivityErrorCode.UNKNOWN_ERROR);
+        expect(error).toHaveProperty("message", "Timeouted: Promise<void> was destroyed!");
+      });
+
+      it.each([
+        ["notFound", LiveActivityErrorCode.NOT_FOUND],
+        ["alreadyEnded", LiveActivityErrorCode.ALREADY_ENDED],
+        ["invalidContent", LiveActivityErrorCode.INVALID_CONTENT],
+        ["operationFailed", LiveActivityErrorCode.OPERATION_FAILED],
+        ["noBridge", LiveActivityErrorCode.NO_BRIDGE],
+      ])("should map the native %s code to a system error", (nativeCode, code) => {
+        const error = LiveActivityErrorFactory.createErrorFromNativeError({
+          code: nativeCode,
+          localizedDescription: "Native failure",
+          errorDomain: "LiveActivitySystemError",
+        });
+
+        expect(error).toHaveProperty("code", code);
+        expect(isSystemError(error)).toBe(true);
+      });
+
       it("should handle invalid native error input", () => {
         const error = LiveActivityErrorFactory.createErrorFromNativeError("invalid");
 
@@ -0,0 +1,127 @@
+import {
+  DEFAULT_RETRY_POLICY,
+  LiveActivityErrorCode,
+  LiveActivityErrorFactory,
+  isRetryableError,
+  withRetry,
+} from "../index";
+
+const networkError = () =>
+  LiveActivityErrorFactory.createSystemError(LiveActivityErrorCode.NETWORK_ERROR);
+const deniedError = () =>
+  LiveActivityErrorFactory.createAuthorizationError(LiveActivityErrorCode.DENIED);
+
+describe("isRetryableError", () => {
+  it("retries low and medium severity errors", () => {
+    expect(isRetryableError(networkError())).toBe(true);
+    expect(
+      isRetryableError(
+        LiveActivityErrorFactory.createSystemError(LiveActivityErrorCode.UNKNOWN_ERROR),
+      ),
+    ).toBe(true);
+  });
+
+  it("doesn't retry errors that need the user or developer to act", () => {
+    expect(isRetryableError(deniedError())).toBe(false);
+    expect(
+      isRetryableError(
+        LiveActivityErrorFactory.createAuthorizationError(LiveActivityErrorCode.UNENTITLED),
+      ),
+    ).toBe(false);
+  });
+
+  it("doesn't retry errors whose cause outlives a backoff", () => {
+    expect(
+      isRetryableError(
+        LiveActivityErrorFactory.createAuthorizationError(
+          LiveActivityErrorCode.ATTRIBUTES_TOO_LARGE,
+        ),
+      ),
+    ).toBe(false);
+    expect(
+      isRetryableError(LiveActivityErrorFactory.createSystemError(LiveActivityErrorCode.NOT_FOUND)),
+    ).toBe(false);
+  });
+
+  it("retries persistence failures despite their severity", () => {
+    expect(
+      isRetryableError(
+        LiveActivityErrorFactory.createAuthorizationError(
+          LiveActivityErrorCode.PERSISTENCE_FAILURE,
+        ),
+      ),
+    ).toBe(true);
+  });
+});
+
+describe("withRetry", () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("retries transient failures with exponential backoff", async () => {
+    const operation = jest
+      .fn<Promise<string>, []>()
+      .mockRejectedValueOnce(networkError())
+      .mockRejectedValueOnce(networkError())
+      .mockResolvedValue("activity-id");
+    const onRetry = jest.fn();
+
+    const result = withRetry(operation, { onRetry });
+
+    await jest.advanceTimersByTimeAsync(DEFAULT_RETRY_POLICY.initialDelayMs);
+    expect(operation).toHaveBeenCalledTimes(2);
+
+    await jest.advanceTimersByTimeAsync(DEFAULT_RETRY_POLICY.initialDelayMs * 2);
+    await expect(result).resolves.toBe("activity-id");
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([, attempt, delayMs]) => [attempt, delayMs])).toEqual([
+      [1, 500],
+      [2, 1000],
+    ]);
+  });
+
+  it("caps delays at maxDelayMs", async () => {
+    const onRetry = jest.fn();
+    const result = withRetry(() => Promise.reject(networkError()), {
+      maxAttempts: 4,
+      initialDelayMs: 1000,
+      backoffMultiplier: 10,
+      maxDelayMs: 5000,
+      onRetry,
+    });
+    const rejection = expect(result).rejects.toMatchObject({
+      code: LiveActivityErrorCode.NETWORK_ERROR,
+    });
+
+    await jest.runAllTimersAsync();
+    await rejection;
+    expect(onRetry.mock.calls.map(([, , delayMs]) => delayMs)).toEqual([1000, 5000, 5000]);
+  });
+
+  it("rethrows errors that aren't retryable without waiting", async () => {
+    const operation = jest.fn<Promise<void>, []>().mockRejectedValue(deniedError());
+
+    await expect(withRetry(operation)).rejects.toMatchObject({
+      code: LiveActivityErrorCode.DENIED,
+    });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it("lets shouldRetry override the classification", async () => {
+    const operation = jest
+      .fn<Promise<void>, []>()
+      .mockRejectedValueOnce(deniedError())
+      .mockResolvedValue();
+
+    const result = withRetry(operation, { shouldRetry: () => true, initialDelayMs: 10 });
+    await jest.advanceTimersByTimeAsync(10);
+
+    await expect(result).resolves.toBeUndefined();
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+});
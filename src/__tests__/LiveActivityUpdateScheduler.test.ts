@@ -0,0 +1,197 @@
+import { NitroModules } from "react-native-nitro-modules";
+import {
+  LiveActivityErrorCode,
+  type LiveActivityStateChangeEvent,
+  createUpdateScheduler,
+} from "../index";
+
+const nativeDynamicActivities = (NitroModules.createHybridObject as jest.Mock).mock.results[0]
+  ?.value as Record<string, jest.Mock>;
+
+const sentPayloads = () =>
+  nativeDynamicActivities.updateLiveActivity?.mock.calls.map(([, content]) => content.payload);
+
+describe("createUpdateScheduler", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("sends the first update right away", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+
+    await scheduler.updateLiveActivity("activity-id", { state: "active", data: { step: 1 } });
+
+    expect(sentPayloads()).toEqual(['{"step":1}']);
+  });
+
+  it("coalesces rapid updates and sends only the latest content", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+    const updates = [1, 2, 3, 4].map((step) =>
+      scheduler.updateLiveActivity("activity-id", { state: "active", data: { step } }),
+    );
+
+    await jest.advanceTimersByTimeAsync(999);
+    expect(sentPayloads()).toEqual(['{"step":1}']);
+
+    await jest.advanceTimersByTimeAsync(1);
+    await Promise.all(updates);
+    expect(sentPayloads()).toEqual(['{"step":1}', '{"step":4}']);
+  });
+
+  it("throttles each activity independently", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+
+    await scheduler.updateLiveActivity("first", { state: "active" });
+    await scheduler.updateLiveActivity("second", { state: "active" });
+
+    expect(nativeDynamicActivities.updateLiveActivity).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps an alert from a replaced update", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+    const alert = { title: "Arriving", body: "Your driver is here", sound: "default" };
+
+    scheduler.updateLiveActivity("activity-id", { state: "active" });
+    scheduler.updateLiveActivity("activity-id", { state: "active" }, alert);
+    scheduler.updateLiveActivity("activity-id", { state: "active", data: { step: 3 } });
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(nativeDynamicActivities.updateLiveActivity?.mock.calls[1]?.[2]).toEqual(alert);
+  });
+
+  it("flushes the pending update before ending the activity", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+    const calls: string[] = [];
+    const record = (call: string) => async () => {
+      calls.push(call);
+    };
+    nativeDynamicActivities.updateLiveActivity
+      ?.mockImplementationOnce(record("update"))
+      .mockImplementationOnce(record("update"));
+    nativeDynamicActivities.endLiveActivity?.mockImplementationOnce(record("end"));
+
+    scheduler.updateLiveActivity("activity-id", { state: "active", data: { step: 1 } });
+    const last = scheduler.updateLiveActivity("activity-id", {
+      state: "active",
+      data: { step: 2 },
+    });
+    await scheduler.endLiveActivity("activity-id", { state: "ended" });
+
+    await expect(last).resolves.toBeUndefined();
+    expect(sentPayloads()).toEqual(['{"step":1}', '{"step":2}']);
+    expect(calls).toEqual(["update", "update", "end"]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(nativeDynamicActivities.updateLiveActivity).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects every coalesced caller when the update fails", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+    await scheduler.updateLiveActivity("activity-id", { state: "active" });
+    nativeDynamicActivities.updateLiveActivity?.mockRejectedValueOnce(new Error("Update failed"));
+
+    const first = scheduler.updateLiveActivity("activity-id", { state: "active" });
+    const second = scheduler.updateLiveActivity("activity-id", { state: "stale" });
+    const rejections = Promise.all([
+      expect(first).rejects.toMatchObject({ message: "Update failed" }),
+      expect(second).rejects.toMatchObject({ message: "Update failed" }),
+    ]);
+
+    await jest.advanceTimersByTimeAsync(1000);
+    await rejections;
+  });
+
+  it("sends the pending update on flush", async () => {
+    const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+    await scheduler.updateLiveActivity("activity-id", { state: "active" });
+    scheduler.updateLiveActivity("activity-id", { state: "stale" });
+
+    await scheduler.flush("activity-id");
+
+    expect(nativeDynamicActivities.updateLiveActivity).toHaveBeenCalledTimes(2);
+  });
+
+  describe("when an activity ends elsewhere", () => {
+    let emitStateChange: (event: LiveActivityStateChangeEvent) => void;
+    let unsubscribe: jest.Mock;
+
+    beforeEach(() => {
+      unsubscribe = jest.fn();
+      nativeDynamicActivities.onActivityStateChange?.mockImplementation((listener) => {
+        emitStateChange = listener;
+        return unsubscribe;
+      });
+    });
+
+    it.each(["ended", "dismissed"] as const)(
+      "drops the activity's pending update when it's %s",
+      async (state) => {
+        const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+        await scheduler.updateLiveActivity("activity-id", { state: "active" });
+        const pending = scheduler.updateLiveActivity("activity-id", { state: "stale" });
+
+        emitStateChange({ activityId: "activity-id", state });
+
+        await expect(pending).rejects.toMatchObject({
+          code: LiveActivityErrorCode.ALREADY_ENDED,
+          activityId: "activity-id",
+        });
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(nativeDynamicActivities.updateLiveActivity).toHaveBeenCalledTimes(1);
+      },
+    );
+
+    it("keeps the queues of other activities and ignores other states", async () => {
+      const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+      await scheduler.updateLiveActivity("first", { state: "active" });
+      await scheduler.updateLiveActivity("second", { state: "active" });
+      const first = scheduler.updateLiveActivity("first", { state: "active" });
+      const second = scheduler.updateLiveActivity("second", { state: "active" });
+
+      emitStateChange({ activityId: "first", state: "stale" });
+      emitStateChange({ activityId: "second", state: "ended" });
+
+      await expect(second).rejects.toMatchObject({ code: LiveActivityErrorCode.ALREADY_ENDED });
+      await jest.advanceTimersByTimeAsync(1000);
+      await first;
+      expect(nativeDynamicActivities.updateLiveActivity?.mock.calls.map(([id]) => id)).toEqual([
+        "first",
+        "second",
+        "first",
+      ]);
+    });
+
+    it("listens only while activities are queued", async () => {
+      const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+      expect(nativeDynamicActivities.onActivityStateChange).not.toHaveBeenCalled();
+
+      await scheduler.updateLiveActivity("activity-id", { state: "active" });
+      await scheduler.updateLiveActivity("other-id", { state: "active" });
+      expect(nativeDynamicActivities.onActivityStateChange).toHaveBeenCalledTimes(1);
+
+      emitStateChange({ activityId: "activity-id", state: "dismissed" });
+      expect(unsubscribe).not.toHaveBeenCalled();
+      await scheduler.endLiveActivity("other-id", { state: "ended" });
+      expect(unsubscribe).toHaveBeenCalledTimes(1);
+    });
+
+    it("rejects the update when it can't listen for state changes", async () => {
+      nativeDynamicActivities.onActivityStateChange?.mockImplementationOnce(() => {
+        throw new Error('{"code":"unsupported","localizedDescription":"Not available"}');
+      });
+      const scheduler = createUpdateScheduler({ minIntervalMs: 1000 });
+
+      const update = scheduler.updateLiveActivity("activity-id", { state: "active" });
+
+      await expect(update).rejects.toMatchObject({ code: LiveActivityErrorCode.UNSUPPORTED });
+      expect(nativeDynamicActivities.updateLiveActivity).not.toHaveBeenCalled();
+      await scheduler.updateLiveActivity("activity-id", { state: "active" });
+      expect(nativeDynamicActivities.updateLiveActivity).toHaveBeenCalledTimes(1);
+    });
+  });
+});
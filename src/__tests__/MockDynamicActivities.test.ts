@@ -0,0 +1,173 @@
+import { nativeDynamicActivities } from "../NativeDynamicActivities";
+import {
+  DynamicActivities,
+  LiveActivityErrorCode,
+  type LiveActivityStateChangeEvent,
+  isAuthorizationError,
+  withRetry,
+} from "../index";
+import type { MockDynamicActivities } from "../jest/MockDynamicActivities";
+
+// Same wiring as `react-native-dynamic-activities/jest`
+jest.mock("../NativeDynamicActivities", () => ({
+  nativeDynamicActivities: jest
+    .requireActual("../jest/MockDynamicActivities")
+    .createMockDynamicActivities(),
+}));
+
+const mockDynamicActivities = nativeDynamicActivities as unknown as MockDynamicActivities;
+
+const attributes = { title: "Delivery", body: "Order #1234" };
+
+describe("createMockDynamicActivities", () => {
+  beforeEach(() => {
+    mockDynamicActivities.reset();
+  });
+
+  it("generates activity IDs and tracks running activities", async () => {
+    const first = await DynamicActivities.startLiveActivity<{ progress: number }>(attributes, {
+      state: "active",
+      data: { progress: 0.5 },
+    });
+    const second = await DynamicActivities.startLiveActivity(attributes, { state: "pending" });
+
+    expect(first.activityId).toBe("mock-activity-1");
+    expect(second.activityId).toBe("mock-activity-2");
+    expect(mockDynamicActivities.activities.size).toBe(2);
+
+    const [active] = await DynamicActivities.getActiveLiveActivities<{ progress: number }>();
+    expect(active).toMatchObject({ activityId: "mock-activity-1", data: { progress: 0.5 } });
+  });
+
+  it("rejects with notFound once an activity ended", async () => {
+    const { activityId } = await DynamicActivities.startLiveActivity(attributes, {
+      state: "active",
+    });
+    await DynamicActivities.endLiveActivity(activityId, { state: "ended" });
+
+    await expect(
+      DynamicActivities.updateLiveActivity(activityId, { state: "active" }),
+    ).rejects.toMatchObject({ code: LiveActivityErrorCode.NOT_FOUND, activityId });
+    await expect(
+      DynamicActivities.endLiveActivity(activityId, { state: "ended" }),
+    ).rejects.toMatchObject({ code: LiveActivityErrorCode.NOT_FOUND });
+    expect(mockDynamicActivities.activities.size).toBe(0);
+  });
+
+  it("reports configurable support info", async () => {
+    mockDynamicActivities.reset({ supportInfo: { supported: false, version: 16.1 } });
+
+    await expect(DynamicActivities.areLiveActivitiesSupported()).resolves.toMatchObject({
+      supported: false,
+      version: 16.1,
+      pushToStartSupported: true,
+    });
+    await expect(
+      DynamicActivities.startLiveActivity(attributes, { state: "active" }),
+    ).rejects.toMatchObject({ code: LiveActivityErrorCode.UNSUPPORTED });
+
+    mockDynamicActivities.setSupportInfo({ supported: true });
+    await expect(
+      DynamicActivities.startLiveActivity(attributes, { state: "active" }),
+    ).resolves.toMatchObject({ activityId: "mock-activity-1" });
+  });
+
+  it("rejects the next calls with injected errors", async () => {
+    mockDynamicActivities.failNext("startLiveActivity", LiveActivityErrorCode.DENIED);
+
+    const error = await DynamicActivities.startLiveActivity(attributes, {
+      state: "active",
+    }).catch((caught: unknown) => caught);
+
+    expect(error).toMatchObject({ code: LiveActivityErrorCode.DENIED });
+    expect(isAuthorizationError(error as never)).toBe(true);
+    await expect(
+      DynamicActivities.startLiveActivity(attributes, { state: "active" }),
+    ).resolves.toMatchObject({ activityId: "mock-activity-1" });
+  });
+
+  it("lets withRetry recover from injected transient errors", async () => {
+    const { activityId } = await DynamicActivities.startLiveActivity(attributes, {
+      state: "active",
+    });
+    mockDynamicActivities.failNext("updateLiveActivity", LiveActivityErrorCode.PERSISTENCE_FAILURE);
+
+    await withRetry(() => DynamicActivities.updateLiveActivity(activityId, { state: "stale" }), {
+      initialDelayMs: 0,
+    });
+
+    expect(mockDynamicActivities.activities.get(activityId)?.state).toBe("stale");
+  });
+
+  it("rejects invalid content like the native module", async () => {
+    await expect(
+      DynamicActivities.startLiveActivity(attributes, {
+        state: "active",
+        relevanceScore: Number.NaN,
+      }),
+    ).rejects.toMatchObject({ code: LiveActivityErrorCode.INVALID_CONTENT });
+  });
+
+  it("notifies state listeners", async () => {
+    const events: LiveActivityStateChangeEvent[] = [];
+    DynamicActivities.onActivityStateChange((event) => events.push(event));
+
+    const first = await DynamicActivities.startLiveActivity(attributes, { state: "pending" });
+    const second = await DynamicActivities.startLiveActivity(attributes, { state: "active" });
+    await DynamicActivities.updateLiveActivity(first.activityId, { state: "active" });
+    await DynamicActivities.endLiveActivity(first.activityId, { state: "ended" });
+    mockDynamicActivities.setActivityState(second.activityId, "dismissed");
+
+    expect(events).toEqual([
+      { activityId: "mock-activity-1", state: "active" },
+      { activityId: "mock-activity-1", state: "ended" },
+      { activityId: "mock-activity-2", state: "dismissed" },
+    ]);
+    expect(mockDynamicActivities.activities.size).toBe(0);
+  });
+
+  it("issues push tokens when started with one", async () => {
+    const tokens: string[] = [];
+    DynamicActivities.onPushTokenUpdate((event) => tokens.push(event.token));
+
+    const withToken = await DynamicActivities.startLiveActivity(
+      attributes,
+      { state: "active" },
+      { token: "" },
+    );
+    const withoutToken = await DynamicActivities.startLiveActivity(attributes, {
+      state: "active",
+    });
+
+    expect(withToken.pushToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(withoutToken.pushToken).toBeUndefined();
+    expect(tokens).toEqual([withToken.pushToken]);
+  });
+
+  it("reports push-to-start tokens", async () => {
+    const tokens: string[] = [];
+    DynamicActivities.onPushToStartTokenUpdate((token) => tokens.push(token));
+
+    await expect(DynamicActivities.getPushToStartToken()).resolves.toBeUndefined();
+    mockDynamicActivities.setPushToStartToken("abc123");
+
+    await expect(DynamicActivities.getPushToStartToken()).resolves.toBe("abc123");
+    expect(tokens).toEqual(["abc123"]);
+  });
+
+  it("keeps listeners subscribed across reset", async () => {
+    const events: LiveActivityStateChangeEvent[] = [];
+    const unsubscribe = DynamicActivities.onActivityStateChange((event) => events.push(event));
+    await DynamicActivities.startLiveActivity(attributes, { state: "active" });
+
+    mockDynamicActivities.reset();
+    const { activityId } = await DynamicActivities.startLiveActivity(attributes, {
+      state: "active",
+    });
+    mockDynamicActivities.setActivityState(activityId, "dismissed");
+    unsubscribe();
+
+    expect(mockDynamicActivities.activities.size).toBe(0);
+    expect(events).toEqual([{ activityId: "mock-activity-1", state: "dismissed" }]);
+  });
+});
@@ -0,0 +1,65 @@
+import { createElement } from "react";
+import { type ReactTestRenderer, act, create } from "react-test-renderer";
+import { nativeDynamicActivities } from "../NativeDynamicActivities";
+import {
+  type LiveActivitiesSupport,
+  LiveActivityErrorCode,
+  useLiveActivitiesSupport,
+} from "../index";
+
+jest.mock("../NativeDynamicActivities", () => ({
+  nativeDynamicActivities: {
+    areLiveActivitiesSupported: jest.fn(),
+  },
+}));
+
+const native = nativeDynamicActivities as jest.Mocked<typeof nativeDynamicActivities>;
+
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+async function renderUseLiveActivitiesSupport() {
+  const result = {} as { current: LiveActivitiesSupport };
+  const renders: LiveActivitiesSupport[] = [];
+  function Probe() {
+    result.current = useLiveActivitiesSupport();
+    renders.push(result.current);
+    return null;
+  }
+
+  let renderer: ReactTestRenderer | undefined;
+  await act(async () => {
+    renderer = create(createElement(Probe));
+  });
+  return { result, renders, unmount: () => act(() => renderer?.unmount()) };
+}
+
+describe("useLiveActivitiesSupport", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("loads the support info", async () => {
+    const supportInfo = { supported: true, version: 17.2, comment: "", pushToStartSupported: true };
+    native.areLiveActivitiesSupported.mockResolvedValue(supportInfo);
+
+    const { result, renders } = await renderUseLiveActivitiesSupport();
+
+    expect(renders[0]).toEqual({ supportInfo: undefined, loading: true, error: undefined });
+    expect(result.current).toEqual({ supportInfo, loading: false, error: undefined });
+    expect(native.areLiveActivitiesSupported).toHaveBeenCalledTimes(1);
+  });
+
+  it("reports a failed check as an error", async () => {
+    native.areLiveActivitiesSupported.mockRejectedValue(
+      new Error('{"code":"unsupported","localizedDescription":"Not available"}'),
+    );
+
+    const { result } = await renderUseLiveActivitiesSupport();
+
+    expect(result.current).toMatchObject({
+      supportInfo: undefined,
+      loading: false,
+      error: { code: LiveActivityErrorCode.UNSUPPORTED },
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { createElement } from "react";
+import { type ReactTestRenderer, act, create } from "react-test-renderer";
+import { nativeDynamicActivities } from "../NativeDynamicActivities";
+import {
+  LiveActivityErrorCode,
+  type LiveActivityStateChangeEvent,
+  type UseLiveActivityOptions,
+  type UseLiveActivityResult,
+  useLiveActivity,
+} from "../index";
+
+jest.mock("../NativeDynamicActivities", () => ({
+  nativeDynamicActivities: {
+    startLiveActivity: jest.fn(),
+    updateLiveActivity: jest.fn(),
+    endLiveActivity: jest.fn(),
+    onActivityStateChange: jest.fn(),
+  },
+}));
+
+const native = nativeDynamicActivities as jest.Mocked<typeof nativeDynamicActivities>;
+
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+interface DeliveryState {
+  progress: number;
+}
+
+const attributes = { title: "Delivery", body: "Order #1234" };
+
+function renderUseLiveActivity(options?: UseLiveActivityOptions) {
+  const result = {} as { current: UseLiveActivityResult<DeliveryState> };
+  function Probe() {
+    result.current = useLiveActivity<DeliveryState>(options);
+    return null;
+  }
+
+  let renderer: ReactTestRenderer | undefined;
+  act(() => {
+    renderer = create(createElement(Probe));
+  });
+  return {
+    result,
+    unmount: () => act(() => renderer?.unmount()),
+  };
+}
+
+describe("useLiveActivity", () => {
+  let emitStateChange: (event: LiveActivityStateChangeEvent) => void;
+  let unsubscribe: jest.Mock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    unsubscribe = jest.fn();
+    native.onActivityStateChange.mockImplementation((listener) => {
+      emitStateChange = listener;
+      return unsubscribe;
+    });
+    native.startLiveActivity.mockResolvedValue({ activityId: "first" });
+    native.updateLiveActivity.mockResolvedValue();
+    native.endLiveActivity.mockResolvedValue();
+  });
+
+  it("tracks the activity it starts", async () => {
+    const { result } = renderUseLiveActivity();
+
+    let activityId: string | undefined;
+    await act(async () => {
+      activityId = await result.current.start(attributes, {
+        state: "active",
+        data: { progress: 0 },
+      });
+    });
+
+    expect(activityId).toBe("first");
+    expect(native.startLiveActivity.mock.calls[0]?.[1]).toEqual({
+      state: "active",
+      payload: '{"progress":0}',
+    });
+    expect(result.current).toMatchObject({
+      activityId: "first",
+      state: "active",
+      error: undefined,
+    });
+  });
+
+  it("updates and ends the tracked activity", async () => {
+    const { result } = renderUseLiveActivity();
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+
+    await act(() => result.current.update({ state: "stale", data: { progress: 0.5 } }));
+    expect(native.updateLiveActivity.mock.calls[0]?.[0]).toBe("first");
+    expect(result.current.state).toBe("stale");
+
+    await act(() => result.current.end({ state: "ended" }, "immediate"));
+    expect(native.endLiveActivity.mock.calls[0]?.slice(0, 3)).toEqual([
+      "first",
+      { state: "ended" },
+      "immediate",
+    ]);
+    expect(result.current).toMatchObject({ activityId: undefined, state: "ended" });
+  });
+
+  it("does nothing to update or end without an activity", async () => {
+    const { result } = renderUseLiveActivity();
+
+    await act(() => result.current.update({ state: "active" }));
+    await act(() => result.current.end({ state: "ended" }));
+
+    expect(native.updateLiveActivity).not.toHaveBeenCalled();
+    expect(native.endLiveActivity).not.toHaveBeenCalled();
+  });
+
+  it("follows state changes of the tracked activity only", async () => {
+    const { result } = renderUseLiveActivity();
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+
+    act(() => emitStateChange({ activityId: "other", state: "ended" }));
+    expect(result.current.state).toBe("active");
+
+    act(() => emitStateChange({ activityId: "first", state: "dismissed" }));
+    expect(result.current.state).toBe("dismissed");
+  });
+
+  it("reports failures through error and clears them on success", async () => {
+    native.startLiveActivity.mockRejectedValueOnce(
+      new Error('{"code":"denied","localizedDescription":"Disabled in Settings"}'),
+    );
+    const { result } = renderUseLiveActivity();
+
+    let activityId: string | undefined = "unset";
+    await act(async () => {
+      activityId = await result.current.start(attributes, { state: "active" });
+    });
+    expect(activityId).toBeUndefined();
+    expect(result.current.error).toMatchObject({ code: LiveActivityErrorCode.DENIED });
+
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+    expect(result.current.error).toBeUndefined();
+  });
+
+  it("keeps the activity running on unmount by default", async () => {
+    const { result, unmount } = renderUseLiveActivity();
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+
+    unmount();
+
+    expect(unsubscribe).toHaveBeenCalled();
+    expect(native.endLiveActivity).not.toHaveBeenCalled();
+  });
+
+  it("ends the activity on unmount with cleanup end", async () => {
+    const { result, unmount } = renderUseLiveActivity({
+      cleanup: "end",
+      dismissalPolicy: "default",
+    });
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+
+    unmount();
+
+    expect(native.endLiveActivity).toHaveBeenCalledWith(
+      "first",
+      { state: "ended" },
+      "default",
+      undefined,
+      undefined,
+    );
+  });
+
+  it("ends the replaced activity with cleanup end", async () => {
+    const { result } = renderUseLiveActivity({ cleanup: "end" });
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+
+    native.startLiveActivity.mockResolvedValueOnce({ activityId: "second" });
+    await act(async () => {
+      await result.current.start(attributes, { state: "active" });
+    });
+
+    expect(native.endLiveActivity.mock.calls.map((call) => call[0])).toEqual(["first"]);
+    expect(result.current.activityId).toBe("second");
+  });
+
+  it("ends an activity that starts after unmounting with cleanup end", async () => {
+    let resolveStart: (result: { activityId: string }) => void = () => undefined;
+    native.startLiveActivity.mockReturnValueOnce(
+      new Promise((resolve) => {
+        resolveStart = resolve;
+      }),
+    );
+    const { result, unmount } = renderUseLiveActivity({ cleanup: "end" });
+
+    const started = result.current.start(attributes, { state: "active" });
+    unmount();
+    resolveStart({ activityId: "late" });
+    await started;
+
+    expect(native.endLiveActivity.mock.calls.map((call) => call[0])).toEqual(["late"]);
+  });
+});
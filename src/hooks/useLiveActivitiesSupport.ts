@@ -0,0 +1,47 @@
+import { useEffect, useState } from "react";
+import { DynamicActivities } from "../DynamicActivities";
+import type { LiveActivitiesSupportInfo } from "../specs/LiveActivities.nitro";
+import type { LiveActivityError } from "../specs/LiveActivitiesErrors.nitro";
+
+export interface LiveActivitiesSupport {
+  /** Support info, undefined until the check completes or when it fails */
+  supportInfo: LiveActivitiesSupportInfo | undefined;
+  loading: boolean;
+  error: LiveActivityError | undefined;
+}
+
+/**
+ * Checks once whether Live Activities are supported on this device.
+ *
+ * @example
+ * const { supportInfo, loading } = useLiveActivitiesSupport();
+ * if (!loading && supportInfo?.supported) {
+ *   // Offer to follow the order on the Lock Screen
+ * }
+ */
+export function useLiveActivitiesSupport(): LiveActivitiesSupport {
+  const [support, setSupport] = useState<LiveActivitiesSupport>({
+    supportInfo: undefined,
+    loading: true,
+    error: undefined,
+  });
+
+  useEffect(() => {
+    let mounted = true;
+
+    DynamicActivities.areLiveActivitiesSupported().then(
+      (supportInfo) => {
+        if (mounted) setSupport({ supportInfo, loading: false, error: undefined });
+      },
+      (error: LiveActivityError) => {
+        if (mounted) setSupport({ supportInfo: undefined, loading: false, error });
+      },
+    );
+
+    return () => {
+      mounted = false;
+    };
+  }, []);
+
+  return support;
+}
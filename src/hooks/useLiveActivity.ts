@@ -0,0 +1,200 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  DynamicActivities,
+  type LiveActivityContent,
+  type LiveActivityData,
+} from "../DynamicActivities";
+import type {
+  LiveActivityAlertConfiguration,
+  LiveActivityAttributes,
+  LiveActivityDismissalPolicy,
+  LiveActivityPushToken,
+  LiveActivityState,
+  LiveActivityStyle,
+} from "../specs/LiveActivities.nitro";
+import type { LiveActivityError } from "../specs/LiveActivitiesErrors.nitro";
+
+/**
+ * What happens to a running activity when the component using it unmounts:
+ * - `keep`: the activity keeps running, e.g. to follow an order after leaving its screen
+ * - `end`: the activity is ended with `{ state: "ended" }`
+ */
+export type LiveActivityCleanupPolicy = "keep" | "end";
+
+export interface UseLiveActivityOptions {
+  /** Defaults to `keep` */
+  cleanup?: LiveActivityCleanupPolicy;
+  /** Dismissal policy used when `cleanup` is `end`. Defaults to `immediate` */
+  dismissalPolicy?: LiveActivityDismissalPolicy;
+}
+
+export interface UseLiveActivityStartOptions {
+  pushToken?: LiveActivityPushToken;
+  style?: LiveActivityStyle;
+  alertConfiguration?: LiveActivityAlertConfiguration;
+  start?: Date;
+  activityType?: string;
+}
+
+export interface UseLiveActivityResult<TData extends LiveActivityData> {
+  /**
+   * Starts an activity, replacing the one tracked by the hook. With `cleanup: "end"`
+   * the replaced activity is ended. Resolves with its ID, or undefined on failure
+   */
+  start: (
+    attributes: LiveActivityAttributes,
+    content: LiveActivityContent<TData>,
+    options?: UseLiveActivityStartOptions,
+  ) => Promise<string | undefined>;
+  /** Updates the tracked activity; does nothing when none is running */
+  update: (
+    content: LiveActivityContent<TData>,
+    alertConfiguration?: LiveActivityAlertConfiguration,
+  ) => Promise<void>;
+  /** Ends the tracked activity; does nothing when none is running */
+  end: (
+    content: LiveActivityContent<TData>,
+    dismissalPolicy?: LiveActivityDismissalPolicy,
+    dismissalDate?: Date,
+  ) => Promise<void>;
+  activityId: string | undefined;
+  state: LiveActivityState | undefined;
+  /** Error of the last failed call, cleared by the next successful one */
+  error: LiveActivityError | undefined;
+}
+
+/**
+ * Tracks a single Live Activity for a component.
+ *
+ * `start`, `update` and `end` never reject; failures are reported through
+ * `error`. `state` follows the activity, including changes made outside the
+ * app such as the user dismissing it.
+ *
+ * @example
+ * const { start, update, end, state, error } = useLiveActivity<DeliveryState>({ cleanup: "end" });
+ * await start({ title: "Delivery", body: "Order #1234" }, { state: "active", data: { progress: 0 } });
+ */
+export function useLiveActivity<TData extends LiveActivityData = LiveActivityData>(
+  options?: UseLiveActivityOptions,
+): UseLiveActivityResult<TData> {
+  const cleanup = options?.cleanup ?? "keep";
+  const cleanupDismissalPolicy = options?.dismissalPolicy ?? "immediate";
+
+  const [activityId, setActivityId] = useState<string>();
+  const [state, setState] = useState<LiveActivityState>();
+  const [error, setError] = useState<LiveActivityError>();
+
+  // Callbacks read the latest values without being recreated
+  const activityIdRef = useRef<string | undefined>(undefined);
+  const mountedRef = useRef(true);
+  const cleanupRef = useRef({ cleanup, cleanupDismissalPolicy });
+  cleanupRef.current = { cleanup, cleanupDismissalPolicy };
+
+  const track = useCallback((id: string | undefined, nextState: LiveActivityState | undefined) => {
+    activityIdRef.current = id;
+    if (!mountedRef.current) return;
+    setActivityId(id);
+    setState(nextState);
+  }, []);
+
+  const fail = useCallback((caught: unknown) => {
+    if (mountedRef.current) setError(caught as LiveActivityError);
+  }, []);
+
+  // Ends an activity the hook no longer tracks, if the cleanup policy says so
+  const release = useCallback((id: string | undefined) => {
+    if (!id || cleanupRef.current.cleanup !== "end") return;
+    DynamicActivities.endLiveActivity(
+      id,
+      { state: "ended" },
+      cleanupRef.current.cleanupDismissalPolicy,
+    ).catch(() => undefined);
+  }, []);
+
+  useEffect(() => {
+    mountedRef.current = true;
+
+    const unsubscribe = DynamicActivities.onActivityStateChange((event) => {
+      if (event.activityId === activityIdRef.current && mountedRef.current) {
+        setState(event.state);
+      }
+    });
+
+    return () => {
+      mountedRef.current = false;
+      unsubscribe();
+      release(activityIdRef.current);
+    };
+  }, [release]);
+
+  const start = useCallback<UseLiveActivityResult<TData>["start"]>(
+    async (attributes, content, startOptions) => {
+      try {
+        const result = await DynamicActivities.startLiveActivity(
+          attributes,
+          content,
+          startOptions?.pushToken,
+          startOptions?.style,
+          startOptions?.alertConfiguration,
+          startOptions?.start,
+          startOptions?.activityType,
+        );
+        // Started after unmounting: nothing will track it
+        if (!mountedRef.current) {
+          release(result.activityId);
+          return result.activityId;
+        }
+
+        const replaced = activityIdRef.current;
+        track(result.activityId, content.state);
+        if (replaced !== result.activityId) release(replaced);
+        setError(undefined);
+        return result.activityId;
+      } catch (caught) {
+        fail(caught);
+        return undefined;
+      }
+    },
+    [track, fail, release],
+  );
+
+  const update = useCallback<UseLiveActivityResult<TData>["update"]>(
+    async (content, alertConfiguration) => {
+      const id = activityIdRef.current;
+      if (!id) return;
+
+      try {
+        await DynamicActivities.updateLiveActivity(id, content, alertConfiguration);
+        if (activityIdRef.current === id) track(id, content.state);
+        if (mountedRef.current) setError(undefined);
+      } catch (caught) {
+        fail(caught);
+      }
+    },
+    [track, fail],
+  );
+
+  const end = useCallback<UseLiveActivityResult<TData>["end"]>(
+    async (content, dismissalPolicy, dismissalDate) => {
+      const id = activityIdRef.current;
+      if (!id) return;
+
+      try {
+        await DynamicActivities.endLiveActivity(
+          id,
+          content,
+          dismissalPolicy,
+          undefined,
+          dismissalDate,
+        );
+        if (activityIdRef.current === id) track(undefined, "ended");
+        if (mountedRef.current) setError(undefined);
+      } catch (caught) {
+        fail(caught);
+      }
+    },
+    [track, fail],
+  );
+
+  return { start, update, end, activityId, state, error };
+}
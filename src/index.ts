@@ -1,16 +1,40 @@
-import { NitroModules } from "react-native-nitro-modules";
-import type { DynamicActivities as DynamicActivitiesSpec } from "./specs/LiveActivities.nitro";
+export { DynamicActivities } from "./DynamicActivities";
 
-export const DynamicActivities =
-  NitroModules.createHybridObject<DynamicActivitiesSpec>("DynamicActivities");
+export type {
+  LiveActivityContent,
+  LiveActivityData,
+  LiveActivityInfo,
+} from "./DynamicActivities";
+
+export type {
+  LiveActivityCleanupPolicy,
+  UseLiveActivityOptions,
+  UseLiveActivityResult,
+  UseLiveActivityStartOptions,
+} from "./hooks/useLiveActivity";
+export { useLiveActivity } from "./hooks/useLiveActivity";
+export type { LiveActivitiesSupport } from "./hooks/useLiveActivitiesSupport";
+export { useLiveActivitiesSupport } from "./hooks/useLiveActivitiesSupport";
+
+export type { LiveActivityRetryPolicy } from "./LiveActivityRetry";
+export { DEFAULT_RETRY_POLICY, isRetryableError, withRetry } from "./LiveActivityRetry";
+
+export type {
+  LiveActivityUpdateScheduler,
+  LiveActivityUpdateSchedulerOptions,
+} from "./LiveActivityUpdateScheduler";
+export {
+  createUpdateScheduler,
+  DEFAULT_MIN_UPDATE_INTERVAL_MS,
+} from "./LiveActivityUpdateScheduler";
 
 export type {
   LiveActivityAlertConfiguration,
   LiveActivityAttributes,
-  LiveActivityContent,
   LiveActivityDismissalPolicy,
   LiveActivityPushToken,
   LiveActivityState,
+  LiveActivityStateChangeEvent,
   LiveActivityStyle,
   PushTokenUpdateEvent,
 } from "./specs/LiveActivities.nitro";
@@ -0,0 +1,286 @@
+import type {
+  DynamicActivities,
+  LiveActivitiesSupportInfo,
+  LiveActivityContent,
+  LiveActivityInfo,
+  LiveActivityState,
+  LiveActivityStateChangeEvent,
+  PushTokenUpdateEvent,
+} from "../specs/LiveActivities.nitro";
+import {
+  LiveActivityErrorCode,
+  LiveActivityErrorMessages,
+} from "../specs/LiveActivitiesErrors.nitro";
+
+/** Methods of the native `DynamicActivities` spec, without the HybridObject internals */
+export type NativeDynamicActivitiesMethods = Pick<
+  DynamicActivities,
+  | "areLiveActivitiesSupported"
+  | "startLiveActivity"
+  | "updateLiveActivity"
+  | "endLiveActivity"
+  | "getActiveLiveActivities"
+  | "onActivityStateChange"
+  | "onPushTokenUpdate"
+  | "getPushToStartToken"
+  | "onPushToStartTokenUpdate"
+>;
+
+/** Methods that can be made to fail with `failNext` */
+export type MockDynamicActivitiesMethod =
+  | "areLiveActivitiesSupported"
+  | "startLiveActivity"
+  | "updateLiveActivity"
+  | "endLiveActivity"
+  | "getActiveLiveActivities"
+  | "getPushToStartToken";
+
+export interface MockDynamicActivitiesOptions {
+  /** Merged over `DEFAULT_MOCK_SUPPORT_INFO` */
+  supportInfo?: Partial<LiveActivitiesSupportInfo>;
+  pushToStartToken?: string;
+}
+
+export interface MockDynamicActivities extends NativeDynamicActivitiesMethods {
+  /** Running activities by ID */
+  readonly activities: ReadonlyMap<string, LiveActivityInfo>;
+
+  /** Changes what `areLiveActivitiesSupported` reports; starts fail with `unsupported` while `supported` is false */
+  setSupportInfo(supportInfo: Partial<LiveActivitiesSupportInfo>): void;
+
+  /**
+   * Rejects the next call of `method` with `code`, the way the native module
+   * would. Calls queue up, so failing twice rejects the next two calls.
+   */
+  failNext(
+    method: MockDynamicActivitiesMethod,
+    code: LiveActivityErrorCode,
+    message?: string,
+  ): void;
+
+  /**
+   * Changes an activity's state from outside the app, e.g. the user dismissing
+   * it. `ended` and `dismissed` remove the activity.
+   */
+  setActivityState(activityId: string, state: LiveActivityState): void;
+
+  /** Changes the push-to-start token and notifies its listeners */
+  setPushToStartToken(token: string): void;
+
+  /**
+   * Forgets activities and queued failures, then applies `options` or the defaults.
+   * Listeners stay subscribed, since modules under test often subscribe once on import.
+   */
+  reset(options?: MockDynamicActivitiesOptions): void;
+}
+
+export const DEFAULT_MOCK_SUPPORT_INFO: LiveActivitiesSupportInfo = {
+  supported: true,
+  version: 18.0,
+  comment: "In-memory mock",
+  pushToStartSupported: true,
+};
+
+/** Error shaped like the JSON-encoded errors the native module rejects with */
+function nativeError(code: LiveActivityErrorCode, message?: string): Error {
+  return new Error(
+    JSON.stringify({ code, localizedDescription: message ?? LiveActivityErrorMessages[code] }),
+  );
+}
+
+// Same checks as the native `validateContent`
+function validateContent(content: LiveActivityContent): void {
+  if (content.relevanceScore !== undefined && !Number.isFinite(content.relevanceScore)) {
+    throw nativeError(
+      LiveActivityErrorCode.INVALID_CONTENT,
+      "Invalid Live Activity content: relevanceScore must be a finite number",
+    );
+  }
+
+  if (content.payload === undefined) return;
+  try {
+    JSON.parse(content.payload);
+  } catch {
+    throw nativeError(
+      LiveActivityErrorCode.INVALID_CONTENT,
+      "Invalid Live Activity content: payload is not valid JSON",
+    );
+  }
+}
+
+function hexToken(value: number): string {
+  return value.toString(16).padStart(64, "0");
+}
+
+/**
+ * Creates an in-memory implementation of the native `DynamicActivities` spec.
+ *
+ * Activities get generated IDs (`mock-activity-1`, `mock-activity-2`, ...),
+ * calls on an activity that ended reject with `notFound`, and state and push
+ * token listeners fire like they do on device.
+ *
+ * @example
+ * const mock = createMockDynamicActivities({ supportInfo: { supported: false } });
+ * mock.failNext("startLiveActivity", LiveActivityErrorCode.DENIED);
+ */
+export function createMockDynamicActivities(
+  options?: MockDynamicActivitiesOptions,
+): MockDynamicActivities {
+  const activities = new Map<string, LiveActivityInfo>();
+  const failures = new Map<MockDynamicActivitiesMethod, Error[]>();
+  const stateListeners = new Set<(event: LiveActivityStateChangeEvent) => void>();
+  const pushTokenListeners = new Set<(event: PushTokenUpdateEvent) => void>();
+  const pushToStartTokenListeners = new Set<(token: string) => void>();
+
+  let supportInfo: LiveActivitiesSupportInfo;
+  let pushToStartToken: string | undefined;
+  let nextActivityId: number;
+  let nextPushToken: number;
+
+  function configure(configureOptions?: MockDynamicActivitiesOptions): void {
+    supportInfo = { ...DEFAULT_MOCK_SUPPORT_INFO, ...configureOptions?.supportInfo };
+    pushToStartToken = configureOptions?.pushToStartToken;
+    nextActivityId = 1;
+    nextPushToken = 1;
+  }
+
+  function throwQueuedFailure(method: MockDynamicActivitiesMethod): void {
+    const error = failures.get(method)?.shift();
+    if (error) throw error;
+  }
+
+  function requireActivity(activityId: string): LiveActivityInfo {
+    const activity = activities.get(activityId);
+    if (!activity) {
+      throw nativeError(
+        LiveActivityErrorCode.NOT_FOUND,
+        `Activity with ID ${activityId} not found`,
+      );
+    }
+    return activity;
+  }
+
+  function emitStateChange(activityId: string, state: LiveActivityState): void {
+    for (const listener of stateListeners) listener({ activityId, state });
+  }
+
+  function subscribe<T>(listeners: Set<T>, listener: T): () => void {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  }
+
+  configure(options);
+
+  return {
+    activities,
+
+    async areLiveActivitiesSupported() {
+      throwQueuedFailure("areLiveActivitiesSupported");
+      return { ...supportInfo };
+    },
+
+    async startLiveActivity(attributes, content, pushToken) {
+      throwQueuedFailure("startLiveActivity");
+      if (!supportInfo.supported) throw nativeError(LiveActivityErrorCode.UNSUPPORTED);
+      validateContent(content);
+
+      const activityId = `mock-activity-${nextActivityId++}`;
+      activities.set(activityId, {
+        activityId,
+        state: content.state,
+        staleDate: content.staleDate,
+        relevanceScore: content.relevanceScore,
+        attributes,
+        payload: content.payload,
+      });
+
+      if (!pushToken) return { activityId };
+
+      const token = hexToken(nextPushToken++);
+      for (const listener of pushTokenListeners) listener({ activityId, token });
+      return { activityId, pushToken: token };
+    },
+
+    async updateLiveActivity(activityId, content) {
+      throwQueuedFailure("updateLiveActivity");
+      const previous = requireActivity(activityId);
+      validateContent(content);
+
+      activities.set(activityId, {
+        ...previous,
+        state: content.state,
+        staleDate: content.staleDate,
+        relevanceScore: content.relevanceScore,
+        payload: content.payload,
+      });
+
+      if (previous.state !== content.state) emitStateChange(activityId, content.state);
+    },
+
+    async endLiveActivity(activityId, content) {
+      throwQueuedFailure("endLiveActivity");
+      requireActivity(activityId);
+      validateContent(content);
+
+      activities.delete(activityId);
+      emitStateChange(activityId, "ended");
+    },
+
+    async getActiveLiveActivities() {
+      throwQueuedFailure("getActiveLiveActivities");
+      return [...activities.values()];
+    },
+
+    onActivityStateChange(listener) {
+      return subscribe(stateListeners, listener);
+    },
+
+    onPushTokenUpdate(listener) {
+      return subscribe(pushTokenListeners, listener);
+    },
+
+    async getPushToStartToken() {
+      throwQueuedFailure("getPushToStartToken");
+      return pushToStartToken;
+    },
+
+    onPushToStartTokenUpdate(listener) {
+      return subscribe(pushToStartTokenListeners, listener);
+    },
+
+    setSupportInfo(nextSupportInfo) {
+      supportInfo = { ...supportInfo, ...nextSupportInfo };
+    },
+
+    failNext(method, code, message) {
+      const queued = failures.get(method) ?? [];
+      queued.push(nativeError(code, message));
+      failures.set(method, queued);
+    },
+
+    setActivityState(activityId, state) {
+      const activity = requireActivity(activityId);
+
+      if (state === "ended" || state === "dismissed") {
+        activities.delete(activityId);
+      } else {
+        activities.set(activityId, { ...activity, state });
+      }
+
+      emitStateChange(activityId, state);
+    },
+
+    setPushToStartToken(token) {
+      pushToStartToken = token;
+      for (const listener of pushToStartTokenListeners) listener(token);
+    },
+
+    reset(resetOptions) {
+      activities.clear();
+      failures.clear();
+      configure(resetOptions);
+    },
+  };
+}
@@ -3,6 +3,8 @@ import type { HybridObject } from "react-native-nitro-modules";
 export interface LiveActivityAttributes {
   title: string;
   body: string;
+  /** Custom static values, available in the widget as `attributes.metadata` */
+  metadata?: Record<string, string>;
 }
 
 export type LiveActivityState = "active" | "dismissed" | "pending" | "stale" | "ended";
@@ -11,6 +13,8 @@ export interface LiveActivityContent {
   state: LiveActivityState;
   staleDate?: Date;
   relevanceScore?: number;
+  /** JSON-encoded custom state. Set through `data` on the JS API, which serializes it for you */
+  payload?: string;
 }
 
 export interface LiveActivityPushToken {
@@ -22,6 +26,7 @@ export type LiveActivityStyle = "standard" | "transient";
 export interface LiveActivityAlertConfiguration {
   title: string;
   body: string;
+  /** "default" (or empty) for the system sound, otherwise the name of a sound file in the app bundle */
   sound: string;
 }
 
@@ -33,10 +38,17 @@ export interface PushTokenUpdateEvent {
   token: string;
 }
 
+export interface LiveActivityStateChangeEvent {
+  activityId: string;
+  state: LiveActivityState;
+}
+
 export interface LiveActivitiesSupportInfo {
   supported: boolean;
   version: number;
   comment: string;
+  /** Whether activities can be started remotely with a push-to-start token (iOS 17.2+) */
+  pushToStartSupported: boolean;
 }
 
 export interface LiveActivityStartResult {
@@ -44,6 +56,16 @@ export interface LiveActivityStartResult {
   pushToken?: string;
 }
 
+export interface LiveActivityInfo {
+  activityId: string;
+  state: LiveActivityState;
+  staleDate?: Date;
+  relevanceScore?: number;
+  attributes: LiveActivityAttributes;
+  /** JSON-encoded custom state of the current content */
+  payload?: string;
+}
+
 export interface DynamicActivities extends HybridObject<{ ios: "swift"; android: "kotlin" }> {
   /**
    * Check if Live Activities are supported on this device
@@ -55,10 +77,15 @@ export interface DynamicActivities extends HybridObject<{ ios: "swift"; android:
    * Start a new Live Activity
    * @param attributes - The attributes for the Live Activity
    * @param content - The initial content for the Live Activity
-   * @param pushToken - Optional push token for remote updates
+   * @param pushToken - Optional; opts into remote push updates. The activity's own APNs token
+   *   is returned as `pushToken` in the result and later rotations go to `onPushTokenUpdate`.
+   *   On iOS the start then waits up to 5 seconds for ActivityKit to issue that token; when it
+   *   doesn't arrive in time, `pushToken` is undefined and the token goes to `onPushTokenUpdate`
    * @param style - Optional style (iOS 18.0+)
-   * @param alertConfiguration - Optional alert configuration (iOS 26.0+)
+   * @param alertConfiguration - Optional alert configuration (iOS 26.0+, rejects with `unsupported` on earlier versions)
    * @param start - Optional start date (iOS 26.0+)
+   * @param activityType - Optional name of an attributes type registered natively with
+   *   `LiveActivityBridgeRegistry`; the built-in generic attributes are used when omitted
    * @returns Promise with activity ID and push token
    * @throws {LiveActivityError} When authorization fails, content is invalid, or system is unavailable
    */
@@ -70,14 +97,16 @@ export interface DynamicActivities extends HybridObject<{ ios: "swift"; android:
     style?: LiveActivityStyle,
     alertConfiguration?: LiveActivityAlertConfiguration,
     start?: Date,
+    activityType?: string,
   ): Promise<LiveActivityStartResult>;
 
   /**
    * Update an existing Live Activity
    * @param activityId - The ID of the activity to update
    * @param content - The new content for the Live Activity
-   * @param alertConfiguration - Optional alert configuration (iOS 26.0+)
+   * @param alertConfiguration - Optional alert shown with the update
    * @param timestamp - Optional timestamp (iOS 17.2+)
+   * @returns Promise that resolves once ActivityKit has applied the update
    * @throws {LiveActivityError} When activity is not found, already ended, or content is invalid
    */
   updateLiveActivity(
@@ -90,7 +119,7 @@ export interface DynamicActivities extends HybridObject<{ ios: "swift"; android:
   /**
    * End a Live Activity
    * @param activityId - The ID of the activity to end
-   * @param content - The final content for the Live Activity
+   * @param content - The final content, shown as passed until the activity is dismissed
    * @param dismissalPolicy - Optional dismissal policy:
    *   - "default": System default behavior
    *   - "immediate": Remove immediately
@@ -98,6 +127,7 @@ export interface DynamicActivities extends HybridObject<{ ios: "swift"; android:
    * @param timestamp - Optional timestamp (iOS 17.2+)
    * @param dismissalDate - Date when activity should be dismissed (required when dismissalPolicy is "after").
    *   Must be within 4-hour window from when the activity ends. If beyond 4 hours, will be clamped to maximum allowed time.
+   * @returns Promise that resolves once ActivityKit has ended the activity
    * @throws {LiveActivityError} When activity is not found or already ended
    */
   endLiveActivity(
@@ -107,4 +137,47 @@ export interface DynamicActivities extends HybridObject<{ ios: "swift"; android:
     timestamp?: Date,
     dismissalDate?: Date,
   ): Promise<void>;
+
+  /**
+   * Get all Live Activities the system still has for this app
+   * @returns Promise with every known activity, including ones started before the last app launch
+   * @throws {LiveActivityError} When Live Activities are unsupported on this iOS version
+   */
+  getActiveLiveActivities(): Promise<LiveActivityInfo[]>;
+
+  /**
+   * Subscribe to state changes of every Live Activity of this app
+   * (e.g. the user dismissing it or the system marking it stale)
+   * @param listener - Called with the activity ID and its new state
+   * @returns Function that removes the listener
+   */
+  onActivityStateChange(listener: (event: LiveActivityStateChangeEvent) => void): () => void;
+
+  /**
+   * Subscribe to push token updates of every Live Activity of this app.
+   * ActivityKit may rotate a token at any time, so forward every event to your server.
+   * @param listener - Called with the activity ID and its new hex-encoded APNs token
+   * @returns Function that removes the listener
+   */
+  onPushTokenUpdate(listener: (event: PushTokenUpdateEvent) => void): () => void;
+
+  /**
+   * Get the current push-to-start token for this app's activities (iOS 17.2+).
+   * Send it to your server so it can start Live Activities while the app is in the background.
+   * @param activityType - Optional name of an attributes type registered natively with
+   *   `LiveActivityBridgeRegistry`; ActivityKit issues a separate token per attributes type,
+   *   and the built-in generic attributes are used when omitted
+   * @returns Promise with the hex-encoded APNs token, or undefined if ActivityKit has not issued one yet
+   * @throws {LiveActivityError} When push-to-start is unsupported on this iOS version, or
+   *   `activityType` isn't registered
+   */
+  getPushToStartToken(activityType?: string): Promise<string | undefined>;
+
+  /**
+   * Subscribe to push-to-start token updates (iOS 17.2+)
+   * @param listener - Called with the new hex-encoded APNs token
+   * @param activityType - Optional name of a registered attributes type, as for `getPushToStartToken`
+   * @returns Function that removes the listener
+   */
+  onPushToStartTokenUpdate(listener: (token: string) => void, activityType?: string): () => void;
 }
@@ -17,6 +17,13 @@ export enum LiveActivityErrorCode {
   // Additional system-level errors
   NETWORK_ERROR = "networkError",
   UNKNOWN_ERROR = "unknownError",
+
+  // Activity lifecycle errors
+  NOT_FOUND = "notFound",
+  ALREADY_ENDED = "alreadyEnded",
+  INVALID_CONTENT = "invalidContent",
+  OPERATION_FAILED = "operationFailed",
+  NO_BRIDGE = "noBridge",
 }
 
 export interface LiveActivityErrorInfo {
@@ -48,7 +55,14 @@ export interface LiveActivityAuthorizationError extends LiveActivityErrorInfo {
 }
 
 export interface LiveActivitySystemError extends LiveActivityErrorInfo {
-  code: LiveActivityErrorCode.NETWORK_ERROR | LiveActivityErrorCode.UNKNOWN_ERROR;
+  code:
+    | LiveActivityErrorCode.NETWORK_ERROR
+    | LiveActivityErrorCode.UNKNOWN_ERROR
+    | LiveActivityErrorCode.NOT_FOUND
+    | LiveActivityErrorCode.ALREADY_ENDED
+    | LiveActivityErrorCode.INVALID_CONTENT
+    | LiveActivityErrorCode.OPERATION_FAILED
+    | LiveActivityErrorCode.NO_BRIDGE;
 }
 
 // All possible Live Activity errors
@@ -84,7 +98,7 @@ export namespace LiveActivityErrorFactory {
       code,
       message: message || LiveActivityErrorMessages[code],
       failureReason: options?.failureReason,
-      recoverySuggestion: options?.recoverySuggestion,
+      recoverySuggestion: options?.recoverySuggestion || LiveActivityRecoverySuggestions[code],
       nativeError: options?.nativeError,
       activityId: options?.activityId,
       timestamp: new Date(),
@@ -94,7 +108,7 @@ export namespace LiveActivityErrorFactory {
   }
 
   export function createSystemError(
-    code: LiveActivityErrorCode.NETWORK_ERROR | LiveActivityErrorCode.UNKNOWN_ERROR,
+    code: LiveActivitySystemError["code"],
     message?: string,
     options?: {
       failureReason?: string;
@@ -109,7 +123,7 @@ export namespace LiveActivityErrorFactory {
       code,
       message: message || LiveActivityErrorMessages[code],
       failureReason: options?.failureReason,
-      recoverySuggestion: options?.recoverySuggestion,
+      recoverySuggestion: options?.recoverySuggestion || LiveActivityRecoverySuggestions[code],
       nativeError: options?.nativeError,
       activityId: options?.activityId,
       timestamp: new Date(),
@@ -118,12 +132,29 @@ export namespace LiveActivityErrorFactory {
     };
   }
 
+  /**
+   * Creates an error of the category its code belongs to, for errors raised
+   * in JS that aren't tied to one, such as failed validation
+   */
+  export function createError(
+    code: LiveActivityErrorCode,
+    message?: string,
+    options?: Parameters<typeof createSystemError>[2],
+  ): LiveActivityError {
+    return isAuthorizationErrorCode(code)
+      ? createAuthorizationError(code as LiveActivityAuthorizationError["code"], message, options)
+      : createSystemError(code as LiveActivitySystemError["code"], message, options);
+  }
+
   export function createErrorFromNativeError(
     nativeError: unknown,
     activityId?: string,
   ): LiveActivityError {
     if (typeof nativeError === "object" && nativeError !== null) {
-      const error = nativeError as Record<string, unknown>;
+      const error =
+        nativeError instanceof Error
+          ? decodeNativeErrorMessage(nativeError.message)
+          : (nativeError as Record<string, unknown>);
       const code = String(error.code || error.localizedDescription || "unknownError");
       const message = String(error.localizedDescription || "An unknown error occurred");
       const failureReason = error.failureReason ? String(error.failureReason) : undefined;
@@ -133,35 +164,14 @@ export namespace LiveActivityErrorFactory {
       const errorCode = error.errorCode ? Number(error.errorCode) : undefined;
       const errorDomain = error.errorDomain ? String(error.errorDomain) : undefined;
 
-      const mappedCode = mapNativeErrorCode(code);
-
-      if (isAuthorizationErrorCode(mappedCode)) {
-        return createAuthorizationError(
-          mappedCode as LiveActivityAuthorizationError["code"],
-          message,
-          {
-            failureReason,
-            recoverySuggestion,
-            nativeError,
-            activityId,
-            errorCode,
-            errorDomain,
-          },
-        );
-      }
-
-      return createSystemError(
-        mappedCode as LiveActivityErrorCode.NETWORK_ERROR | LiveActivityErrorCode.UNKNOWN_ERROR,
-        message,
-        {
-          failureReason,
-          recoverySuggestion,
-          nativeError,
-          activityId,
-          errorCode,
-          errorDomain,
-        },
-      );
+      return createError(mapNativeErrorCode(code), message, {
+        failureReason,
+        recoverySuggestion,
+        nativeError,
+        activityId,
+        errorCode,
+        errorDomain,
+      });
     }
 
     return createSystemError(LiveActivityErrorCode.UNKNOWN_ERROR, "An unknown error occurred", {
@@ -171,6 +181,29 @@ export namespace LiveActivityErrorFactory {
   }
 }
 
+/**
+ * Native errors reach JS as plain `Error`s whose message holds the error's
+ * fields as JSON, possibly behind a prefix added by Nitro. Messages without
+ * JSON fields become the description of an unknown error.
+ */
+function decodeNativeErrorMessage(message: string): Record<string, unknown> {
+  const start = message.indexOf("{");
+  const end = message.lastIndexOf("}");
+
+  if (start !== -1 && end > start) {
+    try {
+      const fields: unknown = JSON.parse(message.slice(start, end + 1));
+      if (typeof fields === "object" && fields !== null && "code" in fields) {
+        return fields as Record<string, unknown>;
+      }
+    } catch {
+      // Not JSON; fall through to the raw message
+    }
+  }
+
+  return { localizedDescription: message };
+}
+
 function mapNativeErrorCode(nativeCode: string): LiveActivityErrorCode {
   switch (nativeCode) {
     case "attributesTooLarge":
@@ -199,6 +232,16 @@ function mapNativeErrorCode(nativeCode: string): LiveActivityErrorCode {
       return LiveActivityErrorCode.VISIBILITY;
     case "networkError":
       return LiveActivityErrorCode.NETWORK_ERROR;
+    case "notFound":
+      return LiveActivityErrorCode.NOT_FOUND;
+    case "alreadyEnded":
+      return LiveActivityErrorCode.ALREADY_ENDED;
+    case "invalidContent":
+      return LiveActivityErrorCode.INVALID_CONTENT;
+    case "operationFailed":
+      return LiveActivityErrorCode.OPERATION_FAILED;
+    case "noBridge":
+      return LiveActivityErrorCode.NO_BRIDGE;
     default:
       return LiveActivityErrorCode.UNKNOWN_ERROR;
   }
@@ -247,6 +290,11 @@ export const LiveActivityErrorMessages = {
     "The app tried to start the Live Activity while it was in the background.",
   [LiveActivityErrorCode.NETWORK_ERROR]: "A network error occurred while processing the request.",
   [LiveActivityErrorCode.UNKNOWN_ERROR]: "An unknown error occurred.",
+  [LiveActivityErrorCode.NOT_FOUND]: "No Live Activity with the provided identifier is running.",
+  [LiveActivityErrorCode.ALREADY_ENDED]: "The Live Activity has already ended.",
+  [LiveActivityErrorCode.INVALID_CONTENT]: "The provided Live Activity content is invalid.",
+  [LiveActivityErrorCode.OPERATION_FAILED]: "The Live Activity operation didn't complete.",
+  [LiveActivityErrorCode.NO_BRIDGE]: "No attributes type is registered for the activity type.",
 } as const;
 
 // Recovery suggestions for common errors
@@ -275,6 +323,14 @@ export const LiveActivityRecoverySuggestions = {
   [LiveActivityErrorCode.NETWORK_ERROR]: "Check your internet connection and try again.",
   [LiveActivityErrorCode.UNKNOWN_ERROR]:
     "Try again later. If the problem persists, restart the app.",
+  [LiveActivityErrorCode.NOT_FOUND]:
+    "Use getActiveLiveActivities() to find the identifiers of running activities.",
+  [LiveActivityErrorCode.ALREADY_ENDED]: "Start a new Live Activity instead of updating this one.",
+  [LiveActivityErrorCode.INVALID_CONTENT]:
+    "Check that relevanceScore is a finite number and data can be serialized to JSON.",
+  [LiveActivityErrorCode.OPERATION_FAILED]: "Try again later.",
+  [LiveActivityErrorCode.NO_BRIDGE]:
+    "Call LiveActivityBridgeRegistry.shared.registerBridge() in your app initialization.",
 } as const;
 
 export const LIVE_ACTIVITY_ERROR_DOMAIN = "com.dynamicactivities.liveactivities";
@@ -297,9 +353,15 @@ export function isAuthorizationError(
 }
 
 export function isSystemError(error: LiveActivityError): error is LiveActivitySystemError {
-  return [LiveActivityErrorCode.NETWORK_ERROR, LiveActivityErrorCode.UNKNOWN_ERROR].includes(
-    error.code,
-  );
+  return [
+    LiveActivityErrorCode.NETWORK_ERROR,
+    LiveActivityErrorCode.UNKNOWN_ERROR,
+    LiveActivityErrorCode.NOT_FOUND,
+    LiveActivityErrorCode.ALREADY_ENDED,
+    LiveActivityErrorCode.INVALID_CONTENT,
+    LiveActivityErrorCode.OPERATION_FAILED,
+    LiveActivityErrorCode.NO_BRIDGE,
+  ].includes(error.code);
 }
 
 export enum LiveActivityErrorSeverity {
@@ -324,6 +386,11 @@ export const LiveActivityErrorSeverityMap = {
   [LiveActivityErrorCode.VISIBILITY]: LiveActivityErrorSeverity.MEDIUM,
   [LiveActivityErrorCode.NETWORK_ERROR]: LiveActivityErrorSeverity.LOW,
   [LiveActivityErrorCode.UNKNOWN_ERROR]: LiveActivityErrorSeverity.MEDIUM,
+  [LiveActivityErrorCode.NOT_FOUND]: LiveActivityErrorSeverity.LOW,
+  [LiveActivityErrorCode.ALREADY_ENDED]: LiveActivityErrorSeverity.LOW,
+  [LiveActivityErrorCode.INVALID_CONTENT]: LiveActivityErrorSeverity.HIGH,
+  [LiveActivityErrorCode.OPERATION_FAILED]: LiveActivityErrorSeverity.MEDIUM,
+  [LiveActivityErrorCode.NO_BRIDGE]: LiveActivityErrorSeverity.CRITICAL,
 } as const;
 
 export function getErrorSeverity(error: LiveActivityError): LiveActivityErrorSeverity {
@@ -0,0 +1,91 @@
+package {{PACKAGE_NAME}}
+
+import android.content.Context
+import android.os.Build
+import android.os.SystemClock
+import android.view.View
+import android.widget.RemoteViews
+import androidx.core.app.NotificationCompat
+import com.dynamicactivities.LiveActivityLayout
+import com.dynamicactivities.LiveActivityNotificationMapper
+import com.dynamicactivities.LiveActivityRenderState
+import org.json.JSONObject
+import java.time.Instant
+
+/**
+ * Renders "{{ACTIVITY_NAME}}" activities with custom views, the Android
+ * counterpart of the activity's SwiftUI widget on iOS.
+ *
+ * Register it at launch in MainApplication.onCreate():
+ *
+ *     LiveActivityLayoutRegistry.register("{{ACTIVITY_NAME}}", {{ACTIVITY_NAME}}Layout())
+ *
+ * and start activities with activityType "{{ACTIVITY_NAME}}".
+ */
+class {{ACTIVITY_NAME}}Layout : LiveActivityLayout {
+    override fun apply(
+        context: Context,
+        builder: NotificationCompat.Builder,
+        state: LiveActivityRenderState,
+    ) {
+        val collapsed = RemoteViews(context.packageName, R.layout.{{LAYOUT_NAME}})
+        val expanded = RemoteViews(context.packageName, R.layout.{{LAYOUT_NAME}}_expanded)
+
+        for (views in listOf(collapsed, expanded)) {
+            bind(views, state)
+        }
+
+        builder
+            .setStyle(NotificationCompat.DecoratedCustomViewStyle())
+            .setCustomContentView(collapsed)
+            .setCustomBigContentView(expanded)
+    }
+
+    private fun bind(
+        views: RemoteViews,
+        state: LiveActivityRenderState,
+    ) {
+        val notification = state.notification
+
+        views.setTextViewText(R.id.live_activity_title, notification.title)
+        views.setTextViewText(R.id.live_activity_body, notification.text)
+        views.setTextViewText(
+            R.id.live_activity_state,
+            state.content.state.name
+                .lowercase()
+                .replaceFirstChar { it.uppercase() },
+        )
+
+        // Progress bar from data.progress (0.0 - 1.0)
+        if (notification.progress != null || notification.indeterminate) {
+            views.setViewVisibility(R.id.live_activity_progress, View.VISIBLE)
+            views.setProgressBar(
+                R.id.live_activity_progress,
+                LiveActivityNotificationMapper.PROGRESS_MAX,
+                notification.progress ?: 0,
+                notification.indeterminate,
+            )
+        } else {
+            views.setViewVisibility(R.id.live_activity_progress, View.GONE)
+        }
+
+        // Countdown from data.endsAt (an ISO 8601 date)
+        val endsAt = countdownEnd(state.content.payload)
+        if (endsAt != null && !state.ended && Build.VERSION.SDK_INT >= Build.VERSION_CODES.N) {
+            val remaining = endsAt.toEpochMilli() - System.currentTimeMillis()
+            views.setViewVisibility(R.id.live_activity_countdown, View.VISIBLE)
+            views.setChronometer(R.id.live_activity_countdown, SystemClock.elapsedRealtime() + remaining, null, true)
+            views.setChronometerCountDown(R.id.live_activity_countdown, true)
+        } else {
+            views.setViewVisibility(R.id.live_activity_countdown, View.GONE)
+        }
+    }
+
+    private fun countdownEnd(payload: String?): Instant? =
+        runCatching {
+            payload
+                ?.let { JSONObject(it).optString("endsAt") }
+                ?.takeIf { it.isNotEmpty() }
+                ?.let(Instant::parse)
+        }.getOrNull()
+}
@@ -1,5 +1,8 @@
 import ActivityKit
 import Foundation
+#if canImport(DynamicActivities)
+import DynamicActivities
+#endif
 
 // MARK: - Activity Attributes
 struct {{ACTIVITY_NAME}}Attributes: ActivityAttributes {
@@ -13,10 +16,19 @@ struct {{ACTIVITY_NAME}}Attributes: ActivityAttributes {
         /// Optional timestamp for the state change
         var timestamp: Date?
         
-        public init(state: String, relevanceScore: Double? = nil, timestamp: Date? = nil) {
+        /// Optional JSON-encoded custom state, passed as data from JavaScript
+        var payload: String?
+        
+        public init(
+            state: String,
+            relevanceScore: Double? = nil,
+            timestamp: Date? = nil,
+            payload: String? = nil
+        ) {
             self.state = state
             self.relevanceScore = relevanceScore
             self.timestamp = timestamp
+            self.payload = payload
         }
     }
     
@@ -36,113 +48,60 @@ struct {{ACTIVITY_NAME}}Attributes: ActivityAttributes {
     }
 }
 
+// MARK: - Custom State
+extension {{ACTIVITY_NAME}}Attributes.ContentState {
+    /// Decodes the custom state passed as data from JavaScript.
+    /// Dates arrive as ISO 8601 strings, the format JSON.stringify produces.
+    func decodePayload<T: Decodable>(as type: T.Type = T.self) -> T? {
+        guard let data = payload?.data(using: .utf8) else { return nil }
+        
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        
+        let decoder = JSONDecoder()
+        decoder.dateDecodingStrategy = .custom { decoder in
+            let value = try decoder.singleValueContainer().decode(String.self)
+            guard let date = formatter.date(from: value) else {
+                throw DecodingError.dataCorrupted(
+                    .init(codingPath: decoder.codingPath, debugDescription: "Invalid ISO 8601 date: \(value)")
+                )
+            }
+            return date
+        }
+        return try? decoder.decode(type, from: data)
+    }
+}
+
 // MARK: - Library Bridge Implementation
+// Compiled only in the app target, which links react-native-dynamic-activities.
+// Register the type at launch so JS can start it with activityType "{{ACTIVITY_NAME}}":
+//
+//     LiveActivityBridgeRegistry.shared.registerBridge({{ACTIVITY_NAME}}Attributes.self, for: "{{ACTIVITY_NAME}}")
+#if canImport(DynamicActivities)
 extension {{ACTIVITY_NAME}}Attributes: LiveActivityBridge {
-    static func startActivity(
-        attributes: LiveActivityAttributes,
-        content: LiveActivityContent,
-        pushToken: LiveActivityPushToken?,
-        style: LiveActivityStyle?,
-        alertConfiguration: LiveActivityAlertConfiguration?,
-        start: Date?
-    ) throws -> LiveActivityStartResult {
-        // Convert library types to widget types
-        let attrs = {{ACTIVITY_NAME}}Attributes(
+    init(liveActivityAttributes attributes: LiveActivityBridgeAttributes) {
+        self.init(
             title: attributes.title,
             body: attributes.body,
             metadata: attributes.metadata
         )
-        
-        let state = ContentState(
-            state: "active", // You can map from content.data if needed
-            relevanceScore: content.relevanceScore,
-            timestamp: start ?? Date()
-        )
-        
-        // Create ActivityKit request
-        do {
-            let activity: Activity<{{ACTIVITY_NAME}}Attributes> = try Activity.request(
-                attributes: attrs,
-                content: .init(state: state, staleDate: content.staleDate)
-            )
-            
-            // Extract push token as hex if available
-            var hexToken: String?
-            if let tokenData = activity.pushToken {
-                hexToken = tokenData.map { String(format: "%02x", $0) }.joined()
-            }
-            
-            return LiveActivityStartResult(activityId: activity.id, pushToken: hexToken)
-        } catch let authError as ActivityAuthorizationError {
-            throw mapAuthorizationError(authError)
-        } catch {
-            throw makeNSError(
-                code: "unknownError",
-                message: error.localizedDescription,
-                domain: "LiveActivitySystemError"
-            )
-        }
     }
     
-    static func updateActivity(
-        activityId: String,
-        content: LiveActivityContent,
-        alertConfiguration: LiveActivityAlertConfiguration?,
-        timestamp: Date?
-    ) throws {
-        // Implementation for updates - requires activity tracking
-        throw makeNSError(
-            code: "notImplemented",
-            message: "Activity updates require activity instance tracking",
-            domain: "LiveActivitySystemError"
-        )
+    var liveActivityAttributes: LiveActivityBridgeAttributes {
+        LiveActivityBridgeAttributes(title: title, body: body, metadata: metadata)
     }
     
-    static func endActivity(
-        activityId: String,
-        content: LiveActivityContent,
-        dismissalPolicy: LiveActivityDismissalPolicy?
-    ) throws {
-        // Implementation for ending - requires activity tracking
-        throw makeNSError(
-            code: "notImplemented",
-            message: "Activity end requires activity instance tracking",
-            domain: "LiveActivitySystemError"
+    static func contentState(from content: LiveActivityBridgeContent, timestamp: Date) -> ContentState {
+        ContentState(
+            state: content.state,
+            relevanceScore: content.relevanceScore,
+            timestamp: timestamp,
+            payload: content.payload
         )
     }
-}
-
-// MARK: - Helper Functions
-private func mapAuthorizationError(_ error: ActivityAuthorizationError) -> NSError {
-    switch error {
-    case .activityNotEnabled:
-        return makeNSError(
-            code: "denied",
-            message: "Live Activities are disabled by the user",
-            domain: "LiveActivityAuthorizationError"
-        )
-    case .insufficientData:
-        return makeNSError(
-            code: "insufficientData",
-            message: "Insufficient data to create Live Activity",
-            domain: "LiveActivityAuthorizationError"
-        )
-    default:
-        return makeNSError(
-            code: "authorizationError",
-            message: error.localizedDescription,
-            domain: "LiveActivityAuthorizationError"
-        )
+    
+    static func payload(of state: ContentState) -> String? {
+        state.payload
     }
 }
-
-private func makeNSError(code: String, message: String, domain: String) -> NSError {
-    return NSError(
-        domain: domain,
-        code: 0,
-        userInfo: [
-            NSLocalizedDescriptionKey: message,
-            "code": code
-        ]
-    )
-}
\ No newline at end of file
+#endif